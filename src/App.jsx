@@ -1,10 +1,27 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, LabelList, PieChart, Pie } from 'recharts';
-import { Plus, Package, LogOut, Database, AlertCircle, RefreshCw } from 'lucide-react';
-import { supabase, isSupabaseConfigured } from './supabaseClient';
+import { Plus, Package, LogOut, Database, AlertCircle, RefreshCw, KeyRound, Download, WifiOff } from 'lucide-react';
+import { supabase, isSupabaseConfigured, usernameToEmail, fetchAllRows } from './supabaseClient';
+import { buildBatchLedger, availableBatches, checkBatchStock, checkBatchExpiry, isExpired, daysToExpiry, EXPIRY_BUCKETS, expiryBucket, EXPIRED_WRITE_OFF_REASON, allocateFefo, allocateOrderLines, isHoldActive, summarizeReservations, reservationsForOthers, receivedForOrder, positionMovements, withoutMovement, today, VALUATION_METHODS } from './inventory';
+import { AUDIT_COLUMNS, exportCsv, exportXlsx, exportFilename } from './exporters';
+import { IMPORT_ENTITIES, readImportFile, guessMapping, validateImport, parseExchangeRates } from './importers';
+import { fetchSnapshot, validateSnapshot, diffSnapshot } from './backup';
+import { BASE_CURRENCY, currencyOptions, buildRateIndex, convertAmount, formatMoney } from './currency';
+import { DOCUMENT_LIST_COLUMNS, renderDocumentPdf, downloadPdf } from './invoices';
+import { CONSUMPTION_MONTHS, forecastStock } from './forecast';
+import { ADMIN_ROLE, PERMISSIONS, PERMISSION_REQUIRES, COSTED_TABLES, COST_FIELDS, costFreeView, withoutCosts, hasPermission } from './permissions';
+import { OUTBOX_KINDS, saveSnapshot, loadSnapshot, clearSnapshot, saveUnlock, canUnlock, checkUnlock, listOutbox, putOutboxEntry, deleteOutboxEntry, nextOutboxId, outboxRowId, withOutbox, isNetworkError } from './offline';
+import { REALTIME_TABLES, COST_FREE_TOPIC, PRESENCE_TOPIC, LIVE_CHANGE_MS, RELOAD_DELAY_MS, changeKey, changedBy, pickColumns, mergeChange, otherUsersOnline } from './realtime';
 
-const SIZES = ['5ml', '10ml', '100ml'];
-const VIALS_PER_PACK = { '5ml': 5, '10ml': 5, '100ml': 1 };
+// Newest order date first
+const sortOrders = (orders) => [...orders].sort((a, b) => String(b.orderDate).localeCompare(String(a.orderDate)) || b.id - a.id);
+const orderLabel = (order) => order ? order.reference || `Order ${order.id}` : '-';
+// A customer's wholesale licence must still be valid on the date of a sale
+const licenceExpired = (customer, asOf = today()) => !!customer?.licenceExpiry && customer.licenceExpiry < asOf;
+// Returns an error message, or null
+const checkCustomerLicence = (customer, asOf) => licenceExpired(customer, asOf)
+  ? `The wholesale licence of ${customer.name} expired on ${new Date(customer.licenceExpiry).toLocaleDateString()}; renew it under Setup before selling to them`
+  : null;
 const COUNTRIES = ['Afghanistan','Albania','Algeria','Argentina','Australia','Austria','Bangladesh','Belgium','Brazil','Canada','Chile','China','Colombia','Czech Republic','Denmark','Egypt','Finland','France','Germany','Ghana','Greece','Hungary','India','Indonesia','Iran','Iraq','Ireland','Israel','Italy','Japan','Kenya','Malaysia','Mexico','Morocco','Netherlands','New Zealand','Nigeria','Norway','Pakistan','Peru','Philippines','Poland','Portugal','Romania','Russia','Saudi Arabia','Singapore','South Africa','South Korea','Spain','Sweden','Switzerland','Thailand','Turkey','Ukraine','United Arab Emirates','United Kingdom','United States','Vietnam'];
 
 // Helper function to convert snake_case to camelCase
@@ -29,7 +46,7 @@ const toSnakeCase = (obj) => {
   }, {});
 };
 
-const AuditTag = ({ createdBy, createdAt }) => {
+const AuditTag = ({ createdBy, createdAt, modifiedBy, modifiedAt }) => {
   if (!createdBy && !createdAt) return null;
   const formatDateTime = (isoString) => {
     if (!isoString) return '';
@@ -41,12 +58,136 @@ const AuditTag = ({ createdBy, createdAt }) => {
       {createdBy && <span className="font-medium">{createdBy}</span>}
       {createdBy && createdAt && <span> • </span>}
       {createdAt && <span>{formatDateTime(createdAt)}</span>}
+      {modifiedAt && (
+        <div className="italic">
+          Edited{modifiedBy && <> by <span className="font-medium">{modifiedBy}</span></>} • {formatDateTime(modifiedAt)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Rows another user changed in the last few minutes
+const LIVE_CHANGE_ROW = 'bg-yellow-50';
+
+const LiveChangeTag = ({ change }) => {
+  if (!change) return null;
+  return <span className="inline-block mt-1 px-1.5 py-0.5 bg-yellow-200 text-yellow-900 text-xs rounded" title={`Changed at ${new Date(change.at).toLocaleTimeString()}`}>Just changed by {change.by}</span>;
+};
+
+// Rows recorded offline that the outbox has not replayed yet
+const OutboxTag = ({ row }) => {
+  if (!row.outboxId) return null;
+  return <span className={`inline-block mt-1 px-1.5 py-0.5 text-xs rounded ${row.outboxStatus === 'conflict' ? 'bg-red-100 text-red-700' : 'bg-gray-200 text-gray-700'}`}>{row.outboxStatus === 'conflict' ? 'Sync conflict' : 'Not synced yet'}</span>;
+};
+
+// `rows` may also be a function that fetches them, for lists paged on the server
+const ExportButtons = ({ filename, columns, rows, sheetName }) => {
+  const resolveRows = () => typeof rows === 'function' ? rows() : rows;
+  const handleCsv = async () => {
+    try { exportCsv(filename, columns, await resolveRows()); } catch (e) { console.error('CSV export error:', e); alert('CSV export failed: ' + e.message); }
+  };
+  const handleXlsx = async () => {
+    try { await exportXlsx(filename, columns, await resolveRows(), sheetName); } catch (e) { console.error('Excel export error:', e); alert('Excel export failed: ' + e.message); }
+  };
+  return (
+    <div className="flex items-center gap-1 text-xs">
+      <Download className="w-3 h-3 text-gray-400" />
+      <button onClick={handleCsv} className="px-2 py-1 border rounded hover:bg-gray-50">CSV</button>
+      <button onClick={handleXlsx} className="px-2 py-1 border rounded hover:bg-gray-50">XLSX</button>
+    </div>
+  );
+};
+
+// Lists are read from the server a page at a time
+const PAGE_SIZE = 50;
+
+const Pager = ({ page, count, onPage }) => {
+  if (count <= PAGE_SIZE) return null;
+  const last = Math.ceil(count / PAGE_SIZE) - 1;
+  return (
+    <div className="px-6 py-3 border-t flex justify-between items-center text-sm text-gray-600">
+      <span>{page * PAGE_SIZE + 1}–{Math.min(count, (page + 1) * PAGE_SIZE)} of {count}</span>
+      <div className="flex gap-2">
+        <button onClick={() => onPage(page - 1)} disabled={page === 0} className="px-3 py-1 border rounded hover:bg-gray-50 disabled:opacity-40">Previous</button>
+        <button onClick={() => onPage(page + 1)} disabled={page >= last} className="px-3 py-1 border rounded hover:bg-gray-50 disabled:opacity-40">Next</button>
+      </div>
+    </div>
+  );
+};
+
+// Rows with `field` in `currency` at the rate of each row's own date, keeping the
+// amount and currency as entered; rows without a rate go to `missing` and count as zero
+const convertRows = (index, rows, field, dateField, currency, kind, missing) => rows.map(r => {
+  const date = String(r[dateField] || r.createdAt || '').slice(0, 10);
+  const amount = convertAmount(index, r[field], r.currency, currency, date);
+  if (amount === null) missing.push({ kind, id: r.id, currency: r.currency, date });
+  return { ...r, [field]: amount ?? 0, currency, originalAmount: r[field], originalCurrency: r.currency || BASE_CURRENCY };
+});
+
+// The records convertRows could not convert, grouped by currency and date
+const groupMissingRates = (missing) => Object.values(missing.reduce((acc, r) => {
+  const key = `${r.currency} ${r.date}`;
+  (acc[key] = acc[key] || { currency: r.currency, date: r.date, records: 0 }).records += 1;
+  return acc;
+}, {}));
+
+// Sales and purchases that could not be converted to the reporting currency,
+// as [{ currency, date, records }]
+const MissingRatesNotice = ({ missingRates, reportingCurrency }) => {
+  if (!missingRates.length) return null;
+  const records = missingRates.reduce((sum, r) => sum + r.records, 0);
+  const gaps = missingRates.map(r => `${r.currency} on ${r.date}`);
+  return (
+    <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 flex gap-3">
+      <AlertCircle className="w-5 h-5 text-amber-600 flex-shrink-0" />
+      <div>
+        <p className="text-sm font-semibold text-amber-800">{records} record{records === 1 ? '' : 's'} without an exchange rate</p>
+        <p className="text-xs text-amber-700">These count as zero in {reportingCurrency} totals until an administrator adds a rate on or before their date under Setup → Rates: {gaps.slice(0, 5).join(', ')}{gaps.length > 5 ? ` and ${gaps.length - 5} more` : ''}</p>
+      </div>
+    </div>
+  );
+};
+
+// Every delete is audit-logged and must say why; returns null if the user backs out
+const askDeleteReason = (label) => {
+  const reason = window.prompt(`Reason for deleting this ${label}:`);
+  return reason && reason.trim() ? reason.trim() : null;
+};
+
+const confirmDelete = async (label, onDelete) => {
+  const reason = askDeleteReason(label);
+  if (!reason) return;
+  const result = await onDelete(reason);
+  if (result && !result.success) alert(result.error || `Failed to delete ${label}`);
+  else if (result?.pending) alert(`Deletion requested. The ${label} is deleted once a second user approves it under Approvals.`);
+};
+
+// Records made offline that have not reached the server yet
+const OutboxStatus = ({ outbox, syncing, onOpen }) => {
+  const conflicts = outbox.filter(e => e.status === 'conflict').length;
+  return (
+    <button onClick={onOpen} className={`px-3 py-1 rounded-full text-xs ${conflicts ? 'bg-red-500 text-white' : 'bg-amber-100 text-amber-800'}`}>
+      {conflicts ? `${conflicts} sync conflict${conflicts === 1 ? '' : 's'}` : syncing ? 'Syncing...' : `${outbox.length} waiting to sync`}
+    </button>
+  );
+};
+
+// Other signed-in users, as initials with the full name on hover
+const OnlineUsers = ({ users }) => {
+  if (!users.length) return null;
+  return (
+    <div className="flex items-center gap-1" title={`Also online: ${users.map(u => u.name).join(', ')}`}>
+      {users.slice(0, 5).map(u => (
+        <span key={`${u.initials}-${u.since}`} className="w-8 h-8 rounded-full bg-white/70 border-2 border-green-500 flex items-center justify-center text-xs font-semibold text-gray-800">{u.initials}</span>
+      ))}
+      {users.length > 5 && <span className="text-xs text-gray-700">+{users.length - 5}</span>}
     </div>
   );
 };
 
-const ConnectionStatus = ({ isConnected, onRetry }) => (
-  <div className={`flex items-center gap-2 px-3 py-1 rounded-full text-xs ${isConnected ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+const ConnectionStatus = ({ isConnected, onRetry, dataLoadedAt }) => (
+  <div className={`flex items-center gap-2 px-3 py-1 rounded-full text-xs ${isConnected ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`} title={!isConnected && dataLoadedAt ? `Showing data saved on this device at ${new Date(dataLoadedAt).toLocaleString()}` : undefined}>
     <Database className="w-3 h-3" />
     {isConnected ? 'Connected to Supabase' : 'Offline Mode'}
     {!isConnected && (
@@ -57,37 +198,175 @@ const ConnectionStatus = ({ isConnected, onRetry }) => (
   </div>
 );
 
+// What stock_figures returns before it has been read
+const NO_STOCK_FIGURES = { sizes: [], batchValues: [], pipeline: [], destinations: [], years: [], customers: [], missingRates: [] };
+
+// The lists on the Sales, Purchases and Pipeline tabs; the sized ones show the selected size only
+const FIRST_LIST_PAGES = { orders: 0, sales: 0, stock_holds: 0, stock_adjustments: 0, purchases: 0, pipeline_purchases: 0 };
+const SIZED_LISTS = ['sales', 'stock_holds', 'stock_adjustments', 'purchases'];
+
 const App = () => {
   const [currentUser, setCurrentUser] = useState(null);
   const [activeTab, setActiveTab] = useState('dashboard');
   const [activeSize, setActiveSize] = useState('5ml');
-  const [sales, setSales] = useState([]);
+  const [profileCustomerId, setProfileCustomerId] = useState(null);
+  const [syncedOrders, setOrders] = useState([]);
+  const [syncedSales, setSales] = useState([]);
   const [purchases, setPurchases] = useState([]);
   const [customers, setCustomers] = useState([]);
   const [suppliers, setSuppliers] = useState([]);
   const [pipelinePurchases, setPipelinePurchases] = useState([]);
-  const [stockHolds, setStockHolds] = useState([]);
-  const [stockAdjustments, setStockAdjustments] = useState([]);
+  const [syncedStockHolds, setStockHolds] = useState([]);
+  const [syncedStockAdjustments, setStockAdjustments] = useState([]);
+  // Those lists hold one page each; the lines of the orders on the page and
+  // the goods received against the pipeline orders on theirs come with them
+  const [listPages, setListPages] = useState(FIRST_LIST_PAGES);
+  const [listCounts, setListCounts] = useState({});
+  const [pipelineOpenOnly, setPipelineOpenOnly] = useState(true);
+  const [syncedOrderLines, setOrderLines] = useState([]);
+  const [receipts, setReceipts] = useState([]);
+  // Stock per batch, the holds still reserving it and the figures worked out
+  // over every movement, all summed up by the database
+  const [stockBatches, setStockBatches] = useState([]);
+  const [syncedActiveHolds, setActiveHolds] = useState([]);
+  const [stockFigures, setStockFigures] = useState(NO_STOCK_FIGURES);
+  const [products, setProducts] = useState([]);
+  const [settings, setSettings] = useState({ valuationMethod: 'fifo', reportingCurrency: BASE_CURRENCY });
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [documents, setDocuments] = useState([]);
+  const [approvals, setApprovals] = useState([]);
+  const [liveChanges, setLiveChanges] = useState({});
+  const [onlineUsers, setOnlineUsers] = useState([]);
+  const [outbox, setOutbox] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [dataLoadedAt, setDataLoadedAt] = useState(null);
+  // The offline copy waiting for its user's password before the app starts from it
+  const [offlineLock, setOfflineLock] = useState(null);
+  const replaying = useRef(null);
+  const reloadTimers = useRef({});
   const [loading, setLoading] = useState(true);
   const [dbConnected, setDbConnected] = useState(false);
   const [error, setError] = useState(null);
 
+  // Selectors offer active products only; retired ones still resolve for historic records
+  const sizes = products.filter(p => p.active).map(p => p.code);
+  const vialsPerPackBySize = Object.fromEntries(products.map(p => [p.code, p.vialsPerPack]));
+  const currencies = currencyOptions(exchangeRates);
+  const reportingCurrency = settings.reportingCurrency || BASE_CURRENCY;
+  const can = (permission) => hasPermission(currentUser, permission);
+
+  // Orders, holds and samples recorded offline count alongside the synced
+  // rows until the outbox has replayed them; only their recorder sees them
+  const ownOutbox = outbox.filter(e => e.userId === currentUser?.id);
+  const orders = withOutbox(syncedOrders, ownOutbox, 'orders', sortOrders);
+  const sales = withOutbox(syncedSales, ownOutbox, 'sales');
+  const stockHolds = withOutbox(syncedStockHolds, ownOutbox, 'stock_holds');
+  const stockAdjustments = withOutbox(syncedStockAdjustments, ownOutbox, 'stock_adjustments');
+  const orderLines = withOutbox(syncedOrderLines, ownOutbox, 'sales');
+  const activeHolds = withOutbox(syncedActiveHolds, ownOutbox, 'stock_holds');
+
+  // The batch positions as movements (see positionMovements), with what the
+  // outbox has still to replay drawn from them; every stock check runs on these
+  const stock = useMemo(() => {
+    const movements = positionMovements(stockBatches);
+    return {
+      purchases: movements.purchases,
+      sales: withOutbox(movements.sales, ownOutbox, 'sales'),
+      stockAdjustments: withOutbox(movements.stockAdjustments, ownOutbox, 'stock_adjustments')
+    };
+  }, [stockBatches, outbox, currentUser?.id]);
+
+  // The realtime handlers keep the closure they subscribed with, so the list
+  // loads read the page, size and filter on show from here
+  const listView = useRef({});
+  listView.current = { pages: listPages, size: activeSize, pipelineOpenOnly, canViewCosts: can('view_costs') };
+
   useEffect(() => {
     initializeApp();
+    // Token refresh failures and sign-outs in other tabs end the session here too
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event) => {
+      if (event === 'SIGNED_OUT') setCurrentUser(null);
+    });
+    return () => subscription.unsubscribe();
+  }, []);
+
+  useEffect(() => {
+    if (!currentUser) return;
+    return subscribeToChanges();
+  }, [currentUser?.id]);
+
+  useEffect(() => {
+    const goOffline = () => setDbConnected(false);
+    window.addEventListener('offline', goOffline);
+    window.addEventListener('online', initializeApp);
+    return () => {
+      window.removeEventListener('offline', goOffline);
+      window.removeEventListener('online', initializeApp);
+    };
+  }, []);
+
+  // Keep the offline copy up to date with whatever the server last sent. Cost
+  // columns are left out of it for roles that may not see them, whatever the
+  // rows in memory happen to hold.
+  useEffect(() => {
+    if (!dbConnected || !currentUser || !dataLoadedAt) return;
+    const timer = setTimeout(() => {
+      const data = { orders: syncedOrders, orderLines: syncedOrderLines, sales: syncedSales, purchases, customers, suppliers, pipelinePurchases, receipts, stockHolds: syncedStockHolds, activeHolds: syncedActiveHolds, stockAdjustments: syncedStockAdjustments, stockBatches, stockFigures, listCounts, products, settings, exchangeRates, documents, approvals };
+      if (!hasPermission(currentUser, 'view_costs')) {
+        Object.entries(COST_FIELDS).forEach(([key, fields]) => { data[key] = withoutCosts(data[key], fields); });
+      }
+      saveSnapshot({ user: currentUser, data }).catch(e => console.error('Save offline copy error:', e));
+    }, 2000);
+    return () => clearTimeout(timer);
+  }, [dbConnected, currentUser, dataLoadedAt, syncedOrders, syncedOrderLines, syncedSales, purchases, customers, suppliers, pipelinePurchases, receipts, syncedStockHolds, syncedActiveHolds, syncedStockAdjustments, stockBatches, stockFigures, listCounts, products, settings, exchangeRates, documents, approvals]);
+
+  // The lists are read again after every full load; another size, or the
+  // pipeline filter, starts its lists again at the first page
+  useEffect(() => {
+    if (dbConnected && dataLoadedAt) Object.keys(FIRST_LIST_PAGES).forEach(table => loadList(table));
+  }, [dataLoadedAt]);
+
+  useEffect(() => {
+    if (dbConnected && dataLoadedAt) SIZED_LISTS.forEach(table => loadList(table, 0));
+  }, [activeSize]);
+
+  useEffect(() => {
+    if (dbConnected && dataLoadedAt) loadList('pipeline_purchases', 0);
+  }, [pipelineOpenOnly]);
+
+  // The outbox replays one entry per render, so each replay sees the data the previous one left
+  useEffect(() => {
+    if (syncing && dbConnected && currentUser) replayNext();
+  }, [syncing, dbConnected, outbox]);
+
+  // Highlights fade once they are older than LIVE_CHANGE_MS
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setLiveChanges(prev => {
+        const cutoff = Date.now() - LIVE_CHANGE_MS;
+        const kept = Object.entries(prev).filter(([, c]) => c.at > cutoff);
+        return kept.length === Object.keys(prev).length ? prev : Object.fromEntries(kept);
+      });
+    }, 15000);
+    return () => clearInterval(timer);
   }, []);
 
   const initializeApp = async () => {
     try {
       // Check Supabase connection
       if (isSupabaseConfigured()) {
+        setOutbox(await listOutbox().catch(() => []));
         const { error } = await supabase.from('users').select('id').limit(1);
         if (!error) {
           setDbConnected(true);
+          setOfflineLock(null);
           await checkLogin();
           await loadAllData();
+          setSyncing(true);
         } else {
           console.error('Supabase connection error:', error);
           setDbConnected(false);
+          await startOffline();
         }
       } else {
         setDbConnected(false);
@@ -100,85 +379,250 @@ const App = () => {
     setLoading(false);
   };
 
+  const loadProfile = async (authId) => {
+    const { data: user } = await supabase
+      .from('users')
+      .select('*, roles(label, permissions)')
+      .eq('auth_id', authId)
+      .single();
+    if (!user) return null;
+    return {
+      id: user.id,
+      authId: user.auth_id,
+      username: user.username,
+      role: user.role,
+      roleLabel: user.roles?.label || user.role,
+      permissions: user.roles?.permissions || [],
+      name: user.name,
+      initials: user.initials || user.username.substring(0, 3).toUpperCase(),
+      mustChangePassword: !!user.must_change_password
+    };
+  };
+
   const checkLogin = async () => {
     try {
-      // Check localStorage for session
-      const sessionStr = localStorage.getItem('eurofolic-session');
-      if (sessionStr) {
-        const session = JSON.parse(sessionStr);
-        // Verify user still exists in database
-        const { data } = await supabase
-          .from('users')
-          .select('*')
-          .eq('id', session.id)
-          .single();
-        if (data) {
-          setCurrentUser(session);
+      // Pre-Supabase Auth sessions were a bare JSON blob; never trust them again
+      localStorage.removeItem('eurofolic-session');
+      // Supabase Auth restores and refreshes the stored session; an expired one comes back null
+      const { data: { session } } = await supabase.auth.getSession();
+      if (session) {
+        const profile = await loadProfile(session.user.id);
+        if (profile) {
+          setCurrentUser(profile);
         } else {
-          localStorage.removeItem('eurofolic-session');
+          await supabase.auth.signOut();
         }
+      } else {
+        // An offline session started from the cached copy ends when the sign-in has lapsed
+        setCurrentUser(null);
       }
     } catch (e) {
       console.log('No session found');
     }
   };
 
+  // Master data, the pending approvals and the stock figures. The lists are
+  // read a page at a time once this has run (see loadList).
   const loadAllData = async () => {
     try {
       const [
-        { data: salesData },
-        { data: purchasesData },
         { data: customersData },
         { data: suppliersData },
-        { data: pipelineData },
-        { data: stockHoldsData },
-        { data: stockAdjustmentsData }
+        { data: productsData },
+        { data: settingsData },
+        { data: exchangeRatesData },
+        { data: approvalsData }
       ] = await Promise.all([
-        supabase.from('sales').select('*').order('created_at', { ascending: false }),
-        supabase.from('purchases').select('*').order('created_at', { ascending: false }),
-        supabase.from('customers').select('*').order('name'),
-        supabase.from('suppliers').select('*').order('name'),
-        supabase.from('pipeline_purchases').select('*').order('expected_date'),
-        supabase.from('stock_holds').select('*').order('created_at', { ascending: false }),
-        supabase.from('stock_adjustments').select('*').order('created_at', { ascending: false })
+        fetchAllRows(() => supabase.from('customers').select('*').order('name').order('id')),
+        fetchAllRows(() => supabase.from('suppliers').select('*').order('name').order('id')),
+        supabase.from('products').select('*').order('sort_order').order('code'),
+        supabase.from('app_settings').select('*').eq('id', 1).maybeSingle(),
+        fetchAllRows(() => supabase.from('exchange_rates').select('*').order('rate_date', { ascending: false }).order('currency')),
+        // Decided requests are read by the Approvals tab when it shows them
+        fetchAllRows(() => supabase.from('approval_requests').select('*').eq('status', 'pending').order('created_at', { ascending: false }).order('id', { ascending: false })),
+        loadStock()
       ]);
 
-      if (salesData) setSales(salesData.map(toCamelCase));
-      if (purchasesData) setPurchases(purchasesData.map(toCamelCase));
       if (customersData) setCustomers(customersData.map(toCamelCase));
       if (suppliersData) setSuppliers(suppliersData.map(toCamelCase));
-      if (pipelineData) setPipelinePurchases(pipelineData.map(toCamelCase));
-      if (stockHoldsData) setStockHolds(stockHoldsData.map(toCamelCase));
-      if (stockAdjustmentsData) setStockAdjustments(stockAdjustmentsData.map(toCamelCase));
+      if (productsData) {
+        const loaded = productsData.map(toCamelCase);
+        setProducts(loaded);
+        const active = loaded.filter(p => p.active).map(p => p.code);
+        setActiveSize(prev => active.includes(prev) || !active.length ? prev : active[0]);
+      }
+      if (settingsData) setSettings(toCamelCase(settingsData));
+      if (exchangeRatesData) setExchangeRates(exchangeRatesData.map(toCamelCase));
+      if (approvalsData) setApprovals(approvalsData.map(toCamelCase));
+      setDataLoadedAt(new Date().toISOString());
     } catch (e) {
       console.error('Error loading data:', e);
       setError('Failed to load data from database');
     }
   };
 
+  // Stock per batch, the holds reserving it and the dashboard figures, read
+  // again after every change to a movement. Takes no state from the closure,
+  // so the realtime handlers can call it too.
+  const loadStock = async () => {
+    try {
+      const [
+        { data: batchesData, error: batchesError },
+        { data: holdsData, error: holdsError },
+        { data: figuresData, error: figuresError }
+      ] = await Promise.all([
+        supabase.rpc('stock_batches'),
+        fetchAllRows(() => supabase.from('stock_holds').select('*').or(`expires_on.is.null,expires_on.gte.${today()}`).order('created_at', { ascending: false }).order('id', { ascending: false })),
+        supabase.rpc('stock_figures', { p_as_of: today(), p_months: CONSUMPTION_MONTHS })
+      ]);
+      if (batchesError || holdsError || figuresError) throw batchesError || holdsError || figuresError;
+      setStockBatches(toCamelCase(batchesData));
+      setActiveHolds(holdsData.map(toCamelCase));
+      setStockFigures(toCamelCase(figuresData));
+    } catch (e) {
+      console.error('Load stock error:', e);
+    }
+  };
+
+  // How each list is read. A sale carries its order's reference, whatever page
+  // the order is on; `related` loads what the rows on a page need and returns them.
+  const pagedLists = {
+    orders: { set: setOrders, order: 'order_date', related: (rows) => loadOrderDetails(rows) },
+    sales: { set: setSales, select: '*, order:orders(id, reference)', order: 'created_at', bySize: true, related: (rows) => loadDocuments({ orders: [...new Set(rows.map(s => s.orderId).filter(Boolean))], sales: rows.map(s => s.id) }).then(() => rows) },
+    stock_holds: { set: setStockHolds, order: 'created_at', bySize: true, related: (rows) => loadDocuments({ stock_holds: rows.map(h => h.id) }).then(() => rows) },
+    stock_adjustments: { set: setStockAdjustments, order: 'created_at', bySize: true },
+    purchases: { set: setPurchases, order: 'created_at', bySize: true, related: (rows) => withPoNumbers(rows) },
+    pipeline_purchases: { set: setPipelinePurchases, order: 'expected_date', ascending: true, related: (rows) => loadReceipts(rows) }
+  };
+
+  // One page of a list, newest first (pipeline orders soonest due first).
+  // Without a page it reloads the one on show.
+  const loadList = async (table, page = listView.current.pages[table]) => {
+    const { size, pipelineOpenOnly, canViewCosts } = listView.current;
+    const list = pagedLists[table];
+    try {
+      const from = page * PAGE_SIZE;
+      let query = supabase.from(canViewCosts || !COSTED_TABLES.includes(table) ? table : costFreeView(table)).select(list.select || '*', { count: 'exact' });
+      if (list.bySize) query = query.eq('size', size);
+      // Must match isPipelineOpen
+      if (table === 'pipeline_purchases' && pipelineOpenOnly) query = query.not('status', 'in', '("Received","Cancelled")');
+      const { data, count, error } = await query
+        .order(list.order, { ascending: !!list.ascending })
+        .order('id', { ascending: !!list.ascending })
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      const rows = data.map(toCamelCase);
+      list.set(list.related ? await list.related(rows) : rows);
+      setListPages(prev => ({ ...prev, [table]: page }));
+      setListCounts(prev => ({ ...prev, [table]: count || 0 }));
+    } catch (e) {
+      console.error(`Load ${table} error:`, e);
+    }
+  };
+
+  // The documents issued for the given rows, by source table, added to those already loaded
+  const loadDocuments = async (sources) => {
+    const filters = Object.entries(sources).filter(([, ids]) => ids.length)
+      .map(([table, ids]) => `and(source_table.eq.${table},source_id.in.(${ids.map(id => `"${id}"`).join(',')}))`);
+    if (!filters.length) return;
+    // The frozen content and stored PDF are only fetched when a document is printed
+    const { data, error } = await supabase.from('documents').select(DOCUMENT_LIST_COLUMNS).or(filters.join(',')).order('id', { ascending: false });
+    if (error) throw error;
+    const loaded = data.map(toCamelCase);
+    setDocuments(prev => [...loaded, ...prev.filter(d => !loaded.some(l => l.id === d.id))]);
+  };
+
+  // The lines of the orders on the page, and the invoices issued for them
+  // (older invoices were issued per sale line)
+  const loadOrderDetails = async (rows) => {
+    const ids = rows.map(o => o.id);
+    const { data, error } = ids.length ? await supabase.from('sales').select('*').in('order_id', ids).order('id') : { data: [] };
+    if (error) throw error;
+    const lines = data.map(toCamelCase);
+    setOrderLines(lines);
+    await loadDocuments({ orders: ids, sales: lines.map(s => s.id) });
+    return rows;
+  };
+
+  // Packs received so far against the pipeline orders on the page
+  const loadReceipts = async (rows) => {
+    const ids = rows.map(p => p.id);
+    const { data, error } = ids.length ? await supabase.from('purchases').select('id, pipeline_purchase_id, units').in('pipeline_purchase_id', ids) : { data: [] };
+    if (error) throw error;
+    setReceipts(data.map(toCamelCase));
+    return rows;
+  };
+
+  // Purchases received against a pipeline order show its PO number
+  const withPoNumbers = async (rows) => {
+    const ids = [...new Set(rows.map(p => p.pipelinePurchaseId).filter(Boolean))];
+    if (!ids.length) return rows;
+    const { data, error } = await supabase.from(listView.current.canViewCosts ? 'pipeline_purchases' : costFreeView('pipeline_purchases')).select('id, po_number').in('id', ids);
+    if (error) throw error;
+    const poNumbers = Object.fromEntries(data.map(p => [p.id, p.po_number]));
+    return rows.map(p => ({ ...p, poNumber: poNumbers[p.pipelinePurchaseId] }));
+  };
+
+  // Without a connection the app starts from the copy saved on this device,
+  // but only for whoever it was saved for, once they have entered their
+  // password; without a copy, or a password to check, it cannot start
+  const startOffline = async () => {
+    const snapshot = await loadSnapshot().catch(e => { console.error('Load offline copy error:', e); return null; });
+    if (!snapshot?.user) return;
+    if (!(await canUnlock(snapshot.user.authId).catch(() => false))) return;
+    setOfflineLock(snapshot);
+  };
+
+  const unlockOffline = async (password) => {
+    const snapshot = offlineLock;
+    const valid = await checkUnlock(snapshot.user.authId, password).catch(e => { console.error('Offline unlock error:', e); return false; });
+    if (!valid) return { success: false, error: 'Invalid credentials' };
+    const { data } = snapshot;
+    setOrders(data.orders);
+    setOrderLines(data.orderLines || []);
+    setSales(data.sales);
+    setPurchases(data.purchases);
+    setCustomers(data.customers);
+    setSuppliers(data.suppliers);
+    setPipelinePurchases(data.pipelinePurchases);
+    setReceipts(data.receipts || []);
+    setStockHolds(data.stockHolds);
+    setActiveHolds(data.activeHolds || []);
+    setStockAdjustments(data.stockAdjustments);
+    setStockBatches(data.stockBatches || []);
+    setStockFigures(data.stockFigures || NO_STOCK_FIGURES);
+    setListCounts(data.listCounts || {});
+    setProducts(data.products);
+    setActiveSize(prev => data.products.some(p => p.active && p.code === prev) ? prev : data.products.find(p => p.active)?.code || prev);
+    setSettings(data.settings);
+    setExchangeRates(data.exchangeRates);
+    setDocuments(data.documents);
+    setApprovals(data.approvals);
+    setDataLoadedAt(snapshot.savedAt);
+    setOfflineLock(null);
+    setCurrentUser(snapshot.user);
+    return { success: true };
+  };
+
   const handleLogin = async (username, password) => {
     try {
-      const { data: user, error } = await supabase
-        .from('users')
-        .select('*')
-        .ilike('username', username)
-        .eq('password', password)
-        .single();
+      const { data, error } = await supabase.auth.signInWithPassword({
+        email: usernameToEmail(username),
+        password
+      });
 
-      if (error || !user) {
+      if (error || !data.session) {
         return { success: false, error: 'Invalid credentials' };
       }
 
-      const session = {
-        id: user.id,
-        username: user.username,
-        role: user.role,
-        name: user.name,
-        initials: user.initials || user.username.substring(0, 3).toUpperCase()
-      };
-      
-      setCurrentUser(session);
-      localStorage.setItem('eurofolic-session', JSON.stringify(session));
+      const profile = await loadProfile(data.session.user.id);
+      if (!profile) {
+        await supabase.auth.signOut();
+        return { success: false, error: 'No CIMS profile is linked to this account' };
+      }
+
+      setCurrentUser(profile);
+      saveUnlock(profile.authId, password).catch(e => console.error('Save offline unlock error:', e));
       await loadAllData();
       return { success: true };
     } catch (e) {
@@ -187,53 +631,124 @@ const App = () => {
     }
   };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    await supabase.auth.signOut();
+    // The outbox stays, and syncs the next time its recorder signs in on this device
+    await clearSnapshot().catch(e => console.error('Clear offline copy error:', e));
+    setOfflineLock(null);
+    setDataLoadedAt(null);
     setCurrentUser(null);
-    localStorage.removeItem('eurofolic-session');
+  };
+
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      const { error } = await supabase.rpc('change_own_password', {
+        p_current_password: currentPassword,
+        p_new_password: newPassword
+      });
+      if (error) throw error;
+      const wasForced = currentUser?.mustChangePassword;
+      setCurrentUser(prev => ({ ...prev, mustChangePassword: false }));
+      saveUnlock(currentUser.authId, newPassword).catch(e => console.error('Save offline unlock error:', e));
+      // The database shows no business data until the initial password is replaced
+      if (wasForced) await loadAllData();
+      return { success: true };
+    } catch (e) {
+      console.error('Change password error:', e);
+      return { success: false, error: e.message };
+    }
+  };
+
+  // ==================== ORDERS OPERATIONS ====================
+  // Lines are [{ size, batchNumber, vials, pricePerVial }]; a line without a
+  // batch is split FEFO into one sales row per batch. The header and the new
+  // lines are written together by save_order, so an order never half-saves.
+  const saveOrder = async (orderId, header, lines = []) => {
+    try {
+      const licenceError = checkCustomerLicence(customers.find(c => c.id === header.customerId), header.orderDate);
+      if (licenceError) return { success: false, error: licenceError };
+      const allocated = allocateOrderLines(stock, lines, vialsPerPackBySize, header.orderDate);
+      const stockError = allocated.find(l => l.error);
+      if (stockError) return { success: false, error: stockError.error };
+      if (!dbConnected) {
+        if (orderId) return { success: false, error: 'Existing orders can only be changed while connected' };
+        return recordOffline('order', { header, lines });
+      }
+
+      const { data, error } = await supabase.rpc('save_order', {
+        p_order_id: orderId ? String(orderId) : null,
+        p_header: {
+          reference: header.reference || null,
+          customer_id: header.customerId || null,
+          customer: header.customer,
+          country: header.country,
+          end_destination: header.endDestination,
+          order_date: header.orderDate,
+          currency: header.currency || BASE_CURRENCY,
+          notes: header.notes || null
+        },
+        p_lines: lines.flatMap((line, i) => allocated[i].allocations.map(a => ({
+          size: line.size,
+          batch_number: a.batch,
+          units: a.vials / vialsPerPackBySize[line.size],
+          price: parseFloat(line.pricePerVial) * vialsPerPackBySize[line.size]
+        })))
+      });
+
+      if (error) throw error;
+      const order = toCamelCase(data.order);
+      await Promise.all([loadList('orders'), loadList('sales'), loadStock()]);
+      return { success: true, data: order };
+    } catch (e) {
+      console.error('Save order error:', e);
+      return { success: false, error: e.message };
+    }
+  };
+
+  const deleteOrder = (id, reason) => {
+    const order = orders.find(o => o.id === id);
+    return requestDeletion('orders', id, reason, `Order ${orderLabel(order)} for ${order?.customer}, with all its lines`);
   };
 
   // ==================== SALES OPERATIONS ====================
-  const addSale = async (sale) => {
+  // A sale is one line of an order; its customer, destination, date and
+  // currency come from the order header.
+  const updateSale = async (id, sale) => {
     try {
+      const vialsPerPack = vialsPerPackBySize[sale.size];
+      const original = [...sales, ...orderLines].find(s => s.id === id);
+      const ledger = buildBatchLedger(withoutMovement(stock, 'sales', original), sale.size, vialsPerPack);
+      const stockError = checkBatchExpiry(ledger, sale.batchNumber, original?.saleDate) || checkBatchStock(ledger, sale.batchNumber, parseFloat(sale.units) * vialsPerPack);
+      if (stockError) return { success: false, error: stockError };
+
       const saleData = {
-        customer_id: sale.customerId || null,
-        customer: sale.customer,
-        country: sale.country,
-        end_destination: sale.endDestination,
-        size: sale.size,
         batch_number: sale.batchNumber,
         units: parseFloat(sale.units),
         price: parseFloat(sale.price),
-        sale_date: sale.saleDate,
-        converted_from: sale.convertedFrom || null,
-        original_hold_id: sale.originalHoldId || null,
-        converted_by: sale.convertedBy || null,
-        created_by: currentUser?.initials || 'SYS'
+        modified_by: currentUser?.initials || 'SYS'
       };
 
       const { data, error } = await supabase
         .from('sales')
-        .insert([saleData])
+        .update(saleData)
+        .eq('id', id)
         .select()
         .single();
 
       if (error) throw error;
-      setSales(prev => [toCamelCase(data), ...prev]);
+      setSales(prev => prev.map(s => s.id === id ? { ...s, ...toCamelCase(data) } : s));
+      setOrderLines(prev => prev.map(s => s.id === id ? toCamelCase(data) : s));
+      await loadStock();
       return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      console.error('Add sale error:', e);
+      console.error('Update sale error:', e);
       return { success: false, error: e.message };
     }
   };
 
-  const deleteSale = async (id) => {
-    try {
-      const { error } = await supabase.from('sales').delete().eq('id', id);
-      if (error) throw error;
-      setSales(prev => prev.filter(s => s.id !== id));
-    } catch (e) {
-      console.error('Delete sale error:', e);
-    }
+  const deleteSale = (id, reason) => {
+    const sale = sales.find(s => s.id === id);
+    return requestDeletion('sales', id, reason, `Sale of ${sale?.units} ${sale?.size} packs from batch ${sale?.batchNumber} to ${sale?.customer}`);
   };
 
   // ==================== PURCHASES OPERATIONS ====================
@@ -247,6 +762,7 @@ const App = () => {
         expiry_date: purchase.expiryDate,
         units: parseFloat(purchase.units),
         cost: parseFloat(purchase.cost),
+        currency: purchase.currency || BASE_CURRENCY,
         purchase_date: purchase.purchaseDate,
         created_by: currentUser?.initials || 'SYS'
       };
@@ -259,1307 +775,4082 @@ const App = () => {
 
       if (error) throw error;
       setPurchases(prev => [toCamelCase(data), ...prev]);
+      await loadStock();
+      return { success: true, data: toCamelCase(data) };
     } catch (e) {
       console.error('Add purchase error:', e);
+      return { success: false, error: e.message };
     }
   };
 
-  const deletePurchase = async (id) => {
+  const updatePurchase = async (id, purchase) => {
     try {
-      const { error } = await supabase.from('purchases').delete().eq('id', id);
-      if (error) throw error;
-      setPurchases(prev => prev.filter(p => p.id !== id));
-    } catch (e) {
-      console.error('Delete purchase error:', e);
-    }
-  };
+      // Shrinking or re-numbering a purchase must not strand sales already taken from its batch
+      const original = purchases.find(p => p.id === id);
+      if (original) {
+        const vialsPerPack = vialsPerPackBySize[original.size];
+        const others = withoutMovement(stock, 'purchases', original);
+        const revised = { ...others, purchases: [...others.purchases, { ...original, batchNumber: purchase.batchNumber, units: purchase.units }] };
+        const ledger = buildBatchLedger(revised, original.size, vialsPerPack);
+        const stranded = ledger.find(b => b.batch === original.batchNumber && b.availableVials < 0);
+        if (stranded) return { success: false, error: `Batch ${original.batchNumber} would be left ${-stranded.availableVials} vials short of what has already been sold or sampled` };
+      }
 
-  // ==================== CUSTOMERS OPERATIONS ====================
-  const addCustomer = async (customer) => {
-    try {
-      const customerData = {
-        name: customer.name,
-        country: customer.country,
-        contact_person: customer.contactPerson || null,
-        email: customer.email,
-        phone: customer.phone || null,
-        created_by: currentUser?.initials || 'SYS'
+      const purchaseData = {
+        supplier_id: purchase.supplierId || null,
+        supplier: purchase.supplier,
+        batch_number: purchase.batchNumber,
+        expiry_date: purchase.expiryDate,
+        units: parseFloat(purchase.units),
+        cost: parseFloat(purchase.cost),
+        currency: purchase.currency || BASE_CURRENCY,
+        purchase_date: purchase.purchaseDate,
+        modified_by: currentUser?.initials || 'SYS'
       };
 
       const { data, error } = await supabase
-        .from('customers')
-        .insert([customerData])
+        .from('purchases')
+        .update(purchaseData)
+        .eq('id', id)
         .select()
         .single();
 
       if (error) throw error;
-      setCustomers(prev => [...prev, toCamelCase(data)].sort((a, b) => a.name.localeCompare(b.name)));
+      setPurchases(prev => prev.map(p => p.id === id ? { ...p, ...toCamelCase(data) } : p));
+      if (data.pipeline_purchase_id) await loadList('pipeline_purchases');
+      await loadStock();
+      return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      console.error('Add customer error:', e);
+      console.error('Update purchase error:', e);
+      return { success: false, error: e.message };
     }
   };
 
-  const deleteCustomer = async (id) => {
-    try {
-      const { error } = await supabase.from('customers').delete().eq('id', id);
-      if (error) throw error;
-      setCustomers(prev => prev.filter(c => c.id !== id));
-    } catch (e) {
-      console.error('Delete customer error:', e);
-    }
+  const deletePurchase = (id, reason) => {
+    const purchase = purchases.find(p => p.id === id);
+    return requestDeletion('purchases', id, reason, `Purchase of ${purchase?.units} ${purchase?.size} packs, batch ${purchase?.batchNumber}, from ${purchase?.supplier}`);
   };
 
-  // ==================== SUPPLIERS OPERATIONS ====================
-  const addSupplier = async (supplier) => {
-    try {
-      const supplierData = {
-        name: supplier.name,
-        country: supplier.country,
-        email: supplier.email || null,
-        phone: supplier.phone || null,
-        created_by: currentUser?.initials || 'SYS'
-      };
+  // ==================== PRODUCTS OPERATIONS ====================
+  const productData = (product) => ({
+    name: product.name.trim(),
+    size: product.size.trim(),
+    vials_per_pack: parseInt(product.vialsPerPack),
+    sku: product.sku?.trim() || null,
+    gtin: product.gtin?.trim() || null,
+    active: product.active,
+    sort_order: parseInt(product.sortOrder) || 0,
+    reorder_point: product.reorderPoint === '' ? null : parseInt(product.reorderPoint),
+    safety_stock: product.safetyStock === '' ? null : parseInt(product.safetyStock)
+  });
 
+  const sortProducts = (list) => [...list].sort((a, b) => a.sortOrder - b.sortOrder || a.code.localeCompare(b.code));
+
+  const addProduct = async (product) => {
+    try {
       const { data, error } = await supabase
-        .from('suppliers')
-        .insert([supplierData])
+        .from('products')
+        .insert([{ ...productData(product), code: product.code.trim(), created_by: currentUser?.initials || 'SYS' }])
         .select()
         .single();
 
       if (error) throw error;
-      setSuppliers(prev => [...prev, toCamelCase(data)].sort((a, b) => a.name.localeCompare(b.name)));
+      setProducts(prev => sortProducts([...prev, toCamelCase(data)]));
+      return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      console.error('Add supplier error:', e);
+      console.error('Add product error:', e);
+      return { success: false, error: e.message };
     }
   };
 
-  const deleteSupplier = async (id) => {
+  // A renamed code cascades to every record that uses it, so reload them afterwards
+  const updateProduct = async (id, product) => {
     try {
-      const { error } = await supabase.from('suppliers').delete().eq('id', id);
+      const original = products.find(p => p.id === id);
+      const { data, error } = await supabase
+        .from('products')
+        .update({ ...productData(product), code: product.code.trim(), modified_by: currentUser?.initials || 'SYS' })
+        .eq('id', id)
+        .select()
+        .single();
+
       if (error) throw error;
-      setSuppliers(prev => prev.filter(s => s.id !== id));
+      setProducts(prev => sortProducts(prev.map(p => p.id === id ? toCamelCase(data) : p)));
+      if (original && original.code !== data.code) {
+        await loadAllData();
+        setActiveSize(prev => prev === original.code ? data.code : prev);
+      } else {
+        await loadStock();
+      }
+      return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      console.error('Delete supplier error:', e);
+      console.error('Update product error:', e);
+      return { success: false, error: e.message };
     }
   };
 
-  // ==================== PIPELINE OPERATIONS ====================
-  const addPipelinePurchase = async (pp) => {
+  // ==================== SETTINGS OPERATIONS ====================
+  const updateSettings = async (changes) => {
     try {
-      const pipelineData = {
-        po_number: pp.poNumber,
-        supplier: pp.supplier,
-        size: pp.size,
-        units: parseFloat(pp.units),
-        price: parseFloat(pp.price),
-        total_value: parseFloat(pp.totalValue),
-        expected_date: pp.expectedDate,
-        status: pp.status || 'Ordered',
-        created_by: currentUser?.initials || 'SYS'
-      };
-
       const { data, error } = await supabase
-        .from('pipeline_purchases')
-        .insert([pipelineData])
+        .from('app_settings')
+        .update({ ...toSnakeCase(changes), modified_by: currentUser?.initials || 'SYS' })
+        .eq('id', 1)
         .select()
         .single();
 
       if (error) throw error;
-      setPipelinePurchases(prev => [...prev, toCamelCase(data)]);
+      setSettings(toCamelCase(data));
+      await loadStock();
+      return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      console.error('Add pipeline purchase error:', e);
+      console.error('Update settings error:', e);
+      return { success: false, error: e.message };
     }
   };
 
-  const deletePipelinePurchase = async (id) => {
+  // ==================== EXCHANGE RATES OPERATIONS ====================
+  const sortRates = (list) => [...list].sort((a, b) => b.rateDate.localeCompare(a.rateDate) || a.currency.localeCompare(b.currency));
+
+  const exchangeRateData = (rate) => ({
+    currency: rate.currency.trim().toUpperCase(),
+    rate_date: rate.rateDate,
+    rate: parseFloat(rate.rate)
+  });
+
+  const addExchangeRate = async (rate) => {
     try {
-      const { error } = await supabase.from('pipeline_purchases').delete().eq('id', id);
+      const { data, error } = await supabase
+        .from('exchange_rates')
+        .insert([{ ...exchangeRateData(rate), created_by: currentUser?.initials || 'SYS' }])
+        .select()
+        .single();
+
       if (error) throw error;
-      setPipelinePurchases(prev => prev.filter(p => p.id !== id));
+      setExchangeRates(prev => sortRates([...prev, toCamelCase(data)]));
+      await loadStock();
+      return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      console.error('Delete pipeline purchase error:', e);
+      console.error('Add exchange rate error:', e);
+      return { success: false, error: e.message };
     }
   };
 
-  // ==================== STOCK HOLDS OPERATIONS ====================
-  const addStockHold = async (hold) => {
+  const updateExchangeRate = async (id, rate) => {
     try {
-      const holdData = {
-        customer_id: hold.customerId || null,
-        customer: hold.customer,
-        country: hold.country,
-        end_destination: hold.endDestination,
-        size: hold.size,
-        units: parseFloat(hold.units),
-        vials: parseInt(hold.vials),
-        notes: hold.notes || null,
-        hold_date: hold.holdDate,
-        reverted_from: hold.revertedFrom || null,
-        original_sale_id: hold.originalSaleId || null,
-        reverted_by: hold.revertedBy || null,
-        created_by: currentUser?.initials || 'SYS'
-      };
-
       const { data, error } = await supabase
-        .from('stock_holds')
-        .insert([holdData])
+        .from('exchange_rates')
+        .update({ ...exchangeRateData(rate), modified_by: currentUser?.initials || 'SYS' })
+        .eq('id', id)
         .select()
         .single();
 
       if (error) throw error;
-      setStockHolds(prev => [toCamelCase(data), ...prev]);
+      setExchangeRates(prev => sortRates(prev.map(r => r.id === id ? toCamelCase(data) : r)));
+      await loadStock();
       return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      console.error('Add stock hold error:', e);
+      console.error('Update exchange rate error:', e);
       return { success: false, error: e.message };
     }
   };
 
-  const deleteStockHold = async (id) => {
+  const deleteExchangeRate = (id, reason) => {
+    const rate = exchangeRates.find(r => r.id === id);
+    return requestDeletion('exchange_rates', id, reason, `${rate?.currency} rate of ${rate?.rateDate}`);
+  };
+
+  // A rate already on file for the same currency and date is overwritten by the imported one
+  const importExchangeRates = async (rates) => {
     try {
-      const { error } = await supabase.from('stock_holds').delete().eq('id', id);
+      const { data, error } = await supabase
+        .from('exchange_rates')
+        .upsert(rates.map(r => ({ ...exchangeRateData({ ...r, rate: String(r.rate) }), created_by: currentUser?.initials || 'SYS' })), { onConflict: 'currency,rate_date' })
+        .select();
+
       if (error) throw error;
-      setStockHolds(prev => prev.filter(h => h.id !== id));
+      const saved = data.map(toCamelCase);
+      const savedIds = new Set(saved.map(r => r.id));
+      setExchangeRates(prev => sortRates([...prev.filter(r => !savedIds.has(r.id)), ...saved]));
+      await loadStock();
+      return { success: true, data: saved };
     } catch (e) {
-      console.error('Delete stock hold error:', e);
+      console.error('Import exchange rates error:', e);
+      return { success: false, error: e.message };
     }
   };
 
-  // ==================== STOCK ADJUSTMENTS OPERATIONS ====================
-  const addStockAdjustment = async (adjustment) => {
+  // ==================== CUSTOMERS OPERATIONS ====================
+  // Customers and suppliers share the same master data fields
+  const partnerData = (partner) => ({
+    name: partner.name,
+    country: partner.country,
+    contact_person: partner.contactPerson || null,
+    email: partner.email || null,
+    phone: partner.phone || null,
+    address: partner.address || null,
+    shipping_address: partner.shippingAddress || null,
+    vat_number: partner.vatNumber || null,
+    licence_number: partner.licenceNumber || null,
+    licence_expiry: partner.licenceExpiry || null,
+    payment_terms: partner.paymentTerms || null,
+    contacts: (partner.contacts || []).filter(c => c.name || c.email || c.phone),
+    notes: partner.notes || null
+  });
+
+  const addCustomer = async (customer) => {
     try {
-      const adjustmentData = {
-        size: adjustment.size,
-        batch_number: adjustment.batchNumber,
-        units: parseFloat(adjustment.units),
-        vials: parseInt(adjustment.vials),
-        reason: adjustment.reason,
-        recipient: adjustment.recipient || null,
-        notes: adjustment.notes || null,
-        cost_per_pack: parseFloat(adjustment.costPerPack) || 0,
-        total_cost: parseFloat(adjustment.totalCost) || 0,
-        adjustment_date: adjustment.adjustmentDate,
+      const customerData = {
+        ...partnerData(customer),
         created_by: currentUser?.initials || 'SYS'
       };
 
       const { data, error } = await supabase
-        .from('stock_adjustments')
-        .insert([adjustmentData])
+        .from('customers')
+        .insert([customerData])
         .select()
         .single();
 
       if (error) throw error;
-      setStockAdjustments(prev => [toCamelCase(data), ...prev]);
+      setCustomers(prev => [...prev, toCamelCase(data)].sort((a, b) => a.name.localeCompare(b.name)));
+      return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      console.error('Add stock adjustment error:', e);
+      console.error('Add customer error:', e);
+      return { success: false, error: e.message };
     }
   };
 
-  const deleteStockAdjustment = async (id) => {
+  const updateCustomer = async (id, customer) => {
     try {
-      const { error } = await supabase.from('stock_adjustments').delete().eq('id', id);
+      const customerData = {
+        ...partnerData(customer),
+        modified_by: currentUser?.initials || 'SYS'
+      };
+
+      const { data, error } = await supabase
+        .from('customers')
+        .update(customerData)
+        .eq('id', id)
+        .select()
+        .single();
+
       if (error) throw error;
-      setStockAdjustments(prev => prev.filter(a => a.id !== id));
+      setCustomers(prev => prev.map(c => c.id === id ? toCamelCase(data) : c).sort((a, b) => a.name.localeCompare(b.name)));
+      return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      console.error('Delete stock adjustment error:', e);
+      console.error('Update customer error:', e);
+      return { success: false, error: e.message };
     }
   };
 
-  // ==================== SPECIAL OPERATIONS ====================
-  const verifyPassword = async (username, password) => {
+  const deleteCustomer = (id, reason) =>
+    requestDeletion('customers', id, reason, `Customer ${customers.find(c => c.id === id)?.name}`);
+
+  // ==================== SUPPLIERS OPERATIONS ====================
+  const addSupplier = async (supplier) => {
     try {
+      const supplierData = {
+        ...partnerData(supplier),
+        created_by: currentUser?.initials || 'SYS'
+      };
+
       const { data, error } = await supabase
-        .from('users')
-        .select('id')
-        .ilike('username', username)
-        .eq('password', password)
+        .from('suppliers')
+        .insert([supplierData])
+        .select()
         .single();
 
-      return !error && data;
+      if (error) throw error;
+      setSuppliers(prev => [...prev, toCamelCase(data)].sort((a, b) => a.name.localeCompare(b.name)));
+      return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      return false;
+      console.error('Add supplier error:', e);
+      return { success: false, error: e.message };
     }
   };
 
-  const convertHoldToSale = async (holdId, saleDetails) => {
-    const hold = stockHolds.find(h => h.id === holdId);
-    if (!hold) return { success: false, error: 'Stock hold not found' };
-
+  const updateSupplier = async (id, supplier) => {
     try {
-      // Add the sale
-      const saleResult = await addSale({
-        ...saleDetails,
-        customer: hold.customer,
-        customerId: hold.customerId,
-        country: hold.country,
-        endDestination: hold.endDestination,
-        size: hold.size,
-        units: hold.units,
-        convertedFrom: 'stockHold',
-        originalHoldId: holdId,
-        convertedBy: currentUser?.initials || 'SYS'
-      });
-
-      if (!saleResult.success) {
-        return { success: false, error: saleResult.error };
-      }
+      const supplierData = {
+        ...partnerData(supplier),
+        modified_by: currentUser?.initials || 'SYS'
+      };
 
-      // Delete the stock hold
-      await deleteStockHold(holdId);
+      const { data, error } = await supabase
+        .from('suppliers')
+        .update(supplierData)
+        .eq('id', id)
+        .select()
+        .single();
 
-      return { success: true, saleId: saleResult.data.id };
+      if (error) throw error;
+      setSuppliers(prev => prev.map(s => s.id === id ? toCamelCase(data) : s).sort((a, b) => a.name.localeCompare(b.name)));
+      return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      console.error('Convert hold to sale error:', e);
+      console.error('Update supplier error:', e);
       return { success: false, error: e.message };
     }
   };
 
-  const revertSaleToHold = async (saleId) => {
-    const sale = sales.find(s => s.id === saleId);
-    if (!sale) return { success: false, error: 'Sale not found' };
-    if (!sale.convertedFrom || sale.convertedFrom !== 'stockHold') {
-      return { success: false, error: 'This sale was not converted from a stock hold' };
+  const deleteSupplier = (id, reason) =>
+    requestDeletion('suppliers', id, reason, `Supplier ${suppliers.find(s => s.id === id)?.name}`);
+
+  // ==================== PIPELINE OPERATIONS ====================
+  const addPipelinePurchase = async (pp) => {
+    try {
+      const pipelineData = {
+        po_number: pp.poNumber,
+        supplier: pp.supplier,
+        size: pp.size,
+        units: parseFloat(pp.units),
+        price: parseFloat(pp.price),
+        total_value: parseFloat(pp.totalValue),
+        currency: pp.currency || BASE_CURRENCY,
+        expected_date: pp.expectedDate,
+        status: 'Ordered',
+        created_by: currentUser?.initials || 'SYS'
+      };
+
+      const { data, error } = await supabase
+        .from('pipeline_purchases')
+        .insert([pipelineData])
+        .select()
+        .single();
+
+      if (error) throw error;
+      setPipelinePurchases(prev => [...prev, toCamelCase(data)]);
+      await loadStock();
+      return { success: true, data: toCamelCase(data) };
+    } catch (e) {
+      console.error('Add pipeline purchase error:', e);
+      return { success: false, error: e.message };
     }
+  };
 
+  const updatePipelinePurchase = async (id, pp) => {
     try {
-      // Recreate the stock hold
-      const holdResult = await addStockHold({
-        customer: sale.customer,
-        customerId: sale.customerId,
-        country: sale.country,
-        endDestination: sale.endDestination,
-        size: sale.size,
-        units: sale.units,
-        vials: sale.vials || Math.round(sale.units * VIALS_PER_PACK[sale.size]),
-        notes: `Reverted from sale on ${new Date().toLocaleDateString()}`,
-        holdDate: new Date().toISOString().split('T')[0],
-        revertedFrom: 'sale',
-        originalSaleId: saleId,
-        revertedBy: currentUser?.initials || 'SYS'
-      });
+      const received = receivedForOrder(receipts, id);
+      if (parseFloat(pp.units) < received) return { success: false, error: `${received} packs have already been received against this PO` };
 
-      if (!holdResult.success) {
-        return { success: false, error: holdResult.error };
-      }
+      const pipelineData = {
+        po_number: pp.poNumber,
+        supplier: pp.supplier,
+        size: pp.size,
+        units: parseFloat(pp.units),
+        price: parseFloat(pp.price),
+        total_value: parseFloat(pp.totalValue),
+        currency: pp.currency || BASE_CURRENCY,
+        expected_date: pp.expectedDate,
+        modified_by: currentUser?.initials || 'SYS'
+      };
 
-      // Delete the sale
-      await deleteSale(saleId);
+      const { data, error } = await supabase
+        .from('pipeline_purchases')
+        .update(pipelineData)
+        .eq('id', id)
+        .select()
+        .single();
 
-      return { success: true, holdId: holdResult.data.id };
+      if (error) throw error;
+      setPipelinePurchases(prev => prev.map(p => p.id === id ? toCamelCase(data) : p));
+      await loadStock();
+      return { success: true, data: toCamelCase(data) };
     } catch (e) {
-      console.error('Revert sale to hold error:', e);
+      console.error('Update pipeline purchase error:', e);
       return { success: false, error: e.message };
     }
   };
 
-  const calcMetrics = () => {
-    const m = {};
-    SIZES.forEach(size => {
-      const ss = sales.filter(s => s.size === size);
-      const ps = purchases.filter(p => p.size === size);
-      const adj = stockAdjustments.filter(a => a.size === size);
-      const sold = ss.reduce((a, s) => a + (parseFloat(s.units) || 0), 0);
-      const purchased = ps.reduce((a, p) => a + (parseFloat(p.units) || 0), 0);
-      const adjusted = adj.reduce((a, x) => a + (parseFloat(x.units) || 0), 0);
-      const adjustedValue = adj.reduce((a, x) => a + (parseFloat(x.units) || 0) * (parseFloat(x.costPerPack) || 0), 0);
-      const revenue = ss.reduce((a, s) => a + (parseFloat(s.units) || 0) * (parseFloat(s.price) || 0), 0);
-      const cost = ps.reduce((a, p) => a + (parseFloat(p.units) || 0) * (parseFloat(p.cost) || 0), 0);
-      const avgCost = purchased > 0 ? cost / purchased : 0;
-      const stock = purchased - sold - adjusted;
-      const vialsPerPack = VIALS_PER_PACK[size];
-      const soldVials = sold * vialsPerPack;
-      const purchasedVials = purchased * vialsPerPack;
-      const adjustedVials = adjusted * vialsPerPack;
-      const stockVials = stock * vialsPerPack;
-      m[size] = {
-        stock, revenue, cost, sold, purchased, adjusted,
-        stockValue: stock * avgCost,
-        margin: revenue - (sold * avgCost),
-        adjustedValue,
-        vialsPerPack,
-        soldVials,
-        purchasedVials,
-        adjustedVials,
-        stockVials
-      };
-    });
-    return m;
+  const changePipelineStatus = async (id, status, note) => {
+    try {
+      const { data, error } = await supabase.rpc('change_pipeline_status', { p_pipeline_id: String(id), p_status: status, p_note: note || null });
+      if (error) throw error;
+      setPipelinePurchases(prev => prev.map(p => p.id === id ? toCamelCase(data) : p));
+      await loadStock();
+      return { success: true, data: toCamelCase(data) };
+    } catch (e) {
+      console.error('Change pipeline status error:', e);
+      return { success: false, error: e.message };
+    }
   };
 
-  // Loading screen
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-screen bg-gray-50">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
-          <div className="text-lg text-gray-600">Connecting to database...</div>
-        </div>
-      </div>
-    );
-  }
+  // Goods-in: create the purchases for a PO and let the server work out whether it is now fully received
+  const receivePipelineOrder = async (id, { lines, purchaseDate }) => {
+    try {
+      const { data, error } = await supabase.rpc('receive_pipeline_order', {
+        p_pipeline_id: String(id),
+        p_lines: lines.map(l => ({ batch_number: l.batchNumber, expiry_date: l.expiryDate, units: parseFloat(l.units) })),
+        p_purchase_date: purchaseDate
+      });
 
-  // Not connected / Error screen
-  if (!dbConnected) {
-    return (
-      <div className="flex items-center justify-center h-screen bg-gray-50">
-        <div className="bg-white rounded-lg shadow-xl p-8 max-w-md text-center">
-          <AlertCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
-          <h1 className="text-xl font-bold text-gray-900 mb-2">Database Connection Failed</h1>
-          <p className="text-gray-600 mb-4">{error || 'Unable to connect to Supabase database.'}</p>
-          <div className="bg-gray-100 rounded-lg p-4 text-left text-sm mb-4">
-            <p className="font-semibold mb-2">To configure Supabase:</p>
-            <ol className="list-decimal list-inside space-y-1 text-gray-700">
-              <li>Create a Supabase project at supabase.com</li>
-              <li>Run the schema.sql in your SQL Editor</li>
-              <li>Update supabaseClient.js with your credentials</li>
-              <li>Refresh this page</li>
-            </ol>
-          </div>
-          <button
-            onClick={initializeApp}
-            className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2 mx-auto"
-          >
-            <RefreshCw className="w-4 h-4" />
-            Retry Connection
-          </button>
-        </div>
-      </div>
-    );
-  }
+      if (error) throw error;
+      const received = data.purchases.map(toCamelCase);
+      setReceipts(prev => [...prev, ...received]);
+      setPipelinePurchases(prev => prev.map(p => p.id === id ? toCamelCase(data.pipeline_purchase) : p));
+      await Promise.all([loadList('purchases'), loadStock()]);
+      return { success: true, data: received };
+    } catch (e) {
+      console.error('Receive pipeline order error:', e);
+      return { success: false, error: e.message };
+    }
+  };
 
-  // Login screen
-  if (!currentUser) {
-    return <LoginScreen onLogin={handleLogin} />;
-  }
+  const deletePipelinePurchase = (id, reason) => {
+    const order = pipelinePurchases.find(p => p.id === id);
+    return requestDeletion('pipeline_purchases', id, reason, `Pipeline order ${order?.poNumber} from ${order?.supplier}`);
+  };
 
-  const isAdmin = currentUser.role === 'admin';
-  const metrics = calcMetrics();
-  const totalStock = SIZES.reduce((a, s) => a + metrics[s].stock, 0);
-  const totalStockVials = SIZES.reduce((a, s) => a + metrics[s].stockVials, 0);
-  const totalRevenue = SIZES.reduce((a, s) => a + metrics[s].revenue, 0);
-  const totalMargin = SIZES.reduce((a, s) => a + metrics[s].margin, 0);
-  const totalStockValue = SIZES.reduce((a, s) => a + metrics[s].stockValue, 0);
+  // ==================== DOCUMENT OPERATIONS ====================
+  // The database numbers the document and freezes its content (see
+  // issue_document); the PDF is then drawn once from that content and stored.
+  const issueDocument = async (sourceTable, sourceId, quote = {}) => {
+    try {
+      const { data, error } = await supabase.rpc('issue_document', {
+        p_source_table: sourceTable,
+        p_source_id: String(sourceId),
+        p_price_per_vial: quote.pricePerVial === undefined ? null : parseFloat(quote.pricePerVial),
+        p_currency: quote.currency || null
+      });
 
-  return (
-    <div className="min-h-screen bg-gray-50">
-      <div className="shadow-sm border-b" style={{ backgroundColor: '#ccd5ae' }}>
-        <div className="max-w-7xl mx-auto px-4 py-4 flex justify-between items-center">
-          <div>
-            <h1 className="text-2xl font-bold text-gray-900">Eurofolic<sup className="text-xs">®</sup> CIMS</h1>
-            <p className="text-sm"><span className="bg-black text-yellow-400 px-2 py-0.5 font-medium">Customer & Inventory Management System</span></p>
-          </div>
-          <div className="flex items-center gap-4">
-            <ConnectionStatus isConnected={dbConnected} onRetry={initializeApp} />
-            <div className="text-right">
-              <div className="text-sm font-medium">{currentUser.name}</div>
-              <div className="text-xs text-gray-700">{isAdmin ? 'Administrator' : 'User'}</div>
-            </div>
-            <button onClick={handleLogout} className="flex items-center gap-2 bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg">
-              <LogOut className="w-4 h-4" /> Logout
-            </button>
-          </div>
-        </div>
-        <div className="max-w-7xl mx-auto px-4 flex space-x-1 border-b -mb-px">
-          {['dashboard', 'sales', 'purchases', 'pipeline', 'reports', ...(isAdmin ? ['setup'] : [])].map(tab => (
-            <button key={tab} onClick={() => setActiveTab(tab)}
-              className={`px-4 py-2 font-medium text-sm capitalize ${activeTab === tab ? 'border-b-2 border-blue-500 text-blue-600 bg-blue-50' : 'text-gray-600 hover:bg-gray-50'}`}>
-              {tab}
-            </button>
-          ))}
-        </div>
-      </div>
+      if (error) throw error;
+      const { content, pdf, ...summary } = toCamelCase(data);
+      setDocuments(prev => prev.some(d => d.id === summary.id) ? prev : [summary, ...prev]);
+      return await printDocument(summary.id);
+    } catch (e) {
+      console.error('Issue document error:', e);
+      return { success: false, error: e.message };
+    }
+  };
 
-      <div className="max-w-7xl mx-auto px-4 py-8">
-        {activeTab === 'dashboard' && <Dashboard metrics={metrics} totalStock={totalStock} totalStockVials={totalStockVials} totalRevenue={totalRevenue} totalMargin={totalMargin} totalStockValue={totalStockValue} sales={sales} purchases={purchases} stockAdjustments={stockAdjustments} />}
-        {activeTab === 'sales' && <Sales sales={sales} addSale={addSale} deleteSale={deleteSale} stockHolds={stockHolds} addStockHold={addStockHold} deleteStockHold={deleteStockHold} stockAdjustments={stockAdjustments} addStockAdjustment={addStockAdjustment} deleteStockAdjustment={deleteStockAdjustment} convertHoldToSale={convertHoldToSale} revertSaleToHold={revertSaleToHold} verifyPassword={verifyPassword} currentUser={currentUser} activeSize={activeSize} setActiveSize={setActiveSize} isAdmin={isAdmin} customers={customers} purchases={purchases} />}
-        {activeTab === 'purchases' && <Purchases purchases={purchases} addPurchase={addPurchase} deletePurchase={deletePurchase} activeSize={activeSize} setActiveSize={setActiveSize} isAdmin={isAdmin} suppliers={suppliers} />}
-        {activeTab === 'pipeline' && <Pipeline pipelinePurchases={pipelinePurchases} addPipelinePurchase={addPipelinePurchase} deletePipelinePurchase={deletePipelinePurchase} isAdmin={isAdmin} suppliers={suppliers} />}
-        {activeTab === 'reports' && <Reports sales={sales} purchases={purchases} stockAdjustments={stockAdjustments} />}
-        {activeTab === 'setup' && isAdmin && <Setup customers={customers} addCustomer={addCustomer} deleteCustomer={deleteCustomer} suppliers={suppliers} addSupplier={addSupplier} deleteSupplier={deleteSupplier} onDataRestore={loadAllData} />}
-      </div>
-    </div>
-  );
-};
+  // Downloads the stored PDF; a document whose PDF never got stored is drawn
+  // now, and stored if the current user issued it
+  const printDocument = async (id) => {
+    try {
+      const { data, error } = await supabase.from('documents').select('number, content, pdf, issued_by').eq('id', id).single();
+      if (error) throw error;
 
-// ==================== LOGIN SCREEN ====================
-const LoginScreen = ({ onLogin }) => {
-  const [username, setUsername] = useState('');
-  const [password, setPassword] = useState('');
-  const [error, setError] = useState('');
-  const [loading, setLoading] = useState(false);
+      let pdf = data.pdf;
+      if (!pdf) {
+        pdf = await renderDocumentPdf(toCamelCase(data.content));
+        if (data.issued_by === currentUser.authId) {
+          const { error: attachError } = await supabase.rpc('attach_document_pdf', { p_id: id, p_pdf: pdf });
+          if (attachError) {
+            // Printed first in another window: that copy is the original
+            const { data: stored } = await supabase.from('documents').select('pdf').eq('id', id).single();
+            if (!stored?.pdf) throw attachError;
+            pdf = stored.pdf;
+          }
+        }
+      }
+      downloadPdf(pdf, data.number);
+      return { success: true, data: { id, number: data.number } };
+    } catch (e) {
+      console.error('Print document error:', e);
+      return { success: false, error: e.message };
+    }
+  };
 
-  const handleSubmit = async () => {
-    if (!username || !password) { setError('Enter credentials'); return; }
-    setLoading(true);
-    setError('');
-    const result = await onLogin(username, password);
-    setLoading(false);
-    if (!result.success) setError(result.error);
+  // ==================== BULK IMPORT ====================
+  // Validated records go in as a single insert, so either every row lands or none do
+  const importRecords = async (entity, records) => {
+    try {
+      const createdBy = currentUser?.initials || 'SYS';
+      const rows = records.map(r => {
+        if (entity === 'customers') return { ...partnerData(r), created_by: createdBy };
+        if (entity === 'purchases') return { supplier_id: r.supplierId || null, supplier: r.supplier, size: r.size, batch_number: r.batchNumber, expiry_date: r.expiryDate, units: r.units, cost: r.cost, currency: r.currency, purchase_date: r.purchaseDate, created_by: createdBy };
+        return { customer_id: r.customerId || null, customer: r.customer, country: r.country, end_destination: r.endDestination, size: r.size, batch_number: r.batchNumber, units: r.units, price: r.price, currency: r.currency, sale_date: r.saleDate, created_by: createdBy };
+      });
+
+      const { data, error } = await supabase
+        .from(entity)
+        .insert(rows)
+        .select();
+
+      if (error) throw error;
+      const saved = data.map(toCamelCase);
+      if (entity === 'customers') setCustomers(prev => [...prev, ...saved].sort((a, b) => a.name.localeCompare(b.name)));
+      if (entity === 'purchases') await Promise.all([loadList('purchases'), loadStock()]);
+      // The database files each imported sale under an order of its own
+      if (entity === 'sales') await Promise.all([loadList('orders'), loadList('sales'), loadStock()]);
+      return { success: true, data: saved };
+    } catch (e) {
+      console.error('Import error:', e);
+      return { success: false, error: e.message };
+    }
   };
 
-  return (
-    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
-      <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
-        <div className="text-center mb-8">
-          <div className="bg-blue-600 w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4">
-            <Package className="w-8 h-8 text-white" />
-          </div>
-          <h1 className="text-2xl font-bold">Eurofolic<sup className="text-xs">®</sup> CIMS</h1>
-          <p className="text-sm mt-2"><span className="bg-black text-yellow-400 px-2 py-0.5 font-medium">Customer & Inventory Management System</span></p>
-          <div className="mt-3 flex items-center justify-center gap-2 text-xs text-green-600">
-            <Database className="w-3 h-3" />
-            Connected to Supabase
-          </div>
+  // ==================== STOCK HOLDS OPERATIONS ====================
+  const addStockHold = async (hold) => {
+    if (!dbConnected) return recordOffline('stock_hold', hold);
+    try {
+      const holdData = {
+        customer_id: hold.customerId || null,
+        customer: hold.customer,
+        country: hold.country,
+        end_destination: hold.endDestination,
+        size: hold.size,
+        units: parseFloat(hold.units),
+        vials: parseInt(hold.vials),
+        notes: hold.notes || null,
+        hold_date: hold.holdDate,
+        expires_on: hold.expiresOn || null,
+        reverted_from: hold.revertedFrom || null,
+        original_sale_id: hold.originalSaleId || null,
+        reverted_by: hold.revertedBy || null,
+        created_by: currentUser?.initials || 'SYS'
+      };
+
+      const { data, error } = await supabase
+        .from('stock_holds')
+        .insert([holdData])
+        .select()
+        .single();
+
+      if (error) throw error;
+      setStockHolds(prev => [toCamelCase(data), ...prev]);
+      await loadStock();
+      return { success: true, data: toCamelCase(data) };
+    } catch (e) {
+      console.error('Add stock hold error:', e);
+      return { success: false, error: e.message };
+    }
+  };
+
+  const updateStockHold = async (id, hold) => {
+    try {
+      const holdData = {
+        customer_id: hold.customerId || null,
+        customer: hold.customer,
+        country: hold.country,
+        end_destination: hold.endDestination,
+        units: parseFloat(hold.units),
+        vials: parseInt(hold.vials),
+        notes: hold.notes || null,
+        hold_date: hold.holdDate,
+        expires_on: hold.expiresOn || null,
+        modified_by: currentUser?.initials || 'SYS'
+      };
+
+      const { data, error } = await supabase
+        .from('stock_holds')
+        .update(holdData)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      setStockHolds(prev => prev.map(h => h.id === id ? toCamelCase(data) : h));
+      await loadStock();
+      return { success: true, data: toCamelCase(data) };
+    } catch (e) {
+      console.error('Update stock hold error:', e);
+      return { success: false, error: e.message };
+    }
+  };
+
+  const deleteStockHold = (id, reason) => {
+    const hold = stockHolds.find(h => h.id === id);
+    return requestDeletion('stock_holds', id, reason, `Stock hold of ${hold?.vials} ${hold?.size} vials for ${hold?.customer}`);
+  };
+
+  // ==================== STOCK ADJUSTMENTS OPERATIONS ====================
+  // The database refuses a sample over the approval limits, as only it knows
+  // the batch cost when the user may not see it; the sample is then sent for
+  // approval instead
+  const overApprovalLimits = (error) => /over the approval limits/.test(error?.message || '');
+
+  const sampleSummary = (row) => `${row.reason} of ${row.vials} ${row.size} vials from batch ${row.batch_number}${row.recipient ? ` to ${row.recipient}` : ''}`;
+  const sampleReason = (adjustment) => adjustment.notes ? `${adjustment.reason}: ${adjustment.notes}` : adjustment.reason;
+
+  const addStockAdjustment = async (adjustment) => {
+    try {
+      const ledger = buildBatchLedger(stock, adjustment.size, vialsPerPackBySize[adjustment.size]);
+      const stockError = checkBatchStock(ledger, adjustment.batchNumber, parseFloat(adjustment.vials));
+      if (stockError) return { success: false, error: stockError };
+      // The approval limits are checked when the outbox replays it
+      if (!dbConnected) return recordOffline('stock_adjustment', adjustment);
+
+      const adjustmentData = {
+        size: adjustment.size,
+        batch_number: adjustment.batchNumber,
+        units: parseFloat(adjustment.units),
+        vials: parseInt(adjustment.vials),
+        reason: adjustment.reason,
+        recipient: adjustment.recipient || null,
+        notes: adjustment.notes || null,
+        cost_per_pack: parseFloat(adjustment.costPerPack) || 0,
+        total_cost: parseFloat(adjustment.totalCost) || 0,
+        currency: adjustment.currency || BASE_CURRENCY,
+        adjustment_date: adjustment.adjustmentDate,
+        created_by: currentUser?.initials || 'SYS'
+      };
+
+      const sendForApproval = () => requestApproval({ kind: 'sample', table: 'stock_adjustments', payload: adjustmentData, summary: sampleSummary(adjustmentData), reason: sampleReason(adjustment) });
+
+      // A role without view_costs cannot read back the row it wrote (the
+      // database costs it), so the page is read again from the view instead
+      if (!can('view_costs')) {
+        const { error } = await supabase.from('stock_adjustments').insert([adjustmentData]);
+        if (overApprovalLimits(error)) return sendForApproval();
+        if (error) throw error;
+        await Promise.all([loadList('stock_adjustments'), loadStock()]);
+        return { success: true };
+      }
+
+      const { data, error } = await supabase
+        .from('stock_adjustments')
+        .insert([adjustmentData])
+        .select()
+        .single();
+
+      if (overApprovalLimits(error)) return sendForApproval();
+      if (error) throw error;
+      setStockAdjustments(prev => [toCamelCase(data), ...prev]);
+      await loadStock();
+      return { success: true, data: toCamelCase(data) };
+    } catch (e) {
+      console.error('Add stock adjustment error:', e);
+      return { success: false, error: e.message };
+    }
+  };
+
+  const updateStockAdjustment = async (id, adjustment) => {
+    try {
+      const current = stockAdjustments.find(a => a.id === id);
+      const ledger = buildBatchLedger(withoutMovement(stock, 'stockAdjustments', current), adjustment.size, vialsPerPackBySize[adjustment.size]);
+      const stockError = checkBatchStock(ledger, adjustment.batchNumber, parseFloat(adjustment.vials));
+      if (stockError) return { success: false, error: stockError };
+
+      const adjustmentData = {
+        batch_number: adjustment.batchNumber,
+        units: parseFloat(adjustment.units),
+        vials: parseInt(adjustment.vials),
+        reason: adjustment.reason,
+        recipient: adjustment.recipient || null,
+        notes: adjustment.notes || null,
+        cost_per_pack: parseFloat(adjustment.costPerPack) || 0,
+        total_cost: parseFloat(adjustment.totalCost) || 0,
+        currency: adjustment.currency || BASE_CURRENCY,
+        adjustment_date: adjustment.adjustmentDate,
+        modified_by: currentUser?.initials || 'SYS'
+      };
+
+      // The database checks only a change of batch or quantity against the approval limits
+      const sendForApproval = () => requestApproval({ kind: 'sample', table: 'stock_adjustments', id, payload: adjustmentData, summary: `Change to ${sampleSummary({ ...adjustmentData, size: adjustment.size })}`, reason: sampleReason(adjustment) });
+
+      // A role without view_costs cannot see the row to update, so the
+      // database updates it instead
+      if (!can('view_costs')) {
+        const { data, error } = await supabase.rpc('update_stock_adjustment', { p_id: id, p_changes: adjustmentData });
+        if (overApprovalLimits(error)) return sendForApproval();
+        if (error) throw error;
+        setStockAdjustments(prev => prev.map(a => a.id === id ? toCamelCase(data) : a));
+        await loadStock();
+        return { success: true, data: toCamelCase(data) };
+      }
+
+      const { data, error } = await supabase
+        .from('stock_adjustments')
+        .update(adjustmentData)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (overApprovalLimits(error)) return sendForApproval();
+      if (error) throw error;
+      setStockAdjustments(prev => prev.map(a => a.id === id ? toCamelCase(data) : a));
+      await loadStock();
+      return { success: true, data: toCamelCase(data) };
+    } catch (e) {
+      console.error('Update stock adjustment error:', e);
+      return { success: false, error: e.message };
+    }
+  };
+
+  const deleteStockAdjustment = (id, reason) => {
+    const adjustment = stockAdjustments.find(a => a.id === id);
+    return requestDeletion('stock_adjustments', id, reason, `${adjustment?.reason} of ${adjustment?.vials} ${adjustment?.size} vials from batch ${adjustment?.batchNumber}`);
+  };
+
+  // ==================== APPROVALS OPERATIONS ====================
+  // Deletes, reversions and samples over the limits in Setup > Settings wait
+  // in the approval queue until a second user with the approve permission
+  // decides them; the database carries out an approved request itself.
+  const requestApproval = async ({ kind, table, id = null, payload = {}, summary, reason }) => {
+    try {
+      const { data, error } = await supabase.rpc('request_approval', {
+        p_kind: kind,
+        p_table: table,
+        p_target_id: id === null ? null : String(id),
+        p_payload: payload,
+        p_summary: summary,
+        p_reason: reason
+      });
+      if (error) throw error;
+      setApprovals(prev => [toCamelCase(data), ...prev]);
+      return { success: true, pending: true, data: toCamelCase(data) };
+    } catch (e) {
+      console.error('Request approval error:', e);
+      return { success: false, error: e.message };
+    }
+  };
+
+  const requestDeletion = (table, id, reason, summary) => requestApproval({ kind: 'delete', table, id, summary, reason });
+
+  // Approving changes records anywhere, so everything is reloaded afterwards
+  const decideApproval = async (id, approve, comment) => {
+    try {
+      const { data, error } = await supabase.rpc('decide_approval', { p_request_id: String(id), p_approve: approve, p_comment: comment || null });
+      if (error) throw error;
+      setApprovals(prev => prev.map(r => r.id === id ? toCamelCase(data) : r));
+      if (approve) await loadAllData();
+      return { success: true, data: toCamelCase(data) };
+    } catch (e) {
+      console.error('Decide approval error:', e);
+      return { success: false, error: e.message };
+    }
+  };
+
+  const cancelApproval = async (id) => {
+    try {
+      const { data, error } = await supabase.rpc('cancel_approval', { p_request_id: String(id) });
+      if (error) throw error;
+      setApprovals(prev => prev.map(r => r.id === id ? toCamelCase(data) : r));
+      return { success: true, data: toCamelCase(data) };
+    } catch (e) {
+      console.error('Cancel approval error:', e);
+      return { success: false, error: e.message };
+    }
+  };
+
+  const commentOnApproval = async (id, body) => {
+    try {
+      const { data, error } = await supabase.rpc('comment_on_approval', { p_request_id: String(id), p_body: body });
+      if (error) throw error;
+      return { success: true, data: toCamelCase(data) };
+    } catch (e) {
+      console.error('Comment on approval error:', e);
+      return { success: false, error: e.message };
+    }
+  };
+
+  // ==================== OUTBOX OPERATIONS ====================
+  // The rows an outbox entry shows until it is replayed, shaped like the ones
+  // the server would return
+  const outboxRows = (entryId, kind, args) => {
+    const stamp = { createdBy: currentUser.initials, createdAt: new Date(entryId).toISOString() };
+    if (kind === 'stock_hold') {
+      return { stock_holds: [{ ...args, id: outboxRowId(entryId), units: parseFloat(args.units), vials: parseInt(args.vials), ...stamp }] };
+    }
+    if (kind === 'stock_adjustment') {
+      return { stock_adjustments: [{ ...args, id: outboxRowId(entryId), units: parseFloat(args.units), vials: parseInt(args.vials), currency: args.currency || BASE_CURRENCY, ...stamp }] };
+    }
+    const { header, lines } = args;
+    const orderId = outboxRowId(entryId);
+    // An edited entry is allocated without the lines it showed before
+    const allocated = allocateOrderLines({ ...stock, sales: stock.sales.filter(s => s.outboxId !== entryId) }, lines, vialsPerPackBySize, header.orderDate);
+    const order = { ...header, id: orderId, currency: header.currency || BASE_CURRENCY, ...stamp };
+    const orderLines = lines.flatMap((line, i) => allocated[i].allocations.map(a => ({
+      customerId: header.customerId, customer: header.customer, country: header.country, endDestination: header.endDestination,
+      saleDate: header.orderDate, currency: order.currency, orderId,
+      size: line.size, batchNumber: a.batch, units: a.vials / vialsPerPackBySize[line.size],
+      price: parseFloat(line.pricePerVial) * vialsPerPackBySize[line.size], ...stamp
+    }))).map((row, i) => ({ ...row, id: outboxRowId(entryId, i + 1) }));
+    return { orders: [order], sales: orderLines };
+  };
+
+  const outboxSummary = (kind, args) => {
+    if (kind === 'order') return `${args.header.customer}: ${args.lines.map(l => `${l.vials} ${l.size} vials${l.batchNumber ? ` from ${l.batchNumber}` : ''}`).join(', ')}`;
+    if (kind === 'stock_hold') return `${args.vials} ${args.size} vials held for ${args.customer}`;
+    return `${args.reason} of ${args.vials} ${args.size} vials from batch ${args.batchNumber}`;
+  };
+
+  const saveOutboxEntry = async (entry) => {
+    await putOutboxEntry(entry);
+    setOutbox(prev => prev.some(e => e.id === entry.id) ? prev.map(e => e.id === entry.id ? entry : e) : [...prev, entry]);
+  };
+
+  const recordOffline = async (kind, args) => {
+    try {
+      const id = nextOutboxId(outbox);
+      await saveOutboxEntry({
+        id, kind, args,
+        rows: outboxRows(id, kind, args),
+        summary: outboxSummary(kind, args),
+        userId: currentUser.id,
+        recordedBy: currentUser.initials,
+        recordedAt: new Date(id).toISOString(),
+        status: 'pending',
+        error: null
+      });
+      return { success: true, queued: true };
+    } catch (e) {
+      console.error('Record offline error:', e);
+      return { success: false, error: `Could not save on this device: ${e.message}` };
+    }
+  };
+
+  const replayEntry = ({ kind, args }) => {
+    if (kind === 'order') return saveOrder(null, args.header, args.lines);
+    if (kind === 'stock_hold') return addStockHold(args);
+    return addStockAdjustment(args);
+  };
+
+  // First marks the next entry as syncing, which takes its rows out of the
+  // stock it is checked against; the render after that replays it
+  const replayNext = async () => {
+    if (replaying.current) return;
+    const current = ownOutbox.find(e => e.status === 'syncing');
+    if (!current) {
+      const next = ownOutbox.find(e => e.status === 'pending');
+      if (next) setOutbox(prev => prev.map(e => e.id === next.id ? { ...e, status: 'syncing' } : e));
+      else setSyncing(false);
+      return;
+    }
+    replaying.current = current.id;
+    const result = await replayEntry(current);
+    try {
+      if (result.success) {
+        await deleteOutboxEntry(current.id);
+        setOutbox(prev => prev.filter(e => e.id !== current.id));
+      } else if (isNetworkError(result.error)) {
+        // Lost the connection again; the entry waits for the next reconnect
+        setDbConnected(false);
+        setSyncing(false);
+        await saveOutboxEntry({ ...current, status: 'pending' });
+      } else {
+        await saveOutboxEntry({ ...current, status: 'conflict', error: result.error });
+      }
+    } catch (e) {
+      console.error('Outbox replay error:', e);
+      setSyncing(false);
+    }
+    replaying.current = null;
+  };
+
+  const syncOutbox = () => { if (dbConnected) setSyncing(true); };
+
+  const retryOutboxEntry = async (id) => {
+    const entry = outbox.find(e => e.id === id);
+    await saveOutboxEntry({ ...entry, status: 'pending', error: null });
+    syncOutbox();
+  };
+
+  // Orders are re-allocated, so a line left without a batch is split FEFO again
+  const editOutboxEntry = async (id, args) => {
+    const entry = outbox.find(e => e.id === id);
+    await saveOutboxEntry({ ...entry, args, rows: outboxRows(id, entry.kind, args), summary: outboxSummary(entry.kind, args), status: 'pending', error: null });
+    syncOutbox();
+  };
+
+  const discardOutboxEntry = async (id) => {
+    await deleteOutboxEntry(id);
+    setOutbox(prev => prev.filter(e => e.id !== id));
+  };
+
+  // ==================== REALTIME OPERATIONS ====================
+  // `set` merges the changed row into master data; `lists` are the pages read
+  // again, and `stock` says whether the stock figures are too
+  const realtimeTargets = {
+    orders: { lists: ['orders'] },
+    sales: { lists: ['sales', 'orders'], stock: true },
+    purchases: { lists: ['purchases', 'pipeline_purchases'], stock: true },
+    customers: { set: setCustomers, sort: (list) => [...list].sort((a, b) => a.name.localeCompare(b.name)) },
+    suppliers: { set: setSuppliers, sort: (list) => [...list].sort((a, b) => a.name.localeCompare(b.name)) },
+    pipeline_purchases: { lists: ['pipeline_purchases'], stock: true },
+    stock_holds: { lists: ['stock_holds'], stock: true },
+    stock_adjustments: { lists: ['stock_adjustments'], stock: true },
+    products: { set: setProducts, sort: sortProducts, stock: true },
+    exchange_rates: { set: setExchangeRates, sort: sortRates, stock: true },
+    // The list leaves out the frozen content and stored PDF, as loadDocuments does
+    documents: { set: setDocuments, columns: DOCUMENT_LIST_COLUMNS },
+    approval_requests: { set: setApprovals }
+  };
+
+  const reloadSoon = (key, reload) => {
+    clearTimeout(reloadTimers.current[key]);
+    reloadTimers.current[key] = setTimeout(reload, RELOAD_DELAY_MS);
+  };
+
+  const applyChange = (table, type, record, oldRecord) => {
+    if (table === 'app_settings') {
+      if (record) setSettings(toCamelCase(record));
+      reloadSoon('stock', loadStock);
+      return;
+    }
+    const target = realtimeTargets[table];
+    if (!target) return;
+    (target.lists || []).forEach(list => reloadSoon(list, () => loadList(list)));
+    if (target.stock) reloadSoon('stock', loadStock);
+    if (type === 'DELETE') {
+      if (target.set) target.set(prev => mergeChange(prev, { type, id: oldRecord.id }, target.sort));
+      return;
+    }
+    const row = toCamelCase(target.columns ? pickColumns(record, target.columns) : record);
+    if (target.set) target.set(prev => mergeChange(prev, { type, row }, target.sort));
+    const by = changedBy(row);
+    if (by && by !== currentUser.initials) {
+      setLiveChanges(prev => ({ ...prev, [changeKey(table, row.id)]: { by, at: Date.now() } }));
+    }
+  };
+
+  // The row's highlight if someone else changed it recently
+  const liveChange = (table, id) => {
+    const change = liveChanges[changeKey(table, id)];
+    return change && change.at > Date.now() - LIVE_CHANGE_MS ? change : null;
+  };
+
+  // Changes made while the connection was down are not replayed, so a
+  // channel that rejoins reloads everything once.
+  const reloadOnRejoin = () => {
+    let joined = false;
+    return (status) => {
+      if (status !== 'SUBSCRIBED') return;
+      if (joined) loadAllData();
+      joined = true;
+    };
+  };
+
+  // Returns the cleanup that leaves every channel again
+  const subscribeToChanges = () => {
+    const channels = [];
+    let stopped = false;
+    const start = async () => {
+      // Private topics are authorised with the signed-in user's token
+      const { data: { session } } = await supabase.auth.getSession();
+      if (stopped) return;
+      if (session) supabase.realtime.setAuth(session.access_token);
+
+      const canViewCosts = can('view_costs');
+      const changes = supabase.channel('table-changes');
+      REALTIME_TABLES.filter(table => canViewCosts || !COSTED_TABLES.includes(table)).forEach(table => {
+        changes.on('postgres_changes', { event: '*', schema: 'public', table }, (payload) => applyChange(table, payload.eventType, payload.new, payload.old));
+      });
+      channels.push(changes.subscribe(reloadOnRejoin()));
+
+      if (!canViewCosts) {
+        const costFree = supabase.channel(COST_FREE_TOPIC, { config: { private: true } })
+          .on('broadcast', { event: 'change' }, ({ payload }) => applyChange(payload.table, payload.type, payload.record, payload.old_record));
+        channels.push(costFree.subscribe(reloadOnRejoin()));
+      }
+
+      const presence = supabase.channel(PRESENCE_TOPIC, { config: { private: true, presence: { key: String(currentUser.id) } } })
+        .on('presence', { event: 'sync' }, () => setOnlineUsers(otherUsersOnline(presence.presenceState(), currentUser.id)));
+      channels.push(presence.subscribe(async (status) => {
+        if (status === 'SUBSCRIBED') await presence.track({ name: currentUser.name, initials: currentUser.initials, since: new Date().toISOString() });
+      }));
+    };
+    start().catch(e => console.error('Realtime subscribe error:', e));
+    return () => {
+      stopped = true;
+      channels.forEach(c => supabase.removeChannel(c));
+      setOnlineUsers([]);
+      setLiveChanges({});
+    };
+  };
+
+  // ==================== SPECIAL OPERATIONS ====================
+  const verifyPassword = async (password) => {
+    try {
+      const { data, error } = await supabase.rpc('verify_own_password', { p_password: password });
+      return !error && data === true;
+    } catch (e) {
+      return false;
+    }
+  };
+
+  // Conversion and reversion run as one database transaction (see the
+  // convert_hold_to_sale / revert_sale_to_hold functions): either both rows
+  // change or neither does. A reversion is carried out once it is approved.
+  const convertHoldToSale = async (holdId, saleDetails) => {
+    const hold = stockHolds.find(h => h.id === holdId);
+    if (!hold) return { success: false, error: 'Stock hold not found' };
+
+    try {
+      const ledger = buildBatchLedger(stock, hold.size, vialsPerPackBySize[hold.size]);
+      const stockError = checkCustomerLicence(customers.find(c => c.id === hold.customerId), saleDetails.saleDate) || checkBatchExpiry(ledger, saleDetails.batchNumber, saleDetails.saleDate) || checkBatchStock(ledger, saleDetails.batchNumber, parseFloat(hold.units) * vialsPerPackBySize[hold.size]);
+      if (stockError) return { success: false, error: stockError };
+
+      const { data, error } = await supabase.rpc('convert_hold_to_sale', {
+        p_hold_id: String(holdId),
+        p_batch_number: saleDetails.batchNumber,
+        p_price: parseFloat(saleDetails.price),
+        p_sale_date: saleDetails.saleDate,
+        p_currency: saleDetails.currency || BASE_CURRENCY,
+        p_order_id: saleDetails.orderId ? String(saleDetails.orderId) : null
+      });
+
+      if (error) throw error;
+      setStockHolds(prev => prev.filter(h => h.id !== holdId));
+      // The database files the sale under the chosen order or a new one
+      await Promise.all([loadList('orders'), loadList('sales'), loadStock()]);
+      return { success: true, saleId: data.id };
+    } catch (e) {
+      console.error('Convert hold to sale error:', e);
+      return { success: false, error: e.message };
+    }
+  };
+
+  const revertSaleToHold = (saleId, reason) => {
+    const sale = sales.find(s => s.id === saleId);
+    if (!sale) return { success: false, error: 'Sale not found' };
+    if (!sale.convertedFrom || sale.convertedFrom !== 'stockHold') {
+      return { success: false, error: 'This sale was not converted from a stock hold' };
+    }
+    return requestApproval({
+      kind: 'revert',
+      table: 'sales',
+      id: saleId,
+      summary: `Revert sale of ${sale.units} ${sale.size} packs from batch ${sale.batchNumber} to ${sale.customer} back to a stock hold`,
+      reason
+    });
+  };
+
+  // Stock per size from the batch positions and the holds still reserving it;
+  // revenue, cost of goods, stock value and consumption as stock_figures
+  // worked them out over every movement, in the reporting currency
+  const calcMetrics = () => {
+    const bySize = Object.fromEntries(stockFigures.sizes.map(f => [f.size, f]));
+    const batchValues = stockFigures.batchValues.reduce((acc, b) => ({ ...acc, [b.size]: { ...acc[b.size], [b.batchNumber]: b.value } }), {});
+    const m = {};
+    products.forEach(({ code: size }) => {
+      const f = bySize[size] || {};
+      // Sales and samples still in the outbox count until they are replayed
+      const waiting = (rows) => rows.filter(r => r.outboxId && r.size === size).reduce((a, r) => a + (parseFloat(r.units) || 0), 0);
+      const sold = (parseFloat(f.sold) || 0) + waiting(stock.sales);
+      const purchased = parseFloat(f.purchased) || 0;
+      const adjusted = (parseFloat(f.adjusted) || 0) + waiting(stock.stockAdjustments);
+      const revenue = parseFloat(f.revenue) || 0;
+      const cogs = parseFloat(f.cogs) || 0;
+      const onHand = purchased - sold - adjusted;
+      const vialsPerPack = vialsPerPackBySize[size];
+      const stockVials = onHand * vialsPerPack;
+      const batches = buildBatchLedger(stock, size, vialsPerPack);
+      const reservedVials = summarizeReservations(activeHolds, size, vialsPerPack).totalVials;
+      const reserved = reservedVials / vialsPerPack;
+      m[size] = {
+        stock: onHand, revenue, sold, purchased, adjusted,
+        reserved,
+        reservedVials,
+        available: onHand - reserved,
+        availableVials: stockVials - reservedVials,
+        stockValue: parseFloat(f.stockValue) || 0,
+        cogs,
+        margin: revenue - cogs,
+        batchValues: batchValues[size] || {},
+        adjustedValue: parseFloat(f.adjustedValue) || 0,
+        monthlyVials: parseFloat(f.monthlyVials) || 0,
+        vialsPerPack,
+        soldVials: sold * vialsPerPack,
+        purchasedVials: purchased * vialsPerPack,
+        adjustedVials: adjusted * vialsPerPack,
+        stockVials,
+        batches,
+        oversoldBatches: batches.filter(b => b.availableVials < 0)
+      };
+    });
+    return m;
+  };
+
+  // Stock that can still be sold (unexpired, not held for a customer) run down
+  // at recent consumption and topped up by what is still due on open pipeline orders
+  const calcForecasts = (metrics, sizes) => {
+    const asOf = today();
+    return Object.fromEntries(sizes.map(size => {
+      const product = products.find(p => p.code === size);
+      const unexpiredVials = availableBatches(metrics[size].batches).filter(b => !isExpired(b.expiryDate, asOf)).reduce((a, b) => a + b.availableVials, 0);
+      return [size, forecastStock({
+        stockVials: Math.max(0, unexpiredVials - metrics[size].reservedVials),
+        monthlyVials: metrics[size].monthlyVials,
+        pipeline: stockFigures.pipeline.filter(p => p.size === size).map(p => ({ expectedDate: p.expectedDate, vials: parseFloat(p.vials) || 0 })),
+        reorderPoint: product?.reorderPoint,
+        safetyStock: product?.safetyStock,
+        asOf
+      })];
+    }));
+  };
+
+  // Stock and forecasts, worked out again only when the figures they come from
+  // change rather than on every render (each keystroke in a form)
+  const figures = useMemo(() => {
+    const metrics = calcMetrics();
+    // Retired products stay in the figures for as long as they have any history
+    const reportSizes = products.map(p => p.code).filter(size => sizes.includes(size) || metrics[size].purchased || metrics[size].sold || metrics[size].adjusted);
+    return {
+      metrics,
+      reportSizes,
+      totalStock: reportSizes.reduce((a, s) => a + metrics[s].stock, 0),
+      totalStockVials: reportSizes.reduce((a, s) => a + metrics[s].stockVials, 0),
+      totalRevenue: reportSizes.reduce((a, s) => a + metrics[s].revenue, 0),
+      totalMargin: reportSizes.reduce((a, s) => a + metrics[s].margin, 0),
+      totalStockValue: reportSizes.reduce((a, s) => a + metrics[s].stockValue, 0),
+      forecasts: calcForecasts(metrics, reportSizes)
+    };
+  }, [stock, stockFigures, outbox, syncedActiveHolds, products]);
+
+  // Loading screen
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-screen bg-gray-50">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <div className="text-lg text-gray-600">Connecting to database...</div>
+        </div>
+      </div>
+    );
+  }
+
+  // Not connected, with a copy saved on this device for someone to unlock
+  if (!dbConnected && !currentUser && offlineLock) {
+    return <OfflineUnlockScreen user={offlineLock.user} savedAt={offlineLock.savedAt} onUnlock={unlockOffline} onRetry={initializeApp} />;
+  }
+
+  // Not connected and nothing saved on this device to work from
+  if (!dbConnected && !currentUser) {
+    return (
+      <div className="flex items-center justify-center h-screen bg-gray-50">
+        <div className="bg-white rounded-lg shadow-xl p-8 max-w-md text-center">
+          <AlertCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+          <h1 className="text-xl font-bold text-gray-900 mb-2">Database Connection Failed</h1>
+          <p className="text-gray-600 mb-4">{error || 'Unable to connect to Supabase database.'}</p>
+          {isSupabaseConfigured() && <p className="text-sm text-gray-500 mb-4">To work without a connection, sign in with your password once while connected: the data is then saved on this device for you.</p>}
+          <div className="bg-gray-100 rounded-lg p-4 text-left text-sm mb-4">
+            <p className="font-semibold mb-2">To configure Supabase:</p>
+            <ol className="list-decimal list-inside space-y-1 text-gray-700">
+              <li>Create a Supabase project at supabase.com</li>
+              <li>Run the scripts in supabase/migrations in order in your SQL Editor</li>
+              <li>Update supabaseClient.js with your credentials</li>
+              <li>Refresh this page</li>
+            </ol>
+          </div>
+          <button
+            onClick={initializeApp}
+            className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 flex items-center gap-2 mx-auto"
+          >
+            <RefreshCw className="w-4 h-4" />
+            Retry Connection
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  // Login screen
+  if (!currentUser) {
+    return <LoginScreen onLogin={handleLogin} />;
+  }
+
+  // Migrated and newly created accounts must replace their initial password first
+  if (currentUser.mustChangePassword) {
+    return <ChangePasswordScreen forced onChangePassword={changePassword} onLogout={handleLogout} />;
+  }
+
+  const isAdmin = currentUser.role === ADMIN_ROLE;
+  const openCustomerProfile = (id) => {
+    setProfileCustomerId(id);
+    setActiveTab('customers');
+  };
+  const { metrics, reportSizes, totalStock, totalStockVials, totalRevenue, totalMargin, totalStockValue, forecasts } = figures;
+  const pendingApprovals = approvals.filter(r => r.status === 'pending').length;
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="shadow-sm border-b" style={{ backgroundColor: '#ccd5ae' }}>
+        <div className="max-w-7xl mx-auto px-4 py-4 flex justify-between items-center">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Eurofolic<sup className="text-xs">®</sup> CIMS</h1>
+            <p className="text-sm"><span className="bg-black text-yellow-400 px-2 py-0.5 font-medium">Customer & Inventory Management System</span></p>
+          </div>
+          <div className="flex items-center gap-4">
+            <ConnectionStatus isConnected={dbConnected} onRetry={initializeApp} dataLoadedAt={dataLoadedAt} />
+            {ownOutbox.length > 0 && <OutboxStatus outbox={ownOutbox} syncing={syncing} onOpen={() => setActiveTab('outbox')} />}
+            <OnlineUsers users={onlineUsers} />
+            <div className="text-right">
+              <div className="text-sm font-medium">{currentUser.name}</div>
+              <div className="text-xs text-gray-700">{currentUser.roleLabel || currentUser.role}</div>
+            </div>
+            <button onClick={() => setActiveTab('account')} className="flex items-center gap-2 bg-white/60 hover:bg-white text-gray-800 px-3 py-2 rounded-lg text-sm" title="Change my password">
+              <KeyRound className="w-4 h-4" /> Password
+            </button>
+            <button onClick={handleLogout} className="flex items-center gap-2 bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg">
+              <LogOut className="w-4 h-4" /> Logout
+            </button>
+          </div>
+        </div>
+        <div className="max-w-7xl mx-auto px-4 flex space-x-1 border-b -mb-px">
+          {['dashboard', 'sales', 'customers', 'purchases', 'pipeline', 'expiry', 'reports', 'approvals', ...(isAdmin || can('manage_master_data') ? ['setup'] : [])].map(tab => (
+            <button key={tab} onClick={() => { setActiveTab(tab); if (tab === 'customers') setProfileCustomerId(null); }}
+              className={`px-4 py-2 font-medium text-sm capitalize ${activeTab === tab ? 'border-b-2 border-blue-500 text-blue-600 bg-blue-50' : 'text-gray-600 hover:bg-gray-50'}`}>
+              {tab}
+              {tab === 'approvals' && pendingApprovals > 0 && <span className="ml-1 px-1.5 py-0.5 rounded-full text-xs bg-amber-500 text-white">{pendingApprovals}</span>}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        {activeTab === 'dashboard' && <Dashboard can={can} sizes={reportSizes} products={products} metrics={metrics} forecasts={forecasts} totalStock={totalStock} totalStockVials={totalStockVials} totalRevenue={totalRevenue} totalMargin={totalMargin} totalStockValue={totalStockValue} valuationMethod={settings.valuationMethod} reportingCurrency={reportingCurrency} missingRates={stockFigures.missingRates} destinations={stockFigures.destinations} />}
+        {activeTab === 'sales' && <Sales liveChange={liveChange} sizes={sizes} vialsPerPackBySize={vialsPerPackBySize} orders={orders} orderLines={orderLines} saveOrder={saveOrder} deleteOrder={deleteOrder} sales={sales} updateSale={updateSale} deleteSale={deleteSale} stockHolds={stockHolds} activeHolds={activeHolds} addStockHold={addStockHold} updateStockHold={updateStockHold} deleteStockHold={deleteStockHold} stockAdjustments={stockAdjustments} addStockAdjustment={addStockAdjustment} updateStockAdjustment={updateStockAdjustment} deleteStockAdjustment={deleteStockAdjustment} convertHoldToSale={convertHoldToSale} revertSaleToHold={revertSaleToHold} verifyPassword={verifyPassword} currentUser={currentUser} activeSize={activeSize} setActiveSize={setActiveSize} can={can} customers={customers} stock={stock} listPages={listPages} listCounts={listCounts} loadList={loadList} currencies={currencies} documents={documents} issueDocument={issueDocument} printDocument={printDocument} openCustomerProfile={openCustomerProfile} />}
+        {activeTab === 'purchases' && <Purchases liveChange={liveChange} sizes={sizes} vialsPerPackBySize={vialsPerPackBySize} purchases={purchases} addPurchase={addPurchase} updatePurchase={updatePurchase} deletePurchase={deletePurchase} listPage={listPages.purchases} listCount={listCounts.purchases} loadList={loadList} activeSize={activeSize} setActiveSize={setActiveSize} can={can} suppliers={suppliers} currencies={currencies} />}
+        {activeTab === 'pipeline' && <Pipeline liveChange={liveChange} sizes={sizes} vialsPerPackBySize={vialsPerPackBySize} pipelinePurchases={pipelinePurchases} addPipelinePurchase={addPipelinePurchase} updatePipelinePurchase={updatePipelinePurchase} deletePipelinePurchase={deletePipelinePurchase} changePipelineStatus={changePipelineStatus} receivePipelineOrder={receivePipelineOrder} receipts={receipts} openOnly={pipelineOpenOnly} setOpenOnly={setPipelineOpenOnly} listPage={listPages.pipeline_purchases} listCount={listCounts.pipeline_purchases} loadList={loadList} can={can} suppliers={suppliers} currencies={currencies} />}
+        {activeTab === 'customers' && <CustomersView liveChange={liveChange} can={can} isConnected={dbConnected} customers={customers} sizes={reportSizes} vialsPerPackBySize={vialsPerPackBySize} customerTotals={stockFigures.customers} activeHolds={activeHolds} exchangeRates={exchangeRates} reportingCurrency={reportingCurrency} missingRates={stockFigures.missingRates} selectedId={profileCustomerId} onSelect={setProfileCustomerId} />}
+        {activeTab === 'expiry' && <Expiry can={can} sizes={reportSizes} metrics={metrics} addStockAdjustment={addStockAdjustment} reportingCurrency={reportingCurrency} missingRates={stockFigures.missingRates} />}
+        {activeTab === 'reports' && <Reports can={can} isConnected={dbConnected} sizes={reportSizes} vialsPerPackBySize={vialsPerPackBySize} customers={customers} exchangeRates={exchangeRates} stockFigures={stockFigures} valuationMethod={settings.valuationMethod} reportingCurrency={reportingCurrency} />}
+        {activeTab === 'approvals' && <Approvals liveChange={liveChange} approvals={approvals} currentUser={currentUser} can={can} decideApproval={decideApproval} cancelApproval={cancelApproval} commentOnApproval={commentOnApproval} />}
+        {activeTab === 'outbox' && <Outbox outbox={ownOutbox} dbConnected={dbConnected} syncing={syncing} dataLoadedAt={dataLoadedAt} vialsPerPackBySize={vialsPerPackBySize} stock={stock} syncOutbox={syncOutbox} retryOutboxEntry={retryOutboxEntry} editOutboxEntry={editOutboxEntry} discardOutboxEntry={discardOutboxEntry} />}
+        {activeTab === 'account' && <ChangePasswordScreen onChangePassword={changePassword} onDone={() => setActiveTab('dashboard')} />}
+        {activeTab === 'setup' && (isAdmin || can('manage_master_data')) && <Setup can={can} products={products} addProduct={addProduct} updateProduct={updateProduct} settings={settings} updateSettings={updateSettings} currencies={currencies} exchangeRates={exchangeRates} addExchangeRate={addExchangeRate} updateExchangeRate={updateExchangeRate} deleteExchangeRate={deleteExchangeRate} importExchangeRates={importExchangeRates} sizes={sizes} vialsPerPackBySize={vialsPerPackBySize} customers={customers} addCustomer={addCustomer} updateCustomer={updateCustomer} deleteCustomer={deleteCustomer} suppliers={suppliers} addSupplier={addSupplier} updateSupplier={updateSupplier} deleteSupplier={deleteSupplier} importRecords={importRecords} stock={stock} currentUser={currentUser} onDataRestore={loadAllData} />}
+      </div>
+    </div>
+  );
+};
+
+// ==================== LOGIN SCREEN ====================
+const LoginScreen = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async () => {
+    if (!username || !password) { setError('Enter credentials'); return; }
+    setLoading(true);
+    setError('');
+    const result = await onLogin(username, password);
+    setLoading(false);
+    if (!result.success) setError(result.error);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+        <div className="text-center mb-8">
+          <div className="bg-blue-600 w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4">
+            <Package className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-2xl font-bold">Eurofolic<sup className="text-xs">®</sup> CIMS</h1>
+          <p className="text-sm mt-2"><span className="bg-black text-yellow-400 px-2 py-0.5 font-medium">Customer & Inventory Management System</span></p>
+          <div className="mt-3 flex items-center justify-center gap-2 text-xs text-green-600">
+            <Database className="w-3 h-3" />
+            Connected to Supabase
+          </div>
+        </div>
+        <div className="space-y-4">
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && handleSubmit()}
+            placeholder="Username"
+            className="w-full border rounded-lg px-3 py-2"
+            disabled={loading}
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && handleSubmit()}
+            placeholder="Password"
+            className="w-full border rounded-lg px-3 py-2"
+            disabled={loading}
+          />
+          {error && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>}
+          <button
+            onClick={handleSubmit}
+            disabled={loading}
+            className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2"
+          >
+            {loading ? (
+              <>
+                <RefreshCw className="w-4 h-4 animate-spin" />
+                Signing in...
+              </>
+            ) : (
+              'Sign In'
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ==================== OFFLINE UNLOCK ====================
+const OfflineUnlockScreen = ({ user, savedAt, onUnlock, onRetry }) => {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async () => {
+    if (!password) { setError('Enter your password'); return; }
+    setLoading(true);
+    setError('');
+    const result = await onUnlock(password);
+    setLoading(false);
+    if (!result.success) setError(result.error);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+        <div className="text-center mb-6">
+          <div className="bg-amber-500 w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4">
+            <WifiOff className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-xl font-bold">Work Offline</h1>
+          <p className="text-sm text-gray-600 mt-2">The database cannot be reached. The copy saved on this device{savedAt ? ` on ${new Date(savedAt).toLocaleString()}` : ''} belongs to <span className="font-medium">{user.name}</span> ({user.username}); enter their password to use it.</p>
+        </div>
+        <div className="space-y-4">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && handleSubmit()}
+            placeholder="Password"
+            className="w-full border rounded-lg px-3 py-2"
+            disabled={loading}
+          />
+          {error && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>}
+          <div className="flex gap-2">
+            <button onClick={handleSubmit} disabled={loading} className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">{loading ? 'Checking...' : 'Unlock'}</button>
+            <button onClick={onRetry} disabled={loading} className="flex-1 bg-gray-200 py-2 rounded-lg hover:bg-gray-300 flex items-center justify-center gap-2"><RefreshCw className="w-4 h-4" />Retry Connection</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ==================== CHANGE PASSWORD ====================
+const ChangePasswordScreen = ({ forced, onChangePassword, onLogout, onDone }) => {
+  const [form, setForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async () => {
+    if (!form.currentPassword || !form.newPassword) { setError('Enter your current and new password'); return; }
+    if (form.newPassword.length < 8) { setError('New password must be at least 8 characters'); return; }
+    if (form.newPassword !== form.confirmPassword) { setError('New passwords do not match'); return; }
+    setLoading(true);
+    setError('');
+    const result = await onChangePassword(form.currentPassword, form.newPassword);
+    setLoading(false);
+    if (!result.success) { setError(result.error || 'Failed to change password'); return; }
+    setForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    setSuccess(true);
+  };
+
+  const fields = (
+    <div className="space-y-4">
+      <input type="password" placeholder="Current password" value={form.currentPassword} onChange={(e) => setForm({...form, currentPassword: e.target.value})} className="w-full border rounded-lg px-3 py-2" disabled={loading} />
+      <input type="password" placeholder="New password (min. 8 characters)" value={form.newPassword} onChange={(e) => setForm({...form, newPassword: e.target.value})} className="w-full border rounded-lg px-3 py-2" disabled={loading} />
+      <input type="password" placeholder="Confirm new password" value={form.confirmPassword} onChange={(e) => setForm({...form, confirmPassword: e.target.value})} onKeyPress={(e) => e.key === 'Enter' && handleSubmit()} className="w-full border rounded-lg px-3 py-2" disabled={loading} />
+      {error && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>}
+      {success && !forced && <div className="bg-green-50 text-green-700 px-4 py-3 rounded-lg text-sm">Password changed successfully.</div>}
+      <div className="flex gap-2">
+        <button onClick={handleSubmit} disabled={loading} className="flex-1 bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50">{loading ? 'Saving...' : 'Change Password'}</button>
+        {forced ? (
+          <button onClick={onLogout} className="flex-1 bg-gray-200 py-2 rounded-lg hover:bg-gray-300">Sign Out</button>
+        ) : (
+          <button onClick={onDone} className="flex-1 bg-gray-200 py-2 rounded-lg hover:bg-gray-300">Back</button>
+        )}
+      </div>
+    </div>
+  );
+
+  if (!forced) {
+    return (
+      <div className="max-w-md space-y-6">
+        <h2 className="text-xl font-semibold">Change My Password</h2>
+        <div className="bg-white rounded-lg shadow p-6">{fields}</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg shadow-xl p-8 w-full max-w-md">
+        <div className="text-center mb-6">
+          <div className="bg-blue-600 w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4">
+            <KeyRound className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-xl font-bold">Choose a New Password</h1>
+          <p className="text-sm text-gray-600 mt-2">Your password must be changed before you can continue.</p>
+        </div>
+        {fields}
+      </div>
+    </div>
+  );
+};
+
+// ==================== DASHBOARD ====================
+// How far ahead a projected drop below the reorder point raises an alert
+const REORDER_ALERT_WEEKS = 8;
+const forecastDate = (date) => date ? new Date(date).toLocaleDateString() : '-';
+
+const forecastExportColumns = (products) => [
+  { header: 'Size', value: f => f.size },
+  { header: 'Sellable Vials', value: f => f.stockVials, type: 'number' },
+  { header: `Avg Monthly Consumption (last ${CONSUMPTION_MONTHS} months)`, value: f => f.monthlyVials, type: 'number' },
+  { header: 'Incoming Vials (dated)', value: f => f.pipelineVials, type: 'number' },
+  { header: 'Incoming Vials (no date)', value: f => f.undatedPipelineVials, type: 'number' },
+  { header: 'Weeks of Cover', value: f => f.weeksOfCover, type: 'number' },
+  { header: 'Runs Out', value: f => f.runOutDate, type: 'date' },
+  { header: 'Reorder Point', value: f => products.find(p => p.code === f.size)?.reorderPoint, type: 'number' },
+  { header: 'Safety Stock', value: f => products.find(p => p.code === f.size)?.safetyStock, type: 'number' },
+  { header: 'Below Reorder Point', value: f => f.reorderDate, type: 'date' },
+  { header: 'Below Safety Stock', value: f => f.safetyStockDate, type: 'date' }
+];
+
+const iviewExportColumns = (currency, showCosts) => [
+  { header: 'Size', value: m => m.size },
+  { header: 'Purchased Packs', value: m => m.purchased, type: 'number' },
+  { header: 'Sold Packs', value: m => m.sold, type: 'number' },
+  { header: 'Sample Packs', value: m => m.adjusted || 0, type: 'number' },
+  { header: 'Sample Vials', value: m => m.adjustedVials || 0, type: 'number' },
+  { header: 'On Hand Packs', value: m => m.stock, type: 'number' },
+  { header: 'On Hand Vials', value: m => m.stockVials, type: 'number' },
+  { header: 'Reserved Packs', value: m => m.reserved, type: 'number' },
+  { header: 'Reserved Vials', value: m => m.reservedVials, type: 'number' },
+  { header: 'Available Packs', value: m => m.available, type: 'number' },
+  { header: 'Available Vials', value: m => m.availableVials, type: 'number' },
+  { header: `Stock Value ${currency}`, value: m => m.stockValue, type: 'number', cost: true },
+  { header: `Samples Value ${currency}`, value: m => m.adjustedValue || 0, type: 'number', cost: true },
+  { header: `Revenue ${currency}`, value: m => m.revenue, type: 'number' },
+  { header: `COGS ${currency}`, value: m => m.cogs, type: 'number', cost: true },
+  { header: `Margin ${currency}`, value: m => m.margin, type: 'number', cost: true }
+].filter(c => showCosts || !c.cost);
+
+// `destinations` is revenue per year and end destination as stock_figures sums it
+const Dashboard = ({ can, sizes, products, metrics, forecasts, totalStock, totalStockVials, totalRevenue, totalMargin, totalStockValue, valuationMethod, reportingCurrency, missingRates, destinations }) => {
+  const [selectedYear, setSelectedYear] = useState('all');
+  const chartData = sizes.map(s => ({ name: s, packs: metrics[s].stock, vials: metrics[s].stockVials }));
+  const years = [...new Set(destinations.map(d => d.year))].sort((a, b) => b - a);
+  const COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16', '#f97316', '#6366f1'];
+
+  const totalAdjusted = sizes.reduce((a, s) => a + (metrics[s].adjusted || 0), 0);
+  const totalAdjustedVials = sizes.reduce((a, s) => a + (metrics[s].adjustedVials || 0), 0);
+  const totalAdjustedValue = sizes.reduce((a, s) => a + (metrics[s].adjustedValue || 0), 0);
+  const totalReserved = sizes.reduce((a, s) => a + metrics[s].reserved, 0);
+  const totalReservedVials = sizes.reduce((a, s) => a + metrics[s].reservedVials, 0);
+
+  const getCountrySales = () => {
+    const filtered = selectedYear === 'all' ? destinations : destinations.filter(d => d.year === parseInt(selectedYear));
+    
+    const countryData = {};
+    let total = 0;
+    
+    filtered.forEach(d => {
+      const value = parseFloat(d.revenue) || 0;
+      countryData[d.destination] = (countryData[d.destination] || 0) + value;
+      total += value;
+    });
+    
+    return {
+      data: Object.entries(countryData)
+        .map(([country, value]) => ({ country, value, percentage: total > 0 ? ((value / total) * 100).toFixed(1) : 0 }))
+        .sort((a, b) => b.value - a.value),
+      total
+    };
+  };
+  
+  const countrySales = getCountrySales();
+  const oversoldBatches = sizes.flatMap(s => metrics[s].oversoldBatches);
+  const batchesInStock = sizes.flatMap(s => availableBatches(metrics[s].batches));
+  const expiredCount = batchesInStock.filter(b => expiryBucket(b.expiryDate) === 'expired').length;
+  const expiringCount = batchesInStock.filter(b => expiryBucket(b.expiryDate) === 'under90').length;
+  // Sizes projected to fall below their reorder point within the alert window
+  const alertBy = new Date(Date.now() + REORDER_ALERT_WEEKS * 7 * 86400000).toISOString().split('T')[0];
+  const reorderAlerts = sizes.filter(s => forecasts[s].reorderDate && forecasts[s].reorderDate <= alertBy);
+
+  return (
+    <div className="space-y-6">
+      <MissingRatesNotice missingRates={missingRates} reportingCurrency={reportingCurrency} />
+      {(expiredCount > 0 || expiringCount > 0) && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 flex gap-3">
+          <AlertCircle className="w-5 h-5 text-amber-600 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-semibold text-amber-800">{[expiredCount > 0 && `${expiredCount} expired batch${expiredCount === 1 ? '' : 'es'} still in stock`, expiringCount > 0 && `${expiringCount} batch${expiringCount === 1 ? '' : 'es'} expiring within 90 days`].filter(Boolean).join(', ')}</p>
+            <p className="text-xs text-amber-700">See the Expiry tab for the value at risk and to write off expired stock.</p>
+          </div>
+        </div>
+      )}
+      {reorderAlerts.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-semibold text-red-800">Reorder needed</p>
+            <p className="text-xs text-red-700 mb-2">Projected stock falls below the reorder point within {REORDER_ALERT_WEEKS} weeks, counting open pipeline orders on their expected dates.</p>
+            <ul className="text-sm text-red-700 list-disc list-inside">
+              {reorderAlerts.map(s => <li key={s}>{s}: below reorder point {forecasts[s].reorderDate <= new Date().toISOString().split('T')[0] ? 'now' : `on ${forecastDate(forecasts[s].reorderDate)}`}{forecasts[s].safetyStockDate && `, below safety stock ${forecastDate(forecasts[s].safetyStockDate)}`}{forecasts[s].runOutDate && `, runs out ${forecastDate(forecasts[s].runOutDate)}`}</li>)}
+            </ul>
+          </div>
+        </div>
+      )}
+      {oversoldBatches.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+          <div>
+            <p className="text-sm font-semibold text-red-800">Batches with negative stock</p>
+            <p className="text-xs text-red-700 mb-2">These batches have more vials sold or sampled than were purchased. Correct the affected records.</p>
+            <ul className="text-sm text-red-700 list-disc list-inside">
+              {oversoldBatches.map(b => <li key={`${b.size}-${b.batch}`}>{b.size} batch {b.batch}: {b.availableVials.toFixed(0)} vials</li>)}
+            </ul>
+          </div>
+        </div>
+      )}
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b flex justify-between items-start">
+          <div>
+            <h3 className="text-lg font-semibold">Eurofolic<sup className="text-xs">®</sup> I-View</h3>
+            <p className="text-xs text-gray-500 mt-1">{products.filter(p => sizes.includes(p.code)).map(p => `${p.code}: ${p.vialsPerPack} vial${p.vialsPerPack === 1 ? '' : 's'} per pack`).join(' | ')} | Available = On Hand − Reserved by active stock holds | Stock value and margin at {VALUATION_METHODS[valuationMethod]} batch cost, in {reportingCurrency}</p>
+          </div>
+          <ExportButtons filename={exportFilename('i-view')} columns={iviewExportColumns(reportingCurrency, can('view_costs'))} rows={sizes.map(size => ({ size, ...metrics[size] }))} sheetName="I-View" />
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Size</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Purchased</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sold</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-orange-600 uppercase">Samples</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">On Hand</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-amber-600 uppercase">Reserved</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Available</th>
+                {can('view_costs') && <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Stock Value</th>}
+                {can('view_costs') && <th className="px-4 py-3 text-right text-xs font-medium text-orange-600 uppercase">Samples Value</th>}
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Revenue</th>
+                {can('view_costs') && <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Margin</th>}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {sizes.map((size) => (
+                <tr key={size} className="hover:bg-gray-50">
+                  <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{size}</td>
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-600">{metrics[size].purchased.toFixed(2)}</td>
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-600">{metrics[size].sold.toFixed(2)}</td>
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-orange-600">{(metrics[size].adjusted || 0).toFixed(2)} <span className="text-xs text-orange-400">({metrics[size].adjustedVials || 0}v)</span></td>
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">{metrics[size].stock.toFixed(2)} <span className="text-xs text-gray-400">({metrics[size].stockVials.toFixed(0)}v)</span></td>
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-amber-600">{metrics[size].reserved.toFixed(2)} <span className="text-xs text-amber-400">({metrics[size].reservedVials.toFixed(0)}v)</span></td>
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-bold">
+                    <span className={metrics[size].available <= 0 ? 'text-red-600' : 'text-green-600'}>{metrics[size].available.toFixed(2)} <span className="text-xs font-normal">({metrics[size].availableVials.toFixed(0)}v)</span></span>
+                  </td>
+                  {can('view_costs') && <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatMoney(metrics[size].stockValue, reportingCurrency)}</td>}
+                  {can('view_costs') && <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-orange-600">{formatMoney(metrics[size].adjustedValue || 0, reportingCurrency)}</td>}
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-blue-600">{formatMoney(metrics[size].revenue, reportingCurrency)}</td>
+                  {can('view_costs') && <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-purple-600">{formatMoney(metrics[size].margin, reportingCurrency)}</td>}
+                </tr>
+              ))}
+              <tr className="bg-green-100 font-bold">
+                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">TOTAL</td>
+                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">{sizes.reduce((a, s) => a + metrics[s].purchased, 0).toFixed(2)}</td>
+                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">{sizes.reduce((a, s) => a + metrics[s].sold, 0).toFixed(2)}</td>
+                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-orange-600">{totalAdjusted.toFixed(2)} <span className="text-xs text-orange-500">({totalAdjustedVials.toFixed(0)}v)</span></td>
+                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">{totalStock.toFixed(2)} <span className="text-xs text-gray-500">({totalStockVials.toFixed(0)}v)</span></td>
+                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-amber-600">{totalReserved.toFixed(2)} <span className="text-xs text-amber-500">({totalReservedVials.toFixed(0)}v)</span></td>
+                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">{(totalStock - totalReserved).toFixed(2)} <span className="text-xs text-gray-500">({(totalStockVials - totalReservedVials).toFixed(0)}v)</span></td>
+                {can('view_costs') && <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">{formatMoney(totalStockValue, reportingCurrency)}</td>}
+                {can('view_costs') && <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-orange-600">{formatMoney(totalAdjustedValue, reportingCurrency)}</td>}
+                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-blue-600">{formatMoney(totalRevenue, reportingCurrency)}</td>
+                {can('view_costs') && <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-purple-600">{formatMoney(totalMargin, reportingCurrency)}</td>}
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b flex justify-between items-start">
+          <div>
+            <h3 className="text-lg font-semibold">Stock Cover Forecast</h3>
+            <p className="text-xs text-gray-500 mt-1">Sellable = unexpired stock not reserved by holds | Consumption = vials sold and sampled per month over the last {CONSUMPTION_MONTHS} months, excluding expiry write-offs | Overdue pipeline orders are assumed to arrive today</p>
+          </div>
+          <ExportButtons filename={exportFilename('stock-cover')} columns={forecastExportColumns(products)} rows={sizes.map(size => ({ size, ...forecasts[size] }))} sheetName="Stock Cover" />
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Size</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sellable</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Per Month</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Incoming</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Weeks of Cover</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Runs Out</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Reorder / Safety</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Below Reorder Point</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {sizes.map(size => {
+                const f = forecasts[size];
+                const product = products.find(p => p.code === size);
+                return (
+                  <tr key={size} className={reorderAlerts.includes(size) ? 'bg-red-50' : 'hover:bg-gray-50'}>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{size}</td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right">{f.stockVials.toFixed(0)}v</td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right">{f.monthlyVials.toFixed(1)}v</td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right">{f.pipelineVials.toFixed(0)}v{f.undatedPipelineVials > 0 && <span className="block text-xs text-gray-400">+{f.undatedPipelineVials.toFixed(0)}v without a date</span>}</td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-bold">{f.weeksOfCover === null ? '-' : f.weeksOfCover.toFixed(1)}</td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right">{f.runOutDate ? forecastDate(f.runOutDate) : 'No recent consumption'}</td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-600">{product?.reorderPoint ?? '-'} / {product?.safetyStock ?? '-'}</td>
+                    <td className={`px-4 py-4 whitespace-nowrap text-sm text-right ${reorderAlerts.includes(size) ? 'text-red-700 font-semibold' : ''}`}>{product?.reorderPoint == null ? 'Not set' : forecastDate(f.reorderDate)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-lg font-semibold mb-4">Stock by Size (Chart)</h3>
+        <ResponsiveContainer width="100%" height={280}>
+          <BarChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis dataKey="name" />
+            <YAxis />
+            <Tooltip />
+            <Legend />
+            <Bar dataKey="packs" fill="#3b82f6" name="Packs">
+              <LabelList dataKey="packs" position="top" fill="#3b82f6" fontWeight="bold" fontSize={12} formatter={(v) => v.toFixed(1)} />
+            </Bar>
+            <Bar dataKey="vials" fill="#10b981" name="Vials">
+              <LabelList dataKey="vials" position="top" fill="#10b981" fontWeight="bold" fontSize={12} formatter={(v) => v.toFixed(0)} />
+            </Bar>
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b flex justify-between items-center">
+          <div>
+            <h3 className="text-lg font-semibold">Sales by End Destination</h3>
+            <p className="text-sm text-gray-500">Total: {formatMoney(countrySales.total, reportingCurrency)}</p>
+          </div>
+          <select value={selectedYear} onChange={(e) => setSelectedYear(e.target.value)} className="border rounded-lg px-3 py-2 text-sm">
+            <option value="all">All Years</option>
+            {years.map(y => <option key={y} value={y}>{y}</option>)}
+          </select>
+        </div>
+        
+        {countrySales.data.length > 0 ? (
+          <div className="p-6">
+            <div className="mb-6">
+              <ResponsiveContainer width="100%" height={300}>
+                <PieChart>
+                  <Pie data={countrySales.data} cx="50%" cy="50%" labelLine={true} label={({ country, percentage }) => `${country}: ${percentage}%`} outerRadius={100} fill="#8884d8" dataKey="value" nameKey="country">
+                    {countrySales.data.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                    ))}
+                  </Pie>
+                  <Tooltip formatter={(value) => [formatMoney(value, reportingCurrency), 'Sales']} />
+                </PieChart>
+              </ResponsiveContainer>
+            </div>
+            
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Country</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sales Value</th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">% of Total</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {countrySales.data.map((item, index) => (
+                    <tr key={item.country} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 text-sm font-medium text-gray-900 flex items-center gap-2">
+                        <span className="w-3 h-3 rounded-full" style={{ backgroundColor: COLORS[index % COLORS.length] }}></span>
+                        {item.country}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right text-blue-600 font-semibold">{formatMoney(item.value, reportingCurrency)}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-600">{item.percentage}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ) : (
+          <div className="p-8 text-center text-gray-500">No sales data available {selectedYear !== 'all' ? `for ${selectedYear}` : ''}</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// ==================== SALES COMPONENT ====================
+const formatBatchOption = (b, asOf) => `${b.batch} - ${b.availableVials.toFixed(0)} vials available${b.expiryDate ? ` (exp. ${new Date(b.expiryDate).toLocaleDateString()})` : ''}${isExpired(b.expiryDate, asOf) ? ' - EXPIRED' : ''}`;
+
+// Orders, lines, holds and samples are one page each (see loadList); `stock`
+// and `activeHolds` cover every batch and every hold still reserving stock
+const Sales = ({ liveChange, sizes, vialsPerPackBySize, orders, orderLines, saveOrder, deleteOrder, sales, updateSale, deleteSale, stockHolds, activeHolds, addStockHold, updateStockHold, deleteStockHold, stockAdjustments, addStockAdjustment, updateStockAdjustment, deleteStockAdjustment, convertHoldToSale, revertSaleToHold, verifyPassword, currentUser, activeSize, setActiveSize, can, customers, stock, listPages, listCounts, loadList, currencies, documents, issueDocument, printDocument, openCustomerProfile }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [showHoldForm, setShowHoldForm] = useState(false);
+  const [showSampleForm, setShowSampleForm] = useState(false);
+  const [showConvertModal, setShowConvertModal] = useState(false);
+  const [showRevertModal, setShowRevertModal] = useState(false);
+  const [showProformaModal, setShowProformaModal] = useState(false);
+  const [selectedHold, setSelectedHold] = useState(null);
+  const [selectedSale, setSelectedSale] = useState(null);
+  const [orderFormFor, setOrderFormFor] = useState(null);
+  const [convertForm, setConvertForm] = useState({ orderId: '', batchNumber: '', pricePerVial: '', currency: BASE_CURRENCY, saleDate: new Date().toISOString().split('T')[0], password: '' });
+  const [revertReason, setRevertReason] = useState('');
+  const [proformaForm, setProformaForm] = useState({ pricePerVial: '', currency: BASE_CURRENCY });
+  const [printingId, setPrintingId] = useState(null);
+  const [modalError, setModalError] = useState('');
+  const [modalLoading, setModalLoading] = useState(false);
+  const [form, setForm] = useState({ batchNumber: '', vials: '', pricePerVial: '' });
+  const [holdForm, setHoldForm] = useState({ customerId: '', customer: '', country: '', endDestination: '', vials: '', notes: '', holdDate: new Date().toISOString().split('T')[0], expiresOn: '' });
+  const [sampleForm, setSampleForm] = useState({ batchNumber: '', vials: '', reason: 'Retention Sample', recipient: '', notes: '', adjustmentDate: new Date().toISOString().split('T')[0] });
+  const [editingSaleId, setEditingSaleId] = useState(null);
+  const [editingHoldId, setEditingHoldId] = useState(null);
+  const [editingAdjustmentId, setEditingAdjustmentId] = useState(null);
+  const [holdOrders, setHoldOrders] = useState([]);
+
+  const SAMPLE_REASONS = ['Retention Sample', 'Quality Testing', 'Customer Sample', 'Marketing Sample', 'Regulatory Sample', EXPIRED_WRITE_OFF_REASON, 'Other'];
+
+  const editingSale = sales.find(s => s.id === editingSaleId);
+  // While editing, the record's own vials count as available again
+  const ledger = buildBatchLedger(
+    withoutMovement(withoutMovement(stock, 'sales', editingSale), 'stockAdjustments', stockAdjustments.find(a => a.id === editingAdjustmentId)),
+    activeSize, vialsPerPackBySize[activeSize]);
+  const batches = availableBatches(ledger);
+  // While editing a hold, its own vials do not count against itself
+  const reservations = summarizeReservations(activeHolds.filter(h => h.id !== editingHoldId), activeSize, vialsPerPackBySize[activeSize]);
+  const onHandVials = batches.reduce((a, b) => a + b.availableVials, 0);
+
+  // Vials of this sale that would come out of stock reserved for other customers
+  const reservedShortfall = (vials, customerId, customerName) => {
+    const others = reservationsForOthers(reservations, customerId, customerName);
+    const reservedForOthers = others.reduce((a, r) => a + r.vials, 0);
+    return { vials: Math.max(0, vials - (onHandVials - reservedForOthers)), others };
+  };
+
+  const orderById = Object.fromEntries(orders.map(o => [o.id, o]));
+  const linesByOrder = orderLines.reduce((acc, s) => { (acc[s.orderId] = acc[s.orderId] || []).push(s); return acc; }, {});
+  // A sale whose order is on another page carries the order's reference itself
+  const orderOf = (s) => orderById[s.orderId] || s.order;
+
+  // Samples are costed at the batch's purchase price, in the currency it was bought in
+  const getBatchCost = (batchNumber) => {
+    const batch = ledger.find(b => b.batch === batchNumber);
+    return batch ? { cost: batch.costPerPack, currency: batch.currency || BASE_CURRENCY } : { cost: 0, currency: BASE_CURRENCY };
+  };
+
+  const handleHoldCustomer = (id) => {
+    const c = customers.find(c => c.id === id);
+    setHoldForm({ ...holdForm, customerId: id, customer: c ? c.name : '', country: c ? c.country : '' });
+  };
+
+  const resetForms = () => {
+    setForm({ batchNumber: '', vials: '', pricePerVial: '' });
+    setHoldForm({ customerId: '', customer: '', country: '', endDestination: '', vials: '', notes: '', holdDate: new Date().toISOString().split('T')[0], expiresOn: '' });
+    setSampleForm({ batchNumber: '', vials: '', reason: 'Retention Sample', recipient: '', notes: '', adjustmentDate: new Date().toISOString().split('T')[0] });
+    setEditingSaleId(null);
+    setEditingHoldId(null);
+    setEditingAdjustmentId(null);
+    setShowForm(false);
+    setShowHoldForm(false);
+    setShowSampleForm(false);
+    setOrderFormFor(null);
+  };
+
+  const selectSize = (size) => {
+    // Edit forms are tied to the record's size
+    if (editingSaleId || editingHoldId || editingAdjustmentId) resetForms();
+    setActiveSize(size);
+  };
+
+  const startNewOrder = () => {
+    const open = orderFormFor !== 'new';
+    resetForms();
+    if (open) setOrderFormFor('new');
+  };
+
+  const startEditOrder = (order) => {
+    resetForms();
+    setOrderFormFor(order);
+  };
+
+  const startEditSale = (s) => {
+    resetForms();
+    const vialsPerPack = vialsPerPackBySize[s.size];
+    setForm({ batchNumber: s.batchNumber, vials: String(Math.round(parseFloat(s.units) * vialsPerPack)), pricePerVial: String(parseFloat(s.price) / vialsPerPack) });
+    setEditingSaleId(s.id);
+    setShowForm(true);
+  };
+
+  const startEditHold = (h) => {
+    resetForms();
+    setHoldForm({ customerId: h.customerId || '', customer: h.customer, country: h.country, endDestination: h.endDestination || '', vials: String(h.vials), notes: h.notes || '', holdDate: h.holdDate || new Date(h.createdAt).toISOString().split('T')[0], expiresOn: h.expiresOn || '' });
+    setEditingHoldId(h.id);
+    setShowHoldForm(true);
+  };
+
+  const startEditAdjustment = (a) => {
+    resetForms();
+    setSampleForm({ batchNumber: a.batchNumber, vials: String(a.vials), reason: a.reason, recipient: a.recipient || '', notes: a.notes || '', adjustmentDate: a.adjustmentDate || new Date(a.createdAt).toISOString().split('T')[0] });
+    setEditingAdjustmentId(a.id);
+    setShowSampleForm(true);
+  };
+
+  // Edits one order line; new lines are added through the order
+  const handleSubmit = async () => {
+    if (!form.batchNumber || !form.vials || !form.pricePerVial) { alert('Fill all fields'); return; }
+    const vials = parseFloat(form.vials);
+    const vialsPerPack = vialsPerPackBySize[activeSize];
+    const packs = vials / vialsPerPack;
+    const pricePerPack = parseFloat(form.pricePerVial) * vialsPerPack;
+    const dip = reservedShortfall(vials, editingSale.customerId, editingSale.customer);
+    if (dip.vials > 0 && !window.confirm(`This sale uses ${dip.vials} vials reserved for other customers (${dip.others.map(r => r.customer).join(', ')}). Continue anyway?`)) return;
+    const result = await updateSale(editingSaleId, { ...form, size: activeSize, units: packs, price: pricePerPack });
+    if (!result.success) { alert(result.error || 'Failed to update sale'); return; }
+    resetForms();
+  };
+
+  const handleHoldSubmit = async () => {
+    if (!holdForm.customer || !holdForm.vials || !holdForm.endDestination) { alert('Customer, vials, and End Destination are required'); return; }
+    const vials = parseFloat(holdForm.vials);
+    const vialsPerPack = vialsPerPackBySize[activeSize];
+    const packs = vials / vialsPerPack;
+    const unreserved = onHandVials - reservations.totalVials;
+    if (vials > unreserved && !window.confirm(`Only ${Math.max(unreserved, 0)} ${activeSize} vials are unreserved. Hold ${vials} vials anyway?`)) return;
+    const licenceError = checkCustomerLicence(customers.find(c => c.id === holdForm.customerId));
+    if (licenceError && !window.confirm(`${licenceError}. The hold cannot be converted to a sale until then. Save it anyway?`)) return;
+    const result = editingHoldId
+      ? await updateStockHold(editingHoldId, { ...holdForm, units: packs, vials: vials })
+      : await addStockHold({ ...holdForm, size: activeSize, units: packs, vials: vials });
+    if (!result.success) { alert(result.error || 'Failed to save stock hold'); return; }
+    resetForms();
+  };
+
+  const handleSampleSubmit = async () => {
+    if (!sampleForm.batchNumber || !sampleForm.vials || !sampleForm.reason) { alert('Batch, vials, and reason are required'); return; }
+    const vials = parseFloat(sampleForm.vials);
+    const vialsPerPack = vialsPerPackBySize[activeSize];
+    const packs = vials / vialsPerPack;
+    if (sampleExpired && sampleForm.reason !== EXPIRED_WRITE_OFF_REASON && !window.confirm(`Batch ${sampleForm.batchNumber} has expired. Record this ${sampleForm.reason.toLowerCase()} from it anyway?`)) return;
+    const { cost: costPerPack, currency } = getBatchCost(sampleForm.batchNumber);
+    const adjustment = { ...sampleForm, size: activeSize, units: packs, vials: vials, costPerPack: costPerPack, totalCost: packs * costPerPack, currency };
+    const result = editingAdjustmentId ? await updateStockAdjustment(editingAdjustmentId, adjustment) : await addStockAdjustment(adjustment);
+    if (!result.success) { alert(result.error || 'Failed to record sample'); return; }
+    if (result.pending) alert('This sample is over the approval limits. It has been sent for approval and is recorded once a second user approves it.');
+    resetForms();
+  };
+
+  const openConvertModal = (hold) => {
+    // Pre-select the soonest-expiring batch that can cover the whole hold
+    const fefo = allocateFefo(ledger, parseFloat(hold.vials));
+    setSelectedHold(hold);
+    // The customer's latest orders not yet invoiced, which the sale can be added to
+    setHoldOrders([]);
+    const query = supabase.from('orders').select('*');
+    (hold.customerId ? query.eq('customer_id', hold.customerId) : query.eq('customer', hold.customer))
+      .order('order_date', { ascending: false }).order('id', { ascending: false }).limit(PAGE_SIZE)
+      .then(({ data, error }) => error ? console.error('Load customer orders error:', error) : setHoldOrders(data.map(toCamelCase).filter(o => !invoiceFor(o))));
+    setConvertForm({ orderId: '', batchNumber: fefo.allocations.length === 1 && fefo.shortfall === 0 ? fefo.allocations[0].batch : '', pricePerVial: '', currency: BASE_CURRENCY, saleDate: new Date().toISOString().split('T')[0], password: '' });
+    setModalError('');
+    setShowConvertModal(true);
+  };
+
+  const handleConvertToSale = async () => {
+    if (!convertForm.batchNumber || !convertForm.pricePerVial || !convertForm.password) {
+      setModalError('Please fill all fields including your password');
+      return;
+    }
+    const saleDate = convertOrder ? convertOrder.orderDate : convertForm.saleDate;
+    const stockError = checkCustomerLicence(customers.find(c => c.id === selectedHold.customerId), saleDate) || checkBatchExpiry(ledger, convertForm.batchNumber, saleDate) || checkBatchStock(ledger, convertForm.batchNumber, parseFloat(selectedHold.vials));
+    if (stockError) { setModalError(stockError); return; }
+    setModalLoading(true);
+    setModalError('');
+    const isValid = await verifyPassword(convertForm.password);
+    if (!isValid) {
+      setModalError('Invalid password. Please try again.');
+      setModalLoading(false);
+      return;
+    }
+    const vialsPerPack = vialsPerPackBySize[selectedHold.size];
+    const pricePerPack = parseFloat(convertForm.pricePerVial) * vialsPerPack;
+    // Appending to an order takes the order's date and currency
+    const result = convertOrder
+      ? await convertHoldToSale(selectedHold.id, { orderId: convertOrder.id, batchNumber: convertForm.batchNumber, price: pricePerPack, currency: convertOrder.currency, saleDate: convertOrder.orderDate })
+      : await convertHoldToSale(selectedHold.id, { batchNumber: convertForm.batchNumber, price: pricePerPack, currency: convertForm.currency, saleDate: convertForm.saleDate });
+    setModalLoading(false);
+    if (result.success) {
+      setShowConvertModal(false);
+      setSelectedHold(null);
+      alert('Stock hold successfully converted to sale!');
+    } else {
+      setModalError(result.error || 'Failed to convert stock hold');
+    }
+  };
+
+  // ==================== INVOICES ====================
+  // Sales invoiced one by one before orders existed keep their invoice for the whole order
+  const invoiceFor = (order) => documents.find(d => d.docType === 'invoice' && (d.sourceTable === 'orders'
+    ? d.sourceId === String(order.id)
+    : (linesByOrder[order.id] || []).some(s => String(s.id) === d.sourceId)));
+  const proformasFor = (holdId) => documents.filter(d => d.docType === 'proforma' && d.sourceId === String(holdId));
+
+  // Both issuing and reprinting end in a download; the button waits on either
+  const handlePrint = async (key, action) => {
+    setPrintingId(key);
+    const result = await action();
+    setPrintingId(null);
+    if (!result.success) alert(result.error || 'Failed to generate document');
+  };
+
+  const openProformaModal = (hold) => {
+    setSelectedHold(hold);
+    setProformaForm({ pricePerVial: '', currency: BASE_CURRENCY });
+    setModalError('');
+    setShowProformaModal(true);
+  };
+
+  const handleIssueProforma = async () => {
+    if (!(parseFloat(proformaForm.pricePerVial) >= 0)) { setModalError('Enter the price per vial to quote'); return; }
+    setModalLoading(true);
+    setModalError('');
+    const result = await issueDocument('stock_holds', selectedHold.id, proformaForm);
+    setModalLoading(false);
+    if (result.success) {
+      setShowProformaModal(false);
+      setSelectedHold(null);
+    } else {
+      setModalError(result.error || 'Failed to issue pro-forma invoice');
+    }
+  };
+
+  const openRevertModal = (sale) => {
+    setSelectedSale(sale);
+    setRevertReason('');
+    setModalError('');
+    setShowRevertModal(true);
+  };
+
+  const handleRevertToHold = async () => {
+    if (!revertReason.trim()) { setModalError('Please give a reason'); return; }
+    setModalLoading(true);
+    setModalError('');
+    const result = await revertSaleToHold(selectedSale.id, revertReason.trim());
+    setModalLoading(false);
+    if (result.success) {
+      setShowRevertModal(false);
+      setSelectedSale(null);
+      alert('Reversion requested. The sale goes back to a stock hold once a second user approves it under Approvals.');
+    } else {
+      setModalError(result.error || 'Failed to revert sale');
+    }
+  };
+
+  const filtered = sales.filter(s => s.size === activeSize);
+  const filteredHolds = stockHolds.filter(h => h.size === activeSize);
+  const filteredAdjustments = stockAdjustments.filter(a => a.size === activeSize);
+  const vialsPerPack = vialsPerPackBySize[activeSize];
+  const formVials = parseFloat(form.vials) || 0;
+  const saleReservationDip = formVials > 0 && editingSale ? reservedShortfall(formVials, editingSale.customerId, editingSale.customer) : null;
+  const batchStockError = editingSale && form.batchNumber ? checkBatchExpiry(ledger, form.batchNumber, editingSale.saleDate) || (formVials > 0 ? checkBatchStock(ledger, form.batchNumber, formVials) : null) : null;
+  const convertOrder = holdOrders.find(o => o.id === convertForm.orderId);
+  const sampleExpired = isExpired(ledger.find(b => b.batch === sampleForm.batchNumber)?.expiryDate, sampleForm.adjustmentDate);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold">Sales</h2>
+        <div className="flex gap-2">
+          {can('record_sample') && <button onClick={() => { const open = !showSampleForm || editingAdjustmentId; resetForms(); setShowSampleForm(open); }} className="flex items-center gap-2 bg-orange-500 text-white px-4 py-2 rounded-lg hover:bg-orange-600"><Plus className="w-4 h-4" /> Record Sample</button>}
+          {can('create_sale') && <button onClick={() => { const open = !showHoldForm || editingHoldId; resetForms(); setShowHoldForm(open); }} className="flex items-center gap-2 bg-amber-500 text-white px-4 py-2 rounded-lg hover:bg-amber-600"><Plus className="w-4 h-4" /> Stock Hold</button>}
+          {can('create_sale') && <button onClick={startNewOrder} className="flex items-center gap-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700"><Plus className="w-4 h-4" /> New Order</button>}
+        </div>
+      </div>
+
+      {orderFormFor && (
+        <OrderForm
+          key={orderFormFor === 'new' ? 'new' : orderFormFor.id}
+          order={orderFormFor === 'new' ? null : orderFormFor}
+          lines={orderFormFor === 'new' ? [] : linesByOrder[orderFormFor.id] || []}
+          sizes={sizes} vialsPerPackBySize={vialsPerPackBySize} customers={customers} currencies={currencies}
+          stock={stock} stockHolds={activeHolds}
+          saveOrder={saveOrder} onClose={resetForms}
+        />
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-4 py-3 border-b"><h3 className="font-semibold">Orders</h3><p className="text-xs text-gray-500">One invoice per order. Lines are listed by size below.</p></div>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Order</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">End Dest.</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Lines</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
+          <tbody className="divide-y divide-gray-200">
+            {orders.map(o => {
+              const lines = linesByOrder[o.id] || [];
+              const invoice = invoiceFor(o);
+              return (
+                <tr key={o.id} className={liveChange('orders', o.id) ? LIVE_CHANGE_ROW : ''}>
+                  <td className="px-4 py-3 text-sm">{new Date(o.orderDate).toLocaleDateString()}<AuditTag createdBy={o.createdBy} createdAt={o.createdAt} modifiedBy={o.modifiedBy} modifiedAt={o.modifiedAt} /><LiveChangeTag change={liveChange('orders', o.id)} /><OutboxTag row={o} /></td>
+                  <td className="px-4 py-3 text-sm font-medium">{orderLabel(o)}{o.notes && <span className="block text-xs font-normal text-gray-500">{o.notes}</span>}</td>
+                  <td className="px-4 py-3 text-sm">{o.customerId ? <button onClick={() => openCustomerProfile(o.customerId)} className="text-blue-700 hover:underline text-left">{o.customer}</button> : o.customer}</td>
+                  <td className="px-4 py-3 text-sm">{o.endDestination || o.country || '-'}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{lines.map(l => <span key={l.id} className="block text-xs">{l.size} × {(parseFloat(l.units) * vialsPerPackBySize[l.size]).toFixed(0)} vials <span className="text-purple-600">{l.batchNumber}</span></span>)}</td>
+                  <td className="px-4 py-3 text-sm font-semibold">{formatMoney(lines.reduce((sum, l) => sum + parseFloat(l.units) * parseFloat(l.price), 0), o.currency)}</td>
+                  <td className="px-4 py-3 text-sm">
+                    {!o.outboxId && <div className="flex gap-2">
+                      {can('create_sale') && !invoice && <button onClick={() => startEditOrder(o)} className="text-blue-600 hover:text-blue-800">Edit</button>}
+                      {invoice
+                        ? <button onClick={() => handlePrint(`order-${o.id}`, () => printDocument(invoice.id))} disabled={printingId === `order-${o.id}`} className="text-gray-700 hover:text-gray-900 text-xs font-medium disabled:opacity-50" title="Reprint the issued invoice">{invoice.number}</button>
+                        : can('create_sale') && <button onClick={() => handlePrint(`order-${o.id}`, () => issueDocument('orders', o.id))} disabled={printingId === `order-${o.id}`} className="text-purple-600 hover:text-purple-800 text-xs font-medium disabled:opacity-50">{printingId === `order-${o.id}` ? 'Generating...' : 'Invoice'}</button>}
+                      {can('delete') && <button onClick={() => confirmDelete('order', reason => deleteOrder(o.id, reason))} className="text-red-600 hover:text-red-800">Delete</button>}
+                    </div>}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {orders.length === 0 && <div className="text-center py-8 text-gray-500">No orders</div>}
+        <Pager page={listPages.orders} count={listCounts.orders} onPage={page => loadList('orders', page)} />
+      </div>
+
+      <div className="flex space-x-2 border-b">{sizes.map(s => (<button key={s} onClick={() => selectSize(s)} className={`px-4 py-2 text-sm ${activeSize === s ? 'border-b-2 border-purple-500 text-purple-600' : 'text-gray-600'}`}>{s}</button>))}</div>
+      
+      {showForm && editingSale && (
+        <div className="bg-white rounded-lg shadow p-6 space-y-4">
+          <h3 className="font-semibold">Edit Order Line - {activeSize} <span className="text-sm font-normal text-gray-500">({vialsPerPack} vials per pack)</span></h3>
+          <div className="bg-blue-50 p-3 rounded text-sm">{orderLabel(orderOf(editingSale))}: {editingSale.customer} ({editingSale.endDestination || editingSale.country}), {new Date(editingSale.saleDate).toLocaleDateString()}. Customer, destination, date and currency are changed on the order.</div>
+          <div className="grid grid-cols-3 gap-4">
+            <div><label className="block text-xs text-gray-500 mb-1">Batch</label><select value={form.batchNumber} onChange={(e) => setForm({...form, batchNumber: e.target.value})} className="border rounded-lg px-3 py-2 w-full"><option value="">Select batch...</option>{batches.map(b => <option key={b.batch} value={b.batch}>{formatBatchOption(b, editingSale.saleDate)}</option>)}</select></div>
+            <div><label className="block text-xs text-gray-500 mb-1">Vials</label><input type="number" placeholder="Number of Vials" value={form.vials} onChange={(e) => setForm({...form, vials: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />{form.vials && <p className="text-xs text-gray-500 mt-1">= {(parseFloat(form.vials) / vialsPerPack).toFixed(2)} packs</p>}</div>
+            <div><label className="block text-xs text-gray-500 mb-1">Price per vial ({editingSale.currency})</label><input type="number" step="0.01" value={form.pricePerVial} onChange={(e) => setForm({...form, pricePerVial: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />{form.pricePerVial && <p className="text-xs text-gray-500 mt-1">= {formatMoney(parseFloat(form.pricePerVial) * vialsPerPack, editingSale.currency)} per pack</p>}</div>
+          </div>
+          {saleReservationDip && saleReservationDip.vials > 0 && (
+            <div className="bg-amber-50 border border-amber-200 p-3 rounded text-sm text-amber-800">
+              ⚠️ {saleReservationDip.vials} of these vials are reserved for other customers: {saleReservationDip.others.map(r => `${r.customer} (${r.vials})`).join(', ')}.
+            </div>
+          )}
+          {batchStockError && <div className="bg-red-50 p-3 rounded text-sm text-red-700">{batchStockError}</div>}
+          <div className="flex gap-2"><button onClick={handleSubmit} className="bg-purple-600 text-white px-4 py-2 rounded-lg">Save Changes</button><button onClick={resetForms} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
+        </div>
+      )}
+
+      {showHoldForm && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg shadow p-6 space-y-4">
+          <h3 className="font-semibold text-amber-800">{editingHoldId ? 'Edit Stock Hold' : 'New Stock Hold'} - {activeSize}</h3>
+          <p className="text-xs text-amber-600">Stock holds are for committed stock that has not yet been sold.</p>
+          <select value={holdForm.customerId} onChange={(e) => handleHoldCustomer(e.target.value)} className="w-full border border-amber-300 rounded-lg px-3 py-2"><option value="">Select customer...</option>{customers.map(c => <option key={c.id} value={c.id}>{c.name} - {c.country}</option>)}</select>
+          <select value={holdForm.endDestination} onChange={(e) => setHoldForm({...holdForm, endDestination: e.target.value})} className="w-full border border-amber-300 rounded-lg px-3 py-2"><option value="">Select end destination...</option>{COUNTRIES.map(c => <option key={c} value={c}>{c}</option>)}</select>
+          <div className="grid grid-cols-2 gap-4"><input type="date" value={holdForm.holdDate} onChange={(e) => setHoldForm({...holdForm, holdDate: e.target.value})} className="border border-amber-300 rounded-lg px-3 py-2" /><input type="number" placeholder="Number of Vials" value={holdForm.vials} onChange={(e) => setHoldForm({...holdForm, vials: e.target.value})} className="border border-amber-300 rounded-lg px-3 py-2" /></div>
+          <div className="grid grid-cols-2 gap-4">
+            <div><label className="block text-xs text-amber-700 mb-1">Release on (optional)</label><input type="date" value={holdForm.expiresOn} min={holdForm.holdDate} onChange={(e) => setHoldForm({...holdForm, expiresOn: e.target.value})} className="w-full border border-amber-300 rounded-lg px-3 py-2" /><p className="text-xs text-amber-600 mt-1">After this date the vials are no longer reserved.</p></div>
+            <div><label className="block text-xs text-amber-700 mb-1">Notes</label><input type="text" placeholder="Notes (optional)" value={holdForm.notes} onChange={(e) => setHoldForm({...holdForm, notes: e.target.value})} className="w-full border border-amber-300 rounded-lg px-3 py-2" /></div>
+          </div>
+          <p className="text-xs text-amber-700">{Math.max(onHandVials - reservations.totalVials, 0)} of {onHandVials} {activeSize} vials on hand are unreserved.</p>
+          <div className="flex gap-2"><button onClick={handleHoldSubmit} className="bg-amber-500 text-white px-4 py-2 rounded-lg">{editingHoldId ? 'Save Changes' : 'Save Hold'}</button><button onClick={resetForms} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
+        </div>
+      )}
+
+      {showSampleForm && (
+        <div className="bg-orange-50 border border-orange-200 rounded-lg shadow p-6 space-y-4">
+          <h3 className="font-semibold text-orange-800">{editingAdjustmentId ? 'Edit Sample/Stock Adjustment' : 'Record Sample/Stock Adjustment'} - {activeSize}</h3>
+          <p className="text-xs text-orange-600">Samples are recorded at cost price and deducted from available stock.</p>
+          <div className="grid grid-cols-2 gap-4">
+            <div><label className="block text-xs text-orange-700 mb-1">Select Batch *</label><select value={sampleForm.batchNumber} onChange={(e) => setSampleForm({...sampleForm, batchNumber: e.target.value})} className="w-full border border-orange-300 rounded-lg px-3 py-2"><option value="">Select batch...</option>{batches.map(b => (<option key={b.batch} value={b.batch}>{formatBatchOption(b, sampleForm.adjustmentDate)}{can('view_costs') && ` (${formatMoney(b.costPerPack / vialsPerPack, b.currency || BASE_CURRENCY)}/vial)`}</option>))}</select></div>
+            <div><label className="block text-xs text-orange-700 mb-1">Number of Vials *</label><input type="number" placeholder="Enter vials" value={sampleForm.vials} onChange={(e) => setSampleForm({...sampleForm, vials: e.target.value})} className="border border-orange-300 rounded-lg px-3 py-2 w-full" />{sampleForm.vials && sampleForm.batchNumber && (<p className="text-xs text-orange-600 mt-1">= {(parseFloat(sampleForm.vials) / vialsPerPack).toFixed(2)} packs{can('view_costs') && ` | Cost: ${formatMoney((parseFloat(sampleForm.vials) / vialsPerPack) * getBatchCost(sampleForm.batchNumber).cost, getBatchCost(sampleForm.batchNumber).currency)}`}</p>)}</div>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div><label className="block text-xs text-orange-700 mb-1">Reason *</label><select value={sampleForm.reason} onChange={(e) => setSampleForm({...sampleForm, reason: e.target.value})} className="w-full border border-orange-300 rounded-lg px-3 py-2">{SAMPLE_REASONS.map(r => <option key={r} value={r}>{r}</option>)}</select></div>
+            <div><label className="block text-xs text-orange-700 mb-1">Date</label><input type="date" value={sampleForm.adjustmentDate} onChange={(e) => setSampleForm({...sampleForm, adjustmentDate: e.target.value})} className="border border-orange-300 rounded-lg px-3 py-2 w-full" /></div>
+          </div>
+          {sampleExpired && <div className="bg-red-50 p-3 rounded text-sm text-red-700">Batch {sampleForm.batchNumber} has expired.{sampleForm.reason !== EXPIRED_WRITE_OFF_REASON && ` Use "${EXPIRED_WRITE_OFF_REASON}" to write it off, or the Expiry tab to write off all of its stock.`}</div>}
+          <div><label className="block text-xs text-orange-700 mb-1">Recipient (if giving to external party)</label><input type="text" placeholder="e.g., Company name, Contact person" value={sampleForm.recipient} onChange={(e) => setSampleForm({...sampleForm, recipient: e.target.value})} className="w-full border border-orange-300 rounded-lg px-3 py-2" /></div>
+          <div><label className="block text-xs text-orange-700 mb-1">Notes</label><input type="text" placeholder="Additional notes..." value={sampleForm.notes} onChange={(e) => setSampleForm({...sampleForm, notes: e.target.value})} className="w-full border border-orange-300 rounded-lg px-3 py-2" /></div>
+          <div className="flex gap-2"><button onClick={handleSampleSubmit} className="bg-orange-500 text-white px-4 py-2 rounded-lg hover:bg-orange-600">{editingAdjustmentId ? 'Save Changes' : 'Record Sample'}</button><button onClick={resetForms} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
+        </div>
+      )}
+      
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Order</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">End Dest.</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Batch</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Packs</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vials</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
+          <tbody className="divide-y divide-gray-200">
+            {filtered.map(s => (
+              <tr key={s.id} className={liveChange('sales', s.id) ? LIVE_CHANGE_ROW : s.convertedFrom === 'stockHold' ? 'bg-green-50' : ''}>
+                <td className="px-4 py-3 text-sm">{new Date(s.saleDate || s.createdAt).toLocaleDateString()}<AuditTag createdBy={s.createdBy} createdAt={s.createdAt} modifiedBy={s.modifiedBy} modifiedAt={s.modifiedAt} /><LiveChangeTag change={liveChange('sales', s.id)} /><OutboxTag row={s} />{s.convertedFrom === 'stockHold' && <span className="inline-block mt-1 px-1.5 py-0.5 bg-green-100 text-green-700 text-xs rounded">From Hold</span>}</td>
+                <td className="px-4 py-3 text-sm text-gray-600">{orderLabel(orderOf(s))}</td>
+                <td className="px-4 py-3 text-sm font-medium">{s.customer}</td>
+                <td className="px-4 py-3 text-sm">{s.endDestination || s.country || '-'}</td>
+                <td className="px-4 py-3 text-sm text-purple-600">{s.batchNumber}</td>
+                <td className="px-4 py-3 text-sm">{parseFloat(s.units).toFixed(2)}</td>
+                <td className="px-4 py-3 text-sm text-gray-500">{(parseFloat(s.units) * vialsPerPack).toFixed(0)}</td>
+                <td className="px-4 py-3 text-sm font-semibold">{formatMoney(parseFloat(s.units) * parseFloat(s.price), s.currency)}</td>
+                <td className="px-4 py-3 text-sm">
+                  {!s.outboxId && <div className="flex gap-2">
+                    {can('create_sale') && !(orderOf(s) && invoiceFor(orderOf(s))) && <button onClick={() => startEditSale(s)} className="text-blue-600 hover:text-blue-800">Edit</button>}
+                    {can('convert_hold') && s.convertedFrom === 'stockHold' && (<button onClick={() => openRevertModal(s)} className="text-orange-600 hover:text-orange-800 text-xs font-medium">Revert</button>)}
+                    {can('delete') && <button onClick={() => confirmDelete('order line', reason => deleteSale(s.id, reason))} className="text-red-600 hover:text-red-800">Delete</button>}
+                  </div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {filtered.length === 0 && <div className="text-center py-8 text-gray-500">No order lines for {activeSize}</div>}
+        <Pager page={listPages.sales} count={listCounts.sales} onPage={page => loadList('sales', page)} />
+      </div>
+
+      <div className="bg-amber-50 border border-amber-200 rounded-lg shadow overflow-hidden">
+        <div className="px-4 py-3 bg-amber-100 border-b border-amber-200"><h3 className="font-semibold text-amber-800">Stock Holds</h3><p className="text-xs text-amber-600">Click "Convert to Sale" to finalize a hold into an actual sale</p></div>
+        <table className="min-w-full divide-y divide-amber-200">
+          <thead className="bg-amber-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">Customer</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">End Dest.</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">Vials</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">Release On</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">Notes</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">Actions</th></tr></thead>
+          <tbody className="divide-y divide-amber-100">
+            {filteredHolds.map(h => (
+              <tr key={h.id} className={`${isHoldActive(h) ? '' : 'opacity-60'} ${liveChange('stock_holds', h.id) ? LIVE_CHANGE_ROW : ''}`}>
+                <td className="px-4 py-3 text-sm text-amber-800">{new Date(h.holdDate || h.createdAt).toLocaleDateString()}<AuditTag createdBy={h.createdBy} createdAt={h.createdAt} modifiedBy={h.modifiedBy} modifiedAt={h.modifiedAt} /><LiveChangeTag change={liveChange('stock_holds', h.id)} /><OutboxTag row={h} /></td>
+                <td className="px-4 py-3 text-sm font-medium text-amber-800">{h.customer}</td>
+                <td className="px-4 py-3 text-sm text-amber-700">{h.endDestination || h.country || '-'}</td>
+                <td className="px-4 py-3 text-sm text-amber-600">{h.vials}</td>
+                <td className="px-4 py-3 text-sm text-amber-600">{h.expiresOn ? new Date(h.expiresOn).toLocaleDateString() : '-'}{!isHoldActive(h) && <span className="ml-1 px-1.5 py-0.5 bg-gray-200 text-gray-700 text-xs rounded">Released</span>}</td>
+                <td className="px-4 py-3 text-sm text-amber-600">{h.notes || '-'}{proformasFor(h.id).map(d => <button key={d.id} onClick={() => handlePrint(`document-${d.id}`, () => printDocument(d.id))} disabled={printingId === `document-${d.id}`} className="block text-xs text-purple-700 hover:text-purple-900 disabled:opacity-50" title="Reprint this pro-forma invoice">{d.number} ({formatMoney(d.total, d.currency)})</button>)}</td>
+                <td className="px-4 py-3 text-sm">
+                  {!h.outboxId && <div className="flex gap-2">
+                    {can('convert_hold') && <button onClick={() => openConvertModal(h)} className="bg-green-500 hover:bg-green-600 text-white px-2 py-1 rounded text-xs font-medium">Convert to Sale</button>}
+                    {can('create_sale') && <button onClick={() => openProformaModal(h)} className="text-purple-600 hover:text-purple-800 text-xs font-medium">Pro-forma</button>}
+                    {can('create_sale') && <button onClick={() => startEditHold(h)} className="text-blue-600 hover:text-blue-800 text-xs">Edit</button>}
+                    {can('delete') && <button onClick={() => confirmDelete('stock hold', reason => deleteStockHold(h.id, reason))} className="text-red-600 hover:text-red-800 text-xs">Delete</button>}
+                  </div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {filteredHolds.length === 0 && <div className="text-center py-6 text-amber-600">No stock holds for {activeSize}</div>}
+        <Pager page={listPages.stock_holds} count={listCounts.stock_holds} onPage={page => loadList('stock_holds', page)} />
+      </div>
+
+      <div className="bg-orange-50 border border-orange-200 rounded-lg shadow overflow-hidden">
+        <div className="px-4 py-3 bg-orange-100 border-b border-orange-200"><h3 className="font-semibold text-orange-800">Samples & Stock Adjustments</h3><p className="text-xs text-orange-600">Recorded at cost price - deducted from available stock</p></div>
+        <table className="min-w-full divide-y divide-orange-200">
+          <thead className="bg-orange-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Batch</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Reason</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Recipient</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Vials</th>{can('view_costs') && <th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Cost Value</th>}<th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Notes</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Action</th></tr></thead>
+          <tbody className="divide-y divide-orange-100">
+            {filteredAdjustments.map(a => (
+              <tr key={a.id} className={liveChange('stock_adjustments', a.id) ? LIVE_CHANGE_ROW : 'bg-orange-50/50'}>
+                <td className="px-4 py-3 text-sm text-orange-800">{new Date(a.adjustmentDate || a.createdAt).toLocaleDateString()}<AuditTag createdBy={a.createdBy} createdAt={a.createdAt} modifiedBy={a.modifiedBy} modifiedAt={a.modifiedAt} /><LiveChangeTag change={liveChange('stock_adjustments', a.id)} /><OutboxTag row={a} /></td>
+                <td className="px-4 py-3 text-sm font-medium text-orange-700">{a.batchNumber}</td>
+                <td className="px-4 py-3 text-sm text-orange-600">{a.reason}</td>
+                <td className="px-4 py-3 text-sm text-orange-600">{a.recipient || '-'}</td>
+                <td className="px-4 py-3 text-sm text-orange-800">{a.vials} <span className="text-xs text-orange-500">({parseFloat(a.units)?.toFixed(2)}pk)</span></td>
+                {can('view_costs') && <td className="px-4 py-3 text-sm font-semibold text-orange-700">{formatMoney(a.totalCost, a.currency)}</td>}
+                <td className="px-4 py-3 text-sm text-orange-600">{a.notes || '-'}</td>
+                <td className="px-4 py-3 text-sm">{!a.outboxId && <div className="flex gap-2">{can('record_sample') && <button onClick={() => startEditAdjustment(a)} className="text-blue-600 hover:text-blue-800">Edit</button>}{can('delete') && <button onClick={() => confirmDelete('sample', reason => deleteStockAdjustment(a.id, reason))} className="text-red-600 hover:text-red-800">Delete</button>}</div>}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {filteredAdjustments.length === 0 && <div className="text-center py-6 text-orange-600">No samples recorded for {activeSize}</div>}
+        <Pager page={listPages.stock_adjustments} count={listCounts.stock_adjustments} onPage={page => loadList('stock_adjustments', page)} />
+      </div>
+
+      {showConvertModal && selectedHold && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md mx-4">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Convert Stock Hold to Sale</h3>
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-4"><p className="text-sm text-amber-800 font-medium">Stock Hold Details:</p><p className="text-sm text-amber-700">Customer: {selectedHold.customer}</p><p className="text-sm text-amber-700">End Destination: {selectedHold.endDestination || selectedHold.country}</p><p className="text-sm text-amber-700">Size: {selectedHold.size}</p><p className="text-sm text-amber-700">Vials: {selectedHold.vials} ({parseFloat(selectedHold.units).toFixed(2)} packs)</p></div>
+            <div className="space-y-4">
+              <div><label className="block text-sm font-medium text-gray-700 mb-1">Order</label><select value={convertForm.orderId} onChange={(e) => setConvertForm({...convertForm, orderId: e.target.value ? Number(e.target.value) : ''})} className="w-full border rounded-lg px-3 py-2"><option value="">New order</option>{holdOrders.map(o => <option key={o.id} value={o.id}>Add to {orderLabel(o)} ({new Date(o.orderDate).toLocaleDateString()}, {o.currency})</option>)}</select></div>
+              <div><label className="block text-sm font-medium text-gray-700 mb-1">Sale Date</label><input type="date" value={convertOrder ? convertOrder.orderDate : convertForm.saleDate} disabled={!!convertOrder} onChange={(e) => setConvertForm({...convertForm, saleDate: e.target.value})} className="w-full border rounded-lg px-3 py-2 disabled:bg-gray-100" /></div>
+              <div><label className="block text-sm font-medium text-gray-700 mb-1">Batch Number *</label><select value={convertForm.batchNumber} onChange={(e) => setConvertForm({...convertForm, batchNumber: e.target.value})} className="w-full border rounded-lg px-3 py-2"><option value="">Select batch...</option>{batches.map(b => <option key={b.batch} value={b.batch}>{formatBatchOption(b, convertOrder ? convertOrder.orderDate : convertForm.saleDate)}</option>)}</select></div>
+              <div><label className="block text-sm font-medium text-gray-700 mb-1">Price per Vial *</label><div className="flex gap-2"><input type="number" step="0.01" placeholder="0.00" value={convertForm.pricePerVial} onChange={(e) => setConvertForm({...convertForm, pricePerVial: e.target.value})} className="w-full border rounded-lg px-3 py-2" /><select value={convertOrder ? convertOrder.currency : convertForm.currency} disabled={!!convertOrder} onChange={(e) => setConvertForm({...convertForm, currency: e.target.value})} className="border rounded-lg px-3 py-2 disabled:bg-gray-100">{currencies.map(c => <option key={c} value={c}>{c}</option>)}</select></div>{convertForm.pricePerVial && selectedHold && (<p className="text-xs text-gray-500 mt-1">Total: {formatMoney(parseFloat(convertForm.pricePerVial) * selectedHold.vials, convertOrder ? convertOrder.currency : convertForm.currency)} ({formatMoney(parseFloat(convertForm.pricePerVial) * vialsPerPackBySize[selectedHold.size], convertOrder ? convertOrder.currency : convertForm.currency)} per pack)</p>)}</div>
+              <div className="border-t pt-4"><label className="block text-sm font-medium text-red-700 mb-1">🔒 Enter Your Password to Confirm *</label><input type="password" placeholder="Your password" value={convertForm.password} onChange={(e) => setConvertForm({...convertForm, password: e.target.value})} className="w-full border border-red-300 rounded-lg px-3 py-2" /><p className="text-xs text-gray-500 mt-1">Password required for security verification</p></div>
+              {modalError && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{modalError}</div>}
+              <div className="flex gap-2 pt-2"><button onClick={handleConvertToSale} disabled={modalLoading} className="flex-1 bg-green-600 text-white py-2 rounded-lg hover:bg-green-700 disabled:opacity-50">{modalLoading ? 'Converting...' : 'Convert to Sale'}</button><button onClick={() => { setShowConvertModal(false); setSelectedHold(null); }} className="flex-1 bg-gray-200 py-2 rounded-lg hover:bg-gray-300">Cancel</button></div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showProformaModal && selectedHold && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md mx-4">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Pro-forma Invoice</h3>
+            <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-4"><p className="text-sm text-amber-700">Customer: {selectedHold.customer}</p><p className="text-sm text-amber-700">Size: {selectedHold.size}</p><p className="text-sm text-amber-700">Vials: {selectedHold.vials} ({parseFloat(selectedHold.units).toFixed(2)} packs)</p></div>
+            <div className="space-y-4">
+              <div><label className="block text-sm font-medium text-gray-700 mb-1">Price per Vial *</label><div className="flex gap-2"><input type="number" step="0.01" placeholder="0.00" value={proformaForm.pricePerVial} onChange={(e) => setProformaForm({...proformaForm, pricePerVial: e.target.value})} className="w-full border rounded-lg px-3 py-2" /><select value={proformaForm.currency} onChange={(e) => setProformaForm({...proformaForm, currency: e.target.value})} className="border rounded-lg px-3 py-2">{currencies.map(c => <option key={c} value={c}>{c}</option>)}</select></div>{proformaForm.pricePerVial && (<p className="text-xs text-gray-500 mt-1">Total: {formatMoney(parseFloat(proformaForm.pricePerVial) * selectedHold.vials, proformaForm.currency)}</p>)}</div>
+              <p className="text-xs text-gray-500">Each pro-forma gets its own number and is kept as issued. No batch is printed until the hold is converted to a sale.</p>
+              {modalError && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{modalError}</div>}
+              <div className="flex gap-2 pt-2"><button onClick={handleIssueProforma} disabled={modalLoading} className="flex-1 bg-purple-600 text-white py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50">{modalLoading ? 'Generating...' : 'Issue Pro-forma'}</button><button onClick={() => { setShowProformaModal(false); setSelectedHold(null); }} className="flex-1 bg-gray-200 py-2 rounded-lg hover:bg-gray-300">Cancel</button></div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showRevertModal && selectedSale && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md mx-4">
+            <h3 className="text-lg font-semibold text-orange-700 mb-4">⚠️ Revert Sale to Stock Hold</h3>
+            <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-4"><p className="text-sm text-orange-800 font-medium">Once a second user approves, this will:</p><ul className="text-sm text-orange-700 list-disc list-inside mt-2"><li>Remove this line from its order (and the order, if it is the last line)</li><li>Restore the stock hold</li><li>Update all inventory metrics</li></ul></div>
+            <div className="bg-gray-50 border rounded-lg p-4 mb-4"><p className="text-sm text-gray-800 font-medium">Sale Details:</p><p className="text-sm text-gray-700">Customer: {selectedSale.customer}</p><p className="text-sm text-gray-700">Batch: {selectedSale.batchNumber}</p><p className="text-sm text-gray-700">Amount: {formatMoney(parseFloat(selectedSale.units) * parseFloat(selectedSale.price), selectedSale.currency)}</p>{orderOf(selectedSale) && invoiceFor(orderOf(selectedSale)) && <p className="text-sm text-orange-700 mt-2">Invoice {invoiceFor(orderOf(selectedSale)).number} stays issued and must be credited separately.</p>}</div>
+            <div className="space-y-4">
+              <div><label className="block text-sm font-medium text-gray-700 mb-1">Reason *</label><input type="text" placeholder="Why should this sale be reverted?" value={revertReason} onChange={(e) => setRevertReason(e.target.value)} className="w-full border rounded-lg px-3 py-2" /></div>
+              {modalError && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{modalError}</div>}
+              <div className="flex gap-2 pt-2"><button onClick={handleRevertToHold} disabled={modalLoading} className="flex-1 bg-orange-600 text-white py-2 rounded-lg hover:bg-orange-700 disabled:opacity-50">{modalLoading ? 'Requesting...' : 'Request Reversion'}</button><button onClick={() => { setShowRevertModal(false); setSelectedSale(null); setRevertReason(''); }} className="flex-1 bg-gray-200 py-2 rounded-lg hover:bg-gray-300">Cancel</button></div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// An empty batch means "split FEFO when saved"
+const newOrderLine = (size = '') => ({ size, batchNumber: '', vials: '', pricePerVial: '' });
+
+// New orders, and header changes plus extra lines for an existing order.
+// Existing lines are edited one at a time from the lines table.
+const OrderForm = ({ order, lines, sizes, vialsPerPackBySize, customers, currencies, stock, stockHolds, saveOrder, onClose }) => {
+  const [header, setHeader] = useState(order
+    ? { customerId: order.customerId || '', customer: order.customer, country: order.country || '', endDestination: order.endDestination || '', orderDate: order.orderDate, reference: order.reference || '', currency: order.currency || BASE_CURRENCY, notes: order.notes || '' }
+    : { customerId: '', customer: '', country: '', endDestination: '', orderDate: new Date().toISOString().split('T')[0], reference: '', currency: BASE_CURRENCY, notes: '' });
+  const [newLines, setNewLines] = useState(order ? [] : [newOrderLine(sizes[0])]);
+  const [saving, setSaving] = useState(false);
+
+  const handleCustomer = (id) => {
+    const c = customers.find(c => c.id === id);
+    setHeader({ ...header, customerId: id, customer: c ? c.name : '', country: c ? c.country : '' });
+  };
+
+  const licenceError = checkCustomerLicence(customers.find(c => c.id === header.customerId), header.orderDate);
+
+  const setLine = (index, changes) => setNewLines(newLines.map((l, i) => i === index ? { ...l, ...changes } : l));
+  const allocated = allocateOrderLines(stock, newLines, vialsPerPackBySize, header.orderDate);
+
+  // Vials per size in the new lines that would come out of stock held for other customers
+  const reservationDips = [...new Set(newLines.map(l => l.size))].map(size => {
+    const vialsPerPack = vialsPerPackBySize[size];
+    const vials = newLines.filter(l => l.size === size).reduce((sum, l) => sum + (parseFloat(l.vials) || 0), 0);
+    if (!vialsPerPack || !vials || !header.customer) return null;
+    const onHand = availableBatches(buildBatchLedger(stock, size, vialsPerPack)).reduce((sum, b) => sum + b.availableVials, 0);
+    const others = reservationsForOthers(summarizeReservations(stockHolds, size, vialsPerPack), header.customerId, header.customer);
+    const short = Math.max(0, vials - (onHand - others.reduce((sum, r) => sum + r.vials, 0)));
+    return short > 0 ? { size, vials: short, others } : null;
+  }).filter(Boolean);
+
+  const handleSave = async () => {
+    if (!header.customer || !header.endDestination || !header.orderDate) { alert('Customer, end destination and order date are required'); return; }
+    if (licenceError) { alert(licenceError); return; }
+    if (!order && !newLines.length) { alert('Add at least one line'); return; }
+    if (newLines.some(l => !l.size || !(parseFloat(l.vials) > 0) || l.pricePerVial === '' || !(parseFloat(l.pricePerVial) >= 0))) { alert('Every line needs a size, vials and a price per vial'); return; }
+    const stockError = allocated.find(a => a.error);
+    if (stockError) { alert(stockError.error); return; }
+    if (reservationDips.length && !window.confirm(`This order uses vials reserved for other customers (${reservationDips.map(d => `${d.size}: ${d.vials} vials`).join(', ')}). Continue anyway?`)) return;
+    setSaving(true);
+    const result = await saveOrder(order?.id, header, newLines);
+    setSaving(false);
+    if (!result.success) { alert(result.error || 'Failed to save order'); return; }
+    onClose();
+  };
+
+  const newTotal = newLines.reduce((sum, l) => sum + (parseFloat(l.vials) || 0) * (parseFloat(l.pricePerVial) || 0), 0);
+  const existingTotal = lines.reduce((sum, l) => sum + parseFloat(l.units) * parseFloat(l.price), 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4">
+      <h3 className="font-semibold">{order ? `Edit ${orderLabel(order)}` : 'New Order'}</h3>
+      <div className="grid grid-cols-2 gap-4">
+        <select value={header.customerId} onChange={(e) => handleCustomer(e.target.value)} className="border rounded-lg px-3 py-2">
+          <option value="">{order && !header.customerId ? header.customer : 'Select customer...'}</option>
+          {customers.map(c => <option key={c.id} value={c.id}>{c.name} - {c.country}{licenceExpired(c, header.orderDate) ? ' (licence expired)' : ''}</option>)}
+        </select>
+        <select value={header.endDestination} onChange={(e) => setHeader({...header, endDestination: e.target.value})} className="border rounded-lg px-3 py-2">
+          <option value="">Select end destination...</option>
+          {COUNTRIES.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+      </div>
+      <div className="grid grid-cols-3 gap-4">
+        <div><label className="block text-xs text-gray-500 mb-1">Order Date</label><input type="date" value={header.orderDate} onChange={(e) => setHeader({...header, orderDate: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+        <div><label className="block text-xs text-gray-500 mb-1">Reference (e.g. customer PO)</label><input type="text" value={header.reference} onChange={(e) => setHeader({...header, reference: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+        <div><label className="block text-xs text-gray-500 mb-1">Currency</label><select value={header.currency} onChange={(e) => setHeader({...header, currency: e.target.value})} className="border rounded-lg px-3 py-2 w-full">{currencies.map(c => <option key={c} value={c}>{c}</option>)}</select></div>
+      </div>
+      <input type="text" placeholder="Notes (optional)" value={header.notes} onChange={(e) => setHeader({...header, notes: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+      {licenceError && <div className="bg-red-50 p-3 rounded text-sm text-red-700">{licenceError}</div>}
+
+      {lines.length > 0 && (
+        <div className="bg-gray-50 p-3 rounded text-sm">
+          <p className="font-medium mb-1">Lines on this order</p>
+          {lines.map(l => <p key={l.id} className="text-gray-600">{l.size} - batch {l.batchNumber} - {(parseFloat(l.units) * vialsPerPackBySize[l.size]).toFixed(0)} vials at {formatMoney(parseFloat(l.price) / vialsPerPackBySize[l.size], header.currency)}/vial</p>)}
+          <p className="text-xs text-gray-500 mt-1">Changing the currency re-labels these prices; it does not convert them.</p>
+        </div>
+      )}
+
+      {newLines.map((l, i) => {
+        const vialsPerPack = vialsPerPackBySize[l.size];
+        const batches = l.size ? availableBatches(buildBatchLedger(stock, l.size, vialsPerPack)) : [];
+        const { allocations, error } = allocated[i];
+        return (
+          <div key={i} className="border rounded-lg p-3 space-y-2">
+            <div className="grid grid-cols-5 gap-3 items-end">
+              <div><label className="block text-xs text-gray-500 mb-1">Size</label><select value={l.size} onChange={(e) => setLine(i, { size: e.target.value, batchNumber: '' })} className="border rounded-lg px-3 py-2 w-full">{sizes.map(s => <option key={s} value={s}>{s}</option>)}</select></div>
+              <div className="col-span-2"><label className="block text-xs text-gray-500 mb-1">Batch</label><select value={l.batchNumber} onChange={(e) => setLine(i, { batchNumber: e.target.value })} className="border rounded-lg px-3 py-2 w-full"><option value="">Auto-allocate (FEFO)</option>{batches.map(b => <option key={b.batch} value={b.batch}>{formatBatchOption(b, header.orderDate)}</option>)}</select></div>
+              <div><label className="block text-xs text-gray-500 mb-1">Vials</label><input type="number" value={l.vials} onChange={(e) => setLine(i, { vials: e.target.value })} className="border rounded-lg px-3 py-2 w-full" /></div>
+              <div><label className="block text-xs text-gray-500 mb-1">Price per vial ({header.currency})</label><input type="number" step="0.01" value={l.pricePerVial} onChange={(e) => setLine(i, { pricePerVial: e.target.value })} className="border rounded-lg px-3 py-2 w-full" /></div>
+            </div>
+            <div className="flex justify-between items-center text-xs">
+              <span className={error ? 'text-red-700' : 'text-gray-500'}>
+                {error || (allocations.length > 0 && `${l.batchNumber ? 'Batch' : 'FEFO'}: ${allocations.map(a => `${a.batch} × ${a.vials} vials`).join(', ')}${vialsPerPack ? ` = ${((parseFloat(l.vials) || 0) / vialsPerPack).toFixed(2)} packs` : ''}`)}
+              </span>
+              {(order || newLines.length > 1) && <button onClick={() => setNewLines(newLines.filter((_, j) => j !== i))} className="text-red-600">Remove</button>}
+            </div>
+          </div>
+        );
+      })}
+      <button onClick={() => setNewLines([...newLines, newOrderLine(sizes[0])])} className="text-purple-600 text-sm">+ Add line</button>
+
+      {reservationDips.map(d => (
+        <div key={d.size} className="bg-amber-50 border border-amber-200 p-3 rounded text-sm text-amber-800">
+          ⚠️ {d.vials} {d.size} vials on this order are reserved for other customers: {d.others.map(r => `${r.customer} (${r.vials})`).join(', ')}.
+        </div>
+      ))}
+      <p className="text-sm font-semibold">Order total: {formatMoney(existingTotal + newTotal, header.currency)}</p>
+      <div className="flex gap-2"><button onClick={handleSave} disabled={saving} className="bg-purple-600 text-white px-4 py-2 rounded-lg disabled:opacity-50">{saving ? 'Saving...' : order ? 'Save Changes' : 'Save Order'}</button><button onClick={onClose} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
+    </div>
+  );
+};
+
+// ==================== PURCHASES COMPONENT ====================
+const Purchases = ({ liveChange, sizes, vialsPerPackBySize, purchases, addPurchase, updatePurchase, deletePurchase, listPage, listCount, loadList, activeSize, setActiveSize, can, suppliers, currencies }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState({ supplierId: '', supplier: '', batchNumber: '', expiryDate: '', vials: '', costPerVial: '', currency: BASE_CURRENCY, purchaseDate: new Date().toISOString().split('T')[0] });
+
+  const resetForm = () => {
+    setForm({ supplierId: '', supplier: '', batchNumber: '', expiryDate: '', vials: '', costPerVial: '', currency: BASE_CURRENCY, purchaseDate: new Date().toISOString().split('T')[0] });
+    setEditingId(null);
+    setShowForm(false);
+  };
+
+  const startEdit = (p) => {
+    const vialsPerPack = vialsPerPackBySize[p.size];
+    setForm({ supplierId: p.supplierId || '', supplier: p.supplier, batchNumber: p.batchNumber, expiryDate: p.expiryDate || '', vials: String(Math.round(parseFloat(p.units) * vialsPerPack)), costPerVial: String(parseFloat(p.cost) / vialsPerPack), currency: p.currency || BASE_CURRENCY, purchaseDate: p.purchaseDate || new Date(p.createdAt).toISOString().split('T')[0] });
+    setEditingId(p.id);
+    setShowForm(true);
+  };
+
+  const selectSize = (size) => {
+    if (editingId) resetForm();
+    setActiveSize(size);
+  };
+
+  const handleSupplier = (id) => {
+    const s = suppliers.find(s => s.id === id);
+    setForm({ ...form, supplierId: id, supplier: s ? s.name : '' });
+  };
+
+  const handleSubmit = async () => {
+    if (!form.supplier || !form.batchNumber || !form.expiryDate || !form.vials || !form.costPerVial) { alert('Fill all fields'); return; }
+    const vials = parseFloat(form.vials);
+    const vialsPerPack = vialsPerPackBySize[activeSize];
+    const packs = vials / vialsPerPack;
+    const costPerPack = parseFloat(form.costPerVial) * vialsPerPack;
+    const result = editingId
+      ? await updatePurchase(editingId, { ...form, units: packs, cost: costPerPack })
+      : await addPurchase({ ...form, size: activeSize, units: packs, cost: costPerPack });
+    if (!result.success) { alert(result.error || 'Failed to save purchase'); return; }
+    resetForm();
+  };
+
+  const filtered = purchases.filter(p => p.size === activeSize);
+  const vialsPerPack = vialsPerPackBySize[activeSize];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold">Purchases</h2>
+        {can('record_purchase') && <button onClick={() => { const open = !showForm || editingId; resetForm(); setShowForm(open); }} className="flex items-center gap-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"><Plus className="w-4 h-4" /> Add Purchase</button>}
+      </div>
+      <div className="flex space-x-2 border-b">{sizes.map(s => (<button key={s} onClick={() => selectSize(s)} className={`px-4 py-2 text-sm ${activeSize === s ? 'border-b-2 border-green-500 text-green-600' : 'text-gray-600'}`}>{s}</button>))}</div>
+      
+      {showForm && (
+        <div className="bg-white rounded-lg shadow p-6 space-y-4">
+          <h3 className="font-semibold">{editingId ? 'Edit Purchase' : 'New Purchase'} - {activeSize} <span className="text-sm font-normal text-gray-500">({vialsPerPack} vials per pack)</span></h3>
+          <select value={form.supplierId} onChange={(e) => handleSupplier(e.target.value)} className="w-full border rounded-lg px-3 py-2"><option value="">Select supplier...</option>{suppliers.map(s => <option key={s.id} value={s.id}>{s.name} - {s.country}</option>)}</select>
+          <div className="grid grid-cols-2 gap-4">
+            <div><label className="block text-xs text-gray-500 mb-1">Batch Number *</label><input type="text" placeholder="Enter batch number" value={form.batchNumber} onChange={(e) => setForm({...form, batchNumber: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <div><label className="block text-xs text-gray-500 mb-1">Batch Expiry Date *</label><input type="date" value={form.expiryDate} onChange={(e) => setForm({...form, expiryDate: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+          </div>
+          <div className="grid grid-cols-4 gap-4">
+            <div><label className="block text-xs text-gray-500 mb-1">Invoice Date *</label><input type="date" value={form.purchaseDate} onChange={(e) => setForm({...form, purchaseDate: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <div><label className="block text-xs text-gray-500 mb-1">Number of Vials *</label><input type="number" placeholder="Enter vials" value={form.vials} onChange={(e) => setForm({...form, vials: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />{form.vials && <p className="text-xs text-gray-500 mt-1">= {(parseFloat(form.vials) / vialsPerPack).toFixed(2)} packs</p>}</div>
+            <div><label className="block text-xs text-gray-500 mb-1">Cost per Vial ({form.currency}) *</label><input type="number" placeholder="0.00" step="0.01" value={form.costPerVial} onChange={(e) => setForm({...form, costPerVial: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />{form.costPerVial && <p className="text-xs text-gray-500 mt-1">= {formatMoney(parseFloat(form.costPerVial) * vialsPerPack, form.currency)} per pack</p>}</div>
+            <div><label className="block text-xs text-gray-500 mb-1">Invoice Currency</label><select value={form.currency} onChange={(e) => setForm({...form, currency: e.target.value})} className="border rounded-lg px-3 py-2 w-full">{currencies.map(c => <option key={c} value={c}>{c}</option>)}</select></div>
+          </div>
+          <div className="flex gap-2"><button onClick={handleSubmit} className="bg-green-600 text-white px-4 py-2 rounded-lg">{editingId ? 'Save Changes' : 'Save'}</button><button onClick={resetForm} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
         </div>
-        <div className="space-y-4">
-          <input
-            type="text"
-            value={username}
-            onChange={(e) => setUsername(e.target.value)}
-            onKeyPress={(e) => e.key === 'Enter' && handleSubmit()}
-            placeholder="Username"
-            className="w-full border rounded-lg px-3 py-2"
-            disabled={loading}
-          />
-          <input
-            type="password"
-            value={password}
-            onChange={(e) => setPassword(e.target.value)}
-            onKeyPress={(e) => e.key === 'Enter' && handleSubmit()}
-            placeholder="Password"
-            className="w-full border rounded-lg px-3 py-2"
-            disabled={loading}
-          />
-          {error && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{error}</div>}
-          <button
-            onClick={handleSubmit}
-            disabled={loading}
-            className="w-full bg-blue-600 text-white py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2"
-          >
-            {loading ? (
-              <>
-                <RefreshCw className="w-4 h-4 animate-spin" />
-                Signing in...
-              </>
-            ) : (
-              'Sign In'
-            )}
+      )}
+      
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Batch</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expiry</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Packs</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vials</th>{can('view_costs') && <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total</th>}<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
+          <tbody className="divide-y divide-gray-200">
+            {filtered.map(p => {
+              const status = expiryBucket(p.expiryDate);
+              const isExp = status === 'expired';
+              return (
+                <tr key={p.id} className={liveChange('purchases', p.id) ? LIVE_CHANGE_ROW : isExp ? 'bg-red-50' : ''}>
+                  <td className="px-4 py-3 text-sm">{new Date(p.purchaseDate || p.createdAt).toLocaleDateString()}<AuditTag createdBy={p.createdBy} createdAt={p.createdAt} modifiedBy={p.modifiedBy} modifiedAt={p.modifiedAt} /><LiveChangeTag change={liveChange('purchases', p.id)} /></td>
+                  <td className="px-4 py-3 text-sm font-medium">{p.supplier}</td>
+                  <td className="px-4 py-3 text-sm text-green-600">{p.batchNumber}{p.pipelinePurchaseId && <div className="text-xs text-orange-600 font-mono">PO {p.poNumber || '-'}</div>}</td>
+                  <td className="px-4 py-3 text-sm">{p.expiryDate ? <span className={isExp ? 'text-red-600 font-bold' : ''}>{new Date(p.expiryDate).toLocaleDateString()}{isExp && ' (EXPIRED)'}</span> : '-'}{status === 'under90' && <span className="block text-xs text-orange-600">Expires in {daysToExpiry(p.expiryDate)} days</span>}</td>
+                  <td className="px-4 py-3 text-sm">{parseFloat(p.units).toFixed(2)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-500">{(parseFloat(p.units) * vialsPerPack).toFixed(0)}</td>
+                  {can('view_costs') && <td className="px-4 py-3 text-sm font-semibold">{formatMoney(parseFloat(p.units) * parseFloat(p.cost), p.currency)}</td>}
+                  <td className="px-4 py-3 text-sm"><div className="flex gap-2">{can('record_purchase') && <button onClick={() => startEdit(p)} className="text-blue-600">Edit</button>}{can('delete') && <button onClick={() => confirmDelete('purchase', reason => deletePurchase(p.id, reason))} className="text-red-600">Delete</button>}</div></td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {filtered.length === 0 && <div className="text-center py-8 text-gray-500">No purchases for {activeSize}</div>}
+        <Pager page={listPage} count={listCount} onPage={page => loadList('purchases', page)} />
+      </div>
+    </div>
+  );
+};
+
+// ==================== PIPELINE COMPONENT ====================
+// Manual steps allowed from each status; "Received" is reached through goods-in (mirrors change_pipeline_status)
+const PIPELINE_NEXT_STATUSES = {
+  'Ordered': ['In Transit', 'Delayed', 'Cancelled'],
+  'In Transit': ['Delayed', 'Cancelled'],
+  'Delayed': ['In Transit', 'Cancelled'],
+  'Partially Received': ['In Transit', 'Delayed', 'Cancelled']
+};
+const PIPELINE_STATUS_STYLES = {
+  'Received': 'bg-green-100 text-green-800',
+  'Partially Received': 'bg-yellow-100 text-yellow-800',
+  'In Transit': 'bg-blue-100 text-blue-800',
+  'Delayed': 'bg-red-100 text-red-800',
+  'Cancelled': 'bg-gray-200 text-gray-500 line-through'
+};
+const isPipelineOpen = (p) => !['Received', 'Cancelled'].includes(p.status);
+const isPipelineOverdue = (p) => isPipelineOpen(p) && !!p.expectedDate && p.expectedDate < today();
+const newReceiptLine = (vials = '') => ({ batchNumber: '', expiryDate: '', vials });
+
+const Pipeline = ({ liveChange, sizes, vialsPerPackBySize, pipelinePurchases, addPipelinePurchase, updatePipelinePurchase, deletePipelinePurchase, changePipelineStatus, receivePipelineOrder, receipts, openOnly, setOpenOnly, listPage, listCount, loadList, can, suppliers, currencies }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [receiving, setReceiving] = useState(null);
+  const [receipt, setReceipt] = useState({ purchaseDate: '', lines: [] });
+  const [statusChange, setStatusChange] = useState(null);
+  const [timelineId, setTimelineId] = useState(null);
+  const [timeline, setTimeline] = useState([]);
+  const [timelineLoading, setTimelineLoading] = useState(false);
+  const [form, setForm] = useState({ poNumber: '', supplier: '', size: sizes[0] || '', vials: '', pricePerVial: '', currency: BASE_CURRENCY, expectedDate: '' });
+
+  const resetForm = () => {
+    setForm({ poNumber: '', supplier: '', size: sizes[0] || '', vials: '', pricePerVial: '', currency: BASE_CURRENCY, expectedDate: '' });
+    setEditingId(null);
+    setShowForm(false);
+  };
+
+  const startEdit = (p) => {
+    const vialsPerPack = vialsPerPackBySize[p.size];
+    setReceiving(null);
+    setForm({ poNumber: p.poNumber, supplier: p.supplier, size: p.size, vials: String(Math.round(parseFloat(p.units) * vialsPerPack)), pricePerVial: String(parseFloat(p.price) / vialsPerPack), currency: p.currency || BASE_CURRENCY, expectedDate: p.expectedDate || '' });
+    setEditingId(p.id);
+    setShowForm(true);
+  };
+
+  const handleSubmit = async () => {
+    if (!form.poNumber || !form.supplier || !form.vials || !form.pricePerVial || !form.expectedDate) { alert('Fill all fields'); return; }
+    const vials = parseFloat(form.vials);
+    const vialsPerPack = vialsPerPackBySize[form.size];
+    const packs = vials / vialsPerPack;
+    const pricePerPack = parseFloat(form.pricePerVial) * vialsPerPack;
+    const pipelineOrder = { ...form, units: packs, price: pricePerPack, totalValue: packs * pricePerPack };
+    const result = editingId ? await updatePipelinePurchase(editingId, pipelineOrder) : await addPipelinePurchase(pipelineOrder);
+    if (!result.success) { alert(result.error || 'Failed to save pipeline order'); return; }
+    resetForm();
+  };
+
+  const outstandingVials = (p) => Math.round((parseFloat(p.units) - receivedForOrder(receipts, p.id)) * vialsPerPackBySize[p.size] * 1e6) / 1e6;
+
+  const startReceive = (p) => {
+    resetForm();
+    setReceipt({ purchaseDate: new Date().toISOString().split('T')[0], lines: [newReceiptLine(String(outstandingVials(p)))] });
+    setReceiving(p);
+  };
+
+  const setReceiptLine = (index, changes) => setReceipt({ ...receipt, lines: receipt.lines.map((l, i) => i === index ? { ...l, ...changes } : l) });
+
+  const handleReceive = async () => {
+    const { lines, purchaseDate } = receipt;
+    if (!purchaseDate || lines.some(l => !l.batchNumber || !l.expiryDate || !(parseFloat(l.vials) > 0))) { alert('Enter a batch number, expiry date and vials for every line'); return; }
+    const vials = lines.reduce((sum, l) => sum + parseFloat(l.vials), 0);
+    if (vials > outstandingVials(receiving)) { alert(`Only ${outstandingVials(receiving)} vials are outstanding on PO ${receiving.poNumber}`); return; }
+    const vialsPerPack = vialsPerPackBySize[receiving.size];
+    const result = await receivePipelineOrder(receiving.id, { purchaseDate, lines: lines.map(l => ({ ...l, batchNumber: l.batchNumber.trim(), units: parseFloat(l.vials) / vialsPerPack })) });
+    if (!result.success) { alert(result.error || 'Failed to receive pipeline order'); return; }
+    setReceiving(null);
+    if (timelineId === receiving.id) loadTimeline(receiving.id);
+  };
+
+  const startStatusChange = (p) => setStatusChange({ id: p.id, status: PIPELINE_NEXT_STATUSES[p.status][0], note: '' });
+
+  const handleStatusChange = async () => {
+    const result = await changePipelineStatus(statusChange.id, statusChange.status, statusChange.note.trim());
+    if (!result.success) { alert(result.error || 'Failed to change status'); return; }
+    if (timelineId === statusChange.id) loadTimeline(statusChange.id);
+    setStatusChange(null);
+  };
+
+  const loadTimeline = async (id) => {
+    setTimelineLoading(true);
+    try {
+      const { data, error } = await supabase.from('pipeline_status_history').select('*').eq('pipeline_purchase_id', id).order('changed_at');
+      if (error) throw error;
+      setTimeline((data || []).map(toCamelCase));
+    } catch (e) { console.error('Load pipeline status history error:', e); }
+    setTimelineLoading(false);
+  };
+
+  const toggleTimeline = (id) => {
+    if (timelineId === id) { setTimelineId(null); return; }
+    setTimelineId(id);
+    setTimeline([]);
+    loadTimeline(id);
+  };
+
+  const overdue = pipelinePurchases.filter(isPipelineOverdue);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold">Pipeline Orders</h2>
+        <label className="ml-auto mr-4 flex items-center gap-2 text-sm text-gray-600"><input type="checkbox" checked={openOnly} onChange={e => setOpenOnly(e.target.checked)} /> Open orders only</label>
+        {can('record_purchase') && <button onClick={() => { const open = !showForm || editingId; resetForm(); setShowForm(open); }} className="flex items-center gap-2 bg-orange-600 text-white px-4 py-2 rounded-lg hover:bg-orange-700"><Plus className="w-4 h-4" /> Add Pipeline Order</button>}
+      </div>
+
+      {overdue.length > 0 && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 mt-0.5" />
+          <div className="text-sm text-red-800"><strong>{overdue.length} order{overdue.length === 1 ? ' is' : 's are'} overdue:</strong> {overdue.map(p => `PO ${p.poNumber} (expected ${new Date(p.expectedDate).toLocaleDateString()})`).join(', ')}</div>
+        </div>
+      )}
+      
+      {showForm && (
+        <div className="bg-white rounded-lg shadow p-6 space-y-4">
+          <h3 className="font-semibold">{editingId ? 'Edit Pipeline Order' : 'New Pipeline Order'}</h3>
+          <div className="grid grid-cols-2 gap-4">
+            <input type="text" placeholder="PO Number" value={form.poNumber} onChange={(e) => setForm({...form, poNumber: e.target.value})} className="border rounded-lg px-3 py-2" />
+            <select value={form.supplier} onChange={(e) => setForm({...form, supplier: e.target.value})} className="border rounded-lg px-3 py-2"><option value="">Select supplier...</option>{suppliers.map(s => <option key={s.id} value={s.name}>{s.name}</option>)}</select>
+          </div>
+          <div className="grid grid-cols-3 gap-4">
+            <select value={form.size} onChange={(e) => setForm({...form, size: e.target.value})} className="border rounded-lg px-3 py-2">{sizes.map(s => <option key={s} value={s}>{s}</option>)}</select>
+            <input type="number" placeholder="Number of Vials" value={form.vials} onChange={(e) => setForm({...form, vials: e.target.value})} className="border rounded-lg px-3 py-2" />
+            <input type="number" placeholder={`Price per vial (${form.currency})`} step="0.01" value={form.pricePerVial} onChange={(e) => setForm({...form, pricePerVial: e.target.value})} className="border rounded-lg px-3 py-2" />
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div><label className="block text-xs text-gray-500 mb-1">Expected Date *</label><input type="date" value={form.expectedDate} onChange={(e) => setForm({...form, expectedDate: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <div><label className="block text-xs text-gray-500 mb-1">Order Currency</label><select value={form.currency} onChange={(e) => setForm({...form, currency: e.target.value})} className="border rounded-lg px-3 py-2 w-full">{currencies.map(c => <option key={c} value={c}>{c}</option>)}</select></div>
+          </div>
+          <div className="flex gap-2"><button onClick={handleSubmit} className="bg-orange-600 text-white px-4 py-2 rounded-lg">{editingId ? 'Save Changes' : 'Save'}</button><button onClick={resetForm} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
+        </div>
+      )}
+      
+      {receiving && (
+        <div className="bg-white rounded-lg shadow p-6 space-y-4">
+          <h3 className="font-semibold">Goods In - PO {receiving.poNumber}</h3>
+          <div className="bg-orange-50 p-3 rounded-lg text-sm">
+            <p><strong>Supplier:</strong> {receiving.supplier}</p>
+            <p><strong>Size:</strong> {receiving.size} ({vialsPerPackBySize[receiving.size]} vials per pack)</p>
+            <p><strong>Price:</strong> {formatMoney(parseFloat(receiving.price) / vialsPerPackBySize[receiving.size], receiving.currency)} per vial</p>
+            <p><strong>Outstanding:</strong> {outstandingVials(receiving)} of {Math.round(parseFloat(receiving.units) * vialsPerPackBySize[receiving.size])} vials</p>
+          </div>
+          <div className="w-1/3"><label className="block text-xs text-gray-500 mb-1">Invoice Date *</label><input type="date" value={receipt.purchaseDate} onChange={(e) => setReceipt({...receipt, purchaseDate: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+          {receipt.lines.map((l, i) => (
+            <div key={i} className="grid grid-cols-4 gap-4 items-end">
+              <div><label className="block text-xs text-gray-500 mb-1">Batch Number *</label><input type="text" placeholder="Enter batch number" value={l.batchNumber} onChange={(e) => setReceiptLine(i, { batchNumber: e.target.value })} className="border rounded-lg px-3 py-2 w-full" /></div>
+              <div><label className="block text-xs text-gray-500 mb-1">Batch Expiry Date *</label><input type="date" value={l.expiryDate} onChange={(e) => setReceiptLine(i, { expiryDate: e.target.value })} className="border rounded-lg px-3 py-2 w-full" /></div>
+              <div><label className="block text-xs text-gray-500 mb-1">Vials Received *</label><input type="number" placeholder="Enter vials" value={l.vials} onChange={(e) => setReceiptLine(i, { vials: e.target.value })} className="border rounded-lg px-3 py-2 w-full" /></div>
+              <div>{receipt.lines.length > 1 && <button onClick={() => setReceipt({ ...receipt, lines: receipt.lines.filter((_, j) => j !== i) })} className="text-red-600 text-sm py-2">Remove</button>}</div>
+            </div>
+          ))}
+          <button onClick={() => setReceipt({ ...receipt, lines: [...receipt.lines, newReceiptLine()] })} className="text-orange-600 text-sm">+ Add another batch</button>
+          <div className="flex gap-2"><button onClick={handleReceive} className="bg-orange-600 text-white px-4 py-2 rounded-lg">Receive into Stock</button><button onClick={() => setReceiving(null)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">PO #</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Size</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Packs</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Received</th>{can('view_costs') && <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Value</th>}<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expected</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
+          <tbody className="divide-y divide-gray-200">
+            {pipelinePurchases.map(p => (
+              <React.Fragment key={p.id}>
+                <tr className={liveChange('pipeline_purchases', p.id) ? LIVE_CHANGE_ROW : p.status === 'Delayed' || isPipelineOverdue(p) ? 'bg-red-50' : ''}>
+                  <td className="px-4 py-3 text-sm text-orange-600 font-mono">{p.poNumber}<AuditTag createdBy={p.createdBy} createdAt={p.createdAt} modifiedBy={p.modifiedBy} modifiedAt={p.modifiedAt} /><LiveChangeTag change={liveChange('pipeline_purchases', p.id)} /></td>
+                  <td className="px-4 py-3 text-sm">{p.supplier}</td>
+                  <td className="px-4 py-3 text-sm">{p.size}</td>
+                  <td className="px-4 py-3 text-sm">{parseFloat(p.units).toFixed(2)}</td>
+                  <td className="px-4 py-3 text-sm">{receivedForOrder(receipts, p.id).toFixed(2)}</td>
+                  {can('view_costs') && <td className="px-4 py-3 text-sm font-semibold">{formatMoney(p.totalValue, p.currency)}</td>}
+                  <td className="px-4 py-3 text-sm">{new Date(p.expectedDate).toLocaleDateString()}</td>
+                  <td className="px-4 py-3 text-sm"><span className={`px-2 py-1 rounded text-xs ${PIPELINE_STATUS_STYLES[p.status] || 'bg-gray-100'}`}>{p.status}</span>{isPipelineOverdue(p) && <span className="ml-1 px-2 py-1 rounded text-xs bg-red-600 text-white">Overdue</span>}</td>
+                  <td className="px-4 py-3 text-sm"><div className="flex gap-2">{can('record_purchase') && isPipelineOpen(p) && <button onClick={() => startReceive(p)} className="text-green-600">Receive</button>}{can('record_purchase') && PIPELINE_NEXT_STATUSES[p.status] && <button onClick={() => startStatusChange(p)} className="text-orange-600">Status</button>}<button onClick={() => toggleTimeline(p.id)} className="text-gray-600">{timelineId === p.id ? 'Hide' : 'History'}</button>{can('record_purchase') && <button onClick={() => startEdit(p)} className="text-blue-600">Edit</button>}{can('delete') && <button onClick={() => confirmDelete('pipeline order', reason => deletePipelinePurchase(p.id, reason))} className="text-red-600">Delete</button>}</div></td>
+                </tr>
+                {statusChange?.id === p.id && (
+                  <tr className="bg-orange-50">
+                    <td colSpan="9" className="px-4 py-3">
+                      <div className="flex gap-3 items-end">
+                        <div><label className="block text-xs text-gray-500 mb-1">New status</label><select value={statusChange.status} onChange={(e) => setStatusChange({...statusChange, status: e.target.value})} className="border rounded-lg px-3 py-2">{PIPELINE_NEXT_STATUSES[p.status].map(st => <option key={st} value={st}>{st}</option>)}</select></div>
+                        <div className="flex-1"><label className="block text-xs text-gray-500 mb-1">Note or tracking number</label><input type="text" placeholder="Optional" value={statusChange.note} onChange={(e) => setStatusChange({...statusChange, note: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+                        <button onClick={handleStatusChange} className="bg-orange-600 text-white px-4 py-2 rounded-lg">Update Status</button>
+                        <button onClick={() => setStatusChange(null)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button>
+                      </div>
+                    </td>
+                  </tr>
+                )}
+                {timelineId === p.id && (
+                  <tr className="bg-gray-50">
+                    <td colSpan="9" className="px-4 py-3">
+                      {timelineLoading && timeline.length === 0 ? <p className="text-xs text-gray-500">Loading history...</p> : (
+                        <ol className="border-l-2 border-orange-200 ml-2 space-y-2">
+                          {timeline.map(h => (
+                            <li key={h.id} className="pl-4 text-sm">
+                              <span className={`px-2 py-0.5 rounded text-xs ${PIPELINE_STATUS_STYLES[h.status] || 'bg-gray-100'}`}>{h.status}</span>
+                              <span className="ml-2 text-xs text-gray-500">{new Date(h.changedAt).toLocaleString()} by {h.changedBy}</span>
+                              {h.note && <p className="text-xs text-gray-700 mt-1">{h.note}</p>}
+                            </li>
+                          ))}
+                          {timeline.length === 0 && <li className="pl-4 text-xs text-gray-500">No status changes recorded</li>}
+                        </ol>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+        {pipelinePurchases.length === 0 && <div className="text-center py-8 text-gray-500">No pipeline orders</div>}
+        <Pager page={listPage} count={listCount} onPage={page => loadList('pipeline_purchases', page)} />
+      </div>
+    </div>
+  );
+};
+
+// ==================== EXPIRY COMPONENT ====================
+const expiryExportColumns = (currency, showCosts) => [
+  { header: 'Size', value: b => b.size },
+  { header: 'Batch', value: b => b.batch },
+  { header: 'Supplier', value: b => b.supplier },
+  { header: 'Expiry Date', value: b => b.expiryDate, type: 'date' },
+  { header: 'Days Left', value: b => b.daysLeft, type: 'number' },
+  { header: 'Status', value: b => EXPIRY_BUCKETS.find(x => x.key === b.bucket).label },
+  { header: 'Vials', value: b => b.availableVials, type: 'number' },
+  { header: 'Packs', value: b => b.availablePacks, type: 'number' },
+  { header: `Value ${currency}`, value: b => b.value, type: 'number', cost: true }
+].filter(c => showCosts || !c.cost);
+
+const EXPIRY_BUCKET_STYLES = {
+  expired: 'from-red-50 to-red-100 border-red-500 text-red-900',
+  under90: 'from-orange-50 to-orange-100 border-orange-500 text-orange-900',
+  under180: 'from-amber-50 to-amber-100 border-amber-500 text-amber-900',
+  later: 'from-green-50 to-green-100 border-green-500 text-green-900',
+  undated: 'from-gray-50 to-gray-100 border-gray-400 text-gray-900'
+};
+
+// Every batch with stock left, grouped by how soon it expires. Batches are
+// valued at their stock value under the configured valuation method.
+const Expiry = ({ can, sizes, metrics, addStockAdjustment, reportingCurrency, missingRates }) => {
+  const [bucket, setBucket] = useState('all');
+  const [writingOff, setWritingOff] = useState(null);
+
+  const batches = sizes.flatMap(size => availableBatches(metrics[size].batches).map(b => ({
+    ...b,
+    bucket: expiryBucket(b.expiryDate),
+    daysLeft: daysToExpiry(b.expiryDate),
+    value: metrics[size].batchValues[b.batch] || 0
+  }))).sort((a, b) => (a.daysLeft ?? Infinity) - (b.daysLeft ?? Infinity) || a.size.localeCompare(b.size));
+  const totals = Object.fromEntries(EXPIRY_BUCKETS.map(({ key }) => {
+    const inBucket = batches.filter(b => b.bucket === key);
+    return [key, { count: inBucket.length, vials: inBucket.reduce((sum, b) => sum + b.availableVials, 0), value: inBucket.reduce((sum, b) => sum + b.value, 0) }];
+  }));
+  const valueAtRisk = totals.expired.value + totals.under90.value + totals.under180.value;
+  const shown = bucket === 'all' ? batches : batches.filter(b => b.bucket === bucket);
+
+  // Takes everything left in the batch out of stock, costed like a sample
+  const writeOff = async (b) => {
+    if (!window.confirm(`Write off all ${b.availableVials.toFixed(0)} vials of ${b.size} batch ${b.batch} as "${EXPIRED_WRITE_OFF_REASON}"?`)) return;
+    const costPerPack = b.costPerPack || 0;
+    setWritingOff(`${b.size}-${b.batch}`);
+    const result = await addStockAdjustment({
+      size: b.size,
+      batchNumber: b.batch,
+      vials: b.availableVials,
+      units: b.availablePacks,
+      reason: EXPIRED_WRITE_OFF_REASON,
+      notes: b.expiryDate ? `Expired ${b.expiryDate}` : null,
+      costPerPack,
+      totalCost: b.availablePacks * costPerPack,
+      currency: b.currency || BASE_CURRENCY,
+      adjustmentDate: new Date().toISOString().split('T')[0]
+    });
+    setWritingOff(null);
+    if (!result.success) alert(result.error || 'Failed to write off batch');
+    else if (result.pending) alert('This write-off is over the approval limits. It has been sent for approval and is recorded once a second user approves it.');
+  };
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-xl font-semibold">Expiry</h2>
+      <MissingRatesNotice missingRates={missingRates} reportingCurrency={reportingCurrency} />
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+        {EXPIRY_BUCKETS.map(({ key, label }) => (
+          <button key={key} onClick={() => setBucket(bucket === key ? 'all' : key)} className={`text-left bg-gradient-to-br rounded-lg p-4 border-l-4 ${EXPIRY_BUCKET_STYLES[key]} ${bucket === key ? 'ring-2 ring-offset-1 ring-purple-400' : ''}`}>
+            <p className="text-sm font-medium">{label}</p>
+            <p className="text-2xl font-bold">{can('view_costs') ? formatMoney(totals[key].value, reportingCurrency) : `${totals[key].vials.toFixed(0)} vials`}</p>
+            <p className="text-xs mt-1">{totals[key].count} batch{totals[key].count === 1 ? '' : 'es'}{can('view_costs') && ` | ${totals[key].vials.toFixed(0)} vials`}</p>
           </button>
-          <p className="text-xs text-gray-500 text-center mt-4">Default: <span className="font-mono">admin</span> / <span className="font-mono">admin123</span></p>
+        ))}
+      </div>
+      {can('view_costs') && <p className="text-sm text-gray-600">Value at risk (expired or expiring within 180 days): <span className="font-semibold text-red-700">{formatMoney(valueAtRisk, reportingCurrency)}</span></p>}
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b flex justify-between items-center"><h3 className="text-lg font-semibold">Batches in stock ({shown.length}){bucket !== 'all' && ` - ${EXPIRY_BUCKETS.find(x => x.key === bucket).label}`}</h3><ExportButtons filename={exportFilename('expiry', bucket === 'all' ? 'all-batches' : bucket)} columns={expiryExportColumns(reportingCurrency, can('view_costs'))} rows={shown} sheetName="Expiry" /></div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Size</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Batch</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expiry</th><th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Days Left</th><th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Vials</th>{can('view_costs') && <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Value</th>}<th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th></tr></thead>
+            <tbody className="divide-y divide-gray-200">
+              {shown.map(b => (
+                <tr key={`${b.size}-${b.batch}`} className={b.bucket === 'expired' ? 'bg-red-50' : b.bucket === 'under90' ? 'bg-orange-50' : ''}>
+                  <td className="px-4 py-3 text-sm">{b.size}</td>
+                  <td className="px-4 py-3 text-sm font-medium text-purple-600">{b.batch}</td>
+                  <td className="px-4 py-3 text-sm">{b.supplier || '-'}</td>
+                  <td className="px-4 py-3 text-sm">{b.expiryDate ? new Date(b.expiryDate).toLocaleDateString() : '-'}</td>
+                  <td className={`px-4 py-3 text-sm text-right ${b.bucket === 'expired' ? 'text-red-600 font-bold' : ''}`}>{b.daysLeft === null ? '-' : b.bucket === 'expired' ? 'EXPIRED' : b.daysLeft}</td>
+                  <td className="px-4 py-3 text-sm text-right">{b.availableVials.toFixed(0)} <span className="text-xs text-gray-400">({b.availablePacks.toFixed(2)} packs)</span></td>
+                  {can('view_costs') && <td className="px-4 py-3 text-sm text-right font-semibold">{formatMoney(b.value, reportingCurrency)}</td>}
+                  <td className="px-4 py-3 text-sm">{b.bucket === 'expired' && can('record_sample') && <button onClick={() => writeOff(b)} disabled={writingOff !== null} className="text-red-600 hover:text-red-800 disabled:opacity-50">{writingOff === `${b.size}-${b.batch}` ? 'Writing off...' : 'Write off'}</button>}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {shown.length === 0 && <div className="text-center py-8 text-gray-500">No batches in stock{bucket !== 'all' ? ' in this group' : ''}</div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ==================== CUSTOMERS COMPONENT ====================
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// Records point at their customer by id; older ones only carry the name
+const belongsToCustomer = (customer) => (r) => r.customerId ? String(r.customerId) === String(customer.id) : sameName(r.customer, customer.name);
+
+// Totals per customer come from stock_figures; a profile reads the customer's
+// whole history from the server and so needs a connection
+const CustomersView = ({ liveChange, can, isConnected, customers, sizes, vialsPerPackBySize, customerTotals, activeHolds, exchangeRates, reportingCurrency, missingRates, selectedId, onSelect }) => {
+  const [search, setSearch] = useState('');
+  const selected = customers.find(c => String(c.id) === String(selectedId));
+  if (selected) {
+    return <CustomerProfile can={can} isConnected={isConnected} customer={selected} sizes={sizes} vialsPerPackBySize={vialsPerPackBySize} exchangeRates={exchangeRates} reportingCurrency={reportingCurrency} onBack={() => onSelect(null)} />;
+  }
+
+  const totalsById = Object.fromEntries(customerTotals.map(t => [String(t.customerId), t]));
+  const rows = customers
+    .filter(c => !search || [c.name, c.country, c.contactPerson, c.email].some(v => String(v || '').toLowerCase().includes(search.toLowerCase())))
+    .map(c => ({ customer: c, orders: 0, revenue: 0, lastOrderDate: null, ...totalsById[c.id], openHolds: activeHolds.filter(belongsToCustomer(c)).length }));
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-xl font-semibold">Customers</h2>
+      <MissingRatesNotice missingRates={missingRates} reportingCurrency={reportingCurrency} />
+      <input type="text" placeholder="Search by name, country, contact or email..." value={search} onChange={(e) => setSearch(e.target.value)} className="border rounded-lg px-3 py-2 w-full md:w-1/2" />
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Country</th><th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Orders</th><th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Open Holds</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Order</th><th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Lifetime Revenue</th></tr></thead>
+          <tbody className="divide-y divide-gray-200">
+            {rows.map(r => (
+              <tr key={r.customer.id} onClick={() => onSelect(r.customer.id)} className={`hover:bg-blue-50 cursor-pointer ${liveChange('customers', r.customer.id) ? LIVE_CHANGE_ROW : ''}`}>
+                <td className="px-4 py-3 text-sm font-medium text-blue-700">{r.customer.name}<LiveChangeTag change={liveChange('customers', r.customer.id)} /></td>
+                <td className="px-4 py-3 text-sm">{r.customer.country}</td>
+                <td className="px-4 py-3 text-sm text-right">{r.orders}</td>
+                <td className="px-4 py-3 text-sm text-right">{r.openHolds}</td>
+                <td className="px-4 py-3 text-sm">{r.lastOrderDate ? new Date(r.lastOrderDate).toLocaleDateString() : '-'}</td>
+                <td className="px-4 py-3 text-sm text-right font-semibold">{formatMoney(r.revenue, reportingCurrency)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rows.length === 0 && <div className="text-center py-8 text-gray-500">No customers{search ? ' match the search' : ''}</div>}
+      </div>
+    </div>
+  );
+};
+
+const CustomerProfile = ({ can, isConnected, customer, sizes, vialsPerPackBySize, exchangeRates, reportingCurrency, onBack }) => {
+  const [history, setHistory] = useState(null);
+  const [saleCosts, setSaleCosts] = useState({});
+  const rateIndex = useMemo(() => buildRateIndex(exchangeRates), [exchangeRates]);
+
+  useEffect(() => {
+    if (!isConnected) return;
+    let current = true;
+    (async () => {
+      try {
+        const { data, error } = await supabase.rpc('customer_history', { p_customer_id: String(customer.id) });
+        if (error) throw error;
+        const loaded = toCamelCase(data) || { orders: [], sales: [], holds: [], samples: [] };
+        const { data: costs, error: costsError } = can('view_costs') && loaded.sales.length
+          ? await supabase.rpc('record_costs', { p_table: 'sales', p_ids: loaded.sales.map(s => s.id), p_currency: reportingCurrency })
+          : { data: {} };
+        if (costsError) throw costsError;
+        if (current) { setHistory(loaded); setSaleCosts(costs); }
+      } catch (e) {
+        console.error('Load customer history error:', e);
+      }
+    })();
+    return () => { current = false; };
+  }, [customer.id, isConnected, reportingCurrency]);
+
+  if (!isConnected || !history) {
+    return (
+      <div className="space-y-6">
+        <button onClick={onBack} className="text-sm text-blue-600">← All customers</button>
+        <div className="bg-white rounded-lg shadow p-6 text-sm text-gray-500">{isConnected ? `Loading ${customer.name}...` : 'The customer profile needs a connection to the database.'}</div>
+      </div>
+    );
+  }
+
+  const { holds, samples } = history;
+  const orders = sortOrders(history.orders);
+  const unconverted = [];
+  const sales = convertRows(rateIndex, history.sales, 'price', 'saleDate', reportingCurrency, 'sales', unconverted);
+  const missingRates = groupMissingRates(unconverted);
+  const orderById = Object.fromEntries(orders.map(o => [o.id, o]));
+  const revenue = sales.reduce((sum, s) => sum + saleRevenue(s), 0);
+  const cogs = sales.reduce((sum, s) => sum + (saleCosts[s.id] || 0), 0);
+  const vials = sales.reduce((sum, s) => sum + (parseFloat(s.units) || 0) * vialsPerPackBySize[s.size], 0);
+  const lastOrderDate = orders[0]?.orderDate || sales.map(s => s.saleDate).sort().pop() || null;
+
+  // Revenue and vials per year and size, newest year first
+  const byYear = sales.reduce((acc, s) => {
+    const year = new Date(s.saleDate || s.createdAt).getFullYear();
+    const cell = ((acc[year] = acc[year] || {})[s.size] = acc[year][s.size] || { revenue: 0, vials: 0 });
+    cell.revenue += saleRevenue(s);
+    cell.vials += (parseFloat(s.units) || 0) * vialsPerPackBySize[s.size];
+    return acc;
+  }, {});
+  const years = Object.keys(byYear).sort((a, b) => b - a);
+  const boughtSizes = sizes.filter(size => sales.some(s => s.size === size));
+  const sizeTotals = Object.fromEntries(boughtSizes.map(size => {
+    const ss = sales.filter(s => s.size === size);
+    return [size, { revenue: ss.reduce((sum, s) => sum + saleRevenue(s), 0), vials: ss.reduce((sum, s) => sum + (parseFloat(s.units) || 0) * vialsPerPackBySize[size], 0) }];
+  }));
+  const perVial = (t) => t && t.vials ? formatMoney(t.revenue / t.vials, reportingCurrency) : '-';
+
+  return (
+    <div className="space-y-6">
+      <button onClick={onBack} className="text-sm text-blue-600">← All customers</button>
+      <MissingRatesNotice missingRates={missingRates} reportingCurrency={reportingCurrency} />
+      <div className="bg-white rounded-lg shadow p-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <h2 className="text-xl font-semibold">{customer.name}</h2>
+          <p className="text-sm text-gray-600">{customer.country}</p>
+          {customer.address && <p className="text-sm text-gray-600 whitespace-pre-line mt-2">{customer.address}</p>}
+          {customer.shippingAddress && <p className="text-sm text-gray-600 whitespace-pre-line mt-2"><span className="text-gray-500">Ship to:</span> {customer.shippingAddress}</p>}
+        </div>
+        <div className="text-sm space-y-1">
+          <p><span className="text-gray-500">Contact:</span> {customer.contactPerson || '-'}</p>
+          <p><span className="text-gray-500">Email:</span> {customer.email ? <a href={`mailto:${customer.email}`} className="text-blue-600">{customer.email}</a> : '-'}</p>
+          <p><span className="text-gray-500">Phone:</span> {customer.phone || '-'}</p>
+          {(customer.contacts || []).map((c, i) => <p key={i}><span className="text-gray-500">{c.role || 'Contact'}:</span> {[c.name, c.email, c.phone].filter(Boolean).join(', ')}</p>)}
+          <p><span className="text-gray-500">VAT Number:</span> {customer.vatNumber || '-'}</p>
+          <p><span className="text-gray-500">Wholesale Licence:</span> <LicenceStatus partner={customer} /></p>
+          <p><span className="text-gray-500">Payment Terms:</span> {customer.paymentTerms || '-'}</p>
+        </div>
+        {customer.notes && <p className="md:col-span-2 text-sm text-gray-600 whitespace-pre-line">{customer.notes}</p>}
+      </div>
+      {licenceExpired(customer) && <div className="bg-red-50 border border-red-200 p-3 rounded text-sm text-red-700">{checkCustomerLicence(customer)}.</div>}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-lg p-6 border-l-4 border-blue-500"><p className="text-sm font-medium text-blue-800">Lifetime Revenue</p><p className="text-3xl font-bold text-blue-900">{formatMoney(revenue, reportingCurrency)}</p><p className="text-sm text-blue-600 mt-1">{orders.length} orders | {vials.toFixed(0)} vials</p></div>
+        {can('view_costs') && <div className="bg-gradient-to-br from-purple-50 to-purple-100 rounded-lg p-6 border-l-4 border-purple-500"><p className="text-sm font-medium text-purple-800">Gross Margin</p><p className="text-3xl font-bold text-purple-900">{formatMoney(revenue - cogs, reportingCurrency)}</p><p className="text-sm text-purple-600 mt-1">{marginPercent(revenue, cogs)}</p></div>}
+        <div className="bg-gradient-to-br from-green-50 to-green-100 rounded-lg p-6 border-l-4 border-green-500"><p className="text-sm font-medium text-green-800">Average Price per Vial</p><p className="text-3xl font-bold text-green-900">{perVial({ revenue, vials })}</p><p className="text-sm text-green-600 mt-1">{boughtSizes.map(size => `${size}: ${perVial(sizeTotals[size])}`).join(' | ') || 'No sales yet'}</p></div>
+        <div className="bg-gradient-to-br from-amber-50 to-amber-100 rounded-lg p-6 border-l-4 border-amber-500"><p className="text-sm font-medium text-amber-800">Last Order</p><p className="text-3xl font-bold text-amber-900">{lastOrderDate ? new Date(lastOrderDate).toLocaleDateString() : '-'}</p><p className="text-sm text-amber-600 mt-1">{holds.filter(h => isHoldActive(h)).length} open holds | {samples.length} samples</p></div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b"><h3 className="text-lg font-semibold">Revenue by Year and Size</h3></div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-blue-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-blue-800 uppercase">Year</th>{boughtSizes.map(size => <th key={size} className="px-4 py-3 text-right text-xs font-medium text-blue-800 uppercase">{size}</th>)}<th className="px-4 py-3 text-right text-xs font-medium text-blue-800 uppercase">Total</th></tr></thead>
+            <tbody className="divide-y divide-gray-200">
+              {years.map(year => (
+                <tr key={year}>
+                  <td className="px-4 py-3 text-sm font-medium">{year}</td>
+                  {boughtSizes.map(size => <td key={size} className="px-4 py-3 text-sm text-right">{byYear[year][size] ? <>{formatMoney(byYear[year][size].revenue, reportingCurrency)}<span className="block text-xs text-gray-400">{byYear[year][size].vials.toFixed(0)} vials at {perVial(byYear[year][size])}</span></> : '-'}</td>)}
+                  <td className="px-4 py-3 text-sm text-right font-semibold">{formatMoney(Object.values(byYear[year]).reduce((sum, c) => sum + c.revenue, 0), reportingCurrency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {years.length === 0 && <div className="text-center py-8 text-gray-500">No sales yet</div>}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b"><h3 className="text-lg font-semibold">Sales ({sales.length})</h3></div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-purple-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Order</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Size</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Batch</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Destination</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Vials</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Price / Vial</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Total</th></tr></thead>
+            <tbody className="divide-y divide-gray-200">
+              {[...sales].sort((a, b) => String(b.saleDate).localeCompare(String(a.saleDate))).map(s => {
+                const saleVials = (parseFloat(s.units) || 0) * vialsPerPackBySize[s.size];
+                return (
+                  <tr key={s.id}>
+                    <td className="px-4 py-3 text-sm">{new Date(s.saleDate || s.createdAt).toLocaleDateString()}</td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{orderLabel(orderById[s.orderId])}</td>
+                    <td className="px-4 py-3 text-sm">{s.size}</td>
+                    <td className="px-4 py-3 text-sm text-purple-600">{s.batchNumber}</td>
+                    <td className="px-4 py-3 text-sm">{s.endDestination || s.country}</td>
+                    <td className="px-4 py-3 text-sm text-right">{saleVials.toFixed(0)}</td>
+                    <td className="px-4 py-3 text-sm text-right">{formatMoney(saleVials ? saleRevenue(s) / saleVials : 0, reportingCurrency)}</td>
+                    <td className="px-4 py-3 text-sm text-right font-semibold">{formatMoney(saleRevenue(s), reportingCurrency)}<EnteredAmount amount={parseFloat(s.units) * parseFloat(s.originalAmount)} currency={s.originalCurrency} reportingCurrency={reportingCurrency} /></td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {sales.length === 0 && <div className="text-center py-8 text-gray-500">No sales yet</div>}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b"><h3 className="text-lg font-semibold text-amber-800">Stock Holds ({holds.length})</h3></div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-amber-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-amber-800 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-800 uppercase">Size</th><th className="px-4 py-3 text-right text-xs font-medium text-amber-800 uppercase">Vials</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-800 uppercase">Status</th></tr></thead>
+            <tbody className="divide-y divide-gray-200">
+              {holds.map(h => (
+                <tr key={h.id}>
+                  <td className="px-4 py-3 text-sm">{new Date(h.holdDate || h.createdAt).toLocaleDateString()}</td>
+                  <td className="px-4 py-3 text-sm">{h.size}</td>
+                  <td className="px-4 py-3 text-sm text-right">{h.vials}</td>
+                  <td className="px-4 py-3 text-sm">{isHoldActive(h) ? <span className="text-green-700">Open{h.expiresOn ? ` until ${new Date(h.expiresOn).toLocaleDateString()}` : ''}</span> : <span className="text-gray-500">Lapsed {new Date(h.expiresOn).toLocaleDateString()}</span>}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {holds.length === 0 && <div className="text-center py-8 text-gray-500">No stock holds</div>}
+        </div>
+
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b"><h3 className="text-lg font-semibold text-orange-800">Samples Received ({samples.length})</h3></div>
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-orange-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Size</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Batch</th><th className="px-4 py-3 text-right text-xs font-medium text-orange-800 uppercase">Vials</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Reason</th></tr></thead>
+            <tbody className="divide-y divide-gray-200">
+              {samples.map(a => (
+                <tr key={a.id}>
+                  <td className="px-4 py-3 text-sm">{new Date(a.adjustmentDate || a.createdAt).toLocaleDateString()}</td>
+                  <td className="px-4 py-3 text-sm">{a.size}</td>
+                  <td className="px-4 py-3 text-sm text-orange-600">{a.batchNumber}</td>
+                  <td className="px-4 py-3 text-sm text-right">{a.vials}</td>
+                  <td className="px-4 py-3 text-sm">{a.reason}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {samples.length === 0 && <div className="text-center py-8 text-gray-500">No samples recorded with this customer as recipient</div>}
         </div>
       </div>
     </div>
   );
 };
 
-// ==================== DASHBOARD ====================
-const Dashboard = ({ metrics, totalStock, totalStockVials, totalRevenue, totalMargin, totalStockValue, sales, purchases, stockAdjustments }) => {
-  const [selectedYear, setSelectedYear] = useState('all');
-  const chartData = SIZES.map(s => ({ name: s, packs: metrics[s].stock, vials: metrics[s].stockVials }));
-  const years = [...new Set(sales.map(s => new Date(s.saleDate || s.createdAt).getFullYear()))].filter(y => !isNaN(y)).sort((a, b) => b - a);
-  const COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#06b6d4', '#84cc16', '#f97316', '#6366f1'];
+// ==================== REPORTS COMPONENT ====================
+const saleRevenue = (s) => (parseFloat(s.units) || 0) * (parseFloat(s.price) || 0);
+
+// Report rows carry their amount in the reporting currency plus the amount and currency as entered
+const salesExportColumns = (vialsPerPackBySize, currency, showCosts) => [
+  { header: 'Sale Date', value: s => s.saleDate || s.createdAt, type: 'date' },
+  { header: 'Order', value: s => orderLabel(s.order) },
+  { header: 'Customer', value: s => s.customer },
+  { header: 'Country', value: s => s.country },
+  { header: 'End Destination', value: s => s.endDestination },
+  { header: 'Size', value: s => s.size },
+  { header: 'Batch', value: s => s.batchNumber },
+  { header: 'Packs', value: s => s.units, type: 'number' },
+  { header: 'Vials', value: s => (parseFloat(s.units) || 0) * vialsPerPackBySize[s.size], type: 'number' },
+  { header: 'Currency', value: s => s.originalCurrency },
+  { header: 'Price per Pack', value: s => s.originalAmount, type: 'number' },
+  { header: 'Total', value: s => (parseFloat(s.units) || 0) * (parseFloat(s.originalAmount) || 0), type: 'number' },
+  { header: `Total ${currency}`, value: s => saleRevenue(s), type: 'number' },
+  { header: `COGS ${currency}`, value: s => s.cogs || 0, type: 'number', cost: true },
+  { header: `Gross Margin ${currency}`, value: s => saleRevenue(s) - (s.cogs || 0), type: 'number', cost: true },
+  ...AUDIT_COLUMNS
+].filter(c => showCosts || !c.cost);
+
+const purchasesExportColumns = (vialsPerPackBySize, currency, showCosts) => [
+  { header: 'Invoice Date', value: p => p.purchaseDate || p.createdAt, type: 'date' },
+  { header: 'Supplier', value: p => p.supplier },
+  { header: 'Size', value: p => p.size },
+  { header: 'Batch', value: p => p.batchNumber },
+  { header: 'Expiry Date', value: p => p.expiryDate, type: 'date' },
+  { header: 'Packs', value: p => p.units, type: 'number' },
+  { header: 'Vials', value: p => (parseFloat(p.units) || 0) * vialsPerPackBySize[p.size], type: 'number' },
+  { header: 'Currency', value: p => p.originalCurrency, cost: true },
+  { header: 'Cost per Pack', value: p => p.originalAmount, type: 'number', cost: true },
+  { header: 'Total', value: p => (parseFloat(p.units) || 0) * (parseFloat(p.originalAmount) || 0), type: 'number', cost: true },
+  { header: `Total ${currency}`, value: p => (parseFloat(p.units) || 0) * (parseFloat(p.cost) || 0), type: 'number', cost: true },
+  ...AUDIT_COLUMNS
+].filter(c => showCosts || !c.cost);
+
+const adjustmentsExportColumns = (currency, showCosts) => [
+  { header: 'Date', value: a => a.adjustmentDate || a.createdAt, type: 'date' },
+  { header: 'Batch', value: a => a.batchNumber },
+  { header: 'Size', value: a => a.size },
+  { header: 'Reason', value: a => a.reason },
+  { header: 'Recipient', value: a => a.recipient },
+  { header: 'Vials', value: a => a.vials, type: 'number' },
+  { header: 'Packs', value: a => a.units, type: 'number' },
+  { header: `Cost Value ${currency}`, value: a => a.costValue || 0, type: 'number', cost: true },
+  ...AUDIT_COLUMNS
+].filter(c => showCosts || !c.cost);
+
+const orderReportExportColumns = (currency, showCosts) => [
+  { header: 'Order Date', value: o => o.orderDate, type: 'date' },
+  { header: 'Order', value: o => o.label },
+  { header: 'Customer', value: o => o.customer },
+  { header: 'End Destination', value: o => o.endDestination },
+  { header: 'Lines', value: o => o.lines, type: 'number' },
+  { header: 'Vials', value: o => o.vials, type: 'number' },
+  { header: `Revenue ${currency}`, value: o => o.revenue, type: 'number' },
+  { header: `COGS ${currency}`, value: o => o.cogs, type: 'number', cost: true },
+  { header: `Gross Margin ${currency}`, value: o => o.revenue - o.cogs, type: 'number', cost: true }
+].filter(c => showCosts || !c.cost);
+
+const batchMarginExportColumns = (currency) => [
+  { header: 'Size', value: b => b.size },
+  { header: 'Batch', value: b => b.batch },
+  { header: 'Sales', value: b => b.count, type: 'number' },
+  { header: 'Vials Sold', value: b => b.vials, type: 'number' },
+  { header: `Revenue ${currency}`, value: b => b.revenue, type: 'number' },
+  { header: `COGS ${currency}`, value: b => b.cogs, type: 'number' },
+  { header: `Gross Margin ${currency}`, value: b => b.revenue - b.cogs, type: 'number' },
+  { header: 'Gross Margin %', value: b => b.revenue ? (b.revenue - b.cogs) / b.revenue * 100 : null, type: 'number' }
+];
+
+const marginPercent = (revenue, cogs) => revenue ? `${((revenue - cogs) / revenue * 100).toFixed(1)}%` : '-';
+
+// Amount as entered, shown under the converted figure when it was in another currency
+const EnteredAmount = ({ amount, currency, reportingCurrency }) => currency === reportingCurrency ? null : <span className="block text-xs font-normal text-gray-400">{formatMoney(amount, currency)}</span>;
+
+// The report lists read from the server a page at a time; `amountField` is converted
+// to the reporting currency and `costField` is filled in from record_costs
+const REPORT_LISTS = {
+  sales: { table: 'sales', select: '*, order:orders(id, reference)', dateField: 'sale_date', dateProp: 'saleDate', amountField: 'price', costField: 'cogs', byCustomer: true },
+  purchases: { table: 'purchases', dateField: 'purchase_date', dateProp: 'purchaseDate', amountField: 'cost' },
+  samples: { table: 'stock_adjustments', dateField: 'adjustment_date', dateProp: 'adjustmentDate', costField: 'costValue' }
+};
+
+const FIRST_PAGES = { sales: 0, orders: 0, purchases: 0, samples: 0 };
 
-  const totalAdjusted = SIZES.reduce((a, s) => a + (metrics[s].adjusted || 0), 0);
-  const totalAdjustedVials = SIZES.reduce((a, s) => a + (metrics[s].adjustedVials || 0), 0);
-  const totalAdjustedValue = SIZES.reduce((a, s) => a + (metrics[s].adjustedValue || 0), 0);
+// Rows dated in `year` by their own date or, where that is empty, by when they were entered
+const inYear = (query, dateField, year) => year === 'all' ? query : query.or(
+  `and(${dateField}.gte.${year}-01-01,${dateField}.lte.${year}-12-31),and(${dateField}.is.null,created_at.gte.${year}-01-01,created_at.lt.${Number(year) + 1}-01-01)`
+);
 
-  const getCountrySales = () => {
-    const filtered = selectedYear === 'all' ? sales : sales.filter(s => {
-      const d = s.saleDate || s.createdAt;
-      return d && new Date(d).getFullYear() === parseInt(selectedYear);
-    });
-    
-    const countryData = {};
-    let total = 0;
-    
-    filtered.forEach(s => {
-      const country = s.endDestination || s.country || 'Unknown';
-      const value = (parseFloat(s.units) || 0) * (parseFloat(s.price) || 0);
-      countryData[country] = (countryData[country] || 0) + value;
-      total += value;
-    });
-    
-    return {
-      data: Object.entries(countryData)
-        .map(([country, value]) => ({ country, value, percentage: total > 0 ? ((value / total) * 100).toFixed(1) : 0 }))
-        .sort((a, b) => b.value - a.value),
-      total
-    };
+
+// Every figure here is worked out on the server over all records matching the
+// filters: the totals by report_totals, the orders and batch margins by
+// report_orders and report_batch_margins, and the cost of goods of the sales
+// and samples on show by record_costs. Offline the report is not available.
+const Reports = ({ can, isConnected, sizes, vialsPerPackBySize, customers, exchangeRates, stockFigures, valuationMethod, reportingCurrency }) => {
+  const [year, setYear] = useState('all');
+  const [size, setSize] = useState('all');
+  const [customerId, setCustomerId] = useState('all');
+  const [pages, setPages] = useState(FIRST_PAGES);
+  const [lists, setLists] = useState({});
+  const [totals, setTotals] = useState(null);
+  const [batchMargins, setBatchMargins] = useState([]);
+  const showCosts = can('view_costs');
+  const rateIndex = useMemo(() => buildRateIndex(exchangeRates), [exchangeRates]);
+  const filterKey = `${year}|${size}|${customerId}`;
+  const filters = {
+    p_year: year === 'all' ? null : parseInt(year),
+    p_size: size === 'all' ? null : size,
+    p_customer_id: customerId === 'all' ? null : customerId,
+    p_currency: reportingCurrency
   };
-  
-  const countrySales = getCountrySales();
+
+  const changeFilter = (setter) => (e) => { setter(e.target.value); setPages(FIRST_PAGES); };
+
+  const listQuery = (list, options) => {
+    const { table, select, dateField, byCustomer } = REPORT_LISTS[list];
+    let query = supabase.from(showCosts || !COSTED_TABLES.includes(table) ? table : costFreeView(table)).select(select || '*', options);
+    query = inYear(query, dateField, year);
+    if (size !== 'all') query = query.eq('size', size);
+    if (byCustomer && customerId !== 'all') query = query.eq('customer_id', customerId);
+    return query.order(dateField, { ascending: false, nullsFirst: false }).order('created_at', { ascending: false }).order('id', { ascending: false });
+  };
+
+  const toReportRows = async (list, data) => {
+    const { table, amountField, dateProp, costField } = REPORT_LISTS[list];
+    const rows = data.map(toCamelCase);
+    const converted = amountField ? convertRows(rateIndex, rows, amountField, dateProp, reportingCurrency, list, []) : rows;
+    if (!costField || !showCosts || !rows.length) return converted;
+    const { data: costs, error } = await supabase.rpc('record_costs', { p_table: table, p_ids: rows.map(r => r.id), p_currency: reportingCurrency });
+    if (error) throw error;
+    return converted.map(r => ({ ...r, [costField]: costs[r.id] || 0 }));
+  };
+
+  const toOrderRows = (data) => toCamelCase(data.rows).map(o => ({ ...o, label: orderLabel(o), cogs: o.cogs || 0 }));
+
+  const loadList = async (list) => {
+    if (!isConnected) return;
+    try {
+      const from = pages[list] * PAGE_SIZE;
+      if (list === 'orders') {
+        const { data, error } = await supabase.rpc('report_orders', { ...filters, p_offset: from, p_limit: PAGE_SIZE });
+        if (error) throw error;
+        setLists(prev => ({ ...prev, orders: { rows: toOrderRows(data), count: data.count } }));
+        return;
+      }
+      const { data, count, error } = await listQuery(list, { count: 'exact' }).range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      const rows = await toReportRows(list, data);
+      setLists(prev => ({ ...prev, [list]: { rows, count } }));
+    } catch (e) {
+      console.error(`Load ${list} report error:`, e);
+    }
+  };
+
+  // Every matching row, for exports
+  const fetchList = async (list) => {
+    if (list === 'orders') {
+      const { data, error } = await supabase.rpc('report_orders', { ...filters, p_offset: 0, p_limit: null });
+      if (error) throw error;
+      return toOrderRows(data);
+    }
+    const { data, error } = await fetchAllRows(() => listQuery(list));
+    if (error) throw error;
+    return toReportRows(list, data);
+  };
+
+  const loadTotals = async () => {
+    if (!isConnected) return;
+    try {
+      const [{ data, error }, { data: margins, error: marginsError }] = await Promise.all([
+        supabase.rpc('report_totals', filters),
+        supabase.rpc('report_batch_margins', filters)
+      ]);
+      if (error || marginsError) throw error || marginsError;
+      setTotals(data);
+      setBatchMargins(toCamelCase(margins).map(b => ({ ...b, batch: b.batchNumber })).sort((a, b) => sizes.indexOf(a.size) - sizes.indexOf(b.size) || String(a.batch).localeCompare(String(b.batch))));
+    } catch (e) {
+      console.error('Load report totals error:', e);
+    }
+  };
+
+  // Stock figures are re-read after every change, here or by another user,
+  // so the report reloads with them
+  useEffect(() => { loadList('sales'); }, [filterKey, pages.sales, isConnected, stockFigures, rateIndex, reportingCurrency]);
+  useEffect(() => { loadList('orders'); }, [filterKey, pages.orders, isConnected, stockFigures, reportingCurrency]);
+  useEffect(() => { loadList('purchases'); }, [filterKey, pages.purchases, isConnected, stockFigures, rateIndex, reportingCurrency]);
+  useEffect(() => { loadList('samples'); }, [filterKey, pages.samples, isConnected, stockFigures, reportingCurrency]);
+  useEffect(() => { loadTotals(); }, [filterKey, isConnected, stockFigures, exchangeRates, reportingCurrency]);
+
+  if (!isConnected) {
+    return (
+      <div className="space-y-6">
+        <h2 className="text-xl font-semibold">Annual Reports</h2>
+        <div className="bg-white rounded-lg shadow p-6 text-sm text-gray-500">Reports need a connection to the database.</div>
+      </div>
+    );
+  }
+
+  const customerName = customers.find(c => String(c.id) === customerId)?.name;
+  const filterSuffix = [year === 'all' ? 'all-years' : year, size === 'all' ? 'all-sizes' : size, ...(customerName ? [customerName] : [])];
+
+  const reportTotals = totals || { sales: { count: 0, revenue: 0, cogs: 0 }, purchases: { count: 0, total: 0 }, samples: { count: 0, vials: 0, value: 0 } };
+  const totalSalesValue = reportTotals.sales.revenue;
+  const totalCogs = reportTotals.sales.cogs || 0;
+  const totalAdjustmentsValue = reportTotals.samples.value || 0;
+  const shown = (list) => lists[list] || { rows: [], count: 0 };
+  const salesPage = shown('sales');
+  const ordersPage = shown('orders');
+  const purchasesPage = shown('purchases');
+  const samplesPage = shown('samples');
+  const setPage = (list) => (page) => setPages(prev => ({ ...prev, [list]: page }));
+  const exportRows = (list) => () => fetchList(list);
 
   return (
     <div className="space-y-6">
+      <h2 className="text-xl font-semibold">Annual Reports</h2>
+      <MissingRatesNotice missingRates={stockFigures.missingRates} reportingCurrency={reportingCurrency} />
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="grid grid-cols-3 gap-4">
+          <div><label className="block text-sm font-medium text-gray-700 mb-1">Select Year</label><select value={year} onChange={changeFilter(setYear)} className="w-full border rounded-lg px-3 py-2"><option value="all">All Years</option>{stockFigures.years.map(y => <option key={y} value={y}>{y}</option>)}</select></div>
+          <div><label className="block text-sm font-medium text-gray-700 mb-1">Product Size</label><select value={size} onChange={changeFilter(setSize)} className="w-full border rounded-lg px-3 py-2"><option value="all">All Sizes</option>{sizes.map(s => <option key={s} value={s}>{s}</option>)}</select></div>
+          <div><label className="block text-sm font-medium text-gray-700 mb-1">Customer <span className="font-normal text-gray-400">(sales and orders)</span></label><select value={customerId} onChange={changeFilter(setCustomerId)} className="w-full border rounded-lg px-3 py-2"><option value="all">All Customers</option>{customers.map(c => <option key={c.id} value={String(c.id)}>{c.name}</option>)}</select></div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-lg p-6 border-l-4 border-blue-500"><p className="text-sm font-medium text-blue-800">Total Revenue</p><p className="text-3xl font-bold text-blue-900">{formatMoney(reportTotals.sales.revenue, reportingCurrency)}</p><p className="text-sm text-blue-600 mt-1">{reportTotals.sales.count} sales</p></div>
+        {can('view_costs') && <div className="bg-gradient-to-br from-purple-50 to-purple-100 rounded-lg p-6 border-l-4 border-purple-500"><p className="text-sm font-medium text-purple-800">Gross Margin</p><p className="text-3xl font-bold text-purple-900">{formatMoney(totalSalesValue - totalCogs, reportingCurrency)}</p><p className="text-sm text-purple-600 mt-1">{marginPercent(totalSalesValue, totalCogs)} | COGS {formatMoney(totalCogs, reportingCurrency)} ({VALUATION_METHODS[valuationMethod]})</p></div>}
+        {can('view_costs') && <div className="bg-gradient-to-br from-green-50 to-green-100 rounded-lg p-6 border-l-4 border-green-500"><p className="text-sm font-medium text-green-800">Total Purchases</p><p className="text-3xl font-bold text-green-900">{formatMoney(reportTotals.purchases.total, reportingCurrency)}</p><p className="text-sm text-green-600 mt-1">{reportTotals.purchases.count} purchases</p></div>}
+        {can('view_costs') && <div className="bg-gradient-to-br from-orange-50 to-orange-100 rounded-lg p-6 border-l-4 border-orange-500"><p className="text-sm font-medium text-orange-800">Total Samples (at cost)</p><p className="text-3xl font-bold text-orange-900">{formatMoney(totalAdjustmentsValue, reportingCurrency)}</p><p className="text-sm text-orange-600 mt-1">{reportTotals.samples.count} samples ({reportTotals.samples.vials} vials)</p></div>}
+      </div>
+
       <div className="bg-white rounded-lg shadow">
-        <div className="px-6 py-4 border-b">
-          <h3 className="text-lg font-semibold">Eurofolic<sup className="text-xs">®</sup> I-View</h3>
-          <p className="text-xs text-gray-500 mt-1">5ml & 10ml: 5 vials per pack | 100ml: 1 vial per pack</p>
+        <div className="px-6 py-4 border-b flex justify-between items-center"><h3 className="text-lg font-semibold">Sales Report ({salesPage.count} records)</h3><ExportButtons filename={exportFilename('sales', ...filterSuffix)} columns={salesExportColumns(vialsPerPackBySize, reportingCurrency, can('view_costs'))} rows={exportRows('sales')} sheetName="Sales" /></div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-purple-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Order</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Customer</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Size</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Batch</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Packs</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Total</th>{can('view_costs') && <th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">COGS</th>}{can('view_costs') && <th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Margin</th>}</tr></thead>
+            <tbody className="divide-y divide-gray-200">
+              {salesPage.rows.map(s => (<tr key={s.id} className="hover:bg-purple-50"><td className="px-4 py-3 text-sm">{new Date(s.saleDate || s.createdAt).toLocaleDateString()}</td><td className="px-4 py-3 text-sm text-gray-600">{orderLabel(s.order)}</td><td className="px-4 py-3 text-sm font-medium">{s.customer}</td><td className="px-4 py-3 text-sm">{s.size}</td><td className="px-4 py-3 text-sm text-purple-600">{s.batchNumber}</td><td className="px-4 py-3 text-sm text-right">{parseFloat(s.units).toFixed(2)}</td><td className="px-4 py-3 text-sm text-right font-semibold">{formatMoney(saleRevenue(s), reportingCurrency)}<EnteredAmount amount={parseFloat(s.units) * parseFloat(s.originalAmount)} currency={s.originalCurrency} reportingCurrency={reportingCurrency} /></td>{can('view_costs') && <td className="px-4 py-3 text-sm text-right text-gray-600">{formatMoney(s.cogs || 0, reportingCurrency)}</td>}{can('view_costs') && <td className="px-4 py-3 text-sm text-right font-semibold text-purple-700">{formatMoney(saleRevenue(s) - (s.cogs || 0), reportingCurrency)} <span className="text-xs font-normal text-gray-400">{marginPercent(saleRevenue(s), s.cogs || 0)}</span></td>}</tr>))}
+            </tbody>
+          </table>
+          {salesPage.count === 0 && <div className="text-center py-8 text-gray-500">No sales data found</div>}
         </div>
+        <Pager page={pages.sales} count={salesPage.count} onPage={setPage('sales')} />
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b flex justify-between items-center"><h3 className="text-lg font-semibold">Orders Report ({ordersPage.count} orders)</h3><ExportButtons filename={exportFilename('orders', ...filterSuffix)} columns={orderReportExportColumns(reportingCurrency, can('view_costs'))} rows={exportRows('orders')} sheetName="Orders" /></div>
         <div className="overflow-x-auto">
           <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-gray-50">
-              <tr>
-                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Size</th>
-                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Purchased</th>
-                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sold</th>
-                <th className="px-4 py-3 text-right text-xs font-medium text-orange-600 uppercase">Samples</th>
-                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Stock (Packs)</th>
-                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Stock (Vials)</th>
-                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Stock Value</th>
-                <th className="px-4 py-3 text-right text-xs font-medium text-orange-600 uppercase">Samples Value</th>
-                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Revenue</th>
-                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Margin</th>
-              </tr>
-            </thead>
+            <thead className="bg-purple-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Order</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Customer</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Destination</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Lines</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Vials</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Revenue</th>{can('view_costs') && <th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">COGS</th>}{can('view_costs') && <th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Margin</th>}</tr></thead>
             <tbody className="divide-y divide-gray-200">
-              {SIZES.map((size) => (
-                <tr key={size} className="hover:bg-gray-50">
-                  <td className="px-4 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{size}</td>
-                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-600">{metrics[size].purchased.toFixed(2)}</td>
-                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-600">{metrics[size].sold.toFixed(2)}</td>
-                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-orange-600">{(metrics[size].adjusted || 0).toFixed(2)} <span className="text-xs text-orange-400">({metrics[size].adjustedVials || 0}v)</span></td>
-                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-bold">
-                    <span className={metrics[size].stock <= 0 ? 'text-red-600' : 'text-green-600'}>{metrics[size].stock.toFixed(2)}</span>
-                  </td>
-                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-bold">
-                    <span className={metrics[size].stockVials <= 0 ? 'text-red-600' : 'text-green-600'}>{metrics[size].stockVials.toFixed(0)}</span>
-                  </td>
-                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">€{metrics[size].stockValue.toFixed(2)}</td>
-                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-orange-600">€{(metrics[size].adjustedValue || 0).toFixed(2)}</td>
-                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-blue-600">€{metrics[size].revenue.toFixed(2)}</td>
-                  <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-purple-600">€{metrics[size].margin.toFixed(2)}</td>
-                </tr>
-              ))}
-              <tr className="bg-green-100 font-bold">
-                <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">TOTAL</td>
-                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">{SIZES.reduce((a, s) => a + metrics[s].purchased, 0).toFixed(2)}</td>
-                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">{SIZES.reduce((a, s) => a + metrics[s].sold, 0).toFixed(2)}</td>
-                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-orange-600">{totalAdjusted.toFixed(2)} <span className="text-xs text-orange-500">({totalAdjustedVials.toFixed(0)}v)</span></td>
-                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">{totalStock.toFixed(2)}</td>
-                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">{totalStockVials.toFixed(0)}</td>
-                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900">€{totalStockValue.toFixed(2)}</td>
-                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-orange-600">€{totalAdjustedValue.toFixed(2)}</td>
-                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-blue-600">€{totalRevenue.toFixed(2)}</td>
-                <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-purple-600">€{totalMargin.toFixed(2)}</td>
-              </tr>
+              {ordersPage.rows.map(o => (<tr key={o.id} className="hover:bg-purple-50"><td className="px-4 py-3 text-sm">{o.orderDate ? new Date(o.orderDate).toLocaleDateString() : '-'}</td><td className="px-4 py-3 text-sm font-medium text-purple-600">{o.label}</td><td className="px-4 py-3 text-sm font-medium">{o.customer}</td><td className="px-4 py-3 text-sm">{o.endDestination}</td><td className="px-4 py-3 text-sm text-right">{o.lines}</td><td className="px-4 py-3 text-sm text-right">{o.vials.toFixed(0)}</td><td className="px-4 py-3 text-sm text-right">{formatMoney(o.revenue, reportingCurrency)}</td>{can('view_costs') && <td className="px-4 py-3 text-sm text-right text-gray-600">{formatMoney(o.cogs, reportingCurrency)}</td>}{can('view_costs') && <td className="px-4 py-3 text-sm text-right font-semibold text-purple-700">{formatMoney(o.revenue - o.cogs, reportingCurrency)} <span className="text-xs font-normal text-gray-400">{marginPercent(o.revenue, o.cogs)}</span></td>}</tr>))}
             </tbody>
           </table>
+          {ordersPage.count === 0 && <div className="text-center py-8 text-gray-500">No orders found</div>}
         </div>
+        <Pager page={pages.orders} count={ordersPage.count} onPage={setPage('orders')} />
       </div>
-      
-      <div className="bg-white rounded-lg shadow p-6">
-        <h3 className="text-lg font-semibold mb-4">Stock by Size (Chart)</h3>
-        <ResponsiveContainer width="100%" height={280}>
-          <BarChart data={chartData} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
-            <CartesianGrid strokeDasharray="3 3" />
-            <XAxis dataKey="name" />
-            <YAxis />
-            <Tooltip />
-            <Legend />
-            <Bar dataKey="packs" fill="#3b82f6" name="Packs">
-              <LabelList dataKey="packs" position="top" fill="#3b82f6" fontWeight="bold" fontSize={12} formatter={(v) => v.toFixed(1)} />
-            </Bar>
-            <Bar dataKey="vials" fill="#10b981" name="Vials">
-              <LabelList dataKey="vials" position="top" fill="#10b981" fontWeight="bold" fontSize={12} formatter={(v) => v.toFixed(0)} />
-            </Bar>
-          </BarChart>
-        </ResponsiveContainer>
+
+      {can('view_costs') && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b flex justify-between items-center"><h3 className="text-lg font-semibold">Batch Margin Report ({batchMargins.length} batches)</h3><ExportButtons filename={exportFilename('batch-margins', ...filterSuffix)} columns={batchMarginExportColumns(reportingCurrency)} rows={batchMargins} sheetName="Batch Margins" /></div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-purple-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Size</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Batch</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Sales</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Vials Sold</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Revenue</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">COGS</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Gross Margin</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Margin %</th></tr></thead>
+              <tbody className="divide-y divide-gray-200">
+                {batchMargins.map(b => (<tr key={`${b.size}-${b.batch}`} className="hover:bg-purple-50"><td className="px-4 py-3 text-sm">{b.size}</td><td className="px-4 py-3 text-sm font-medium text-purple-600">{b.batch}</td><td className="px-4 py-3 text-sm text-right">{b.count}</td><td className="px-4 py-3 text-sm text-right">{b.vials.toFixed(0)}</td><td className="px-4 py-3 text-sm text-right">{formatMoney(b.revenue, reportingCurrency)}</td><td className="px-4 py-3 text-sm text-right text-gray-600">{formatMoney(b.cogs, reportingCurrency)}</td><td className="px-4 py-3 text-sm text-right font-semibold text-purple-700">{formatMoney(b.revenue - b.cogs, reportingCurrency)}</td><td className="px-4 py-3 text-sm text-right">{marginPercent(b.revenue, b.cogs)}</td></tr>))}
+                {batchMargins.length > 0 && (<tr className="bg-purple-100 font-bold"><td colSpan="4" className="px-4 py-3 text-sm text-purple-900">TOTAL</td><td className="px-4 py-3 text-sm text-right text-purple-900">{formatMoney(totalSalesValue, reportingCurrency)}</td><td className="px-4 py-3 text-sm text-right text-purple-900">{formatMoney(totalCogs, reportingCurrency)}</td><td className="px-4 py-3 text-sm text-right text-purple-900">{formatMoney(totalSalesValue - totalCogs, reportingCurrency)}</td><td className="px-4 py-3 text-sm text-right text-purple-900">{marginPercent(totalSalesValue, totalCogs)}</td></tr>)}
+              </tbody>
+            </table>
+            {batchMargins.length === 0 && <div className="text-center py-8 text-gray-500">No sales data found</div>}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b flex justify-between items-center"><h3 className="text-lg font-semibold">Purchases Report ({purchasesPage.count} records)</h3><ExportButtons filename={exportFilename('purchases', ...filterSuffix)} columns={purchasesExportColumns(vialsPerPackBySize, reportingCurrency, can('view_costs'))} rows={exportRows('purchases')} sheetName="Purchases" /></div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-green-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-green-800 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-green-800 uppercase">Supplier</th><th className="px-4 py-3 text-left text-xs font-medium text-green-800 uppercase">Size</th><th className="px-4 py-3 text-left text-xs font-medium text-green-800 uppercase">Batch</th><th className="px-4 py-3 text-right text-xs font-medium text-green-800 uppercase">Packs</th>{can('view_costs') && <th className="px-4 py-3 text-right text-xs font-medium text-green-800 uppercase">Total</th>}</tr></thead>
+            <tbody className="divide-y divide-gray-200">
+              {purchasesPage.rows.map(p => (<tr key={p.id} className="hover:bg-green-50"><td className="px-4 py-3 text-sm">{new Date(p.purchaseDate || p.createdAt).toLocaleDateString()}</td><td className="px-4 py-3 text-sm font-medium">{p.supplier}</td><td className="px-4 py-3 text-sm">{p.size}</td><td className="px-4 py-3 text-sm text-green-600">{p.batchNumber}</td><td className="px-4 py-3 text-sm text-right">{parseFloat(p.units).toFixed(2)}</td>{can('view_costs') && <td className="px-4 py-3 text-sm text-right font-semibold">{formatMoney(parseFloat(p.units) * parseFloat(p.cost), reportingCurrency)}<EnteredAmount amount={parseFloat(p.units) * parseFloat(p.originalAmount)} currency={p.originalCurrency} reportingCurrency={reportingCurrency} /></td>}</tr>))}
+            </tbody>
+          </table>
+          {purchasesPage.count === 0 && <div className="text-center py-8 text-gray-500">No purchases data found</div>}
+        </div>
+        <Pager page={pages.purchases} count={purchasesPage.count} onPage={setPage('purchases')} />
       </div>
 
       <div className="bg-white rounded-lg shadow">
-        <div className="px-6 py-4 border-b flex justify-between items-center">
-          <div>
-            <h3 className="text-lg font-semibold">Sales by End Destination</h3>
-            <p className="text-sm text-gray-500">Total: €{countrySales.total.toFixed(2)}</p>
-          </div>
-          <select value={selectedYear} onChange={(e) => setSelectedYear(e.target.value)} className="border rounded-lg px-3 py-2 text-sm">
-            <option value="all">All Years</option>
-            {years.map(y => <option key={y} value={y}>{y}</option>)}
-          </select>
+        <div className="px-6 py-4 border-b flex justify-between items-center"><h3 className="text-lg font-semibold text-orange-800">Samples & Stock Adjustments Report ({samplesPage.count} records)</h3><ExportButtons filename={exportFilename('samples', ...filterSuffix)} columns={adjustmentsExportColumns(reportingCurrency, can('view_costs'))} rows={exportRows('samples')} sheetName="Samples" /></div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-orange-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Batch</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Size</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Reason</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Recipient</th><th className="px-4 py-3 text-right text-xs font-medium text-orange-800 uppercase">Vials</th>{can('view_costs') && <th className="px-4 py-3 text-right text-xs font-medium text-orange-800 uppercase">Cost Value</th>}</tr></thead>
+            <tbody className="divide-y divide-gray-200">
+              {samplesPage.rows.map(a => (<tr key={a.id} className="hover:bg-orange-50"><td className="px-4 py-3 text-sm">{new Date(a.adjustmentDate || a.createdAt).toLocaleDateString()}</td><td className="px-4 py-3 text-sm font-medium text-orange-600">{a.batchNumber}</td><td className="px-4 py-3 text-sm">{a.size}</td><td className="px-4 py-3 text-sm">{a.reason}</td><td className="px-4 py-3 text-sm">{a.recipient || '-'}</td><td className="px-4 py-3 text-sm text-right">{a.vials}</td>{can('view_costs') && <td className="px-4 py-3 text-sm text-right font-semibold">{formatMoney(a.costValue || 0, reportingCurrency)}</td>}</tr>))}
+              {samplesPage.count > 0 && (<tr className="bg-orange-100 font-bold"><td colSpan="5" className="px-4 py-3 text-sm text-orange-900">TOTAL SAMPLES</td><td className="px-4 py-3 text-sm text-right text-orange-900">{reportTotals.samples.vials}</td>{can('view_costs') && <td className="px-4 py-3 text-sm text-right text-orange-900">{formatMoney(totalAdjustmentsValue, reportingCurrency)}</td>}</tr>)}
+            </tbody>
+          </table>
+          {samplesPage.count === 0 && <div className="text-center py-8 text-gray-500">No samples/adjustments data found</div>}
         </div>
-        
-        {countrySales.data.length > 0 ? (
-          <div className="p-6">
-            <div className="mb-6">
-              <ResponsiveContainer width="100%" height={300}>
-                <PieChart>
-                  <Pie data={countrySales.data} cx="50%" cy="50%" labelLine={true} label={({ country, percentage }) => `${country}: ${percentage}%`} outerRadius={100} fill="#8884d8" dataKey="value" nameKey="country">
-                    {countrySales.data.map((entry, index) => (
-                      <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                    ))}
-                  </Pie>
-                  <Tooltip formatter={(value) => [`€${value.toFixed(2)}`, 'Sales']} />
-                </PieChart>
-              </ResponsiveContainer>
-            </div>
-            
-            <div className="overflow-x-auto">
-              <table className="min-w-full divide-y divide-gray-200">
-                <thead className="bg-gray-50">
-                  <tr>
-                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Country</th>
-                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Sales Value</th>
-                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">% of Total</th>
-                  </tr>
-                </thead>
-                <tbody className="divide-y divide-gray-200">
-                  {countrySales.data.map((item, index) => (
-                    <tr key={item.country} className="hover:bg-gray-50">
-                      <td className="px-4 py-3 text-sm font-medium text-gray-900 flex items-center gap-2">
-                        <span className="w-3 h-3 rounded-full" style={{ backgroundColor: COLORS[index % COLORS.length] }}></span>
-                        {item.country}
-                      </td>
-                      <td className="px-4 py-3 text-sm text-right text-blue-600 font-semibold">€{item.value.toFixed(2)}</td>
-                      <td className="px-4 py-3 text-sm text-right text-gray-600">{item.percentage}%</td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          </div>
-        ) : (
-          <div className="p-8 text-center text-gray-500">No sales data available {selectedYear !== 'all' ? `for ${selectedYear}` : ''}</div>
-        )}
+        <Pager page={pages.samples} count={samplesPage.count} onPage={setPage('samples')} />
       </div>
     </div>
   );
 };
 
-// ==================== SALES COMPONENT ====================
-const Sales = ({ sales, addSale, deleteSale, stockHolds, addStockHold, deleteStockHold, stockAdjustments, addStockAdjustment, deleteStockAdjustment, convertHoldToSale, revertSaleToHold, verifyPassword, currentUser, activeSize, setActiveSize, isAdmin, customers, purchases }) => {
-  const [showForm, setShowForm] = useState(false);
-  const [showHoldForm, setShowHoldForm] = useState(false);
-  const [showSampleForm, setShowSampleForm] = useState(false);
-  const [showConvertModal, setShowConvertModal] = useState(false);
-  const [showRevertModal, setShowRevertModal] = useState(false);
-  const [selectedHold, setSelectedHold] = useState(null);
-  const [selectedSale, setSelectedSale] = useState(null);
-  const [convertForm, setConvertForm] = useState({ batchNumber: '', pricePerVial: '', saleDate: new Date().toISOString().split('T')[0], password: '' });
-  const [revertPassword, setRevertPassword] = useState('');
-  const [modalError, setModalError] = useState('');
-  const [modalLoading, setModalLoading] = useState(false);
-  const [form, setForm] = useState({ customerId: '', customer: '', country: '', endDestination: '', batchNumber: '', vials: '', pricePerVial: '', saleDate: new Date().toISOString().split('T')[0] });
-  const [holdForm, setHoldForm] = useState({ customerId: '', customer: '', country: '', endDestination: '', vials: '', notes: '', holdDate: new Date().toISOString().split('T')[0] });
-  const [sampleForm, setSampleForm] = useState({ batchNumber: '', vials: '', reason: 'Retention Sample', recipient: '', notes: '', adjustmentDate: new Date().toISOString().split('T')[0] });
-
-  const SAMPLE_REASONS = ['Retention Sample', 'Quality Testing', 'Customer Sample', 'Marketing Sample', 'Regulatory Sample', 'Other'];
-
-  const getBatches = () => {
-    const ps = purchases.filter(p => p.size === activeSize);
-    const ss = sales.filter(s => s.size === activeSize);
-    const adj = stockAdjustments.filter(a => a.size === activeSize);
-    const batches = {};
-    ps.forEach(p => {
-      if (!batches[p.batchNumber]) batches[p.batchNumber] = { purchased: 0, sold: 0, adjusted: 0, supplier: p.supplier, expiryDate: p.expiryDate, cost: p.cost };
-      batches[p.batchNumber].purchased += parseFloat(p.units) || 0;
-    });
-    ss.forEach(s => { if (batches[s.batchNumber]) batches[s.batchNumber].sold += parseFloat(s.units) || 0; });
-    adj.forEach(a => { if (batches[a.batchNumber]) batches[a.batchNumber].adjusted += parseFloat(a.units) || 0; });
-    return Object.entries(batches).filter(([k, v]) => v.purchased - v.sold - v.adjusted > 0).map(([k, v]) => ({ batch: k, availablePacks: v.purchased - v.sold - v.adjusted, availableVials: (v.purchased - v.sold - v.adjusted) * VIALS_PER_PACK[activeSize], supplier: v.supplier, expiryDate: v.expiryDate, costPerPack: v.cost }));
-  };
-
-  const getBatchCost = (batchNumber) => {
-    const purchase = purchases.find(p => p.batchNumber === batchNumber && p.size === activeSize);
-    return purchase ? purchase.cost : 0;
-  };
-
-  const handleCustomer = (id) => {
-    const c = customers.find(c => c.id === id);
-    setForm({ ...form, customerId: id, customer: c ? c.name : '', country: c ? c.country : '' });
-  };
+// ==================== APPROVALS COMPONENT ====================
+const APPROVAL_KINDS = { delete: 'Delete', revert: 'Revert to hold', sample: 'Sample over limits' };
 
-  const handleHoldCustomer = (id) => {
-    const c = customers.find(c => c.id === id);
-    setHoldForm({ ...holdForm, customerId: id, customer: c ? c.name : '', country: c ? c.country : '' });
-  };
+const APPROVAL_STATUS_STYLES = {
+  pending: 'bg-amber-100 text-amber-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
 
-  const handleSubmit = async () => {
-    if (!form.customer || !form.batchNumber || !form.vials || !form.pricePerVial || !form.endDestination) { alert('Fill all fields including End Destination'); return; }
-    const vials = parseFloat(form.vials);
-    const vialsPerPack = VIALS_PER_PACK[activeSize];
-    const packs = vials / vialsPerPack;
-    const pricePerPack = parseFloat(form.pricePerVial) * vialsPerPack;
-    await addSale({ ...form, size: activeSize, units: packs, price: pricePerPack });
-    setForm({ customerId: '', customer: '', country: '', endDestination: '', batchNumber: '', vials: '', pricePerVial: '', saleDate: new Date().toISOString().split('T')[0] });
-    setShowForm(false);
-  };
+// Requesters see their own requests; approvers see everyone's and decide those raised by others.
+// Pending requests are kept in the app; decided ones are read a page at a time.
+const Approvals = ({ liveChange, approvals, currentUser, can, decideApproval, cancelApproval, commentOnApproval }) => {
+  const [filter, setFilter] = useState('pending');
+  const [page, setPage] = useState(0);
+  const [decided, setDecided] = useState({ rows: [], count: 0 });
+  const [openId, setOpenId] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [commentsLoading, setCommentsLoading] = useState(false);
+  const [comment, setComment] = useState('');
+  const [busyId, setBusyId] = useState(null);
 
-  const handleHoldSubmit = async () => {
-    if (!holdForm.customer || !holdForm.vials || !holdForm.endDestination) { alert('Customer, vials, and End Destination are required'); return; }
-    const vials = parseFloat(holdForm.vials);
-    const vialsPerPack = VIALS_PER_PACK[activeSize];
-    const packs = vials / vialsPerPack;
-    await addStockHold({ ...holdForm, size: activeSize, units: packs, vials: vials });
-    setHoldForm({ customerId: '', customer: '', country: '', endDestination: '', vials: '', notes: '', holdDate: new Date().toISOString().split('T')[0] });
-    setShowHoldForm(false);
-  };
+  // Reloaded as requests change, so a decision moves the request across
+  useEffect(() => {
+    if (filter === 'pending') return;
+    let query = supabase.from('approval_requests').select('*', { count: 'exact' });
+    if (filter !== 'all') query = query.eq('status', filter);
+    query.order('created_at', { ascending: false }).order('id', { ascending: false }).range(page * PAGE_SIZE, (page + 1) * PAGE_SIZE - 1)
+      .then(({ data, count, error }) => error ? console.error('Load approvals error:', error) : setDecided({ rows: data.map(toCamelCase), count: count || 0 }));
+  }, [filter, page, approvals]);
 
-  const handleSampleSubmit = async () => {
-    if (!sampleForm.batchNumber || !sampleForm.vials || !sampleForm.reason) { alert('Batch, vials, and reason are required'); return; }
-    const vials = parseFloat(sampleForm.vials);
-    const vialsPerPack = VIALS_PER_PACK[activeSize];
-    const packs = vials / vialsPerPack;
-    const costPerPack = getBatchCost(sampleForm.batchNumber);
-    await addStockAdjustment({ ...sampleForm, size: activeSize, units: packs, vials: vials, costPerPack: costPerPack, totalCost: packs * costPerPack });
-    setSampleForm({ batchNumber: '', vials: '', reason: 'Retention Sample', recipient: '', notes: '', adjustmentDate: new Date().toISOString().split('T')[0] });
-    setShowSampleForm(false);
-  };
+  const shown = filter === 'pending' ? approvals.filter(r => r.status === 'pending') : decided.rows;
+  const isOwn = (r) => r.requesterAuthId === currentUser.authId;
 
-  const openConvertModal = (hold) => {
-    setSelectedHold(hold);
-    setConvertForm({ batchNumber: '', pricePerVial: '', saleDate: new Date().toISOString().split('T')[0], password: '' });
-    setModalError('');
-    setShowConvertModal(true);
+  const loadComments = async (id) => {
+    setCommentsLoading(true);
+    try {
+      const { data, error } = await supabase.from('approval_comments').select('*').eq('request_id', id).order('created_at');
+      if (error) throw error;
+      setComments((data || []).map(toCamelCase));
+    } catch (e) { console.error('Load approval comments error:', e); }
+    setCommentsLoading(false);
   };
 
-  const handleConvertToSale = async () => {
-    if (!convertForm.batchNumber || !convertForm.pricePerVial || !convertForm.password) {
-      setModalError('Please fill all fields including your password');
-      return;
-    }
-    setModalLoading(true);
-    setModalError('');
-    const isValid = await verifyPassword(currentUser.username, convertForm.password);
-    if (!isValid) {
-      setModalError('Invalid password. Please try again.');
-      setModalLoading(false);
-      return;
-    }
-    const vialsPerPack = VIALS_PER_PACK[selectedHold.size];
-    const pricePerPack = parseFloat(convertForm.pricePerVial) * vialsPerPack;
-    const result = await convertHoldToSale(selectedHold.id, { batchNumber: convertForm.batchNumber, price: pricePerPack, saleDate: convertForm.saleDate });
-    setModalLoading(false);
-    if (result.success) {
-      setShowConvertModal(false);
-      setSelectedHold(null);
-      alert('Stock hold successfully converted to sale!');
-    } else {
-      setModalError(result.error || 'Failed to convert stock hold');
-    }
+  const toggleComments = (id) => {
+    if (openId === id) { setOpenId(null); return; }
+    setOpenId(id);
+    setComments([]);
+    setComment('');
+    loadComments(id);
   };
 
-  const openRevertModal = (sale) => {
-    setSelectedSale(sale);
-    setRevertPassword('');
-    setModalError('');
-    setShowRevertModal(true);
+  const run = async (r, action) => {
+    setBusyId(r.id);
+    const result = await action();
+    setBusyId(null);
+    if (!result.success) { alert(result.error || 'Failed to update the request'); return; }
+    if (openId === r.id) loadComments(r.id);
   };
 
-  const handleRevertToHold = async () => {
-    if (!revertPassword) { setModalError('Please enter your password'); return; }
-    setModalLoading(true);
-    setModalError('');
-    const isValid = await verifyPassword(currentUser.username, revertPassword);
-    if (!isValid) {
-      setModalError('Invalid password. Please try again.');
-      setModalLoading(false);
-      return;
-    }
-    const result = await revertSaleToHold(selectedSale.id);
-    setModalLoading(false);
-    if (result.success) {
-      setShowRevertModal(false);
-      setSelectedSale(null);
-      alert('Sale successfully reverted to stock hold!');
-    } else {
-      setModalError(result.error || 'Failed to revert sale');
-    }
+  const approve = (r) => {
+    if (!window.confirm(`Approve and carry out this request?\n\n${r.summary}`)) return;
+    run(r, () => decideApproval(r.id, true, comment.trim() && openId === r.id ? comment.trim() : null));
   };
 
-  const filtered = sales.filter(s => s.size === activeSize);
-  const filteredHolds = stockHolds.filter(h => h.size === activeSize);
-  const filteredAdjustments = stockAdjustments.filter(a => a.size === activeSize);
-  const batches = getBatches();
-  const vialsPerPack = VIALS_PER_PACK[activeSize];
+  const reject = (r) => {
+    const reason = window.prompt('Reason for rejecting this request:');
+    if (!reason || !reason.trim()) return;
+    run(r, () => decideApproval(r.id, false, reason.trim()));
+  };
+
+  const withdraw = (r) => {
+    if (!window.confirm('Withdraw this request?')) return;
+    run(r, () => cancelApproval(r.id));
+  };
+
+  const addComment = async (r) => {
+    if (!comment.trim()) return;
+    const result = await commentOnApproval(r.id, comment.trim());
+    if (!result.success) { alert(result.error || 'Failed to add comment'); return; }
+    setComments([...comments, result.data]);
+    setComment('');
+  };
 
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
-        <h2 className="text-xl font-semibold">Sales</h2>
-        <div className="flex gap-2">
-          <button onClick={() => { setShowSampleForm(!showSampleForm); setShowForm(false); setShowHoldForm(false); }} className="flex items-center gap-2 bg-orange-500 text-white px-4 py-2 rounded-lg hover:bg-orange-600"><Plus className="w-4 h-4" /> Record Sample</button>
-          <button onClick={() => { setShowHoldForm(!showHoldForm); setShowForm(false); setShowSampleForm(false); }} className="flex items-center gap-2 bg-amber-500 text-white px-4 py-2 rounded-lg hover:bg-amber-600"><Plus className="w-4 h-4" /> Stock Hold</button>
-          <button onClick={() => { setShowForm(!showForm); setShowHoldForm(false); setShowSampleForm(false); }} className="flex items-center gap-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700"><Plus className="w-4 h-4" /> Add Sale</button>
-        </div>
+        <h2 className="text-xl font-semibold">Approvals</h2>
+        <select value={filter} onChange={(e) => { setFilter(e.target.value); setPage(0); }} className="border rounded-lg px-3 py-2 text-sm">
+          <option value="pending">Pending</option>
+          <option value="approved">Approved</option>
+          <option value="rejected">Rejected</option>
+          <option value="cancelled">Withdrawn</option>
+          <option value="all">All requests</option>
+        </select>
       </div>
-      <div className="flex space-x-2 border-b">{SIZES.map(s => (<button key={s} onClick={() => setActiveSize(s)} className={`px-4 py-2 text-sm ${activeSize === s ? 'border-b-2 border-purple-500 text-purple-600' : 'text-gray-600'}`}>{s}</button>))}</div>
-      
-      {showForm && (
-        <div className="bg-white rounded-lg shadow p-6 space-y-4">
-          <h3 className="font-semibold">New Sale - {activeSize} <span className="text-sm font-normal text-gray-500">({vialsPerPack} vials per pack)</span></h3>
-          <select value={form.customerId} onChange={(e) => handleCustomer(e.target.value)} className="w-full border rounded-lg px-3 py-2">
-            <option value="">Select customer...</option>
-            {customers.map(c => <option key={c.id} value={c.id}>{c.name} - {c.country}</option>)}
-          </select>
-          {form.customer && <div className="bg-blue-50 p-3 rounded text-sm">Selected: {form.customer} ({form.country})</div>}
-          <div>
-            <label className="block text-xs text-gray-500 mb-1">End Destination (Final Sales Country)</label>
-            <select value={form.endDestination} onChange={(e) => setForm({...form, endDestination: e.target.value})} className="w-full border rounded-lg px-3 py-2">
-              <option value="">Select end destination...</option>
-              {COUNTRIES.map(c => <option key={c} value={c}>{c}</option>)}
-            </select>
-          </div>
-          <div className="grid grid-cols-2 gap-4">
-            <div><label className="block text-xs text-gray-500 mb-1">Sale Date</label><input type="date" value={form.saleDate} onChange={(e) => setForm({...form, saleDate: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
-            <select value={form.batchNumber} onChange={(e) => setForm({...form, batchNumber: e.target.value})} className="border rounded-lg px-3 py-2"><option value="">Select batch...</option>{batches.map(b => <option key={b.batch} value={b.batch}>{b.batch} - {b.availableVials.toFixed(0)} vials available</option>)}</select>
-          </div>
-          <div className="grid grid-cols-2 gap-4">
-            <div><input type="number" placeholder="Number of Vials" value={form.vials} onChange={(e) => setForm({...form, vials: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />{form.vials && <p className="text-xs text-gray-500 mt-1">= {(parseFloat(form.vials) / vialsPerPack).toFixed(2)} packs</p>}</div>
-            <div><input type="number" placeholder="Price per vial €" step="0.01" value={form.pricePerVial} onChange={(e) => setForm({...form, pricePerVial: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />{form.pricePerVial && <p className="text-xs text-gray-500 mt-1">= €{(parseFloat(form.pricePerVial) * vialsPerPack).toFixed(2)} per pack</p>}</div>
-          </div>
-          <div className="flex gap-2"><button onClick={handleSubmit} className="bg-purple-600 text-white px-4 py-2 rounded-lg">Save</button><button onClick={() => setShowForm(false)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
-        </div>
-      )}
-
-      {showHoldForm && (
-        <div className="bg-amber-50 border border-amber-200 rounded-lg shadow p-6 space-y-4">
-          <h3 className="font-semibold text-amber-800">New Stock Hold - {activeSize}</h3>
-          <p className="text-xs text-amber-600">Stock holds are for committed stock that has not yet been sold.</p>
-          <select value={holdForm.customerId} onChange={(e) => handleHoldCustomer(e.target.value)} className="w-full border border-amber-300 rounded-lg px-3 py-2"><option value="">Select customer...</option>{customers.map(c => <option key={c.id} value={c.id}>{c.name} - {c.country}</option>)}</select>
-          <select value={holdForm.endDestination} onChange={(e) => setHoldForm({...holdForm, endDestination: e.target.value})} className="w-full border border-amber-300 rounded-lg px-3 py-2"><option value="">Select end destination...</option>{COUNTRIES.map(c => <option key={c} value={c}>{c}</option>)}</select>
-          <div className="grid grid-cols-2 gap-4"><input type="date" value={holdForm.holdDate} onChange={(e) => setHoldForm({...holdForm, holdDate: e.target.value})} className="border border-amber-300 rounded-lg px-3 py-2" /><input type="number" placeholder="Number of Vials" value={holdForm.vials} onChange={(e) => setHoldForm({...holdForm, vials: e.target.value})} className="border border-amber-300 rounded-lg px-3 py-2" /></div>
-          <input type="text" placeholder="Notes (optional)" value={holdForm.notes} onChange={(e) => setHoldForm({...holdForm, notes: e.target.value})} className="w-full border border-amber-300 rounded-lg px-3 py-2" />
-          <div className="flex gap-2"><button onClick={handleHoldSubmit} className="bg-amber-500 text-white px-4 py-2 rounded-lg">Save Hold</button><button onClick={() => setShowHoldForm(false)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
-        </div>
-      )}
-
-      {showSampleForm && (
-        <div className="bg-orange-50 border border-orange-200 rounded-lg shadow p-6 space-y-4">
-          <h3 className="font-semibold text-orange-800">Record Sample/Stock Adjustment - {activeSize}</h3>
-          <p className="text-xs text-orange-600">Samples are recorded at cost price and deducted from available stock.</p>
-          <div className="grid grid-cols-2 gap-4">
-            <div><label className="block text-xs text-orange-700 mb-1">Select Batch *</label><select value={sampleForm.batchNumber} onChange={(e) => setSampleForm({...sampleForm, batchNumber: e.target.value})} className="w-full border border-orange-300 rounded-lg px-3 py-2"><option value="">Select batch...</option>{batches.map(b => (<option key={b.batch} value={b.batch}>{b.batch} - {b.availableVials.toFixed(0)} vials available (€{(b.costPerPack / vialsPerPack).toFixed(2)}/vial)</option>))}</select></div>
-            <div><label className="block text-xs text-orange-700 mb-1">Number of Vials *</label><input type="number" placeholder="Enter vials" value={sampleForm.vials} onChange={(e) => setSampleForm({...sampleForm, vials: e.target.value})} className="border border-orange-300 rounded-lg px-3 py-2 w-full" />{sampleForm.vials && sampleForm.batchNumber && (<p className="text-xs text-orange-600 mt-1">= {(parseFloat(sampleForm.vials) / vialsPerPack).toFixed(2)} packs | Cost: €{((parseFloat(sampleForm.vials) / vialsPerPack) * getBatchCost(sampleForm.batchNumber)).toFixed(2)}</p>)}</div>
-          </div>
-          <div className="grid grid-cols-2 gap-4">
-            <div><label className="block text-xs text-orange-700 mb-1">Reason *</label><select value={sampleForm.reason} onChange={(e) => setSampleForm({...sampleForm, reason: e.target.value})} className="w-full border border-orange-300 rounded-lg px-3 py-2">{SAMPLE_REASONS.map(r => <option key={r} value={r}>{r}</option>)}</select></div>
-            <div><label className="block text-xs text-orange-700 mb-1">Date</label><input type="date" value={sampleForm.adjustmentDate} onChange={(e) => setSampleForm({...sampleForm, adjustmentDate: e.target.value})} className="border border-orange-300 rounded-lg px-3 py-2 w-full" /></div>
-          </div>
-          <div><label className="block text-xs text-orange-700 mb-1">Recipient (if giving to external party)</label><input type="text" placeholder="e.g., Company name, Contact person" value={sampleForm.recipient} onChange={(e) => setSampleForm({...sampleForm, recipient: e.target.value})} className="w-full border border-orange-300 rounded-lg px-3 py-2" /></div>
-          <div><label className="block text-xs text-orange-700 mb-1">Notes</label><input type="text" placeholder="Additional notes..." value={sampleForm.notes} onChange={(e) => setSampleForm({...sampleForm, notes: e.target.value})} className="w-full border border-orange-300 rounded-lg px-3 py-2" /></div>
-          <div className="flex gap-2"><button onClick={handleSampleSubmit} className="bg-orange-500 text-white px-4 py-2 rounded-lg hover:bg-orange-600">Record Sample</button><button onClick={() => setShowSampleForm(false)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
-        </div>
-      )}
-      
+      <p className="text-sm text-gray-600">Deletions, reversions of sales to holds, and samples over the limits set under Setup → Settings take effect only after a second user approves them.{!can('approve') && ' Your own requests are listed here.'}</p>
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <table className="min-w-full divide-y divide-gray-200">
-          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Customer</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">End Dest.</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Batch</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Packs</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vials</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
+          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Requested</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Request</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reason</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
           <tbody className="divide-y divide-gray-200">
-            {filtered.map(s => (
-              <tr key={s.id} className={s.convertedFrom === 'stockHold' ? 'bg-green-50' : ''}>
-                <td className="px-4 py-3 text-sm">{new Date(s.saleDate || s.createdAt).toLocaleDateString()}<AuditTag createdBy={s.createdBy} createdAt={s.createdAt} />{s.convertedFrom === 'stockHold' && <span className="inline-block mt-1 px-1.5 py-0.5 bg-green-100 text-green-700 text-xs rounded">From Hold</span>}</td>
-                <td className="px-4 py-3 text-sm font-medium">{s.customer}</td>
-                <td className="px-4 py-3 text-sm">{s.endDestination || s.country || '-'}</td>
-                <td className="px-4 py-3 text-sm text-purple-600">{s.batchNumber}</td>
-                <td className="px-4 py-3 text-sm">{parseFloat(s.units).toFixed(2)}</td>
-                <td className="px-4 py-3 text-sm text-gray-500">{(parseFloat(s.units) * vialsPerPack).toFixed(0)}</td>
-                <td className="px-4 py-3 text-sm font-semibold">€{(parseFloat(s.units) * parseFloat(s.price)).toFixed(2)}</td>
-                <td className="px-4 py-3 text-sm">
-                  <div className="flex gap-2">
-                    {isAdmin && s.convertedFrom === 'stockHold' && (<button onClick={() => openRevertModal(s)} className="text-orange-600 hover:text-orange-800 text-xs font-medium">Revert</button>)}
-                    {isAdmin && <button onClick={() => deleteSale(s.id)} className="text-red-600 hover:text-red-800">Delete</button>}
-                  </div>
-                </td>
-              </tr>
+            {shown.map(r => (
+              <React.Fragment key={r.id}>
+                <tr className={liveChange('approval_requests', r.id) ? LIVE_CHANGE_ROW : r.status === 'pending' && !isOwn(r) && can('approve') ? 'bg-amber-50' : ''}>
+                  <td className="px-4 py-3 text-sm whitespace-nowrap">{new Date(r.createdAt).toLocaleString()}<span className="block text-xs text-gray-500">by {r.createdBy}</span><LiveChangeTag change={liveChange('approval_requests', r.id)} /></td>
+                  <td className="px-4 py-3 text-sm"><span className="px-2 py-0.5 rounded text-xs bg-gray-100 mr-2">{APPROVAL_KINDS[r.kind] || r.kind}</span>{r.summary}</td>
+                  <td className="px-4 py-3 text-sm text-gray-700">{r.reason}</td>
+                  <td className="px-4 py-3 text-sm"><span className={`px-2 py-1 rounded text-xs capitalize ${APPROVAL_STATUS_STYLES[r.status] || 'bg-gray-100'}`}>{r.status === 'cancelled' ? 'withdrawn' : r.status}</span>{r.decidedAt && <span className="block text-xs text-gray-500 mt-1">{r.outcome}{r.outcome ? ' - ' : ''}{r.decidedBy}, {new Date(r.decidedAt).toLocaleString()}</span>}</td>
+                  <td className="px-4 py-3 text-sm"><div className="flex gap-2">
+                    {r.status === 'pending' && can('approve') && !isOwn(r) && <button onClick={() => approve(r)} disabled={busyId !== null} className="text-green-600 disabled:opacity-50">Approve</button>}
+                    {r.status === 'pending' && can('approve') && !isOwn(r) && <button onClick={() => reject(r)} disabled={busyId !== null} className="text-red-600 disabled:opacity-50">Reject</button>}
+                    {r.status === 'pending' && isOwn(r) && <button onClick={() => withdraw(r)} disabled={busyId !== null} className="text-gray-600 disabled:opacity-50">Withdraw</button>}
+                    <button onClick={() => toggleComments(r.id)} className="text-blue-600">{openId === r.id ? 'Hide' : 'Comments'}</button>
+                  </div></td>
+                </tr>
+                {openId === r.id && (
+                  <tr className="bg-gray-50">
+                    <td colSpan="5" className="px-4 py-3 space-y-2">
+                      {commentsLoading && comments.length === 0 ? <p className="text-xs text-gray-500">Loading comments...</p> : (
+                        <ul className="space-y-2">
+                          {comments.map(c => <li key={c.id} className="text-sm"><span className="text-xs text-gray-500">{c.createdBy}, {new Date(c.createdAt).toLocaleString()}:</span> {c.body}</li>)}
+                          {comments.length === 0 && <li className="text-xs text-gray-500">No comments yet</li>}
+                        </ul>
+                      )}
+                      <div className="flex gap-2">
+                        <input type="text" placeholder="Add a comment" value={comment} onChange={(e) => setComment(e.target.value)} className="flex-1 border rounded-lg px-3 py-2 text-sm" />
+                        <button onClick={() => addComment(r)} disabled={!comment.trim()} className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm disabled:opacity-50">Comment</button>
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
             ))}
           </tbody>
         </table>
-        {filtered.length === 0 && <div className="text-center py-8 text-gray-500">No sales for {activeSize}</div>}
+        {shown.length === 0 && <div className="text-center py-8 text-gray-500">No {filter === 'all' ? '' : filter === 'cancelled' ? 'withdrawn ' : `${filter} `}requests</div>}
+        {filter !== 'pending' && <Pager page={page} count={decided.count} onPage={setPage} />}
       </div>
+    </div>
+  );
+};
 
-      <div className="bg-amber-50 border border-amber-200 rounded-lg shadow overflow-hidden">
-        <div className="px-4 py-3 bg-amber-100 border-b border-amber-200"><h3 className="font-semibold text-amber-800">Stock Holds</h3><p className="text-xs text-amber-600">Click "Convert to Sale" to finalize a hold into an actual sale</p></div>
-        <table className="min-w-full divide-y divide-amber-200">
-          <thead className="bg-amber-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">Customer</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">End Dest.</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">Vials</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">Notes</th><th className="px-4 py-3 text-left text-xs font-medium text-amber-700 uppercase">Actions</th></tr></thead>
-          <tbody className="divide-y divide-amber-100">
-            {filteredHolds.map(h => (
-              <tr key={h.id}>
-                <td className="px-4 py-3 text-sm text-amber-800">{new Date(h.holdDate || h.createdAt).toLocaleDateString()}<AuditTag createdBy={h.createdBy} createdAt={h.createdAt} /></td>
-                <td className="px-4 py-3 text-sm font-medium text-amber-800">{h.customer}</td>
-                <td className="px-4 py-3 text-sm text-amber-700">{h.endDestination || h.country || '-'}</td>
-                <td className="px-4 py-3 text-sm text-amber-600">{h.vials}</td>
-                <td className="px-4 py-3 text-sm text-amber-600">{h.notes || '-'}</td>
-                <td className="px-4 py-3 text-sm">
-                  <div className="flex gap-2">
-                    <button onClick={() => openConvertModal(h)} className="bg-green-500 hover:bg-green-600 text-white px-2 py-1 rounded text-xs font-medium">Convert to Sale</button>
-                    {isAdmin && <button onClick={() => deleteStockHold(h.id)} className="text-red-600 hover:text-red-800 text-xs">Delete</button>}
-                  </div>
-                </td>
-              </tr>
-            ))}
-          </tbody>
-        </table>
-        {filteredHolds.length === 0 && <div className="text-center py-6 text-amber-600">No stock holds for {activeSize}</div>}
-      </div>
+// ==================== OUTBOX COMPONENT ====================
+const OUTBOX_STATUS = {
+  pending: { label: 'Waiting', style: 'bg-gray-100 text-gray-700' },
+  syncing: { label: 'Syncing...', style: 'bg-blue-100 text-blue-800' },
+  conflict: { label: 'Conflict', style: 'bg-red-100 text-red-800' }
+};
 
-      <div className="bg-orange-50 border border-orange-200 rounded-lg shadow overflow-hidden">
-        <div className="px-4 py-3 bg-orange-100 border-b border-orange-200"><h3 className="font-semibold text-orange-800">Samples & Stock Adjustments</h3><p className="text-xs text-orange-600">Recorded at cost price - deducted from available stock</p></div>
-        <table className="min-w-full divide-y divide-orange-200">
-          <thead className="bg-orange-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Batch</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Reason</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Recipient</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Vials</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Cost Value</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Notes</th>{isAdmin && <th className="px-4 py-3 text-left text-xs font-medium text-orange-700 uppercase">Action</th>}</tr></thead>
-          <tbody className="divide-y divide-orange-100">
-            {filteredAdjustments.map(a => (
-              <tr key={a.id} className="bg-orange-50/50">
-                <td className="px-4 py-3 text-sm text-orange-800">{new Date(a.adjustmentDate || a.createdAt).toLocaleDateString()}<AuditTag createdBy={a.createdBy} createdAt={a.createdAt} /></td>
-                <td className="px-4 py-3 text-sm font-medium text-orange-700">{a.batchNumber}</td>
-                <td className="px-4 py-3 text-sm text-orange-600">{a.reason}</td>
-                <td className="px-4 py-3 text-sm text-orange-600">{a.recipient || '-'}</td>
-                <td className="px-4 py-3 text-sm text-orange-800">{a.vials} <span className="text-xs text-orange-500">({parseFloat(a.units)?.toFixed(2)}pk)</span></td>
-                <td className="px-4 py-3 text-sm font-semibold text-orange-700">€{(parseFloat(a.totalCost) || 0).toFixed(2)}</td>
-                <td className="px-4 py-3 text-sm text-orange-600">{a.notes || '-'}</td>
-                {isAdmin && <td className="px-4 py-3 text-sm"><button onClick={() => deleteStockAdjustment(a.id)} className="text-red-600 hover:text-red-800">Delete</button></td>}
-              </tr>
+// Orders, holds and samples recorded offline. An entry the server refused can
+// be edited (another batch, fewer vials), retried as it is, or discarded.
+const Outbox = ({ outbox, dbConnected, syncing, dataLoadedAt, vialsPerPackBySize, stock, syncOutbox, retryOutboxEntry, editOutboxEntry, discardOutboxEntry }) => {
+  const [editing, setEditing] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const waiting = outbox.filter(e => e.status === 'pending').length;
+
+  // Batches as they stand without the entry being edited
+  const batchesFor = (size, entryId) => availableBatches(buildBatchLedger({
+    ...stock,
+    sales: stock.sales.filter(s => s.outboxId !== entryId),
+    stockAdjustments: stock.stockAdjustments.filter(a => a.outboxId !== entryId)
+  }, size, vialsPerPackBySize[size]));
+
+  const startEdit = (entry) => {
+    const args = entry.kind === 'order' ? { ...entry.args, lines: entry.args.lines.map(l => ({ ...l })) } : { ...entry.args };
+    setEditing({ id: entry.id, kind: entry.kind, args });
+  };
+
+  const setArg = (field, value) => setEditing({ ...editing, args: { ...editing.args, [field]: value } });
+  const setLine = (i, field, value) => setEditing({ ...editing, args: { ...editing.args, lines: editing.args.lines.map((l, j) => j === i ? { ...l, [field]: value } : l) } });
+
+  const run = async (id, action) => {
+    setBusyId(id);
+    try { await action(); } catch (e) { console.error('Outbox error:', e); alert(`Failed to update this entry: ${e.message}`); }
+    setBusyId(null);
+  };
+
+  const saveEdit = () => {
+    const { id, kind, args } = editing;
+    const quantities = kind === 'order' ? args.lines.map(l => parseFloat(l.vials)) : [parseFloat(args.vials)];
+    if (quantities.some(v => !(v > 0))) { alert('Every quantity must be more than zero'); return; }
+    let edited = args;
+    if (kind === 'stock_hold') {
+      edited = { ...args, vials: parseFloat(args.vials), units: parseFloat(args.vials) / vialsPerPackBySize[args.size] };
+    } else if (kind === 'stock_adjustment') {
+      if (!args.batchNumber) { alert('Select a batch'); return; }
+      const batch = batchesFor(args.size, id).find(b => b.batch === args.batchNumber);
+      const units = parseFloat(args.vials) / vialsPerPackBySize[args.size];
+      const costPerPack = batch ? batch.costPerPack : parseFloat(args.costPerPack) || 0;
+      edited = { ...args, vials: parseFloat(args.vials), units, costPerPack, totalCost: units * costPerPack, currency: batch?.currency || args.currency };
+    }
+    run(id, async () => { await editOutboxEntry(id, edited); setEditing(null); });
+  };
+
+  const discard = (entry) => {
+    if (!window.confirm(`Discard this ${OUTBOX_KINDS[entry.kind].toLowerCase()}? It was never saved to the server and will be lost.\n\n${entry.summary}`)) return;
+    run(entry.id, () => discardOutboxEntry(entry.id));
+  };
+
+  const batchSelect = (size, value, onChange, entryId, allowAny) => (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)} className="border rounded-lg px-3 py-2 text-sm">
+      <option value="">{allowAny ? 'Any batch, soonest expiry first' : 'Select batch...'}</option>
+      {batchesFor(size, entryId).map(b => <option key={b.batch} value={b.batch}>{b.batch} ({b.availableVials} vials{b.expiryDate ? `, exp ${new Date(b.expiryDate).toLocaleDateString()}` : ''})</option>)}
+    </select>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h2 className="text-xl font-semibold">Not Synced Yet</h2>
+        {dbConnected && waiting > 0 && <button onClick={syncOutbox} disabled={syncing} className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg disabled:opacity-50"><RefreshCw className="w-4 h-4" /> {syncing ? 'Syncing...' : 'Sync Now'}</button>}
+      </div>
+      <p className="text-sm text-gray-600">
+        {dbConnected
+          ? 'Records made while offline are sent in the order they were made. Any the server refused are marked as conflicts below.'
+          : `You are offline and working from data saved on this device${dataLoadedAt ? ` at ${new Date(dataLoadedAt).toLocaleString()}` : ''}. These records are sent when the connection returns.`}
+      </p>
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Recorded</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Record</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
+          <tbody className="divide-y divide-gray-200">
+            {outbox.map(entry => (
+              <React.Fragment key={entry.id}>
+                <tr className={entry.status === 'conflict' ? 'bg-red-50' : ''}>
+                  <td className="px-4 py-3 text-sm whitespace-nowrap">{new Date(entry.recordedAt).toLocaleString()}</td>
+                  <td className="px-4 py-3 text-sm"><span className="px-2 py-0.5 rounded text-xs bg-gray-100 mr-2">{OUTBOX_KINDS[entry.kind]}</span>{entry.summary}</td>
+                  <td className="px-4 py-3 text-sm"><span className={`px-2 py-1 rounded text-xs ${OUTBOX_STATUS[entry.status].style}`}>{OUTBOX_STATUS[entry.status].label}</span>{entry.error && <span className="block text-xs text-red-700 mt-1">{entry.error}</span>}</td>
+                  <td className="px-4 py-3 text-sm">{entry.status !== 'syncing' && <div className="flex gap-2">
+                    <button onClick={() => editing?.id === entry.id ? setEditing(null) : startEdit(entry)} disabled={busyId !== null} className="text-blue-600 disabled:opacity-50">{editing?.id === entry.id ? 'Close' : 'Edit'}</button>
+                    {entry.status === 'conflict' && dbConnected && <button onClick={() => run(entry.id, () => retryOutboxEntry(entry.id))} disabled={busyId !== null} className="text-green-600 disabled:opacity-50">Retry</button>}
+                    <button onClick={() => discard(entry)} disabled={busyId !== null} className="text-red-600 disabled:opacity-50">Discard</button>
+                  </div>}</td>
+                </tr>
+                {editing?.id === entry.id && (
+                  <tr className="bg-gray-50">
+                    <td colSpan="4" className="px-4 py-3 space-y-3">
+                      {editing.kind === 'order' && editing.args.lines.map((line, i) => (
+                        <div key={i} className="flex items-center gap-3 text-sm">
+                          <span className="w-16 font-medium">{line.size}</span>
+                          {batchSelect(line.size, line.batchNumber, (v) => setLine(i, 'batchNumber', v), entry.id, true)}
+                          <input type="number" value={line.vials} onChange={(e) => setLine(i, 'vials', e.target.value)} className="border rounded-lg px-3 py-2 w-28" /> vials
+                        </div>
+                      ))}
+                      {editing.kind === 'stock_adjustment' && (
+                        <div className="flex items-center gap-3 text-sm">
+                          <span className="w-16 font-medium">{editing.args.size}</span>
+                          {batchSelect(editing.args.size, editing.args.batchNumber, (v) => setArg('batchNumber', v), entry.id, false)}
+                          <input type="number" value={editing.args.vials} onChange={(e) => setArg('vials', e.target.value)} className="border rounded-lg px-3 py-2 w-28" /> vials
+                        </div>
+                      )}
+                      {editing.kind === 'stock_hold' && (
+                        <div className="flex items-center gap-3 text-sm">
+                          <span className="w-16 font-medium">{editing.args.size}</span>
+                          <input type="number" value={editing.args.vials} onChange={(e) => setArg('vials', e.target.value)} className="border rounded-lg px-3 py-2 w-28" /> vials for {editing.args.customer}
+                        </div>
+                      )}
+                      <div className="flex gap-2"><button onClick={saveEdit} disabled={busyId !== null} className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm disabled:opacity-50">{dbConnected ? 'Save and Sync' : 'Save'}</button><button onClick={() => setEditing(null)} className="bg-gray-200 px-4 py-2 rounded-lg text-sm">Cancel</button></div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
             ))}
           </tbody>
         </table>
-        {filteredAdjustments.length === 0 && <div className="text-center py-6 text-orange-600">No samples recorded for {activeSize}</div>}
+        {outbox.length === 0 && <div className="text-center py-8 text-gray-500">Everything recorded on this device has been synced</div>}
       </div>
+    </div>
+  );
+};
 
-      {showConvertModal && selectedHold && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md mx-4">
-            <h3 className="text-lg font-semibold text-gray-900 mb-4">Convert Stock Hold to Sale</h3>
-            <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 mb-4"><p className="text-sm text-amber-800 font-medium">Stock Hold Details:</p><p className="text-sm text-amber-700">Customer: {selectedHold.customer}</p><p className="text-sm text-amber-700">End Destination: {selectedHold.endDestination || selectedHold.country}</p><p className="text-sm text-amber-700">Size: {selectedHold.size}</p><p className="text-sm text-amber-700">Vials: {selectedHold.vials} ({parseFloat(selectedHold.units).toFixed(2)} packs)</p></div>
-            <div className="space-y-4">
-              <div><label className="block text-sm font-medium text-gray-700 mb-1">Sale Date</label><input type="date" value={convertForm.saleDate} onChange={(e) => setConvertForm({...convertForm, saleDate: e.target.value})} className="w-full border rounded-lg px-3 py-2" /></div>
-              <div><label className="block text-sm font-medium text-gray-700 mb-1">Batch Number *</label><select value={convertForm.batchNumber} onChange={(e) => setConvertForm({...convertForm, batchNumber: e.target.value})} className="w-full border rounded-lg px-3 py-2"><option value="">Select batch...</option>{batches.map(b => <option key={b.batch} value={b.batch}>{b.batch} - {b.availableVials.toFixed(0)} vials available</option>)}</select></div>
-              <div><label className="block text-sm font-medium text-gray-700 mb-1">Price per Vial (€) *</label><input type="number" step="0.01" placeholder="0.00" value={convertForm.pricePerVial} onChange={(e) => setConvertForm({...convertForm, pricePerVial: e.target.value})} className="w-full border rounded-lg px-3 py-2" />{convertForm.pricePerVial && selectedHold && (<p className="text-xs text-gray-500 mt-1">Total: €{(parseFloat(convertForm.pricePerVial) * selectedHold.vials).toFixed(2)} (€{(parseFloat(convertForm.pricePerVial) * VIALS_PER_PACK[selectedHold.size]).toFixed(2)} per pack)</p>)}</div>
-              <div className="border-t pt-4"><label className="block text-sm font-medium text-red-700 mb-1">🔒 Enter Your Password to Confirm *</label><input type="password" placeholder="Your password" value={convertForm.password} onChange={(e) => setConvertForm({...convertForm, password: e.target.value})} className="w-full border border-red-300 rounded-lg px-3 py-2" /><p className="text-xs text-gray-500 mt-1">Password required for security verification</p></div>
-              {modalError && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{modalError}</div>}
-              <div className="flex gap-2 pt-2"><button onClick={handleConvertToSale} disabled={modalLoading} className="flex-1 bg-green-600 text-white py-2 rounded-lg hover:bg-green-700 disabled:opacity-50">{modalLoading ? 'Converting...' : 'Convert to Sale'}</button><button onClick={() => { setShowConvertModal(false); setSelectedHold(null); }} className="flex-1 bg-gray-200 py-2 rounded-lg hover:bg-gray-300">Cancel</button></div>
-            </div>
-          </div>
-        </div>
-      )}
+// ==================== SETUP COMPONENT ====================
+// Permission each Setup tab needs; tabs without one are for administrators only
+const SETUP_TABS = {
+  products: 'manage_master_data',
+  customers: 'manage_master_data',
+  suppliers: 'manage_master_data',
+  users: null,
+  roles: null,
+  settings: null,
+  rates: 'manage_master_data',
+  import: 'manage_master_data',
+  backup: null,
+  audit: null
+};
 
-      {showRevertModal && selectedSale && (
-        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md mx-4">
-            <h3 className="text-lg font-semibold text-orange-700 mb-4">⚠️ Revert Sale to Stock Hold</h3>
-            <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-4"><p className="text-sm text-orange-800 font-medium">This will:</p><ul className="text-sm text-orange-700 list-disc list-inside mt-2"><li>Remove this sale record</li><li>Restore the stock hold</li><li>Update all inventory metrics</li></ul></div>
-            <div className="bg-gray-50 border rounded-lg p-4 mb-4"><p className="text-sm text-gray-800 font-medium">Sale Details:</p><p className="text-sm text-gray-700">Customer: {selectedSale.customer}</p><p className="text-sm text-gray-700">Batch: {selectedSale.batchNumber}</p><p className="text-sm text-gray-700">Amount: €{(parseFloat(selectedSale.units) * parseFloat(selectedSale.price)).toFixed(2)}</p></div>
-            <div className="space-y-4">
-              <div><label className="block text-sm font-medium text-red-700 mb-1">🔒 Admin Password Required *</label><input type="password" placeholder="Enter admin password" value={revertPassword} onChange={(e) => setRevertPassword(e.target.value)} className="w-full border border-red-300 rounded-lg px-3 py-2" /></div>
-              {modalError && <div className="bg-red-50 text-red-700 px-4 py-3 rounded-lg text-sm">{modalError}</div>}
-              <div className="flex gap-2 pt-2"><button onClick={handleRevertToHold} disabled={modalLoading} className="flex-1 bg-orange-600 text-white py-2 rounded-lg hover:bg-orange-700 disabled:opacity-50">{modalLoading ? 'Reverting...' : 'Revert to Hold'}</button><button onClick={() => { setShowRevertModal(false); setSelectedSale(null); setRevertPassword(''); }} className="flex-1 bg-gray-200 py-2 rounded-lg hover:bg-gray-300">Cancel</button></div>
-            </div>
-          </div>
-        </div>
-      )}
+const Setup = ({ can, products, addProduct, updateProduct, settings, updateSettings, currencies, exchangeRates, addExchangeRate, updateExchangeRate, deleteExchangeRate, importExchangeRates, sizes, vialsPerPackBySize, customers, addCustomer, updateCustomer, deleteCustomer, suppliers, addSupplier, updateSupplier, deleteSupplier, importRecords, stock, currentUser, onDataRestore }) => {
+  const [tab, setTab] = useState('customers');
+  const tabs = Object.keys(SETUP_TABS).filter(t => currentUser.role === ADMIN_ROLE || (SETUP_TABS[t] && can(SETUP_TABS[t])));
+  return (
+    <div className="space-y-6">
+      <h2 className="text-xl font-semibold">Setup</h2>
+      <div className="flex space-x-2 border-b">{tabs.map(t => (<button key={t} onClick={() => setTab(t)} className={`px-4 py-2 text-sm capitalize ${tab === t ? 'border-b-2 border-indigo-500 text-indigo-600' : 'text-gray-600'}`}>{t}</button>))}</div>
+      {tab === 'products' && <Products products={products} addProduct={addProduct} updateProduct={updateProduct} />}
+      {tab === 'customers' && <Customers customers={customers} addCustomer={addCustomer} updateCustomer={updateCustomer} deleteCustomer={can('delete') ? deleteCustomer : null} />}
+      {tab === 'suppliers' && <Suppliers suppliers={suppliers} addSupplier={addSupplier} updateSupplier={updateSupplier} deleteSupplier={can('delete') ? deleteSupplier : null} />}
+      {tab === 'users' && <Users currentUser={currentUser} />}
+      {tab === 'roles' && <Roles />}
+      {tab === 'settings' && <SettingsPanel settings={settings} updateSettings={updateSettings} currencies={currencies} />}
+      {tab === 'rates' && <ExchangeRates exchangeRates={exchangeRates} addExchangeRate={addExchangeRate} updateExchangeRate={updateExchangeRate} deleteExchangeRate={can('delete') ? deleteExchangeRate : null} importExchangeRates={importExchangeRates} />}
+      {tab === 'backup' && <BackupRestore currentUser={currentUser} onDataRestore={onDataRestore} />}
+      {tab === 'import' && <ImportWizard can={can} sizes={sizes} vialsPerPackBySize={vialsPerPackBySize} currencies={currencies} importRecords={importRecords} customers={customers} suppliers={suppliers} stock={stock} />}
+      {tab === 'audit' && <AuditLog />}
     </div>
   );
 };
 
-// ==================== PURCHASES COMPONENT ====================
-const Purchases = ({ purchases, addPurchase, deletePurchase, activeSize, setActiveSize, isAdmin, suppliers }) => {
+const Products = ({ products, addProduct, updateProduct }) => {
+  const emptyForm = { code: '', name: '', size: '', vialsPerPack: '', sku: '', gtin: '', active: true, sortOrder: '', reorderPoint: '', safetyStock: '' };
   const [showForm, setShowForm] = useState(false);
-  const [form, setForm] = useState({ supplierId: '', supplier: '', batchNumber: '', expiryDate: '', vials: '', costPerVial: '', purchaseDate: new Date().toISOString().split('T')[0] });
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
 
-  const handleSupplier = (id) => {
-    const s = suppliers.find(s => s.id === id);
-    setForm({ ...form, supplierId: id, supplier: s ? s.name : '' });
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
+    setShowForm(false);
   };
 
-  const handleSubmit = async () => {
-    if (!form.supplier || !form.batchNumber || !form.expiryDate || !form.vials || !form.costPerVial) { alert('Fill all fields'); return; }
-    const vials = parseFloat(form.vials);
-    const vialsPerPack = VIALS_PER_PACK[activeSize];
-    const packs = vials / vialsPerPack;
-    const costPerPack = parseFloat(form.costPerVial) * vialsPerPack;
-    await addPurchase({ ...form, size: activeSize, units: packs, cost: costPerPack });
-    setForm({ supplierId: '', supplier: '', batchNumber: '', expiryDate: '', vials: '', costPerVial: '', purchaseDate: new Date().toISOString().split('T')[0] });
-    setShowForm(false);
+  const startEdit = (p) => {
+    setForm({ code: p.code, name: p.name, size: p.size, vialsPerPack: String(p.vialsPerPack), sku: p.sku || '', gtin: p.gtin || '', active: p.active, sortOrder: String(p.sortOrder ?? ''), reorderPoint: String(p.reorderPoint ?? ''), safetyStock: String(p.safetyStock ?? '') });
+    setEditingId(p.id);
+    setShowForm(true);
   };
 
-  const filtered = purchases.filter(p => p.size === activeSize);
-  const vialsPerPack = VIALS_PER_PACK[activeSize];
+  const handleSubmit = async () => {
+    if (!form.name || !form.size || !form.vialsPerPack) { alert('Name, size and vials per pack required'); return; }
+    if (!(parseInt(form.vialsPerPack) > 0)) { alert('Vials per pack must be a whole number above zero'); return; }
+    if (form.gtin && !/^\d{8}(\d{4,6})?$/.test(form.gtin.trim())) { alert('GTIN must be 8, 12, 13 or 14 digits'); return; }
+    if ([form.reorderPoint, form.safetyStock].some(v => v !== '' && !/^\d+$/.test(v))) { alert('Reorder point and safety stock must be whole numbers of vials'); return; }
+    if (form.reorderPoint !== '' && form.safetyStock !== '' && parseInt(form.safetyStock) > parseInt(form.reorderPoint)) { alert('Safety stock cannot be above the reorder point'); return; }
+    const code = form.code.trim() || `${form.name.trim()} ${form.size.trim()}`;
+    const original = products.find(p => p.id === editingId);
+    if (original && original.code !== code && !window.confirm(`Rename product code ${original.code} to ${code}? Every record using it will be updated.`)) return;
+    if (original && original.vialsPerPack !== parseInt(form.vialsPerPack) && !window.confirm('Changing vials per pack changes the vial count of every existing record for this product. Continue?')) return;
+    const result = editingId ? await updateProduct(editingId, { ...form, code }) : await addProduct({ ...form, code });
+    if (!result.success) { alert(result.error || 'Failed to save product'); return; }
+    resetForm();
+  };
 
   return (
-    <div className="space-y-6">
-      <div className="flex justify-between items-center">
-        <h2 className="text-xl font-semibold">Purchases</h2>
-        <button onClick={() => setShowForm(!showForm)} className="flex items-center gap-2 bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700"><Plus className="w-4 h-4" /> Add Purchase</button>
-      </div>
-      <div className="flex space-x-2 border-b">{SIZES.map(s => (<button key={s} onClick={() => setActiveSize(s)} className={`px-4 py-2 text-sm ${activeSize === s ? 'border-b-2 border-green-500 text-green-600' : 'text-gray-600'}`}>{s}</button>))}</div>
-      
+    <div className="space-y-4">
+      <button onClick={() => { const open = !showForm || editingId; resetForm(); setShowForm(open); }} className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg"><Plus className="w-4 h-4" /> Add Product</button>
       {showForm && (
         <div className="bg-white rounded-lg shadow p-6 space-y-4">
-          <h3 className="font-semibold">New Purchase - {activeSize} <span className="text-sm font-normal text-gray-500">({vialsPerPack} vials per pack)</span></h3>
-          <select value={form.supplierId} onChange={(e) => handleSupplier(e.target.value)} className="w-full border rounded-lg px-3 py-2"><option value="">Select supplier...</option>{suppliers.map(s => <option key={s.id} value={s.id}>{s.name} - {s.country}</option>)}</select>
-          <div className="grid grid-cols-2 gap-4">
-            <div><label className="block text-xs text-gray-500 mb-1">Batch Number *</label><input type="text" placeholder="Enter batch number" value={form.batchNumber} onChange={(e) => setForm({...form, batchNumber: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
-            <div><label className="block text-xs text-gray-500 mb-1">Batch Expiry Date *</label><input type="date" value={form.expiryDate} onChange={(e) => setForm({...form, expiryDate: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
-          </div>
           <div className="grid grid-cols-3 gap-4">
-            <div><label className="block text-xs text-gray-500 mb-1">Invoice Date *</label><input type="date" value={form.purchaseDate} onChange={(e) => setForm({...form, purchaseDate: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
-            <div><label className="block text-xs text-gray-500 mb-1">Number of Vials *</label><input type="number" placeholder="Enter vials" value={form.vials} onChange={(e) => setForm({...form, vials: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />{form.vials && <p className="text-xs text-gray-500 mt-1">= {(parseFloat(form.vials) / vialsPerPack).toFixed(2)} packs</p>}</div>
-            <div><label className="block text-xs text-gray-500 mb-1">Cost per Vial (€) *</label><input type="number" placeholder="0.00" step="0.01" value={form.costPerVial} onChange={(e) => setForm({...form, costPerVial: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />{form.costPerVial && <p className="text-xs text-gray-500 mt-1">= €{(parseFloat(form.costPerVial) * vialsPerPack).toFixed(2)} per pack</p>}</div>
+            <div><label className="block text-xs text-gray-500 mb-1">Product Name *</label><input type="text" placeholder="e.g. Eurofolic" value={form.name} onChange={(e) => setForm({...form, name: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <div><label className="block text-xs text-gray-500 mb-1">Size / Presentation *</label><input type="text" placeholder="e.g. 5ml" value={form.size} onChange={(e) => setForm({...form, size: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <div><label className="block text-xs text-gray-500 mb-1">Vials per Pack *</label><input type="number" min="1" step="1" value={form.vialsPerPack} onChange={(e) => setForm({...form, vialsPerPack: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+          </div>
+          <div className="grid grid-cols-4 gap-4">
+            <div><label className="block text-xs text-gray-500 mb-1">Code (shown on tabs and records)</label><input type="text" placeholder={form.name || form.size ? `${form.name} ${form.size}`.trim() : 'Name + size'} value={form.code} onChange={(e) => setForm({...form, code: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <div><label className="block text-xs text-gray-500 mb-1">SKU</label><input type="text" value={form.sku} onChange={(e) => setForm({...form, sku: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <div><label className="block text-xs text-gray-500 mb-1">GTIN</label><input type="text" inputMode="numeric" value={form.gtin} onChange={(e) => setForm({...form, gtin: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <div><label className="block text-xs text-gray-500 mb-1">Display Order</label><input type="number" value={form.sortOrder} onChange={(e) => setForm({...form, sortOrder: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
           </div>
-          <div className="flex gap-2"><button onClick={handleSubmit} className="bg-green-600 text-white px-4 py-2 rounded-lg">Save</button><button onClick={() => setShowForm(false)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
+          <div className="grid grid-cols-4 gap-4">
+            <div><label className="block text-xs text-gray-500 mb-1">Reorder Point (vials)</label><input type="number" min="0" step="1" value={form.reorderPoint} onChange={(e) => setForm({...form, reorderPoint: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <div><label className="block text-xs text-gray-500 mb-1">Safety Stock (vials)</label><input type="number" min="0" step="1" value={form.safetyStock} onChange={(e) => setForm({...form, safetyStock: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <p className="col-span-2 text-xs text-gray-500 self-end">The dashboard warns when projected stock will fall below these levels. Leave empty for no alerts.</p>
+          </div>
+          <label className="flex items-center gap-2 text-sm"><input type="checkbox" checked={form.active} onChange={(e) => setForm({...form, active: e.target.checked})} /> Active (offered for new sales, purchases and orders)</label>
+          <div className="flex gap-2"><button onClick={handleSubmit} className="bg-indigo-600 text-white px-4 py-2 rounded-lg">{editingId ? 'Save Changes' : 'Save'}</button><button onClick={resetForm} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
         </div>
       )}
-      
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <table className="min-w-full divide-y divide-gray-200">
-          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Batch</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expiry</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Packs</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vials</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total</th>{isAdmin && <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>}</tr></thead>
-          <tbody className="divide-y divide-gray-200">
-            {filtered.map(p => {
-              const exp = p.expiryDate ? new Date(p.expiryDate) : null;
-              const isExp = exp && exp < new Date();
-              return (
-                <tr key={p.id} className={isExp ? 'bg-red-50' : ''}>
-                  <td className="px-4 py-3 text-sm">{new Date(p.purchaseDate || p.createdAt).toLocaleDateString()}<AuditTag createdBy={p.createdBy} createdAt={p.createdAt} /></td>
-                  <td className="px-4 py-3 text-sm font-medium">{p.supplier}</td>
-                  <td className="px-4 py-3 text-sm text-green-600">{p.batchNumber}</td>
-                  <td className="px-4 py-3 text-sm">{p.expiryDate ? <span className={isExp ? 'text-red-600 font-bold' : ''}>{new Date(p.expiryDate).toLocaleDateString()}{isExp && ' (EXPIRED)'}</span> : '-'}</td>
-                  <td className="px-4 py-3 text-sm">{parseFloat(p.units).toFixed(2)}</td>
-                  <td className="px-4 py-3 text-sm text-gray-500">{(parseFloat(p.units) * vialsPerPack).toFixed(0)}</td>
-                  <td className="px-4 py-3 text-sm font-semibold">€{(parseFloat(p.units) * parseFloat(p.cost)).toFixed(2)}</td>
-                  {isAdmin && <td className="px-4 py-3 text-sm"><button onClick={() => deletePurchase(p.id)} className="text-red-600">Delete</button></td>}
-                </tr>
-              );
-            })}
-          </tbody>
+          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Code</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Size</th><th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Vials / Pack</th><th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Reorder / Safety</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">SKU</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">GTIN</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
+          <tbody className="divide-y divide-gray-200">{products.map(p => (<tr key={p.id} className={p.active ? '' : 'bg-gray-50 text-gray-400'}><td className="px-4 py-3 text-sm font-medium">{p.code}<AuditTag createdBy={p.createdBy} createdAt={p.createdAt} modifiedBy={p.modifiedBy} modifiedAt={p.modifiedAt} /></td><td className="px-4 py-3 text-sm">{p.name}</td><td className="px-4 py-3 text-sm">{p.size}</td><td className="px-4 py-3 text-sm text-right">{p.vialsPerPack}</td><td className="px-4 py-3 text-sm text-right">{p.reorderPoint ?? '-'} / {p.safetyStock ?? '-'}</td><td className="px-4 py-3 text-sm font-mono">{p.sku || '-'}</td><td className="px-4 py-3 text-sm font-mono">{p.gtin || '-'}</td><td className="px-4 py-3 text-sm"><span className={`px-2 py-1 rounded text-xs ${p.active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-600'}`}>{p.active ? 'Active' : 'Inactive'}</span></td><td className="px-4 py-3 text-sm"><button onClick={() => startEdit(p)} className="text-blue-600">Edit</button></td></tr>))}</tbody>
         </table>
-        {filtered.length === 0 && <div className="text-center py-8 text-gray-500">No purchases for {activeSize}</div>}
+        {products.length === 0 && <div className="text-center py-8 text-gray-500">No products</div>}
       </div>
     </div>
   );
 };
 
-// ==================== PIPELINE COMPONENT ====================
-const Pipeline = ({ pipelinePurchases, addPipelinePurchase, deletePipelinePurchase, isAdmin, suppliers }) => {
+const COMPANY_FIELDS = [
+  { key: 'companyName', label: 'Company Name' },
+  { key: 'companyVatNumber', label: 'VAT Number' },
+  { key: 'companyEmail', label: 'Email' },
+  { key: 'companyPhone', label: 'Phone' },
+  { key: 'companyAddress', label: 'Address', multiline: true },
+  { key: 'companyBankDetails', label: 'Bank Details', multiline: true }
+];
+
+const SettingsPanel = ({ settings, updateSettings, currencies }) => {
+  const [saving, setSaving] = useState(false);
+  const companyForm = () => Object.fromEntries(COMPANY_FIELDS.map(f => [f.key, settings[f.key] || '']));
+  const [company, setCompany] = useState(companyForm);
+  const limitsForm = () => ({ approvalSampleVials: settings.approvalSampleVials ?? '', approvalSampleValue: settings.approvalSampleValue ?? '' });
+  const [limits, setLimits] = useState(limitsForm);
+
+  const changeValuationMethod = async (method) => {
+    if (method === settings.valuationMethod) return;
+    if (!window.confirm(`Value stock and cost of goods sold by ${VALUATION_METHODS[method]}? Margins in the I-View and Reports will be recalculated for all past sales.`)) return;
+    setSaving(true);
+    const result = await updateSettings({ valuationMethod: method });
+    setSaving(false);
+    if (!result.success) alert(result.error || 'Failed to save settings');
+  };
+
+  const changeReportingCurrency = async (currency) => {
+    setSaving(true);
+    const result = await updateSettings({ reportingCurrency: currency });
+    setSaving(false);
+    if (!result.success) alert(result.error || 'Failed to save settings');
+  };
+
+  const saveCompany = async () => {
+    if (!company.companyName.trim()) { alert('Company name is required'); return; }
+    setSaving(true);
+    const result = await updateSettings(Object.fromEntries(Object.entries(company).map(([k, v]) => [k, v.trim() || null])));
+    setSaving(false);
+    if (!result.success) alert(result.error || 'Failed to save settings');
+  };
+
+  const saveLimits = async () => {
+    const parsed = Object.fromEntries(Object.entries(limits).map(([k, v]) => [k, String(v).trim() === '' ? null : parseFloat(v)]));
+    if (Object.values(parsed).some(v => v !== null && (isNaN(v) || v < 0))) { alert('Limits must be zero or more, or left empty for no limit'); return; }
+    setSaving(true);
+    const result = await updateSettings(parsed);
+    setSaving(false);
+    if (!result.success) alert(result.error || 'Failed to save settings');
+  };
+
+  const limitsChanged = String(limits.approvalSampleVials) !== String(settings.approvalSampleVials ?? '') || String(limits.approvalSampleValue) !== String(settings.approvalSampleValue ?? '');
+
+  const companyChanged = COMPANY_FIELDS.some(f => company[f.key] !== (settings[f.key] || ''));
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold">Stock Valuation</h3>
+        <p className="text-sm text-gray-500 mt-1">Every sale and sample is costed from the batch it was taken from. The method decides which cost applies when a batch was delivered more than once at different prices.</p>
+      </div>
+      <div className="space-y-2">
+        <label className="flex items-start gap-2 text-sm"><input type="radio" name="valuationMethod" checked={settings.valuationMethod === 'fifo'} disabled={saving} onChange={() => changeValuationMethod('fifo')} className="mt-1" /><span><span className="font-medium">{VALUATION_METHODS.fifo}</span><span className="block text-xs text-gray-500">Draws on the batch's oldest delivery first; remaining stock is valued at the latest prices.</span></span></label>
+        <label className="flex items-start gap-2 text-sm"><input type="radio" name="valuationMethod" checked={settings.valuationMethod === 'weighted_average'} disabled={saving} onChange={() => changeValuationMethod('weighted_average')} className="mt-1" /><span><span className="font-medium">{VALUATION_METHODS.weighted_average}</span><span className="block text-xs text-gray-500">Costs each draw at the batch's average cost at that date, re-averaged at every delivery.</span></span></label>
+      </div>
+      <div className="border-t pt-4">
+        <h3 className="text-lg font-semibold">Reporting Currency</h3>
+        <p className="text-sm text-gray-500 mt-1">Dashboard and report totals are converted to this currency at the rate valid on each transaction's date. Other currencies become available once they have a rate under Rates.</p>
+        <select value={settings.reportingCurrency || BASE_CURRENCY} disabled={saving} onChange={(e) => changeReportingCurrency(e.target.value)} className="mt-2 border rounded-lg px-3 py-2">{currencies.map(c => <option key={c} value={c}>{c}</option>)}</select>
+      </div>
+      <div className="border-t pt-4 space-y-3">
+        <div>
+          <h3 className="text-lg font-semibold">Company Details</h3>
+          <p className="text-sm text-gray-500 mt-1">Printed on invoices and pro-forma invoices. Documents already issued keep the details they were issued with.</p>
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          {COMPANY_FIELDS.map(f => (
+            <div key={f.key}>
+              <label className="block text-xs text-gray-500 mb-1">{f.label}</label>
+              {f.multiline
+                ? <textarea rows={3} value={company[f.key]} onChange={(e) => setCompany({...company, [f.key]: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+                : <input type="text" value={company[f.key]} onChange={(e) => setCompany({...company, [f.key]: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />}
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-2"><button onClick={saveCompany} disabled={saving || !companyChanged} className="bg-indigo-600 text-white px-4 py-2 rounded-lg disabled:opacity-50">Save Company Details</button>{companyChanged && <button onClick={() => setCompany(companyForm())} className="bg-gray-200 px-4 py-2 rounded-lg">Discard</button>}</div>
+      </div>
+      <div className="border-t pt-4 space-y-3">
+        <div>
+          <h3 className="text-lg font-semibold">Sample Approval Limits</h3>
+          <p className="text-sm text-gray-500 mt-1">Samples and write-offs above either limit wait in Approvals until another user with approval rights accepts them. Leave a limit empty to never require approval on it. Deletions and reversions of sales always need approval.</p>
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div><label className="block text-xs text-gray-500 mb-1">Vials per sample</label><input type="number" min="0" step="1" value={limits.approvalSampleVials} onChange={(e) => setLimits({...limits, approvalSampleVials: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+          <div><label className="block text-xs text-gray-500 mb-1">Value per sample ({BASE_CURRENCY}, at batch cost)</label><input type="number" min="0" step="0.01" value={limits.approvalSampleValue} onChange={(e) => setLimits({...limits, approvalSampleValue: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+        </div>
+        <div className="flex gap-2"><button onClick={saveLimits} disabled={saving || !limitsChanged} className="bg-indigo-600 text-white px-4 py-2 rounded-lg disabled:opacity-50">Save Limits</button>{limitsChanged && <button onClick={() => setLimits(limitsForm())} className="bg-gray-200 px-4 py-2 rounded-lg">Discard</button>}</div>
+      </div>
+      {settings.modifiedAt && <p className="text-xs text-gray-400">Last changed by {settings.modifiedBy} on {new Date(settings.modifiedAt).toLocaleString()}</p>}
+    </div>
+  );
+};
+
+const ExchangeRates = ({ exchangeRates, addExchangeRate, updateExchangeRate, deleteExchangeRate, importExchangeRates }) => {
+  const emptyForm = { currency: '', rateDate: new Date().toISOString().split('T')[0], rate: '' };
   const [showForm, setShowForm] = useState(false);
-  const [form, setForm] = useState({ poNumber: '', supplier: '', size: '5ml', vials: '', pricePerVial: '', expectedDate: '', status: 'Ordered' });
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [currencyFilter, setCurrencyFilter] = useState('');
+  const [upload, setUpload] = useState(null);
+  const [importing, setImporting] = useState(false);
 
-  const handleSubmit = async () => {
-    if (!form.poNumber || !form.supplier || !form.vials || !form.pricePerVial || !form.expectedDate) { alert('Fill all fields'); return; }
-    const vials = parseFloat(form.vials);
-    const vialsPerPack = VIALS_PER_PACK[form.size];
-    const packs = vials / vialsPerPack;
-    const pricePerPack = parseFloat(form.pricePerVial) * vialsPerPack;
-    await addPipelinePurchase({ ...form, units: packs, price: pricePerPack, totalValue: packs * pricePerPack });
-    setForm({ poNumber: '', supplier: '', size: '5ml', vials: '', pricePerVial: '', expectedDate: '', status: 'Ordered' });
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingId(null);
     setShowForm(false);
   };
 
-  return (
-    <div className="space-y-6">
-      <div className="flex justify-between items-center">
-        <h2 className="text-xl font-semibold">Pipeline Orders</h2>
-        <button onClick={() => setShowForm(!showForm)} className="flex items-center gap-2 bg-orange-600 text-white px-4 py-2 rounded-lg hover:bg-orange-700"><Plus className="w-4 h-4" /> Add Pipeline Order</button>
+  const startEdit = (r) => {
+    setForm({ currency: r.currency, rateDate: r.rateDate, rate: String(r.rate) });
+    setEditingId(r.id);
+    setShowForm(true);
+  };
+
+  const handleSubmit = async () => {
+    const currency = form.currency.trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) { alert('Currency must be a three-letter ISO code, e.g. USD'); return; }
+    if (currency === BASE_CURRENCY) { alert(`Rates are quoted against the euro, so ${BASE_CURRENCY} needs none`); return; }
+    if (!form.rateDate || !(parseFloat(form.rate) > 0)) { alert('Date and a rate above zero are required'); return; }
+    const result = editingId ? await updateExchangeRate(editingId, { ...form, currency }) : await addExchangeRate({ ...form, currency });
+    if (!result.success) { alert(result.error || 'Failed to save exchange rate'); return; }
+    resetForm();
+  };
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+    try {
+      const { headers, rows } = await readImportFile(selected);
+      setUpload({ name: selected.name, ...parseExchangeRates(headers, rows) });
+    } catch (err) {
+      console.error('Read rates file error:', err);
+      alert('Could not read the file: ' + err.message);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!upload.rates.length) return;
+    if (!window.confirm(`Import ${upload.rates.length} rates? Rates already on file for the same currency and date are replaced.`)) return;
+    setImporting(true);
+    const result = await importExchangeRates(upload.rates);
+    setImporting(false);
+    if (!result.success) { alert('Import failed, nothing was saved: ' + (result.error || 'unknown error')); return; }
+    alert(`Imported ${result.data.length} rates`);
+    setUpload(null);
+  };
+
+  const rateCurrencies = [...new Set(exchangeRates.map(r => r.currency))].sort();
+  const shown = exchangeRates.filter(r => !currencyFilter || r.currency === currencyFilter).slice(0, 500);
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-600">Rates are units of the currency per 1 {BASE_CURRENCY}, as published by the ECB. A transaction uses the latest rate on or before its date.</p>
+      <div className="flex gap-2">
+        <button onClick={() => { const open = !showForm || editingId; resetForm(); setShowForm(open); }} className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg"><Plus className="w-4 h-4" /> Add Rate</button>
+        <label className="flex items-center gap-2 border px-4 py-2 rounded-lg text-sm cursor-pointer hover:bg-gray-50">Import CSV<input type="file" accept=".csv,text/csv" onChange={handleFile} className="hidden" /></label>
       </div>
-      
       {showForm && (
         <div className="bg-white rounded-lg shadow p-6 space-y-4">
-          <h3 className="font-semibold">New Pipeline Order</h3>
-          <div className="grid grid-cols-2 gap-4">
-            <input type="text" placeholder="PO Number" value={form.poNumber} onChange={(e) => setForm({...form, poNumber: e.target.value})} className="border rounded-lg px-3 py-2" />
-            <select value={form.supplier} onChange={(e) => setForm({...form, supplier: e.target.value})} className="border rounded-lg px-3 py-2"><option value="">Select supplier...</option>{suppliers.map(s => <option key={s.id} value={s.name}>{s.name}</option>)}</select>
-          </div>
           <div className="grid grid-cols-3 gap-4">
-            <select value={form.size} onChange={(e) => setForm({...form, size: e.target.value})} className="border rounded-lg px-3 py-2">{SIZES.map(s => <option key={s} value={s}>{s}</option>)}</select>
-            <input type="number" placeholder="Number of Vials" value={form.vials} onChange={(e) => setForm({...form, vials: e.target.value})} className="border rounded-lg px-3 py-2" />
-            <input type="number" placeholder="Price per vial €" step="0.01" value={form.pricePerVial} onChange={(e) => setForm({...form, pricePerVial: e.target.value})} className="border rounded-lg px-3 py-2" />
-          </div>
-          <div className="grid grid-cols-2 gap-4">
-            <input type="date" value={form.expectedDate} onChange={(e) => setForm({...form, expectedDate: e.target.value})} className="border rounded-lg px-3 py-2" />
-            <select value={form.status} onChange={(e) => setForm({...form, status: e.target.value})} className="border rounded-lg px-3 py-2"><option value="Ordered">Ordered</option><option value="In Transit">In Transit</option><option value="Delayed">Delayed</option><option value="Received">Received</option></select>
+            <div><label className="block text-xs text-gray-500 mb-1">Currency *</label><input type="text" maxLength="3" placeholder="e.g. USD" value={form.currency} onChange={(e) => setForm({...form, currency: e.target.value.toUpperCase()})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <div><label className="block text-xs text-gray-500 mb-1">Valid From *</label><input type="date" value={form.rateDate} onChange={(e) => setForm({...form, rateDate: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+            <div><label className="block text-xs text-gray-500 mb-1">Units per 1 {BASE_CURRENCY} *</label><input type="number" step="0.0001" min="0" value={form.rate} onChange={(e) => setForm({...form, rate: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
           </div>
-          <div className="flex gap-2"><button onClick={handleSubmit} className="bg-orange-600 text-white px-4 py-2 rounded-lg">Save</button><button onClick={() => setShowForm(false)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
+          <div className="flex gap-2"><button onClick={handleSubmit} className="bg-indigo-600 text-white px-4 py-2 rounded-lg">{editingId ? 'Save Changes' : 'Save'}</button><button onClick={resetForm} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
+        </div>
+      )}
+      {upload && (
+        <div className="bg-white rounded-lg shadow p-6 space-y-3">
+          <p className="text-sm">{upload.name}: <span className="text-green-700">{upload.rates.length} rates ready</span>{upload.errors.length > 0 && <span className="text-red-700"> • {upload.errors.length} lines with errors</span>}</p>
+          <p className="text-xs text-gray-500">Either one rate per row (Date, Currency, Rate) or one column per currency after a Date column, as in the ECB reference rate files.</p>
+          {upload.errors.length > 0 && <ul className="text-xs text-red-700 list-disc list-inside">{upload.errors.slice(0, 10).map((e, i) => <li key={i}>{e}</li>)}{upload.errors.length > 10 && <li>...and {upload.errors.length - 10} more</li>}</ul>}
+          <div className="flex gap-2"><button onClick={handleImport} disabled={!upload.rates.length || importing} className="bg-green-600 text-white px-4 py-2 rounded-lg disabled:opacity-50">{importing ? 'Importing...' : `Import ${upload.rates.length} rates`}</button><button onClick={() => setUpload(null)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
         </div>
       )}
-      
       <div className="bg-white rounded-lg shadow overflow-hidden">
+        <div className="px-4 py-3 border-b flex items-center gap-2"><label className="text-xs text-gray-500">Currency</label><select value={currencyFilter} onChange={(e) => setCurrencyFilter(e.target.value)} className="border rounded-lg px-2 py-1 text-sm"><option value="">All</option>{rateCurrencies.map(c => <option key={c} value={c}>{c}</option>)}</select></div>
         <table className="min-w-full divide-y divide-gray-200">
-          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">PO #</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Supplier</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Size</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Packs</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Value</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Expected</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>{isAdmin && <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th>}</tr></thead>
-          <tbody className="divide-y divide-gray-200">
-            {pipelinePurchases.map(p => (
-              <tr key={p.id} className={p.status === 'Delayed' ? 'bg-red-50' : ''}>
-                <td className="px-4 py-3 text-sm text-orange-600 font-mono">{p.poNumber}</td>
-                <td className="px-4 py-3 text-sm">{p.supplier}</td>
-                <td className="px-4 py-3 text-sm">{p.size}</td>
-                <td className="px-4 py-3 text-sm">{parseFloat(p.units).toFixed(2)}</td>
-                <td className="px-4 py-3 text-sm font-semibold">€{parseFloat(p.totalValue).toFixed(2)}</td>
-                <td className="px-4 py-3 text-sm">{new Date(p.expectedDate).toLocaleDateString()}</td>
-                <td className="px-4 py-3 text-sm"><span className={`px-2 py-1 rounded text-xs ${p.status === 'Received' ? 'bg-green-100 text-green-800' : p.status === 'Delayed' ? 'bg-red-100 text-red-800' : 'bg-gray-100'}`}>{p.status}</span></td>
-                {isAdmin && <td className="px-4 py-3 text-sm"><button onClick={() => deletePipelinePurchase(p.id)} className="text-red-600">Delete</button></td>}
-              </tr>
-            ))}
-          </tbody>
+          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Valid From</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Currency</th><th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase">Per 1 {BASE_CURRENCY}</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
+          <tbody className="divide-y divide-gray-200">{shown.map(r => (<tr key={r.id}><td className="px-4 py-3 text-sm">{new Date(r.rateDate).toLocaleDateString()}<AuditTag createdBy={r.createdBy} createdAt={r.createdAt} modifiedBy={r.modifiedBy} modifiedAt={r.modifiedAt} /></td><td className="px-4 py-3 text-sm font-medium">{r.currency}</td><td className="px-4 py-3 text-sm text-right font-mono">{parseFloat(r.rate)}</td><td className="px-4 py-3 text-sm"><div className="flex gap-2"><button onClick={() => startEdit(r)} className="text-blue-600">Edit</button>{deleteExchangeRate && <button onClick={() => confirmDelete('exchange rate', reason => deleteExchangeRate(r.id, reason))} className="text-red-600">Delete</button>}</div></td></tr>))}</tbody>
         </table>
-        {pipelinePurchases.length === 0 && <div className="text-center py-8 text-gray-500">No pipeline orders</div>}
+        {shown.length === 0 && <div className="text-center py-8 text-gray-500">No exchange rates</div>}
       </div>
     </div>
   );
 };
 
-// ==================== REPORTS COMPONENT ====================
-const Reports = ({ sales, purchases, stockAdjustments }) => {
-  const [year, setYear] = useState('all');
-  const [size, setSize] = useState('all');
+const formatContacts = (contacts) => (contacts || []).map(c => [c.name, c.role && `(${c.role})`, c.email, c.phone].filter(Boolean).join(' ')).join('; ');
 
-  const years = [...new Set([...sales.map(s => new Date(s.saleDate || s.createdAt).getFullYear()), ...purchases.map(p => new Date(p.purchaseDate || p.createdAt).getFullYear()), ...(stockAdjustments || []).map(a => new Date(a.adjustmentDate || a.createdAt).getFullYear())])].filter(y => !isNaN(y)).sort((a, b) => b - a);
+const CUSTOMER_EXPORT_COLUMNS = [
+  { header: 'Name', value: c => c.name },
+  { header: 'Country', value: c => c.country },
+  { header: 'Contact Person', value: c => c.contactPerson },
+  { header: 'Email', value: c => c.email },
+  { header: 'Phone', value: c => c.phone },
+  { header: 'Billing Address', value: c => c.address },
+  { header: 'Shipping Address', value: c => c.shippingAddress },
+  { header: 'VAT Number', value: c => c.vatNumber },
+  { header: 'Licence Number', value: c => c.licenceNumber },
+  { header: 'Licence Expiry', value: c => c.licenceExpiry },
+  { header: 'Payment Terms', value: c => c.paymentTerms },
+  { header: 'Other Contacts', value: c => formatContacts(c.contacts) },
+  { header: 'Notes', value: c => c.notes },
+  ...AUDIT_COLUMNS
+];
 
-  const filterByYearAndSize = (items, dateField) => items.filter(item => {
-    const d = item[dateField] || item.createdAt;
-    const itemYear = d ? new Date(d).getFullYear() : null;
-    return (year === 'all' || itemYear === parseInt(year)) && (size === 'all' || item.size === size);
-  });
+const SUPPLIER_EXPORT_COLUMNS = [
+  { header: 'Name', value: s => s.name },
+  { header: 'Country', value: s => s.country },
+  { header: 'Contact Person', value: s => s.contactPerson },
+  { header: 'Email', value: s => s.email },
+  { header: 'Phone', value: s => s.phone },
+  { header: 'Billing Address', value: s => s.address },
+  { header: 'Shipping Address', value: s => s.shippingAddress },
+  { header: 'VAT Number', value: s => s.vatNumber },
+  { header: 'Licence Number', value: s => s.licenceNumber },
+  { header: 'Licence Expiry', value: s => s.licenceExpiry },
+  { header: 'Payment Terms', value: s => s.paymentTerms },
+  { header: 'Other Contacts', value: s => formatContacts(s.contacts) },
+  { header: 'Notes', value: s => s.notes },
+  ...AUDIT_COLUMNS
+];
 
-  const filteredSales = filterByYearAndSize(sales, 'saleDate');
-  const filteredPurchases = filterByYearAndSize(purchases, 'purchaseDate');
-  const filteredAdjustments = filterByYearAndSize(stockAdjustments || [], 'adjustmentDate');
-  
-  const totalSalesValue = filteredSales.reduce((sum, s) => sum + ((parseFloat(s.units) || 0) * (parseFloat(s.price) || 0)), 0);
-  const totalPurchasesValue = filteredPurchases.reduce((sum, p) => sum + ((parseFloat(p.units) || 0) * (parseFloat(p.cost) || 0)), 0);
-  const totalAdjustmentsValue = filteredAdjustments.reduce((sum, a) => sum + (parseFloat(a.totalCost) || 0), 0);
-  const totalAdjustmentsVials = filteredAdjustments.reduce((sum, a) => sum + (parseFloat(a.vials) || 0), 0);
+const emptyPartner = { name: '', country: '', contactPerson: '', email: '', phone: '', address: '', shippingAddress: '', vatNumber: '', licenceNumber: '', licenceExpiry: '', paymentTerms: '', contacts: [], notes: '' };
+const partnerForm = (p) => Object.fromEntries(Object.keys(emptyPartner).map(key => [key, p[key] ?? emptyPartner[key]]));
+const newContact = () => ({ name: '', role: '', email: '', phone: '' });
 
+const LicenceStatus = ({ partner }) => {
+  if (!partner.licenceNumber && !partner.licenceExpiry) return <span className="text-gray-400">-</span>;
+  const days = daysToExpiry(partner.licenceExpiry);
   return (
-    <div className="space-y-6">
-      <h2 className="text-xl font-semibold">Annual Reports</h2>
-      <div className="bg-white rounded-lg shadow p-4">
-        <div className="grid grid-cols-2 gap-4">
-          <div><label className="block text-sm font-medium text-gray-700 mb-1">Select Year</label><select value={year} onChange={(e) => setYear(e.target.value)} className="w-full border rounded-lg px-3 py-2"><option value="all">All Years</option>{years.map(y => <option key={y} value={y}>{y}</option>)}</select></div>
-          <div><label className="block text-sm font-medium text-gray-700 mb-1">Product Size</label><select value={size} onChange={(e) => setSize(e.target.value)} className="w-full border rounded-lg px-3 py-2"><option value="all">All Sizes</option>{SIZES.map(s => <option key={s} value={s}>{s}</option>)}</select></div>
-        </div>
-      </div>
+    <span>
+      {partner.licenceNumber || 'No number'}
+      {partner.licenceExpiry && <span className={`block text-xs ${licenceExpired(partner) ? 'text-red-600 font-bold' : days < 30 ? 'text-orange-600' : 'text-gray-500'}`}>{licenceExpired(partner) ? 'Expired' : 'Expires'} {new Date(partner.licenceExpiry).toLocaleDateString()}</span>}
+    </span>
+  );
+};
 
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-        <div className="bg-gradient-to-br from-blue-50 to-blue-100 rounded-lg p-6 border-l-4 border-blue-500"><p className="text-sm font-medium text-blue-800">Total Revenue</p><p className="text-3xl font-bold text-blue-900">€{totalSalesValue.toFixed(2)}</p><p className="text-sm text-blue-600 mt-1">{filteredSales.length} sales</p></div>
-        <div className="bg-gradient-to-br from-green-50 to-green-100 rounded-lg p-6 border-l-4 border-green-500"><p className="text-sm font-medium text-green-800">Total Purchases</p><p className="text-3xl font-bold text-green-900">€{totalPurchasesValue.toFixed(2)}</p><p className="text-sm text-green-600 mt-1">{filteredPurchases.length} purchases</p></div>
-        <div className="bg-gradient-to-br from-orange-50 to-orange-100 rounded-lg p-6 border-l-4 border-orange-500"><p className="text-sm font-medium text-orange-800">Total Samples (at cost)</p><p className="text-3xl font-bold text-orange-900">€{totalAdjustmentsValue.toFixed(2)}</p><p className="text-sm text-orange-600 mt-1">{filteredAdjustments.length} samples ({totalAdjustmentsVials} vials)</p></div>
+// Master data form shared by customers and suppliers
+const PartnerForm = ({ form, setForm, emailRequired, editing, onSubmit, onCancel, buttonClass }) => {
+  const setContact = (index, changes) => setForm({ ...form, contacts: form.contacts.map((c, i) => i === index ? { ...c, ...changes } : c) });
+  return (
+    <div className="bg-white rounded-lg shadow p-6 space-y-4">
+      <div className="grid grid-cols-2 gap-4">
+        <input type="text" placeholder="Name *" value={form.name} onChange={(e) => setForm({...form, name: e.target.value})} className="border rounded-lg px-3 py-2" />
+        <select value={form.country} onChange={(e) => setForm({...form, country: e.target.value})} className="border rounded-lg px-3 py-2"><option value="">Select country *</option>{COUNTRIES.map(c => <option key={c} value={c}>{c}</option>)}</select>
       </div>
-
-      <div className="bg-white rounded-lg shadow">
-        <div className="px-6 py-4 border-b"><h3 className="text-lg font-semibold">Sales Report ({filteredSales.length} records)</h3></div>
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-purple-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Customer</th><th className="px-4 py-3 text-left text-xs font-medium text-purple-800 uppercase">Size</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Packs</th><th className="px-4 py-3 text-right text-xs font-medium text-purple-800 uppercase">Total</th></tr></thead>
-            <tbody className="divide-y divide-gray-200">
-              {filteredSales.map(s => (<tr key={s.id} className="hover:bg-purple-50"><td className="px-4 py-3 text-sm">{new Date(s.saleDate || s.createdAt).toLocaleDateString()}</td><td className="px-4 py-3 text-sm font-medium">{s.customer}</td><td className="px-4 py-3 text-sm">{s.size}</td><td className="px-4 py-3 text-sm text-right">{parseFloat(s.units).toFixed(2)}</td><td className="px-4 py-3 text-sm text-right font-semibold">€{(parseFloat(s.units) * parseFloat(s.price)).toFixed(2)}</td></tr>))}
-            </tbody>
-          </table>
-          {filteredSales.length === 0 && <div className="text-center py-8 text-gray-500">No sales data found</div>}
-        </div>
+      <div className="grid grid-cols-3 gap-4">
+        <div><label className="block text-xs text-gray-500 mb-1">Main Contact</label><input type="text" value={form.contactPerson} onChange={(e) => setForm({...form, contactPerson: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+        <div><label className="block text-xs text-gray-500 mb-1">Email{emailRequired && ' *'}</label><input type="email" value={form.email} onChange={(e) => setForm({...form, email: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+        <div><label className="block text-xs text-gray-500 mb-1">Phone</label><input type="text" value={form.phone} onChange={(e) => setForm({...form, phone: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
       </div>
-
-      <div className="bg-white rounded-lg shadow">
-        <div className="px-6 py-4 border-b"><h3 className="text-lg font-semibold">Purchases Report ({filteredPurchases.length} records)</h3></div>
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-green-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-green-800 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-green-800 uppercase">Supplier</th><th className="px-4 py-3 text-left text-xs font-medium text-green-800 uppercase">Size</th><th className="px-4 py-3 text-left text-xs font-medium text-green-800 uppercase">Batch</th><th className="px-4 py-3 text-right text-xs font-medium text-green-800 uppercase">Packs</th><th className="px-4 py-3 text-right text-xs font-medium text-green-800 uppercase">Total</th></tr></thead>
-            <tbody className="divide-y divide-gray-200">
-              {filteredPurchases.map(p => (<tr key={p.id} className="hover:bg-green-50"><td className="px-4 py-3 text-sm">{new Date(p.purchaseDate || p.createdAt).toLocaleDateString()}</td><td className="px-4 py-3 text-sm font-medium">{p.supplier}</td><td className="px-4 py-3 text-sm">{p.size}</td><td className="px-4 py-3 text-sm text-green-600">{p.batchNumber}</td><td className="px-4 py-3 text-sm text-right">{parseFloat(p.units).toFixed(2)}</td><td className="px-4 py-3 text-sm text-right font-semibold">€{(parseFloat(p.units) * parseFloat(p.cost)).toFixed(2)}</td></tr>))}
-            </tbody>
-          </table>
-          {filteredPurchases.length === 0 && <div className="text-center py-8 text-gray-500">No purchases data found</div>}
-        </div>
+      <div className="grid grid-cols-2 gap-4">
+        <div><label className="block text-xs text-gray-500 mb-1">Billing Address (printed on invoices)</label><textarea rows={3} value={form.address} onChange={(e) => setForm({...form, address: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+        <div><label className="block text-xs text-gray-500 mb-1">Shipping Address (if different)</label><textarea rows={3} value={form.shippingAddress} onChange={(e) => setForm({...form, shippingAddress: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
       </div>
-
-      <div className="bg-white rounded-lg shadow">
-        <div className="px-6 py-4 border-b"><h3 className="text-lg font-semibold text-orange-800">Samples & Stock Adjustments Report ({filteredAdjustments.length} records)</h3></div>
-        <div className="overflow-x-auto">
-          <table className="min-w-full divide-y divide-gray-200">
-            <thead className="bg-orange-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Date</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Batch</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Size</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Reason</th><th className="px-4 py-3 text-left text-xs font-medium text-orange-800 uppercase">Recipient</th><th className="px-4 py-3 text-right text-xs font-medium text-orange-800 uppercase">Vials</th><th className="px-4 py-3 text-right text-xs font-medium text-orange-800 uppercase">Cost Value</th></tr></thead>
-            <tbody className="divide-y divide-gray-200">
-              {filteredAdjustments.map(a => (<tr key={a.id} className="hover:bg-orange-50"><td className="px-4 py-3 text-sm">{new Date(a.adjustmentDate || a.createdAt).toLocaleDateString()}</td><td className="px-4 py-3 text-sm font-medium text-orange-600">{a.batchNumber}</td><td className="px-4 py-3 text-sm">{a.size}</td><td className="px-4 py-3 text-sm">{a.reason}</td><td className="px-4 py-3 text-sm">{a.recipient || '-'}</td><td className="px-4 py-3 text-sm text-right">{a.vials}</td><td className="px-4 py-3 text-sm text-right font-semibold">€{(parseFloat(a.totalCost) || 0).toFixed(2)}</td></tr>))}
-              {filteredAdjustments.length > 0 && (<tr className="bg-orange-100 font-bold"><td colSpan="5" className="px-4 py-3 text-sm text-orange-900">TOTAL SAMPLES</td><td className="px-4 py-3 text-sm text-right text-orange-900">{totalAdjustmentsVials}</td><td className="px-4 py-3 text-sm text-right text-orange-900">€{totalAdjustmentsValue.toFixed(2)}</td></tr>)}
-            </tbody>
-          </table>
-          {filteredAdjustments.length === 0 && <div className="text-center py-8 text-gray-500">No samples/adjustments data found</div>}
-        </div>
+      <div className="grid grid-cols-4 gap-4">
+        <div><label className="block text-xs text-gray-500 mb-1">VAT Number</label><input type="text" value={form.vatNumber} onChange={(e) => setForm({...form, vatNumber: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+        <div><label className="block text-xs text-gray-500 mb-1">Wholesale Licence No.</label><input type="text" value={form.licenceNumber} onChange={(e) => setForm({...form, licenceNumber: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+        <div><label className="block text-xs text-gray-500 mb-1">Licence Expiry</label><input type="date" value={form.licenceExpiry} onChange={(e) => setForm({...form, licenceExpiry: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+        <div><label className="block text-xs text-gray-500 mb-1">Payment Terms</label><input type="text" placeholder="e.g. 30 days net" value={form.paymentTerms} onChange={(e) => setForm({...form, paymentTerms: e.target.value})} className="border rounded-lg px-3 py-2 w-full" /></div>
+      </div>
+      <div className="space-y-2">
+        <p className="text-xs text-gray-500">Other Contacts</p>
+        {form.contacts.map((c, i) => (
+          <div key={i} className="grid grid-cols-5 gap-3 items-center">
+            <input type="text" placeholder="Name" value={c.name} onChange={(e) => setContact(i, { name: e.target.value })} className="border rounded-lg px-3 py-2" />
+            <input type="text" placeholder="Role (e.g. Accounts)" value={c.role} onChange={(e) => setContact(i, { role: e.target.value })} className="border rounded-lg px-3 py-2" />
+            <input type="email" placeholder="Email" value={c.email} onChange={(e) => setContact(i, { email: e.target.value })} className="border rounded-lg px-3 py-2" />
+            <input type="text" placeholder="Phone" value={c.phone} onChange={(e) => setContact(i, { phone: e.target.value })} className="border rounded-lg px-3 py-2" />
+            <button onClick={() => setForm({ ...form, contacts: form.contacts.filter((_, j) => j !== i) })} className="text-red-600 text-sm text-left">Remove</button>
+          </div>
+        ))}
+        <button onClick={() => setForm({ ...form, contacts: [...form.contacts, newContact()] })} className="text-blue-600 text-sm">+ Add contact</button>
       </div>
+      <textarea rows={2} placeholder="Notes" value={form.notes} onChange={(e) => setForm({...form, notes: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
+      <div className="flex gap-2"><button onClick={onSubmit} className={`${buttonClass} text-white px-4 py-2 rounded-lg`}>{editing ? 'Save Changes' : 'Save'}</button><button onClick={onCancel} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
     </div>
   );
 };
 
-// ==================== SETUP COMPONENT ====================
-const Setup = ({ customers, addCustomer, deleteCustomer, suppliers, addSupplier, deleteSupplier }) => {
-  const [tab, setTab] = useState('customers');
-  return (
-    <div className="space-y-6">
-      <h2 className="text-xl font-semibold">Setup</h2>
-      <div className="flex space-x-2 border-b">{['customers', 'suppliers', 'users'].map(t => (<button key={t} onClick={() => setTab(t)} className={`px-4 py-2 text-sm capitalize ${tab === t ? 'border-b-2 border-indigo-500 text-indigo-600' : 'text-gray-600'}`}>{t}</button>))}</div>
-      {tab === 'customers' && <Customers customers={customers} addCustomer={addCustomer} deleteCustomer={deleteCustomer} />}
-      {tab === 'suppliers' && <Suppliers suppliers={suppliers} addSupplier={addSupplier} deleteSupplier={deleteSupplier} />}
-      {tab === 'users' && <Users />}
-    </div>
-  );
+// Returns an error message, or null
+const validatePartner = (form, emailRequired) => {
+  if (!form.name || !form.country || (emailRequired && !form.email)) return emailRequired ? 'Name, country and email required' : 'Name and country required';
+  if ([form.email, ...form.contacts.map(c => c.email)].some(e => e && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(e))) return 'An email address is not valid';
+  if (form.contacts.some(c => !c.name && (c.email || c.phone || c.role))) return 'Every other contact needs a name';
+  return null;
 };
 
-const Customers = ({ customers, addCustomer, deleteCustomer }) => {
+const PartnerTable = ({ partners, label, onEdit, onDelete }) => (
+  <div className="bg-white rounded-lg shadow overflow-x-auto">
+    <table className="min-w-full divide-y divide-gray-200">
+      <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Country</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contact</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">VAT Number</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Licence</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Payment Terms</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
+      <tbody className="divide-y divide-gray-200">{partners.map(p => (
+        <tr key={p.id}>
+          <td className="px-4 py-3 text-sm font-medium">{p.name}<AuditTag createdBy={p.createdBy} createdAt={p.createdAt} modifiedBy={p.modifiedBy} modifiedAt={p.modifiedAt} /></td>
+          <td className="px-4 py-3 text-sm">{p.country}</td>
+          <td className="px-4 py-3 text-sm">{p.contactPerson || '-'}{p.email && <span className="block text-xs text-gray-500">{p.email}</span>}{(p.contacts || []).length > 0 && <span className="block text-xs text-gray-400">+{p.contacts.length} more</span>}</td>
+          <td className="px-4 py-3 text-sm font-mono">{p.vatNumber || '-'}</td>
+          <td className="px-4 py-3 text-sm"><LicenceStatus partner={p} /></td>
+          <td className="px-4 py-3 text-sm">{p.paymentTerms || '-'}</td>
+          <td className="px-4 py-3 text-sm"><div className="flex gap-2"><button onClick={() => onEdit(p)} className="text-blue-600">Edit</button>{onDelete && <button onClick={() => confirmDelete(label, reason => onDelete(p.id, reason))} className="text-red-600">Delete</button>}</div></td>
+        </tr>
+      ))}</tbody>
+    </table>
+    {partners.length === 0 && <div className="text-center py-8 text-gray-500">No {label}s</div>}
+  </div>
+);
+
+const Customers = ({ customers, addCustomer, updateCustomer, deleteCustomer }) => {
   const [showForm, setShowForm] = useState(false);
-  const [form, setForm] = useState({ name: '', country: '', contactPerson: '', email: '', phone: '' });
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyPartner);
 
-  const handleSubmit = async () => {
-    if (!form.name || !form.country || !form.email) { alert('Name, country and email required'); return; }
-    await addCustomer(form);
-    setForm({ name: '', country: '', contactPerson: '', email: '', phone: '' });
+  const resetForm = () => {
+    setForm(emptyPartner);
+    setEditingId(null);
     setShowForm(false);
   };
 
+  const startEdit = (c) => {
+    setForm(partnerForm(c));
+    setEditingId(c.id);
+    setShowForm(true);
+  };
+
+  const handleSubmit = async () => {
+    const invalid = validatePartner(form, true);
+    if (invalid) { alert(invalid); return; }
+    const result = editingId ? await updateCustomer(editingId, form) : await addCustomer(form);
+    if (!result.success) { alert(result.error || 'Failed to save customer'); return; }
+    resetForm();
+  };
+
   return (
     <div className="space-y-4">
-      <button onClick={() => setShowForm(!showForm)} className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg"><Plus className="w-4 h-4" /> Add Customer</button>
-      {showForm && (
-        <div className="bg-white rounded-lg shadow p-6 space-y-4">
-          <div className="grid grid-cols-2 gap-4">
-            <input type="text" placeholder="Name *" value={form.name} onChange={(e) => setForm({...form, name: e.target.value})} className="border rounded-lg px-3 py-2" />
-            <select value={form.country} onChange={(e) => setForm({...form, country: e.target.value})} className="border rounded-lg px-3 py-2"><option value="">Select country *</option>{COUNTRIES.map(c => <option key={c} value={c}>{c}</option>)}</select>
-          </div>
-          <input type="email" placeholder="Email *" value={form.email} onChange={(e) => setForm({...form, email: e.target.value})} className="border rounded-lg px-3 py-2 w-full" />
-          <div className="flex gap-2"><button onClick={handleSubmit} className="bg-blue-600 text-white px-4 py-2 rounded-lg">Save</button><button onClick={() => setShowForm(false)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
-        </div>
-      )}
-      <div className="bg-white rounded-lg shadow overflow-hidden">
-        <table className="min-w-full divide-y divide-gray-200">
-          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Country</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Email</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
-          <tbody className="divide-y divide-gray-200">{customers.map(c => (<tr key={c.id}><td className="px-4 py-3 text-sm font-medium">{c.name}</td><td className="px-4 py-3 text-sm">{c.country}</td><td className="px-4 py-3 text-sm">{c.email}</td><td className="px-4 py-3 text-sm"><button onClick={() => deleteCustomer(c.id)} className="text-red-600">Delete</button></td></tr>))}</tbody>
-        </table>
-        {customers.length === 0 && <div className="text-center py-8 text-gray-500">No customers</div>}
+      <div className="flex justify-between items-center">
+        <button onClick={() => { const open = !showForm || editingId; resetForm(); setShowForm(open); }} className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg"><Plus className="w-4 h-4" /> Add Customer</button>
+        <ExportButtons filename={exportFilename('customers')} columns={CUSTOMER_EXPORT_COLUMNS} rows={customers} sheetName="Customers" />
       </div>
+      {showForm && <PartnerForm form={form} setForm={setForm} emailRequired editing={!!editingId} onSubmit={handleSubmit} onCancel={resetForm} buttonClass="bg-blue-600" />}
+      <PartnerTable partners={customers} label="customer" onEdit={startEdit} onDelete={deleteCustomer} />
     </div>
   );
 };
 
-const Suppliers = ({ suppliers, addSupplier, deleteSupplier }) => {
+const Suppliers = ({ suppliers, addSupplier, updateSupplier, deleteSupplier }) => {
   const [showForm, setShowForm] = useState(false);
-  const [form, setForm] = useState({ name: '', country: '', email: '', phone: '' });
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyPartner);
 
-  const handleSubmit = async () => {
-    if (!form.name || !form.country) { alert('Name and country required'); return; }
-    await addSupplier(form);
-    setForm({ name: '', country: '', email: '', phone: '' });
+  const resetForm = () => {
+    setForm(emptyPartner);
+    setEditingId(null);
     setShowForm(false);
   };
 
+  const startEdit = (s) => {
+    setForm(partnerForm(s));
+    setEditingId(s.id);
+    setShowForm(true);
+  };
+
+  const handleSubmit = async () => {
+    const invalid = validatePartner(form, false);
+    if (invalid) { alert(invalid); return; }
+    const result = editingId ? await updateSupplier(editingId, form) : await addSupplier(form);
+    if (!result.success) { alert(result.error || 'Failed to save supplier'); return; }
+    resetForm();
+  };
+
   return (
     <div className="space-y-4">
-      <button onClick={() => setShowForm(!showForm)} className="flex items-center gap-2 bg-green-600 text-white px-4 py-2 rounded-lg"><Plus className="w-4 h-4" /> Add Supplier</button>
-      {showForm && (
-        <div className="bg-white rounded-lg shadow p-6 space-y-4">
-          <div className="grid grid-cols-2 gap-4">
-            <input type="text" placeholder="Name *" value={form.name} onChange={(e) => setForm({...form, name: e.target.value})} className="border rounded-lg px-3 py-2" />
-            <select value={form.country} onChange={(e) => setForm({...form, country: e.target.value})} className="border rounded-lg px-3 py-2"><option value="">Select country *</option>{COUNTRIES.map(c => <option key={c} value={c}>{c}</option>)}</select>
-          </div>
-          <div className="flex gap-2"><button onClick={handleSubmit} className="bg-green-600 text-white px-4 py-2 rounded-lg">Save</button><button onClick={() => setShowForm(false)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
-        </div>
-      )}
-      <div className="bg-white rounded-lg shadow overflow-hidden">
-        <table className="min-w-full divide-y divide-gray-200">
-          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Country</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
-          <tbody className="divide-y divide-gray-200">{suppliers.map(s => (<tr key={s.id}><td className="px-4 py-3 text-sm font-medium">{s.name}</td><td className="px-4 py-3 text-sm">{s.country}</td><td className="px-4 py-3 text-sm"><button onClick={() => deleteSupplier(s.id)} className="text-red-600">Delete</button></td></tr>))}</tbody>
-        </table>
-        {suppliers.length === 0 && <div className="text-center py-8 text-gray-500">No suppliers</div>}
+      <div className="flex justify-between items-center">
+        <button onClick={() => { const open = !showForm || editingId; resetForm(); setShowForm(open); }} className="flex items-center gap-2 bg-green-600 text-white px-4 py-2 rounded-lg"><Plus className="w-4 h-4" /> Add Supplier</button>
+        <ExportButtons filename={exportFilename('suppliers')} columns={SUPPLIER_EXPORT_COLUMNS} rows={suppliers} sheetName="Suppliers" />
       </div>
+      {showForm && <PartnerForm form={form} setForm={setForm} editing={!!editingId} onSubmit={handleSubmit} onCancel={resetForm} buttonClass="bg-green-600" />}
+      <PartnerTable partners={suppliers} label="supplier" onEdit={startEdit} onDelete={deleteSupplier} />
     </div>
   );
 };
 
-const Users = () => {
+const Users = ({ currentUser }) => {
   const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
   const [showForm, setShowForm] = useState(false);
   const [form, setForm] = useState({ username: '', password: '', name: '', initials: '', role: 'user' });
   const [loading, setLoading] = useState(true);
@@ -1568,22 +4859,28 @@ const Users = () => {
 
   const loadUsers = async () => {
     try {
-      const { data, error } = await supabase.from('users').select('*').order('username');
+      const [{ data, error }, { data: roleData }] = await Promise.all([
+        supabase.from('users').select('*').order('username'),
+        supabase.from('roles').select('name, label').order('name')
+      ]);
       if (!error && data) setUsers(data);
+      if (roleData) setRoles(roleData);
     } catch (e) { console.error('Load users error:', e); }
     setLoading(false);
   };
 
   const addUser = async () => {
     if (!form.username || !form.password || !form.name) { alert('Fill all fields'); return; }
+    if (form.password.length < 8) { alert('Password must be at least 8 characters'); return; }
     try {
-      const { data, error } = await supabase.from('users').insert([{
-        username: form.username,
-        password: form.password,
-        name: form.name,
-        initials: form.initials || form.username.substring(0, 3).toUpperCase(),
-        role: form.role
-      }]).select().single();
+      // Hashing and the Supabase Auth identity are handled server-side
+      const { data, error } = await supabase.rpc('create_app_user', {
+        p_username: form.username,
+        p_password: form.password,
+        p_name: form.name,
+        p_initials: form.initials || form.username.substring(0, 3).toUpperCase(),
+        p_role: form.role
+      });
       if (error) throw error;
       setUsers([...users, data].sort((a, b) => a.username.localeCompare(b.username)));
       setForm({ username: '', password: '', name: '', initials: '', role: 'user' });
@@ -1591,14 +4888,22 @@ const Users = () => {
     } catch (e) { console.error('Add user error:', e); alert('Failed to add user: ' + e.message); }
   };
 
+  const changeRole = async (id, role) => {
+    try {
+      const { data, error } = await supabase.rpc('set_user_role', { p_id: String(id), p_role: role });
+      if (error) throw error;
+      setUsers(users.map(u => u.id === id ? data : u));
+    } catch (e) { console.error('Change role error:', e); alert('Failed to change role: ' + e.message); }
+  };
+
   const deleteUser = async (id) => {
     const user = users.find(u => u.id === id);
     if (user?.username === 'admin') { alert('Cannot delete admin user'); return; }
     try {
-      const { error } = await supabase.from('users').delete().eq('id', id);
+      const { error } = await supabase.rpc('delete_app_user', { p_id: String(id) });
       if (error) throw error;
       setUsers(users.filter(u => u.id !== id));
-    } catch (e) { console.error('Delete user error:', e); }
+    } catch (e) { console.error('Delete user error:', e); alert('Failed to delete user: ' + e.message); }
   };
 
   if (loading) return <div className="text-center py-8">Loading users...</div>;
@@ -1613,17 +4918,453 @@ const Users = () => {
             <input type="text" placeholder="Full Name" value={form.name} onChange={(e) => setForm({...form, name: e.target.value})} className="border rounded-lg px-3 py-2" />
           </div>
           <div className="grid grid-cols-2 gap-4">
-            <input type="password" placeholder="Password" value={form.password} onChange={(e) => setForm({...form, password: e.target.value})} className="border rounded-lg px-3 py-2" />
-            <select value={form.role} onChange={(e) => setForm({...form, role: e.target.value})} className="border rounded-lg px-3 py-2"><option value="user">User</option><option value="admin">Admin</option></select>
+            <input type="password" placeholder="Initial password (min. 8 characters)" value={form.password} onChange={(e) => setForm({...form, password: e.target.value})} className="border rounded-lg px-3 py-2" />
+            <select value={form.role} onChange={(e) => setForm({...form, role: e.target.value})} className="border rounded-lg px-3 py-2">{roles.map(r => <option key={r.name} value={r.name}>{r.label}</option>)}</select>
           </div>
+          <p className="text-xs text-gray-500">The user will be asked to choose a new password at first sign-in.</p>
           <div className="flex gap-2"><button onClick={addUser} className="bg-indigo-600 text-white px-4 py-2 rounded-lg">Save</button><button onClick={() => setShowForm(false)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
         </div>
       )}
       <div className="bg-white rounded-lg shadow overflow-hidden">
         <table className="min-w-full divide-y divide-gray-200">
           <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Username</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Name</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
-          <tbody className="divide-y divide-gray-200">{users.map(u => (<tr key={u.id}><td className="px-4 py-3 text-sm font-medium">{u.username}</td><td className="px-4 py-3 text-sm">{u.name}</td><td className="px-4 py-3 text-sm"><span className={`px-2 py-1 rounded text-xs ${u.role === 'admin' ? 'bg-purple-100 text-purple-800' : 'bg-gray-100'}`}>{u.role}</span></td><td className="px-4 py-3 text-sm">{u.username !== 'admin' && <button onClick={() => deleteUser(u.id)} className="text-red-600">Delete</button>}</td></tr>))}</tbody>
+          <tbody className="divide-y divide-gray-200">{users.map(u => (<tr key={u.id}><td className="px-4 py-3 text-sm font-medium">{u.username}</td><td className="px-4 py-3 text-sm">{u.name}</td><td className="px-4 py-3 text-sm">{u.username === 'admin' || u.id === currentUser.id ? <span className={`px-2 py-1 rounded text-xs ${u.role === ADMIN_ROLE ? 'bg-purple-100 text-purple-800' : 'bg-gray-100'}`}>{roles.find(r => r.name === u.role)?.label || u.role}</span> : <select value={u.role} onChange={(e) => changeRole(u.id, e.target.value)} className="border rounded px-2 py-1 text-xs">{roles.map(r => <option key={r.name} value={r.name}>{r.label}</option>)}</select>}{u.must_change_password && <span className="ml-2 px-2 py-1 rounded text-xs bg-amber-100 text-amber-800">Password change pending</span>}</td><td className="px-4 py-3 text-sm">{u.username !== 'admin' && <button onClick={() => deleteUser(u.id)} className="text-red-600">Delete</button>}</td></tr>))}</tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const emptyRole = { name: '', label: '', permissions: [] };
+
+// Roles and the permissions they grant; the admin role always holds them all
+const Roles = () => {
+  const [roles, setRoles] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(emptyRole);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => { loadRoles(); }, []);
+
+  const loadRoles = async () => {
+    try {
+      const { data, error } = await supabase.from('roles').select('*').order('name');
+      if (!error && data) setRoles(data);
+    } catch (e) { console.error('Load roles error:', e); }
+    setLoading(false);
+  };
+
+  const resetForm = () => {
+    setForm(emptyRole);
+    setEditingId(null);
+    setShowForm(false);
+  };
+
+  const startEdit = (r) => {
+    setForm({ name: r.name, label: r.label, permissions: r.permissions || [] });
+    setEditingId(r.id);
+    setShowForm(true);
+  };
+
+  // Granting a permission grants what it requires; revoking one revokes what depends on it
+  const togglePermission = (permission) => {
+    const granted = form.permissions.includes(permission);
+    const permissions = granted
+      ? form.permissions.filter(p => p !== permission && PERMISSION_REQUIRES[p] !== permission)
+      : [...new Set([...form.permissions, permission, PERMISSION_REQUIRES[permission]].filter(Boolean))];
+    setForm({ ...form, permissions });
+  };
+
+  const saveRole = async () => {
+    if (!form.label.trim()) { alert('Enter a label'); return; }
+    if (!editingId && !/^[a-z][a-z0-9_]*$/.test(form.name)) { alert('The name must start with a letter and use only lower-case letters, digits and underscores'); return; }
+    const permissions = Object.keys(PERMISSIONS).filter(p => form.permissions.includes(p));
+    try {
+      const { data, error } = editingId
+        ? await supabase.from('roles').update({ label: form.label.trim(), permissions }).eq('id', editingId).select().single()
+        : await supabase.from('roles').insert({ name: form.name, label: form.label.trim(), permissions }).select().single();
+      if (error) throw error;
+      setRoles(editingId ? roles.map(r => r.id === editingId ? data : r) : [...roles, data].sort((a, b) => a.name.localeCompare(b.name)));
+      resetForm();
+    } catch (e) { console.error('Save role error:', e); alert('Failed to save role: ' + e.message); }
+  };
+
+  if (loading) return <div className="text-center py-8">Loading roles...</div>;
+
+  return (
+    <div className="space-y-4">
+      <button onClick={() => { const open = !showForm || editingId; resetForm(); setShowForm(open); }} className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg"><Plus className="w-4 h-4" /> Add Role</button>
+      {showForm && (
+        <div className="bg-white rounded-lg shadow p-6 space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <input type="text" placeholder="Name (e.g. sales_export)" value={form.name} disabled={!!editingId} onChange={(e) => setForm({...form, name: e.target.value.trim().toLowerCase()})} className="border rounded-lg px-3 py-2 disabled:bg-gray-100" />
+            <input type="text" placeholder="Label" value={form.label} onChange={(e) => setForm({...form, label: e.target.value})} className="border rounded-lg px-3 py-2" />
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(PERMISSIONS).map(([key, description]) => (
+              <label key={key} className="flex items-start gap-2 text-sm">
+                <input type="checkbox" checked={form.permissions.includes(key)} onChange={() => togglePermission(key)} className="mt-1" />
+                <span>{description}{PERMISSION_REQUIRES[key] && <span className="block text-xs text-gray-500">Includes: {PERMISSIONS[PERMISSION_REQUIRES[key]]}</span>}</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2"><button onClick={saveRole} className="bg-indigo-600 text-white px-4 py-2 rounded-lg">{editingId ? 'Save Changes' : 'Save'}</button><button onClick={resetForm} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
+        </div>
+      )}
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Permissions</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th></tr></thead>
+          <tbody className="divide-y divide-gray-200">{roles.map(r => (<tr key={r.id}><td className="px-4 py-3 text-sm"><span className="font-medium">{r.label}</span><span className="block text-xs text-gray-500 font-mono">{r.name}</span></td><td className="px-4 py-3 text-sm text-gray-600">{r.name === ADMIN_ROLE ? 'All permissions' : (r.permissions || []).map(p => PERMISSIONS[p] || p).join('; ') || 'Read only'}</td><td className="px-4 py-3 text-sm">{r.name !== ADMIN_ROLE && <button onClick={() => startEdit(r)} className="text-blue-600">Edit</button>}</td></tr>))}</tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500">The database enforces these permissions; users pick up a change when they next sign in or reload the app.</p>
+    </div>
+  );
+};
+
+const ImportWizard = ({ can, sizes, vialsPerPackBySize, currencies, importRecords, customers, suppliers, stock }) => {
+  const entities = Object.keys(IMPORT_ENTITIES).filter(key => can(IMPORT_ENTITIES[key].permission));
+  const [entity, setEntity] = useState(entities.includes('purchases') ? 'purchases' : entities[0]);
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [results, setResults] = useState(null);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const PREVIEW_LIMIT = 200;
+
+  const reset = () => { setFile(null); setMapping({}); setResults(null); setShowErrorsOnly(false); };
+
+  const handleFile = async (e) => {
+    const selected = e.target.files[0];
+    e.target.value = '';
+    if (!selected) return;
+    try {
+      const parsed = await readImportFile(selected);
+      if (!parsed.headers.length || !parsed.rows.length) { alert('The file has no header row or no data rows'); return; }
+      setFile({ name: selected.name, ...parsed });
+      setMapping(guessMapping(entity, parsed.headers));
+      setResults(null);
+    } catch (err) {
+      console.error('Read import file error:', err);
+      alert('Could not read the file: ' + err.message);
+    }
+  };
+
+  const selectEntity = (value) => {
+    setEntity(value);
+    setResults(null);
+    if (file) setMapping(guessMapping(value, file.headers));
+  };
+
+  const setColumn = (key, value) => {
+    setMapping({ ...mapping, [key]: value === '' ? undefined : parseInt(value) });
+    setResults(null);
+  };
+
+  const handleValidate = () => {
+    const missing = IMPORT_ENTITIES[entity].fields.filter(f => f.required && mapping[f.key] === undefined);
+    if (missing.length) { alert('Map a column for: ' + missing.map(f => f.label).join(', ')); return; }
+    setResults(validateImport(entity, file.rows, mapping, { sizes, countries: COUNTRIES, currencies, vialsPerPack: vialsPerPackBySize, customers, suppliers, ...stock }));
+  };
+
+  const valid = results ? results.filter(r => r.record) : [];
+  const invalid = results ? results.filter(r => !r.record) : [];
+
+  const handleImport = async () => {
+    if (!valid.length) return;
+    if (!window.confirm(`Import ${valid.length} ${IMPORT_ENTITIES[entity].label.toLowerCase()}${invalid.length ? ` and skip ${invalid.length} rows with errors` : ''}?`)) return;
+    setImporting(true);
+    const result = await importRecords(entity, valid.map(r => r.record));
+    setImporting(false);
+    if (!result.success) { alert('Import failed, nothing was saved: ' + (result.error || 'unknown error')); return; }
+    alert(`Imported ${result.data.length} ${IMPORT_ENTITIES[entity].label.toLowerCase()}`);
+    reset();
+  };
+
+  const fields = IMPORT_ENTITIES[entity].fields;
+  const shown = results ? (showErrorsOnly ? invalid : results).slice(0, PREVIEW_LIMIT) : [];
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-6 space-y-4">
+        <h3 className="font-semibold">1. Choose what to import</h3>
+        <div className="grid grid-cols-2 gap-4">
+          <div><label className="block text-xs text-gray-500 mb-1">Import into</label><select value={entity} onChange={(e) => selectEntity(e.target.value)} className="w-full border rounded-lg px-3 py-2">{entities.map(key => <option key={key} value={key}>{IMPORT_ENTITIES[key].label}</option>)}</select></div>
+          <div><label className="block text-xs text-gray-500 mb-1">CSV file (header row first; save Excel sheets as CSV)</label><input type="file" accept=".csv,text/csv" onChange={handleFile} className="w-full text-sm" /></div>
+        </div>
+        {file && <p className="text-sm text-gray-600">{file.name}: {file.rows.length} data rows, {file.headers.length} columns</p>}
+        <p className="text-xs text-gray-500">Dates as YYYY-MM-DD or DD/MM/YYYY. Quantities in vials or packs; prices per vial or per pack, in euro unless a Currency column says otherwise. Purchases and sales need an existing supplier or customer, and sales an existing batch.</p>
+      </div>
+
+      {file && (
+        <div className="bg-white rounded-lg shadow p-6 space-y-4">
+          <h3 className="font-semibold">2. Map columns</h3>
+          <div className="grid grid-cols-3 gap-4">
+            {fields.map(f => (
+              <div key={f.key}><label className="block text-xs text-gray-500 mb-1">{f.label}{f.required && ' *'}</label><select value={mapping[f.key] ?? ''} onChange={(e) => setColumn(f.key, e.target.value)} className="w-full border rounded-lg px-3 py-2 text-sm"><option value="">— not in file —</option>{file.headers.map((h, i) => <option key={i} value={i}>{h || `Column ${i + 1}`}</option>)}</select></div>
+            ))}
+          </div>
+          <button onClick={handleValidate} className="bg-indigo-600 text-white px-4 py-2 rounded-lg">Validate &amp; Preview</button>
+        </div>
+      )}
+
+      {results && (
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="px-6 py-4 border-b flex justify-between items-center">
+            <div>
+              <h3 className="font-semibold">3. Preview</h3>
+              <p className="text-sm"><span className="text-green-700">{valid.length} ready to import</span> • <span className="text-red-700">{invalid.length} with errors</span></p>
+            </div>
+            <div className="flex items-center gap-4">
+              <label className="text-sm flex items-center gap-2"><input type="checkbox" checked={showErrorsOnly} onChange={(e) => setShowErrorsOnly(e.target.checked)} /> Errors only</label>
+              <button onClick={handleImport} disabled={!valid.length || importing} className="bg-green-600 text-white px-4 py-2 rounded-lg disabled:opacity-50">{importing ? 'Importing...' : `Import ${valid.length} rows`}</button>
+            </div>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50"><tr><th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Line</th>{fields.filter(f => mapping[f.key] !== undefined).map(f => <th key={f.key} className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">{f.label}</th>)}<th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Errors</th></tr></thead>
+              <tbody className="divide-y divide-gray-200">
+                {shown.map(r => (
+                  <tr key={r.line} className={r.record ? '' : 'bg-red-50'}>
+                    <td className="px-3 py-2 text-xs text-gray-500">{r.line}</td>
+                    {fields.filter(f => mapping[f.key] !== undefined).map(f => <td key={f.key} className="px-3 py-2 text-sm">{r.values[f.key]}</td>)}
+                    <td className="px-3 py-2 text-xs text-red-700">{r.errors.join('; ')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {(showErrorsOnly ? invalid : results).length > PREVIEW_LIMIT && <div className="text-center py-3 text-xs text-gray-500 border-t">Showing the first {PREVIEW_LIMIT} of {(showErrorsOnly ? invalid : results).length} rows</div>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const BackupRestore = ({ currentUser, onDataRestore }) => {
+  const [busy, setBusy] = useState('');
+  const [restore, setRestore] = useState(null);
+  const [mode, setMode] = useState('merge');
+
+  const handleBackup = async () => {
+    setBusy('Preparing backup...');
+    try {
+      const snapshot = await fetchSnapshot(supabase, currentUser?.initials || 'SYS');
+      const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `cims-backup-${snapshot.created_at.replace(/[:.]/g, '-')}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (e) {
+      console.error('Backup error:', e);
+      alert('Backup failed: ' + e.message);
+    }
+    setBusy('');
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setRestore(null);
+    let snapshot;
+    try { snapshot = JSON.parse(await file.text()); } catch (err) { alert('The file is not valid JSON'); return; }
+    const errors = validateSnapshot(snapshot);
+    if (errors.length) { setRestore({ fileName: file.name, errors }); return; }
+    setBusy('Comparing with the database...');
+    try {
+      const current = await fetchSnapshot(supabase, currentUser?.initials || 'SYS');
+      setRestore({ fileName: file.name, snapshot, errors: [], diff: diffSnapshot(snapshot, current) });
+    } catch (err) {
+      console.error('Load current data error:', err);
+      alert('Could not read the current data: ' + err.message);
+    }
+    setBusy('');
+  };
+
+  const handleRestore = async () => {
+    if (mode === 'replace') {
+      if (window.prompt('This deletes every sale, purchase, customer, supplier, pipeline order, stock hold and sample not in the backup. Type REPLACE to continue.') !== 'REPLACE') return;
+    } else if (!window.confirm('Merge the backup into the current data?')) return;
+    setBusy('Restoring...');
+    try {
+      const { data, error } = await supabase.rpc('restore_snapshot', { p_snapshot: restore.snapshot, p_mode: mode });
+      if (error) throw error;
+      await onDataRestore();
+      setRestore(null);
+      alert('Restore complete: ' + Object.entries(data).map(([table, count]) => `${table} ${count}`).join(', '));
+    } catch (e) {
+      console.error('Restore error:', e);
+      alert('Restore failed, nothing was changed: ' + e.message);
+    }
+    setBusy('');
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-6 space-y-3">
+        <h3 className="font-semibold">Backup</h3>
+        <p className="text-sm text-gray-600">Downloads every sale, purchase, customer, supplier, pipeline order (with status history), stock hold, sample and user profile as a JSON file. Passwords are not included, and the audit log is not part of the backup.</p>
+        <button onClick={handleBackup} disabled={!!busy} className="flex items-center gap-2 bg-indigo-600 text-white px-4 py-2 rounded-lg disabled:opacity-50"><Download className="w-4 h-4" /> Download Backup</button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 space-y-4">
+        <h3 className="font-semibold">Restore</h3>
+        <input type="file" accept=".json,application/json" onChange={handleFile} disabled={!!busy} className="text-sm" />
+        {busy && <p className="text-sm text-gray-500">{busy}</p>}
+        {restore?.errors.length > 0 && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-800">
+            <p className="font-medium mb-1">{restore.fileName} cannot be restored:</p>
+            <ul className="list-disc ml-5">{restore.errors.map((e, i) => <li key={i}>{e}</li>)}</ul>
+          </div>
+        )}
+        {restore?.diff && (
+          <>
+            <p className="text-sm text-gray-600">Backup taken {new Date(restore.snapshot.created_at).toLocaleString()} by {restore.snapshot.created_by}</p>
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50"><tr><th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Table</th><th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">In Backup</th><th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">In Database</th><th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">New</th><th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Changed</th><th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Unchanged</th><th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase">Only in Database</th></tr></thead>
+              <tbody className="divide-y divide-gray-200">
+                {restore.diff.map(d => (
+                  <tr key={d.table}>
+                    <td className="px-3 py-2 font-mono text-xs">{d.table}</td>
+                    <td className="px-3 py-2 text-right">{d.backup}</td>
+                    <td className="px-3 py-2 text-right">{d.database}</td>
+                    <td className="px-3 py-2 text-right text-green-700">{d.table === 'users' ? '-' : d.added}</td>
+                    <td className="px-3 py-2 text-right text-amber-700">{d.changed}</td>
+                    <td className="px-3 py-2 text-right text-gray-500">{d.unchanged}</td>
+                    <td className={`px-3 py-2 text-right ${mode === 'replace' && d.table !== 'users' && d.onlyInDatabase ? 'text-red-700 font-semibold' : 'text-gray-500'}`}>{d.onlyInDatabase}{mode === 'replace' && d.table !== 'users' && d.onlyInDatabase > 0 && ' (deleted)'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500">Users are never added or removed by a restore; only the name, initials and role of existing users are brought back.</p>
+            <div className="flex gap-6 text-sm">
+              <label className="flex items-center gap-2"><input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} /> Merge: add new rows and overwrite changed ones, keep everything else</label>
+              <label className="flex items-center gap-2"><input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} /> Replace: make the data match the backup exactly</label>
+            </div>
+            <div className="flex gap-2"><button onClick={handleRestore} disabled={!!busy} className={`text-white px-4 py-2 rounded-lg disabled:opacity-50 ${mode === 'replace' ? 'bg-red-600' : 'bg-indigo-600'}`}>{mode === 'replace' ? 'Replace Data' : 'Merge Data'}</button><button onClick={() => setRestore(null)} className="bg-gray-200 px-4 py-2 rounded-lg">Cancel</button></div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const AUDIT_ENTITY_TYPES = {
+  orders: 'Order',
+  sales: 'Sale',
+  purchases: 'Purchase',
+  stock_holds: 'Stock Hold',
+  stock_adjustments: 'Sample/Adjustment',
+  pipeline_purchases: 'Pipeline Order',
+  products: 'Product',
+  app_settings: 'Settings',
+  documents: 'Invoice/Pro-forma',
+  exchange_rates: 'Exchange Rate',
+  customers: 'Customer',
+  suppliers: 'Supplier',
+  users: 'User',
+  roles: 'Role'
+};
+const AUDIT_ACTION_STYLES = {
+  create: 'bg-green-100 text-green-800',
+  update: 'bg-blue-100 text-blue-800',
+  delete: 'bg-red-100 text-red-800',
+  convert: 'bg-purple-100 text-purple-800',
+  revert: 'bg-orange-100 text-orange-800'
+};
+const AUDIT_AUTO_FIELDS = ['modified_at', 'modified_by'];
+
+// Field-level changes recorded in one audit entry
+const auditChanges = (entry) => {
+  const before = entry.before_data || {};
+  const after = entry.after_data || {};
+  return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter(field => !AUDIT_AUTO_FIELDS.includes(field))
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+};
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [filters, setFilters] = useState({ actor: '', entityType: '', dateFrom: '', dateTo: '' });
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const LIMIT = 500;
+
+  useEffect(() => {
+    supabase.from('users').select('initials, name').order('name').then(({ data }) => { if (data) setUsers(data); });
+  }, []);
+
+  useEffect(() => { loadEntries(); }, [filters]);
+
+  const loadEntries = async () => {
+    setLoading(true);
+    try {
+      let query = supabase.from('audit_log').select('*').order('occurred_at', { ascending: false }).limit(LIMIT);
+      if (filters.actor) query = query.eq('actor', filters.actor);
+      if (filters.entityType) query = query.eq('entity_type', filters.entityType);
+      if (filters.dateFrom) query = query.gte('occurred_at', new Date(filters.dateFrom).toISOString());
+      if (filters.dateTo) {
+        const end = new Date(filters.dateTo);
+        end.setDate(end.getDate() + 1);
+        query = query.lt('occurred_at', end.toISOString());
+      }
+      const { data, error } = await query;
+      if (error) throw error;
+      setEntries(data || []);
+    } catch (e) { console.error('Load audit log error:', e); }
+    setLoading(false);
+  };
+
+  const formatValue = (v) => v === null || v === undefined ? '—' : typeof v === 'object' ? JSON.stringify(v) : String(v);
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-lg shadow p-4 grid grid-cols-4 gap-4">
+        <div><label className="block text-xs text-gray-500 mb-1">User</label><select value={filters.actor} onChange={(e) => setFilters({...filters, actor: e.target.value})} className="w-full border rounded-lg px-3 py-2"><option value="">All users</option>{users.map(u => <option key={u.initials} value={u.initials}>{u.name} ({u.initials})</option>)}<option value="SYS">System (SYS)</option></select></div>
+        <div><label className="block text-xs text-gray-500 mb-1">Entity type</label><select value={filters.entityType} onChange={(e) => setFilters({...filters, entityType: e.target.value})} className="w-full border rounded-lg px-3 py-2"><option value="">All entities</option>{Object.entries(AUDIT_ENTITY_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}</select></div>
+        <div><label className="block text-xs text-gray-500 mb-1">From</label><input type="date" value={filters.dateFrom} onChange={(e) => setFilters({...filters, dateFrom: e.target.value})} className="w-full border rounded-lg px-3 py-2" /></div>
+        <div><label className="block text-xs text-gray-500 mb-1">To</label><input type="date" value={filters.dateTo} onChange={(e) => setFilters({...filters, dateTo: e.target.value})} className="w-full border rounded-lg px-3 py-2" /></div>
+      </div>
+      <div className="bg-white rounded-lg shadow overflow-hidden">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50"><tr><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">When</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Action</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Entity</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Reason</th><th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Changes</th></tr></thead>
+          <tbody className="divide-y divide-gray-200">
+            {entries.map(entry => {
+              const changes = auditChanges(entry);
+              return (
+                <React.Fragment key={entry.id}>
+                  <tr className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm whitespace-nowrap">{new Date(entry.occurred_at).toLocaleString()}</td>
+                    <td className="px-4 py-3 text-sm font-medium">{entry.actor}</td>
+                    <td className="px-4 py-3 text-sm"><span className={`px-2 py-1 rounded text-xs capitalize ${AUDIT_ACTION_STYLES[entry.action] || 'bg-gray-100'}`}>{entry.action}</span></td>
+                    <td className="px-4 py-3 text-sm">{AUDIT_ENTITY_TYPES[entry.entity_type] || entry.entity_type} <span className="text-xs text-gray-400 font-mono">#{entry.entity_id}</span></td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{entry.reason || '-'}</td>
+                    <td className="px-4 py-3 text-sm">{changes.length > 0 ? <button onClick={() => setExpanded(expanded === entry.id ? null : entry.id)} className="text-indigo-600 hover:text-indigo-800 text-xs">{expanded === entry.id ? 'Hide' : `${changes.length} field${changes.length === 1 ? '' : 's'}`}</button> : '-'}</td>
+                  </tr>
+                  {expanded === entry.id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan="6" className="px-4 py-3">
+                        <table className="min-w-full text-xs">
+                          <thead><tr><th className="text-left text-gray-500 pr-4">Field</th><th className="text-left text-gray-500 pr-4">Before</th><th className="text-left text-gray-500">After</th></tr></thead>
+                          <tbody>{changes.map(c => (<tr key={c.field}><td className="pr-4 py-1 font-mono">{c.field}</td><td className="pr-4 py-1 text-red-700">{formatValue(c.before)}</td><td className="py-1 text-green-700">{formatValue(c.after)}</td></tr>))}</tbody>
+                        </table>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
         </table>
+        {loading && <div className="text-center py-8 text-gray-500">Loading audit log...</div>}
+        {!loading && entries.length === 0 && <div className="text-center py-8 text-gray-500">No audit entries match these filters</div>}
+        {!loading && entries.length === LIMIT && <div className="text-center py-3 text-xs text-gray-500 border-t">Showing the latest {LIMIT} entries. Narrow the filters to see older ones.</div>}
       </div>
     </div>
   );
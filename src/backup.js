@@ -0,0 +1,94 @@
+// Versioned JSON snapshots of the whole database, and the checks run on a
+// snapshot before it is restored. Rows are kept exactly as the database
+// returns them (snake_case), so a snapshot can be handed straight to the
+// restore_snapshot() function.
+
+export const BACKUP_FORMAT = 'eurofolic-cims-backup';
+export const BACKUP_VERSION = 1;
+
+// Table -> columns every row must carry for the snapshot to be accepted
+export const BACKUP_TABLES = {
+  orders: ['id', 'customer', 'order_date'],
+  sales: ['id', 'size', 'batch_number', 'units', 'price'],
+  purchases: ['id', 'size', 'batch_number', 'units', 'cost'],
+  customers: ['id', 'name'],
+  suppliers: ['id', 'name'],
+  pipeline_purchases: ['id', 'po_number', 'size', 'units', 'status'],
+  pipeline_status_history: ['id', 'pipeline_purchase_id', 'status'],
+  stock_holds: ['id', 'size', 'units'],
+  stock_adjustments: ['id', 'size', 'batch_number', 'units'],
+  roles: ['id', 'name', 'label'],
+  users: ['id', 'username', 'role'],
+  products: ['id', 'code', 'vials_per_pack'],
+  app_settings: ['id', 'valuation_method'],
+  exchange_rates: ['id', 'currency', 'rate_date', 'rate']
+};
+
+// Tables added after the first backups were taken; a backup without them leaves them untouched
+const OPTIONAL_TABLES = ['products', 'app_settings', 'exchange_rates', 'orders', 'roles'];
+
+// Never written to a backup file
+const USER_SECRET_COLUMNS = ['password', 'password_hash', 'auth_id'];
+
+const PAGE_SIZE = 1000;
+
+// The API caps each response, so read every table a page at a time
+const fetchTable = async (supabase, table) => {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase.from(table).select('*').order('id').range(from, from + PAGE_SIZE - 1);
+    if (error) throw new Error(`${table}: ${error.message}`);
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return rows;
+  }
+};
+
+export const fetchSnapshot = async (supabase, createdBy) => {
+  const tables = {};
+  for (const table of Object.keys(BACKUP_TABLES)) {
+    tables[table] = await fetchTable(supabase, table);
+  }
+  tables.users = tables.users.map(u => Object.fromEntries(Object.entries(u).filter(([key]) => !USER_SECRET_COLUMNS.includes(key))));
+  return { format: BACKUP_FORMAT, version: BACKUP_VERSION, created_at: new Date().toISOString(), created_by: createdBy, tables };
+};
+
+// Returns a list of problems; an empty list means the snapshot can be restored
+export const validateSnapshot = (snapshot) => {
+  if (!snapshot || typeof snapshot !== 'object') return ['The file is not a JSON object'];
+  if (snapshot.format !== BACKUP_FORMAT) return ['The file is not a CIMS backup'];
+  if (snapshot.version !== BACKUP_VERSION) return [`Backup version ${snapshot.version} is not supported (expected ${BACKUP_VERSION})`];
+  const errors = [];
+  Object.entries(BACKUP_TABLES).forEach(([table, columns]) => {
+    const rows = snapshot.tables?.[table];
+    if (rows === undefined && OPTIONAL_TABLES.includes(table)) return;
+    if (!Array.isArray(rows)) { errors.push(`Table ${table} is missing`); return; }
+    const ids = new Set();
+    rows.forEach((row, i) => {
+      const missing = columns.filter(c => row?.[c] === undefined);
+      if (missing.length) errors.push(`${table} row ${i + 1}: missing ${missing.join(', ')}`);
+      else if (ids.has(String(row.id))) errors.push(`${table} row ${i + 1}: duplicate id ${row.id}`);
+      ids.add(String(row?.id));
+    });
+  });
+  if (errors.length > 20) return [...errors.slice(0, 20), `...and ${errors.length - 20} more`];
+  return errors;
+};
+
+// Edit stamps alone do not count as a difference
+const comparable = (row) => JSON.stringify(Object.keys(row).filter(k => k !== 'modified_at' && k !== 'modified_by').sort().map(k => [k, row[k]]));
+
+// Per table: rows only in the backup, rows in both that differ, unchanged rows and rows only in the database
+export const diffSnapshot = (snapshot, current) => Object.keys(BACKUP_TABLES).filter(table => snapshot.tables[table]).map(table => {
+  const existing = new Map(current.tables[table].map(r => [String(r.id), r]));
+  const incoming = snapshot.tables[table];
+  let added = 0, changed = 0, unchanged = 0;
+  incoming.forEach(r => {
+    const match = existing.get(String(r.id));
+    if (!match) added++;
+    else if (comparable(match) !== comparable({ ...match, ...r })) changed++;
+    else unchanged++;
+  });
+  const incomingIds = new Set(incoming.map(r => String(r.id)));
+  const onlyInDatabase = current.tables[table].filter(r => !incomingIds.has(String(r.id))).length;
+  return { table, backup: incoming.length, database: current.tables[table].length, added, changed, unchanged, onlyInDatabase };
+});
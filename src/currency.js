@@ -0,0 +1,54 @@
+// Currencies, dated exchange rates and conversion to the reporting currency.
+//
+// Rates are held ECB-style against the euro: `rate` is how many units of a
+// currency one euro bought on `rateDate`; the euro itself is always 1. A
+// transaction is converted with the latest rate on or before its own date.
+
+export const BASE_CURRENCY = 'EUR';
+
+// Currencies a record can be entered in: the euro plus every currency with a rate
+export const currencyOptions = (exchangeRates) =>
+  [BASE_CURRENCY, ...[...new Set(exchangeRates.map(r => r.currency))].filter(c => c !== BASE_CURRENCY).sort()];
+
+// { currency: [{ date, rate }] } with the dates in ascending order
+export const buildRateIndex = (exchangeRates) => {
+  const index = {};
+  exchangeRates.forEach(r => {
+    if (!index[r.currency]) index[r.currency] = [];
+    index[r.currency].push({ date: r.rateDate, rate: parseFloat(r.rate) });
+  });
+  Object.values(index).forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+  return index;
+};
+
+// Units of `currency` per euro on `date`, or null when no rate is on file that early
+export const rateOn = (index, currency, date) => {
+  if (!currency || currency === BASE_CURRENCY) return 1;
+  const day = String(date || '').slice(0, 10);
+  const list = index[currency] || [];
+  let found = null;
+  for (const r of list) {
+    if (r.date > day) break;
+    found = r.rate;
+  }
+  return found;
+};
+
+// Convert through the euro; null when either rate is missing
+export const convertAmount = (index, amount, from, to, date) => {
+  const value = parseFloat(amount) || 0;
+  if ((from || BASE_CURRENCY) === to) return value;
+  const fromRate = rateOn(index, from, date);
+  const toRate = rateOn(index, to, date);
+  return fromRate && toRate ? value / fromRate * toRate : null;
+};
+
+const formatters = {};
+
+// Two decimals with the currency's own symbol, e.g. €1,234.50 or CHF 80.00
+export const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  if (!formatters[currency]) {
+    formatters[currency] = new Intl.NumberFormat('en-IE', { style: 'currency', currency, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+  return formatters[currency].format(parseFloat(amount) || 0);
+};
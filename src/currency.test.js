@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { BASE_CURRENCY, currencyOptions, buildRateIndex, rateOn, convertAmount, formatMoney } from './currency';
+
+const exchangeRates = [
+  { currency: 'USD', rateDate: '2026-03-02', rate: '1.10' },
+  { currency: 'USD', rateDate: '2026-03-01', rate: '1.08' },
+  { currency: 'GBP', rateDate: '2026-03-01', rate: '0.85' }
+];
+const index = buildRateIndex(exchangeRates);
+
+describe('currencyOptions', () => {
+  it('offers the euro first, then every currency with a rate once', () => {
+    expect(currencyOptions([...exchangeRates, { currency: 'EUR', rateDate: '2026-03-01', rate: 1 }])).toEqual(['EUR', 'GBP', 'USD']);
+    expect(currencyOptions([])).toEqual([BASE_CURRENCY]);
+  });
+});
+
+describe('rateOn', () => {
+  it('uses the latest rate on or before the date', () => {
+    expect(index.USD.map(r => r.date)).toEqual(['2026-03-01', '2026-03-02']);
+    expect(rateOn(index, 'USD', '2026-03-01')).toBe(1.08);
+    expect(rateOn(index, 'USD', '2026-03-02T15:00:00Z')).toBe(1.1);
+    expect(rateOn(index, 'USD', '2026-12-31')).toBe(1.1);
+  });
+
+  it('has no rate before the first one on file or for an unknown currency', () => {
+    expect(rateOn(index, 'USD', '2026-02-28')).toBeNull();
+    expect(rateOn(index, 'CHF', '2026-03-01')).toBeNull();
+  });
+
+  it('counts the euro, or no currency, as 1', () => {
+    expect(rateOn(index, 'EUR', '2000-01-01')).toBe(1);
+    expect(rateOn(index, null, '2000-01-01')).toBe(1);
+  });
+});
+
+describe('convertAmount', () => {
+  it('converts through the euro at the rates of the date', () => {
+    expect(convertAmount(index, 110, 'USD', 'EUR', '2026-03-02')).toBeCloseTo(100);
+    expect(convertAmount(index, 100, 'EUR', 'USD', '2026-03-01')).toBeCloseTo(108);
+    expect(convertAmount(index, 108, 'USD', 'GBP', '2026-03-01')).toBeCloseTo(85);
+  });
+
+  it('leaves an amount in the target currency as it is', () => {
+    expect(convertAmount(index, '12.5', 'CHF', 'CHF', '2026-03-01')).toBe(12.5);
+    expect(convertAmount(index, 12.5, null, 'EUR', '2026-03-01')).toBe(12.5);
+  });
+
+  it('gives null when a rate is missing', () => {
+    expect(convertAmount(index, 100, 'USD', 'EUR', '2026-02-28')).toBeNull();
+    expect(convertAmount(index, 100, 'EUR', 'CHF', '2026-03-01')).toBeNull();
+  });
+});
+
+describe('formatMoney', () => {
+  it('shows two decimals with the currency', () => {
+    expect(formatMoney(1234.5)).toBe('€1,234.50');
+    expect(formatMoney('80', 'USD')).toMatch(/80\.00$/);
+    expect(formatMoney(undefined, 'EUR')).toBe('€0.00');
+  });
+});
@@ -0,0 +1,82 @@
+// CSV and XLSX export of report tables and lists.
+//
+// Columns are described as { header, value: row => any, type } where type is
+// 'text' (default), 'number', 'date' or 'datetime'. Output is locale-neutral
+// so it opens the same way everywhere: plain numbers with a dot decimal and no
+// grouping, dates as YYYY-MM-DD and timestamps as ISO 8601 in UTC.
+
+// Who created / last edited each record, for any table row carrying the audit fields
+export const AUDIT_COLUMNS = [
+  { header: 'Created By', value: r => r.createdBy },
+  { header: 'Created At', value: r => r.createdAt, type: 'datetime' },
+  { header: 'Modified By', value: r => r.modifiedBy },
+  { header: 'Modified At', value: r => r.modifiedAt, type: 'datetime' }
+];
+
+const isoDate = (v) => {
+  if (!v) return null;
+  if (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v)) return v;
+  const d = new Date(v);
+  return isNaN(d) ? null : d.toISOString().split('T')[0];
+};
+
+const isoDateTime = (v) => {
+  if (!v) return null;
+  const d = new Date(v);
+  return isNaN(d) ? null : d.toISOString();
+};
+
+const normalize = (value, type) => {
+  if (value === null || value === undefined) return null;
+  if (type === 'number') {
+    const n = typeof value === 'number' ? value : parseFloat(value);
+    return isNaN(n) ? null : Math.round(n * 1e6) / 1e6;
+  }
+  if (type === 'date') return isoDate(value);
+  if (type === 'datetime') return isoDateTime(value);
+  return String(value);
+};
+
+const toMatrix = (columns, rows) => [
+  columns.map(c => c.header),
+  ...rows.map(row => columns.map(c => normalize(c.value(row), c.type)))
+];
+
+const csvCell = (v) => {
+  if (v === null) return '';
+  const s = String(v);
+  return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export const toCsv = (columns, rows) => toMatrix(columns, rows).map(r => r.map(csvCell).join(',')).join('\r\n');
+
+export const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Lower-case, dash-separated file name stamped with today's date
+export const exportFilename = (...parts) =>
+  [...parts, isoDate(new Date())].filter(Boolean).join('-').toLowerCase().replace(/[^a-z0-9.-]+/g, '-');
+
+export const exportCsv = (filename, columns, rows) => {
+  // The byte-order mark makes Excel read the file as UTF-8
+  download(new Blob(['\uFEFF' + toCsv(columns, rows)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+};
+
+// The spreadsheet library is only loaded the first time someone exports to Excel
+export const exportXlsx = async (filename, columns, rows, sheetName = 'Export') => {
+  const XLSX = await import('xlsx');
+  const matrix = toMatrix(columns, rows).map((r, i) => i === 0 ? r : r.map((v, j) => columns[j].type === 'date' && v ? new Date(`${v}T00:00:00`) : v));
+  const sheet = XLSX.utils.aoa_to_sheet(matrix, { cellDates: true, dateNF: 'yyyy-mm-dd' });
+  sheet['!cols'] = columns.map(c => ({ wch: Math.max(c.header.length, c.type === 'datetime' ? 24 : 12) }));
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, sheet, sheetName.slice(0, 31));
+  XLSX.writeFile(book, `${filename}.xlsx`, { compression: true });
+};
@@ -0,0 +1,74 @@
+// Stock cover forecasting per size.
+//
+// Consumption is the average number of vials per month sold or sampled over
+// the last CONSUMPTION_MONTHS months. Stock is projected to run down at that
+// rate from today, topped up by open pipeline orders on their expected dates,
+// to find when it falls below the reorder point, the safety stock and zero.
+
+import { EXPIRED_WRITE_OFF_REASON } from './inventory';
+
+export const CONSUMPTION_MONTHS = 6;
+
+const DAY = 86400000;
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + Math.ceil(days) * DAY).toISOString().split('T')[0];
+
+const dayOf = (value) => String(value || '').slice(0, 10);
+
+// Average vials per month over the window ending on `asOf`. Write-offs of
+// expired stock are losses, not demand, so they are left out.
+export const monthlyConsumption = ({ sales, stockAdjustments }, size, vialsPerPack, asOf) => {
+  const from = new Date(asOf);
+  from.setMonth(from.getMonth() - CONSUMPTION_MONTHS);
+  const start = from.toISOString().split('T')[0];
+  const inWindow = (date) => date > start && date <= asOf;
+  const sold = sales.filter(s => s.size === size && inWindow(dayOf(s.saleDate || s.createdAt)));
+  const sampled = (stockAdjustments || []).filter(a => a.size === size && a.reason !== EXPIRED_WRITE_OFF_REASON && inWindow(dayOf(a.adjustmentDate || a.createdAt)));
+  const vials = [...sold, ...sampled].reduce((sum, r) => sum + (parseFloat(r.units) || 0) * vialsPerPack, 0);
+  return vials / CONSUMPTION_MONTHS;
+};
+
+// Days from `asOf` until projected stock first falls below `threshold`, or
+// null if it never does. `arrivals` are [{ day, vials }] in day order.
+const daysUntilBelow = (stockVials, dailyVials, arrivals, threshold) => {
+  let level = stockVials;
+  let day = 0;
+  for (const a of arrivals) {
+    if (level < threshold) return day;
+    if (dailyVials > 0 && level - dailyVials * (a.day - day) < threshold) return day + (level - threshold) / dailyVials;
+    level += a.vials - dailyVials * (a.day - day);
+    day = a.day;
+  }
+  if (level < threshold) return day;
+  return dailyVials > 0 ? day + (level - threshold) / dailyVials : null;
+};
+
+/**
+ * Project one size's stock. `stockVials` is what can still be sold today;
+ * `pipeline` lists open orders as [{ expectedDate, vials }] - an overdue
+ * order is assumed to arrive today, and one without a date is left out of
+ * the projection and reported as `undatedPipelineVials`.
+ * Dates in the result are null when stock never falls that low.
+ */
+export const forecastStock = ({ stockVials, monthlyVials, pipeline, reorderPoint, safetyStock, asOf }) => {
+  const dailyVials = monthlyVials * 12 / 365;
+  const dated = pipeline.filter(p => p.expectedDate);
+  const arrivals = dated
+    .map(p => ({ day: Math.max(0, (new Date(p.expectedDate) - new Date(asOf)) / DAY), vials: p.vials }))
+    .sort((a, b) => a.day - b.day);
+  const dateBelow = (threshold) => {
+    const days = daysUntilBelow(stockVials, dailyVials, arrivals, threshold);
+    return days === null ? null : addDays(asOf, days);
+  };
+  const runOutDays = daysUntilBelow(stockVials, dailyVials, arrivals, Number.MIN_VALUE);
+  return {
+    stockVials,
+    monthlyVials,
+    pipelineVials: dated.reduce((sum, p) => sum + p.vials, 0),
+    undatedPipelineVials: pipeline.filter(p => !p.expectedDate).reduce((sum, p) => sum + p.vials, 0),
+    weeksOfCover: runOutDays === null ? null : runOutDays / 7,
+    runOutDate: runOutDays === null ? null : addDays(asOf, runOutDays),
+    reorderDate: reorderPoint ? dateBelow(reorderPoint) : null,
+    safetyStockDate: safetyStock ? dateBelow(safetyStock) : null
+  };
+};
@@ -0,0 +1,304 @@
+// Bulk import of customers, purchases and sales from CSV files.
+//
+// A file is read into a header row plus data rows, the columns are mapped
+// onto the fields below, and every row is validated against the reference
+// data (sizes, countries, vials per pack, existing customers / suppliers /
+// batches). Valid rows come back as records shaped like the input of the
+// matching add* handler, so the App can insert them in one request.
+
+import { buildBatchLedger, checkBatchStock } from './inventory';
+import { BASE_CURRENCY } from './currency';
+
+// `permission` is the one a user needs to import into the entity
+export const IMPORT_ENTITIES = {
+  customers: {
+    label: 'Customers',
+    permission: 'manage_master_data',
+    fields: [
+      { key: 'name', label: 'Name', required: true },
+      { key: 'country', label: 'Country', required: true },
+      { key: 'contactPerson', label: 'Contact Person', aliases: ['contact'] },
+      { key: 'email', label: 'Email', required: true, aliases: ['e-mail'] },
+      { key: 'phone', label: 'Phone', aliases: ['telephone', 'tel'] },
+      { key: 'address', label: 'Billing Address', aliases: ['address'] },
+      { key: 'shippingAddress', label: 'Shipping Address', aliases: ['delivery address'] },
+      { key: 'vatNumber', label: 'VAT Number', aliases: ['vat', 'vat no'] },
+      { key: 'licenceNumber', label: 'Licence Number', aliases: ['licence', 'license', 'license number', 'wholesale licence'] },
+      { key: 'licenceExpiry', label: 'Licence Expiry', aliases: ['license expiry', 'licence expiry date'] },
+      { key: 'paymentTerms', label: 'Payment Terms', aliases: ['terms'] },
+      { key: 'notes', label: 'Notes' }
+    ]
+  },
+  purchases: {
+    label: 'Purchases',
+    permission: 'record_purchase',
+    fields: [
+      { key: 'purchaseDate', label: 'Invoice Date', required: true, aliases: ['date', 'purchase date'] },
+      { key: 'supplier', label: 'Supplier', required: true },
+      { key: 'size', label: 'Size', required: true },
+      { key: 'batchNumber', label: 'Batch', required: true, aliases: ['batch number', 'lot'] },
+      { key: 'expiryDate', label: 'Expiry Date', required: true, aliases: ['expiry'] },
+      { key: 'vials', label: 'Vials', aliases: ['number of vials'] },
+      { key: 'packs', label: 'Packs', aliases: ['units'] },
+      { key: 'costPerVial', label: 'Cost per Vial' },
+      { key: 'costPerPack', label: 'Cost per Pack', aliases: ['cost'] },
+      { key: 'currency', label: 'Currency', aliases: ['ccy'] }
+    ]
+  },
+  sales: {
+    label: 'Sales',
+    permission: 'create_sale',
+    fields: [
+      { key: 'saleDate', label: 'Sale Date', required: true, aliases: ['date'] },
+      { key: 'customer', label: 'Customer', required: true },
+      { key: 'country', label: 'Country' },
+      { key: 'endDestination', label: 'End Destination', aliases: ['destination'] },
+      { key: 'size', label: 'Size', required: true },
+      { key: 'batchNumber', label: 'Batch', required: true, aliases: ['batch number', 'lot'] },
+      { key: 'vials', label: 'Vials', aliases: ['number of vials'] },
+      { key: 'packs', label: 'Packs', aliases: ['units'] },
+      { key: 'pricePerVial', label: 'Price per Vial' },
+      { key: 'pricePerPack', label: 'Price per Pack', aliases: ['price'] },
+      { key: 'currency', label: 'Currency', aliases: ['ccy'] }
+    ]
+  }
+};
+
+const normalizeHeader = (h) => String(h || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Split CSV text into rows of fields, with RFC 4180 quoting. The delimiter is
+// whichever of comma, semicolon or tab the header line uses most, as Excel
+// saves CSV with semicolons in many European locales. Uploaded files are
+// parsed here rather than by a spreadsheet library, so a crafted file meets
+// nothing but this loop.
+export const parseCsv = (text) => {
+  const body = String(text).replace(/^\uFEFF/, '');
+  const headerLine = body.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, d) => headerLine.split(d).length > headerLine.split(best).length ? d : best, ',');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < body.length; i++) {
+    const c = body[i];
+    if (quoted) {
+      if (c === '"' && body[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && body[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows;
+};
+
+// Read a CSV file into { headers, rows } of trimmed strings
+export const readImportFile = async (file) => {
+  if (!/\.csv$/i.test(file.name)) throw new Error('Only CSV files can be imported; save the sheet as CSV first');
+  const [headers = [], ...rows] = parseCsv(await file.text()).map(r => r.map(v => v.trim()));
+  return { headers, rows: rows.filter(r => r.some(v => v !== '')) };
+};
+
+// Match file columns to fields by key, label or alias; returns { fieldKey: columnIndex }
+export const guessMapping = (entity, headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const mapping = {};
+  IMPORT_ENTITIES[entity].fields.forEach(f => {
+    const names = [f.key, f.label, ...(f.aliases || [])].map(normalizeHeader);
+    const index = normalized.findIndex((h, i) => names.includes(h) && !Object.values(mapping).includes(i));
+    if (index !== -1) mapping[f.key] = index;
+  });
+  return mapping;
+};
+
+// Dot or comma decimals, optional thousands separators
+const parseNumber = (v) => {
+  if (v === undefined || v === '') return null;
+  let s = String(v).replace(/[\s€$£]/g, '');
+  s = s.includes('.') ? s.replace(/,/g, '') : s.replace(',', '.');
+  const n = Number(s);
+  return isNaN(n) ? NaN : n;
+};
+
+// YYYY-MM-DD, or day-first DD/MM/YYYY and DD.MM.YYYY
+const parseDate = (v) => {
+  if (!v) return null;
+  let m = String(v).match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  const [y, mo, d] = m ? [m[1], m[2], m[3]] : (m = String(v).match(/^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/)) ? [m[3], m[2], m[1]] : [];
+  if (!y) return undefined;
+  const iso = `${y}-${mo.padStart(2, '0')}-${d.padStart(2, '0')}`;
+  const date = new Date(`${iso}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(iso) ? iso : undefined;
+};
+
+const matchName = (list, value) => list.find(x => x.toLowerCase() === String(value).toLowerCase());
+
+const required = (values, fields, errors) => fields.forEach(f => {
+  if (f.required && !values[f.key]) errors.push(`${f.label} is required`);
+});
+
+const quantityInVials = (values, vialsPerPack, errors) => {
+  const vials = parseNumber(values.vials);
+  const packs = parseNumber(values.packs);
+  if (vials === null && packs === null) { errors.push('Vials or Packs is required'); return null; }
+  const total = vials !== null ? vials : packs * vialsPerPack;
+  if (isNaN(total) || total <= 0) { errors.push('Quantity must be a positive number'); return null; }
+  if (vials !== null && packs !== null && Math.abs(vials - packs * vialsPerPack) > 1e-6) errors.push(`${vials} vials is not ${packs} packs of ${vialsPerPack}`);
+  return total;
+};
+
+const pricePerPack = (perVial, perPack, vialsPerPack, label, errors) => {
+  const vial = parseNumber(perVial);
+  const pack = parseNumber(perPack);
+  if (vial === null && pack === null) { errors.push(`${label} per vial or per pack is required`); return null; }
+  const price = pack !== null ? pack : vial * vialsPerPack;
+  if (isNaN(price) || price < 0) { errors.push(`${label} must be a number`); return null; }
+  return price;
+};
+
+// Blank means euro; anything else needs an exchange rate on file
+const currencyField = (values, currencies, errors) => {
+  const currency = (values.currency || BASE_CURRENCY).toUpperCase();
+  if (!currencies.includes(currency)) errors.push(`Unknown currency "${values.currency}" (add an exchange rate for it first)`);
+  return currency;
+};
+
+const dateField = (values, key, label, errors) => {
+  const date = parseDate(values[key]);
+  if (values[key] && date === undefined) errors.push(`${label} "${values[key]}" is not a date (use YYYY-MM-DD)`);
+  return date || null;
+};
+
+/**
+ * Validate mapped rows. `reference` carries sizes, countries, currencies,
+ * vialsPerPack and the current customers, suppliers, purchases, sales and
+ * stockAdjustments.
+ * Returns one { line, values, record, errors } per row; record is null when
+ * the row has errors.
+ */
+export const validateImport = (entity, rows, mapping, reference) => {
+  const { sizes, countries, currencies, vialsPerPack, customers, suppliers, purchases, sales, stockAdjustments } = reference;
+  const { fields } = IMPORT_ENTITIES[entity];
+  const seenNames = new Set(customers.map(c => c.name.toLowerCase()));
+  const batchSizes = {};
+  purchases.forEach(p => { if (p.batchNumber && !batchSizes[p.batchNumber]) batchSizes[p.batchNumber] = p.size; });
+  const ledgers = {};
+
+  return rows.map((row, i) => {
+    const values = {};
+    fields.forEach(f => { values[f.key] = mapping[f.key] !== undefined ? (row[mapping[f.key]] || '').trim() : ''; });
+    const errors = [];
+    required(values, fields, errors);
+    let record = null;
+
+    if (entity === 'customers') {
+      const country = values.country && matchName(countries, values.country);
+      if (values.country && !country) errors.push(`Unknown country "${values.country}"`);
+      if (values.email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(values.email)) errors.push('Email is not valid');
+      if (values.name && seenNames.has(values.name.toLowerCase())) errors.push(`Customer "${values.name}" already exists`);
+      const licenceExpiry = dateField(values, 'licenceExpiry', 'Licence Expiry', errors);
+      if (!errors.length) {
+        seenNames.add(values.name.toLowerCase());
+        record = { name: values.name, country, contactPerson: values.contactPerson, email: values.email, phone: values.phone, address: values.address, shippingAddress: values.shippingAddress, vatNumber: values.vatNumber, licenceNumber: values.licenceNumber, licenceExpiry, paymentTerms: values.paymentTerms, notes: values.notes };
+      }
+    }
+
+    if (entity === 'purchases' || entity === 'sales') {
+      const size = values.size && matchName(sizes, values.size);
+      if (values.size && !size) errors.push(`Unknown size "${values.size}" (expected ${sizes.join(', ')})`);
+      const perPack = size ? vialsPerPack[size] : null;
+      const vials = perPack ? quantityInVials(values, perPack, errors) : null;
+      const currency = currencyField(values, currencies, errors);
+
+      if (entity === 'purchases') {
+        const supplier = values.supplier && suppliers.find(s => s.name.toLowerCase() === values.supplier.toLowerCase());
+        if (values.supplier && !supplier) errors.push(`Unknown supplier "${values.supplier}"`);
+        const purchaseDate = dateField(values, 'purchaseDate', 'Invoice Date', errors);
+        const expiryDate = dateField(values, 'expiryDate', 'Expiry Date', errors);
+        if (size && values.batchNumber && batchSizes[values.batchNumber] && batchSizes[values.batchNumber] !== size) errors.push(`Batch ${values.batchNumber} is already recorded as ${batchSizes[values.batchNumber]}`);
+        const cost = perPack ? pricePerPack(values.costPerVial, values.costPerPack, perPack, 'Cost', errors) : null;
+        if (!errors.length) {
+          batchSizes[values.batchNumber] = size;
+          record = { supplierId: supplier.id, supplier: supplier.name, size, batchNumber: values.batchNumber, expiryDate, units: vials / perPack, cost, currency, purchaseDate };
+        }
+      }
+
+      if (entity === 'sales') {
+        const customer = values.customer && customers.find(c => c.name.toLowerCase() === values.customer.toLowerCase());
+        if (values.customer && !customer) errors.push(`Unknown customer "${values.customer}"`);
+        const country = values.country ? matchName(countries, values.country) : customer?.country;
+        if (values.country && !country) errors.push(`Unknown country "${values.country}"`);
+        const endDestination = values.endDestination ? matchName(countries, values.endDestination) : country;
+        if (values.endDestination && !endDestination) errors.push(`Unknown end destination "${values.endDestination}"`);
+        const saleDate = dateField(values, 'saleDate', 'Sale Date', errors);
+        if (customer?.licenceExpiry && saleDate && customer.licenceExpiry < saleDate) errors.push(`The wholesale licence of ${customer.name} expired on ${customer.licenceExpiry}`);
+        const price = perPack ? pricePerPack(values.pricePerVial, values.pricePerPack, perPack, 'Price', errors) : null;
+        if (size && values.batchNumber) {
+          if (!batchSizes[values.batchNumber]) errors.push(`Batch ${values.batchNumber} has no recorded purchase`);
+          else if (batchSizes[values.batchNumber] !== size) errors.push(`Batch ${values.batchNumber} is ${batchSizes[values.batchNumber]}, not ${size}`);
+          else if (vials) {
+            // Earlier rows of the same file draw on the batch too
+            if (!ledgers[size]) ledgers[size] = buildBatchLedger({ purchases, sales, stockAdjustments }, size, perPack);
+            const stockError = checkBatchStock(ledgers[size], values.batchNumber, vials);
+            if (stockError) errors.push(stockError);
+          }
+        }
+        if (!errors.length) {
+          record = { customerId: customer.id, customer: customer.name, country, endDestination, size, batchNumber: values.batchNumber, units: vials / perPack, price, currency, saleDate };
+          const batch = ledgers[size].find(b => b.batch === values.batchNumber);
+          batch.availableVials = Math.round((batch.availableVials - vials) * 1e6) / 1e6;
+        }
+      }
+    }
+
+    return { line: i + 2, values, record, errors };
+  });
+};
+
+/**
+ * Read exchange rates from a file's header and rows. Two layouts are accepted:
+ * one rate per row (Date, Currency, Rate), or one column per currency with a
+ * Date column first, as in the ECB's eurofxref CSV files. Rates are units of
+ * the currency per euro; blank and "N/A" cells are skipped.
+ * Returns { rates: [{ currency, rateDate, rate }], errors }.
+ */
+export const parseExchangeRates = (headers, rows) => {
+  const normalized = headers.map(normalizeHeader);
+  const dateColumn = normalized.findIndex(h => h === 'date' || h === 'ratedate');
+  const currencyColumn = normalized.indexOf('currency');
+  const rateColumn = normalized.findIndex(h => h === 'rate' || h === 'exchangerate');
+  // A currency and date listed twice keeps the later line
+  const rates = new Map();
+  const errors = [];
+  if (dateColumn === -1) return { rates: [], errors: ['The file needs a Date column'] };
+
+  const add = (line, currency, rawRate, rawDate) => {
+    const code = String(currency || '').trim().toUpperCase();
+    if (rawRate === '' || /^n\/?a$/i.test(String(rawRate).trim())) return;
+    const rateDate = parseDate(rawDate);
+    const rate = parseNumber(rawRate);
+    if (!/^[A-Z]{3}$/.test(code)) errors.push(`Line ${line}: "${currency}" is not a currency code`);
+    else if (code === BASE_CURRENCY) errors.push(`Line ${line}: rates are against the euro, so ${BASE_CURRENCY} needs none`);
+    else if (!rateDate) errors.push(`Line ${line}: "${rawDate}" is not a date (use YYYY-MM-DD)`);
+    else if (!(rate > 0)) errors.push(`Line ${line}: rate "${rawRate}" must be a number above zero`);
+    else rates.set(`${code}|${rateDate}`, { currency: code, rateDate, rate });
+  };
+
+  rows.forEach((row, i) => {
+    if (currencyColumn !== -1 && rateColumn !== -1) add(i + 2, row[currencyColumn], row[rateColumn] ?? '', row[dateColumn]);
+    else headers.forEach((h, col) => { if (col !== dateColumn && String(h).trim()) add(i + 2, h, row[col] ?? '', row[dateColumn]); });
+  });
+  return { rates: [...rates.values()], errors };
+};
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, guessMapping, validateImport, parseExchangeRates } from './importers';
+
+const reference = {
+  sizes: ['5ml', '10ml'],
+  countries: ['Germany', 'France'],
+  currencies: ['EUR', 'USD'],
+  vialsPerPack: { '5ml': 10, '10ml': 5 },
+  customers: [{ id: 1, name: 'Alpha GmbH', country: 'Germany' }, { id: 2, name: 'Lapsed SA', country: 'France', licenceExpiry: '2026-01-31' }],
+  suppliers: [{ id: 3, name: 'Acme' }],
+  purchases: [{ size: '5ml', batchNumber: 'B1', units: 2 }],
+  sales: [{ size: '5ml', batchNumber: 'B1', units: 0.5 }],
+  stockAdjustments: []
+};
+
+// Rows under the given headers, mapped as the wizard first guesses
+const validate = (entity, headers, rows) => validateImport(entity, rows, guessMapping(entity, headers), reference);
+
+describe('parseCsv', () => {
+  it('reads quoted fields with delimiters, quotes and line breaks', () => {
+    expect(parseCsv('Name,Notes\r\n"Alpha, GmbH","Said ""hi""\nthen left"\r\nBeta,')).toEqual([
+      ['Name', 'Notes'],
+      ['Alpha, GmbH', 'Said "hi"\nthen left'],
+      ['Beta', '']
+    ]);
+  });
+
+  it('uses the delimiter the header line uses most', () => {
+    expect(parseCsv('\uFEFFName;Price\nAlpha;1,50\n')).toEqual([['Name', 'Price'], ['Alpha', '1,50']]);
+    expect(parseCsv('Name\tPrice\nAlpha\t2')).toEqual([['Name', 'Price'], ['Alpha', '2']]);
+  });
+});
+
+describe('guessMapping', () => {
+  it('matches columns by key, label or alias, ignoring case and punctuation', () => {
+    expect(guessMapping('purchases', ['Date', 'SUPPLIER', 'size', 'Lot', 'Expiry', 'Units', 'Cost', 'Ccy'])).toEqual({
+      purchaseDate: 0, supplier: 1, size: 2, batchNumber: 3, expiryDate: 4, packs: 5, costPerPack: 6, currency: 7
+    });
+  });
+
+  it('maps each column to one field only', () => {
+    const mapping = guessMapping('customers', ['E-mail', 'Address', 'Delivery Address']);
+    expect(mapping).toEqual({ email: 0, address: 1, shippingAddress: 2 });
+  });
+
+  it('leaves unknown columns unmapped', () => {
+    expect(guessMapping('sales', ['Something else'])).toEqual({});
+  });
+});
+
+describe('validateImport', () => {
+  it('turns valid customer rows into records and refuses duplicates', () => {
+    const results = validate('customers', ['Name', 'Country', 'Email', 'Licence Expiry'], [
+      ['Beta AG', 'germany', 'info@beta.example', '31/12/2027'],
+      ['beta ag', 'France', 'other@beta.example', ''],
+      ['alpha gmbh', 'Atlantis', 'not-an-email', '2027-02-30']
+    ]);
+    expect(results[0]).toMatchObject({ line: 2, errors: [], record: { name: 'Beta AG', country: 'Germany', email: 'info@beta.example', licenceExpiry: '2027-12-31' } });
+    expect(results[1].errors).toEqual(['Customer "beta ag" already exists']);
+    expect(results[2].record).toBeNull();
+    expect(results[2].errors).toEqual([
+      'Unknown country "Atlantis"',
+      'Email is not valid',
+      'Customer "alpha gmbh" already exists',
+      'Licence Expiry "2027-02-30" is not a date (use YYYY-MM-DD)'
+    ]);
+  });
+
+  it('converts purchase quantities and costs to packs', () => {
+    const [result] = validate('purchases', ['Date', 'Supplier', 'Size', 'Batch', 'Expiry', 'Vials', 'Cost per Vial', 'Currency'], [
+      ['01.03.2026', 'acme', '5ML', 'B2', '2027-03-01', '25', '1,5', 'usd']
+    ]);
+    expect(result.errors).toEqual([]);
+    expect(result.record).toEqual({ supplierId: 3, supplier: 'Acme', size: '5ml', batchNumber: 'B2', expiryDate: '2027-03-01', units: 2.5, cost: 15, currency: 'USD', purchaseDate: '2026-03-01' });
+  });
+
+  it('refuses purchase rows that contradict themselves or the batch on file', () => {
+    const [result] = validate('purchases', ['Date', 'Supplier', 'Size', 'Batch', 'Expiry', 'Vials', 'Packs', 'Cost', 'Currency'], [
+      ['2026-03-01', 'Nobody', '10ml', 'B1', '2027-03-01', '12', '2', '10', 'GBP']
+    ]);
+    expect(result.errors).toEqual([
+      '12 vials is not 2 packs of 5',
+      'Unknown currency "GBP" (add an exchange rate for it first)',
+      'Unknown supplier "Nobody"',
+      'Batch B1 is already recorded as 5ml'
+    ]);
+  });
+
+  it('draws each sale row on the stock left by the rows before it', () => {
+    const results = validate('sales', ['Date', 'Customer', 'Size', 'Batch', 'Vials', 'Price'], [
+      ['2026-03-01', 'Alpha GmbH', '5ml', 'B1', '10', '20'],
+      ['2026-03-02', 'Alpha GmbH', '5ml', 'B1', '6', '20']
+    ]);
+    expect(results[0].record).toMatchObject({ customerId: 1, country: 'Germany', endDestination: 'Germany', units: 1, price: 20, currency: 'EUR' });
+    expect(results[1].errors).toEqual(['Batch B1 has only 5 vials left (6 requested)']);
+  });
+
+  it('refuses sales from unknown batches and to customers whose licence has lapsed', () => {
+    const results = validate('sales', ['Date', 'Customer', 'Size', 'Batch', 'Packs', 'Price'], [
+      ['2026-03-01', 'Lapsed SA', '10ml', 'B1', '1', '20'],
+      ['2026-03-01', 'Alpha GmbH', '5ml', 'B9', '1', '']
+    ]);
+    expect(results[0].errors).toEqual(['The wholesale licence of Lapsed SA expired on 2026-01-31', 'Batch B1 is 5ml, not 10ml']);
+    expect(results[1].errors).toEqual(['Price per vial or per pack is required', 'Batch B9 has no recorded purchase']);
+  });
+
+  it('reports missing required fields', () => {
+    const [result] = validate('sales', ['Date', 'Customer'], [['', '']]);
+    expect(result.errors).toEqual(expect.arrayContaining(['Sale Date is required', 'Customer is required', 'Size is required', 'Batch is required']));
+  });
+});
+
+describe('parseExchangeRates', () => {
+  it('reads one rate per row, keeping the later of two for the same day', () => {
+    const { rates, errors } = parseExchangeRates(['Date', 'Currency', 'Rate'], [
+      ['2026-03-02', 'usd', '1,08'],
+      ['2026-03-02', 'USD', '1.09'],
+      ['2026-03-02', 'EUR', '1'],
+      ['March', 'GBP', '0.85']
+    ]);
+    expect(rates).toEqual([{ currency: 'USD', rateDate: '2026-03-02', rate: 1.09 }]);
+    expect(errors).toEqual(['Line 4: rates are against the euro, so EUR needs none', 'Line 5: "March" is not a date (use YYYY-MM-DD)']);
+  });
+
+  it('reads one column per currency as in the ECB files', () => {
+    const { rates, errors } = parseExchangeRates(['Date', 'USD', 'JPY', ''], [['2026-03-02', '1.08', 'N/A', '']]);
+    expect(rates).toEqual([{ currency: 'USD', rateDate: '2026-03-02', rate: 1.08 }]);
+    expect(errors).toEqual([]);
+  });
+
+  it('needs a date column', () => {
+    expect(parseExchangeRates(['Currency', 'Rate'], [])).toEqual({ rates: [], errors: ['The file needs a Date column'] });
+  });
+});
@@ -0,0 +1,189 @@
+// Per-batch stock ledger and First-Expired-First-Out allocation.
+//
+// Quantities are stored in packs; everything here is worked out in vials so
+// that fractional packs (e.g. 3 vials of a 5-vial pack) compare exactly.
+
+const round = (n) => Math.round(n * 1e6) / 1e6;
+
+const expiryTime = (expiryDate) => {
+  const t = expiryDate ? new Date(expiryDate).getTime() : NaN;
+  return isNaN(t) ? Infinity : t;
+};
+
+// Build the ledger for one size: one entry per batch number seen in purchases,
+// sales or adjustments, sorted soonest-expiring first. Batches that were sold
+// or sampled without a matching purchase show up with negative stock.
+export const buildBatchLedger = ({ purchases, sales, stockAdjustments }, size, vialsPerPack) => {
+  const batches = {};
+  const entry = (batchNumber) => {
+    if (!batches[batchNumber]) {
+      batches[batchNumber] = { batch: batchNumber, size, purchasedVials: 0, soldVials: 0, adjustedVials: 0, supplier: null, expiryDate: null, costPerPack: 0, currency: null };
+    }
+    return batches[batchNumber];
+  };
+
+  purchases.filter(p => p.size === size && p.batchNumber).forEach(p => {
+    const b = entry(p.batchNumber);
+    b.purchasedVials += (parseFloat(p.units) || 0) * vialsPerPack;
+    if (!b.supplier) b.supplier = p.supplier;
+    if (!b.expiryDate) b.expiryDate = p.expiryDate;
+    if (!b.costPerPack) {
+      b.costPerPack = parseFloat(p.cost) || 0;
+      b.currency = p.currency;
+    }
+  });
+  sales.filter(s => s.size === size && s.batchNumber).forEach(s => {
+    entry(s.batchNumber).soldVials += (parseFloat(s.units) || 0) * vialsPerPack;
+  });
+  (stockAdjustments || []).filter(a => a.size === size && a.batchNumber).forEach(a => {
+    entry(a.batchNumber).adjustedVials += (parseFloat(a.units) || 0) * vialsPerPack;
+  });
+
+  return Object.values(batches)
+    .map(b => {
+      const availableVials = round(b.purchasedVials - b.soldVials - b.adjustedVials);
+      return { ...b, availableVials, availablePacks: round(availableVials / vialsPerPack) };
+    })
+    .sort((a, b) => expiryTime(a.expiryDate) - expiryTime(b.expiryDate) || a.batch.localeCompare(b.batch));
+};
+
+// The per-batch totals the database sums up (stock_batches) as one purchase,
+// sale and sample per batch, so the ledger and allocation work on them as on
+// the movements themselves
+export const positionMovements = (positions) => ({
+  purchases: positions.map(b => ({ size: b.size, batchNumber: b.batchNumber, units: b.purchased, supplier: b.supplier, expiryDate: b.expiryDate, cost: b.cost, currency: b.currency })),
+  sales: positions.map(b => ({ size: b.size, batchNumber: b.batchNumber, units: b.sold })),
+  stockAdjustments: positions.map(b => ({ size: b.size, batchNumber: b.batchNumber, units: b.adjusted }))
+});
+
+// Take a recorded movement back out, so an edit is checked against the stock
+// without its own earlier figures. `key` is 'purchases', 'sales' or 'stockAdjustments'.
+export const withoutMovement = (stock, key, row) => row ? {
+  ...stock,
+  [key]: [...stock[key], { size: row.size, batchNumber: row.batchNumber, units: -(parseFloat(row.units) || 0) }]
+} : stock;
+
+// Batches that can still be drawn from, in FEFO order
+export const availableBatches = (ledger) => ledger.filter(b => b.availableVials > 0);
+
+// The user's calendar date; the UTC date from toISOString() would turn holds
+// and batches over at UTC midnight, a day early or late away from UTC
+export const today = () => {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// A batch can be used up to and including its expiry date
+export const isExpired = (expiryDate, asOf = today()) => !!expiryDate && String(expiryDate).slice(0, 10) < asOf;
+
+export const daysToExpiry = (expiryDate, asOf = today()) =>
+  expiryDate ? Math.round((new Date(String(expiryDate).slice(0, 10)) - new Date(asOf)) / 86400000) : null;
+
+// Groups for the expiry view, most urgent first
+export const EXPIRY_BUCKETS = [
+  { key: 'expired', label: 'Expired' },
+  { key: 'under90', label: 'Under 90 days' },
+  { key: 'under180', label: '90 to 180 days' },
+  { key: 'later', label: '180 days or more' },
+  { key: 'undated', label: 'No expiry date' }
+];
+
+// Stock adjustment reason recorded when expired stock is written off
+export const EXPIRED_WRITE_OFF_REASON = 'Expired/Destroyed';
+
+export const expiryBucket = (expiryDate, asOf = today()) => {
+  const days = daysToExpiry(expiryDate, asOf);
+  if (days === null) return 'undated';
+  if (days < 0) return 'expired';
+  if (days < 90) return 'under90';
+  if (days < 180) return 'under180';
+  return 'later';
+};
+
+// Refuse a sale from a batch that had expired by the sale date. Returns an error message, or null.
+export const checkBatchExpiry = (ledger, batchNumber, asOf = today()) => {
+  const batch = ledger.find(b => b.batch === batchNumber);
+  return batch && isExpired(batch.expiryDate, asOf) ? `Batch ${batchNumber} expired on ${new Date(batch.expiryDate).toLocaleDateString()} and cannot be sold` : null;
+};
+
+// Refuse a draw that would take a batch below zero. Returns an error message, or null.
+export const checkBatchStock = (ledger, batchNumber, vials) => {
+  const batch = ledger.find(b => b.batch === batchNumber);
+  if (!batch || batch.purchasedVials <= 0) return `Batch ${batchNumber} has no recorded purchase`;
+  if (round(vials) > batch.availableVials) {
+    return `Batch ${batchNumber} has only ${Math.max(batch.availableVials, 0)} vials left (${vials} requested)`;
+  }
+  return null;
+};
+
+// Split a requested number of vials across batches, soonest expiry first,
+// passing over batches already expired on `asOf`. `shortfall` is the number
+// of vials that no batch could cover.
+export const allocateFefo = (ledger, vials, asOf = today()) => {
+  let remaining = round(vials);
+  const allocations = [];
+  for (const b of availableBatches(ledger).filter(b => !isExpired(b.expiryDate, asOf))) {
+    if (remaining <= 0) break;
+    const take = Math.min(b.availableVials, remaining);
+    allocations.push({ batch: b.batch, vials: take, expiryDate: b.expiryDate });
+    remaining = round(remaining - take);
+  }
+  return { allocations, shortfall: Math.max(remaining, 0) };
+};
+
+// Allocate the lines of one order in turn, so that two lines of the same size
+// never count the same vials. A line names its batch, or leaves batchNumber
+// empty to be split FEFO. Each result has the line's allocations and an error
+// message when stock cannot cover it or the batch has expired by `asOf`.
+export const allocateOrderLines = ({ purchases, sales, stockAdjustments }, lines, vialsPerPackBySize, asOf = today()) => {
+  const drawn = [];
+  return lines.map(line => {
+    const vialsPerPack = vialsPerPackBySize[line.size];
+    const vials = parseFloat(line.vials) || 0;
+    if (!vialsPerPack || vials <= 0) return { allocations: [], error: null };
+    const ledger = buildBatchLedger({ purchases, sales: [...sales, ...drawn], stockAdjustments }, line.size, vialsPerPack);
+    let allocations = [{ batch: line.batchNumber, vials }];
+    let error = null;
+    if (line.batchNumber) {
+      error = checkBatchExpiry(ledger, line.batchNumber, asOf) || checkBatchStock(ledger, line.batchNumber, vials);
+    } else {
+      const fefo = allocateFefo(ledger, vials, asOf);
+      allocations = fefo.allocations;
+      if (fefo.shortfall > 0) error = `Not enough unexpired ${line.size} stock: ${fefo.shortfall} vials short across all batches`;
+    }
+    allocations.forEach(a => drawn.push({ size: line.size, batchNumber: a.batch, units: a.vials / vialsPerPack }));
+    return { allocations, error };
+  });
+};
+
+// A hold reserves stock until its optional expiry date has passed
+export const isHoldActive = (hold, asOf = today()) => !hold.expiresOn || hold.expiresOn >= asOf;
+
+const holdVials = (hold, vialsPerPack) => parseFloat(hold.vials) || (parseFloat(hold.units) || 0) * vialsPerPack;
+
+// Vials reserved by active holds for one size, in total and per customer
+export const summarizeReservations = (stockHolds, size, vialsPerPack) => {
+  const byCustomer = {};
+  let totalVials = 0;
+  stockHolds.filter(h => h.size === size && isHoldActive(h)).forEach(h => {
+    const key = h.customerId || h.customer;
+    if (!byCustomer[key]) byCustomer[key] = { customerId: h.customerId, customer: h.customer, vials: 0 };
+    byCustomer[key].vials += holdVials(h, vialsPerPack);
+    totalVials += holdVials(h, vialsPerPack);
+  });
+  return { totalVials, byCustomer: Object.values(byCustomer) };
+};
+
+// Reservations held by anyone other than the given customer
+export const reservationsForOthers = (reservations, customerId, customerName) =>
+  reservations.byCustomer.filter(r => (customerId ? r.customerId !== customerId : r.customer !== customerName));
+
+// Packs already received into stock against a pipeline order
+export const receivedForOrder = (purchases, pipelinePurchaseId) =>
+  round(purchases.filter(p => p.pipelinePurchaseId === pipelinePurchaseId).reduce((sum, p) => sum + (parseFloat(p.units) || 0), 0));
+
+// Stock valuation methods offered in Setup, keyed by app_settings.valuation_method
+export const VALUATION_METHODS = {
+  fifo: 'FIFO',
+  weighted_average: 'Moving weighted average'
+};
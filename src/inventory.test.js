@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildBatchLedger, positionMovements, withoutMovement, availableBatches, isExpired, daysToExpiry, expiryBucket,
+  checkBatchExpiry, checkBatchStock, allocateFefo, allocateOrderLines, isHoldActive, summarizeReservations,
+  reservationsForOthers, receivedForOrder
+} from './inventory';
+
+const purchase = (batchNumber, units, extra = {}) => ({ size: '5ml', batchNumber, units, ...extra });
+const sale = (batchNumber, units, extra = {}) => ({ size: '5ml', batchNumber, units, ...extra });
+
+const stock = {
+  purchases: [
+    purchase('B-LATE', 10, { expiryDate: '2027-06-30', supplier: 'Acme', cost: 50, currency: 'EUR' }),
+    purchase('B-SOON', 4, { expiryDate: '2026-12-31', supplier: 'Acme', cost: 40, currency: 'USD' }),
+    purchase('B-OLD', 2, { expiryDate: '2026-01-31' }),
+    purchase('B-OTHER', 3, { size: '10ml' })
+  ],
+  sales: [sale('B-SOON', 1)],
+  stockAdjustments: [sale('B-LATE', 0.5)]
+};
+
+describe('buildBatchLedger', () => {
+  it('nets purchases, sales and adjustments per batch in vials, soonest expiry first', () => {
+    const ledger = buildBatchLedger(stock, '5ml', 10);
+    expect(ledger.map(b => b.batch)).toEqual(['B-OLD', 'B-SOON', 'B-LATE']);
+    expect(ledger.find(b => b.batch === 'B-SOON')).toMatchObject({ purchasedVials: 40, soldVials: 10, availableVials: 30, availablePacks: 3 });
+    expect(ledger.find(b => b.batch === 'B-LATE')).toMatchObject({ adjustedVials: 5, availableVials: 95, supplier: 'Acme', costPerPack: 50, currency: 'EUR' });
+  });
+
+  it('keeps fractional packs exact', () => {
+    const ledger = buildBatchLedger({ purchases: [purchase('B1', 1)], sales: [sale('B1', 0.1), sale('B1', 0.2)], stockAdjustments: [] }, '5ml', 10);
+    expect(ledger[0].availableVials).toBe(7);
+  });
+
+  it('shows a batch sold without a purchase as negative stock', () => {
+    const ledger = buildBatchLedger({ purchases: [], sales: [sale('B-X', 1)] }, '5ml', 10);
+    expect(ledger).toHaveLength(1);
+    expect(ledger[0]).toMatchObject({ batch: 'B-X', purchasedVials: 0, availableVials: -10 });
+    expect(availableBatches(ledger)).toEqual([]);
+  });
+
+  it('takes supplier, expiry and cost from the first delivery of a batch', () => {
+    const ledger = buildBatchLedger({ purchases: [purchase('B1', 1, { cost: 10, currency: 'EUR', expiryDate: '2027-01-01' }), purchase('B1', 1, { cost: 20, currency: 'USD', expiryDate: '2028-01-01' })], sales: [] }, '5ml', 10);
+    expect(ledger[0]).toMatchObject({ purchasedVials: 20, costPerPack: 10, currency: 'EUR', expiryDate: '2027-01-01' });
+  });
+});
+
+describe('positionMovements', () => {
+  it('gives the same ledger as the movements the positions sum up', () => {
+    const positions = [
+      { size: '5ml', batchNumber: 'B-LATE', purchased: 10, sold: 0, adjusted: 0.5, supplier: 'Acme', expiryDate: '2027-06-30', cost: 50, currency: 'EUR' },
+      { size: '5ml', batchNumber: 'B-SOON', purchased: 4, sold: 1, adjusted: 0, supplier: 'Acme', expiryDate: '2026-12-31', cost: 40, currency: 'USD' },
+      { size: '5ml', batchNumber: 'B-OLD', purchased: 2, sold: 0, adjusted: 0, expiryDate: '2026-01-31' },
+      { size: '10ml', batchNumber: 'B-OTHER', purchased: 3, sold: 0, adjusted: 0 }
+    ];
+    const fromPositions = buildBatchLedger(positionMovements(positions), '5ml', 10);
+    const fromMovements = buildBatchLedger(stock, '5ml', 10);
+    expect(fromPositions.map(b => [b.batch, b.availableVials, b.expiryDate])).toEqual(fromMovements.map(b => [b.batch, b.availableVials, b.expiryDate]));
+  });
+});
+
+describe('withoutMovement', () => {
+  it('gives back the vials of the movement being edited', () => {
+    const editing = { size: '5ml', batchNumber: 'B-SOON', units: 1 };
+    const ledger = buildBatchLedger(withoutMovement(stock, 'sales', editing), '5ml', 10);
+    expect(ledger.find(b => b.batch === 'B-SOON').availableVials).toBe(40);
+  });
+
+  it('leaves the stock alone without a movement', () => {
+    expect(withoutMovement(stock, 'sales', undefined)).toBe(stock);
+  });
+});
+
+describe('expiry', () => {
+  it('treats the expiry date itself as still usable', () => {
+    expect(isExpired('2026-10-19', '2026-10-19')).toBe(false);
+    expect(isExpired('2026-10-18', '2026-10-19')).toBe(true);
+    expect(isExpired(null, '2026-10-19')).toBe(false);
+  });
+
+  it('counts days and groups batches by how soon they expire', () => {
+    expect(daysToExpiry('2026-10-29', '2026-10-19')).toBe(10);
+    expect(daysToExpiry(null)).toBeNull();
+    expect(expiryBucket('2026-10-18', '2026-10-19')).toBe('expired');
+    expect(expiryBucket('2026-12-01', '2026-10-19')).toBe('under90');
+    expect(expiryBucket('2027-03-01', '2026-10-19')).toBe('under180');
+    expect(expiryBucket('2028-01-01', '2026-10-19')).toBe('later');
+    expect(expiryBucket(null, '2026-10-19')).toBe('undated');
+  });
+
+  it('refuses sales from a batch expired by the sale date', () => {
+    const ledger = buildBatchLedger(stock, '5ml', 10);
+    expect(checkBatchExpiry(ledger, 'B-OLD', '2026-10-19')).toMatch(/B-OLD expired/);
+    expect(checkBatchExpiry(ledger, 'B-OLD', '2026-01-31')).toBeNull();
+    expect(checkBatchExpiry(ledger, 'B-LATE', '2026-10-19')).toBeNull();
+  });
+});
+
+describe('checkBatchStock', () => {
+  const ledger = buildBatchLedger(stock, '5ml', 10);
+
+  it('allows a draw up to what the batch has left', () => {
+    expect(checkBatchStock(ledger, 'B-SOON', 30)).toBeNull();
+    expect(checkBatchStock(ledger, 'B-SOON', 31)).toMatch(/only 30 vials left/);
+  });
+
+  it('refuses a batch with no recorded purchase', () => {
+    expect(checkBatchStock(ledger, 'B-NONE', 1)).toMatch(/no recorded purchase/);
+  });
+});
+
+describe('allocateFefo', () => {
+  const ledger = buildBatchLedger(stock, '5ml', 10);
+
+  it('draws on the soonest-expiring unexpired batch first', () => {
+    expect(allocateFefo(ledger, 40, '2026-10-19')).toEqual({
+      allocations: [{ batch: 'B-SOON', vials: 30, expiryDate: '2026-12-31' }, { batch: 'B-LATE', vials: 10, expiryDate: '2027-06-30' }],
+      shortfall: 0
+    });
+  });
+
+  it('reports the vials no batch can cover', () => {
+    expect(allocateFefo(ledger, 130, '2026-10-19').shortfall).toBe(5);
+  });
+});
+
+describe('allocateOrderLines', () => {
+  it('does not count the same vials for two lines of one size', () => {
+    const results = allocateOrderLines(stock, [{ size: '5ml', vials: 25 }, { size: '5ml', vials: 10 }], { '5ml': 10 }, '2026-10-19');
+    expect(results[0]).toEqual({ allocations: [{ batch: 'B-SOON', vials: 25, expiryDate: '2026-12-31' }], error: null });
+    expect(results[1].allocations).toEqual([{ batch: 'B-SOON', vials: 5, expiryDate: '2026-12-31' }, { batch: 'B-LATE', vials: 5, expiryDate: '2027-06-30' }]);
+  });
+
+  it('checks a named batch and reports a shortfall', () => {
+    const results = allocateOrderLines(stock, [
+      { size: '5ml', vials: 31, batchNumber: 'B-SOON' },
+      { size: '5ml', vials: 1, batchNumber: 'B-OLD' },
+      { size: '10ml', vials: 100 }
+    ], { '5ml': 10, '10ml': 10 }, '2026-10-19');
+    expect(results[0].error).toMatch(/only 30 vials left/);
+    expect(results[1].error).toMatch(/expired/);
+    expect(results[2].error).toMatch(/70 vials short/);
+  });
+
+  it('skips empty lines', () => {
+    expect(allocateOrderLines(stock, [{ size: '5ml', vials: '' }], { '5ml': 10 })).toEqual([{ allocations: [], error: null }]);
+  });
+});
+
+describe('reservations', () => {
+  const holds = [
+    { size: '5ml', customerId: 1, customer: 'Alpha', vials: 20 },
+    { size: '5ml', customerId: 1, customer: 'Alpha', units: 1 },
+    { size: '5ml', customerId: 2, customer: 'Beta', vials: 5, expiresOn: '2026-10-18' },
+    { size: '5ml', customer: 'Gamma', vials: 3, expiresOn: '2026-10-19' },
+    { size: '10ml', customerId: 2, customer: 'Beta', vials: 50 }
+  ];
+
+  it('counts only holds that have not lapsed', () => {
+    expect(isHoldActive(holds[2], '2026-10-19')).toBe(false);
+    expect(isHoldActive(holds[3], '2026-10-19')).toBe(true);
+  });
+
+  it('sums active holds of one size per customer', () => {
+    const reservations = summarizeReservations(holds.filter(h => isHoldActive(h, '2026-10-19')), '5ml', 10);
+    expect(reservations.totalVials).toBe(33);
+    expect(reservations.byCustomer).toEqual([
+      { customerId: 1, customer: 'Alpha', vials: 30 },
+      { customerId: undefined, customer: 'Gamma', vials: 3 }
+    ]);
+    expect(reservationsForOthers(reservations, 1, 'Alpha').map(r => r.customer)).toEqual(['Gamma']);
+    expect(reservationsForOthers(reservations, null, 'Gamma').map(r => r.customer)).toEqual(['Alpha']);
+  });
+});
+
+describe('receivedForOrder', () => {
+  it('sums the packs received against one pipeline order', () => {
+    const receipts = [{ pipelinePurchaseId: 7, units: 1.1 }, { pipelinePurchaseId: 7, units: 2.2 }, { pipelinePurchaseId: 8, units: 5 }];
+    expect(receivedForOrder(receipts, 7)).toBe(3.3);
+    expect(receivedForOrder(receipts, 9)).toBe(0);
+  });
+});
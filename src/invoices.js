@@ -0,0 +1,100 @@
+// Invoice and pro-forma PDFs.
+//
+// A document's content is frozen by issue_document() when it is numbered; the
+// PDF is drawn from that content alone, so it never picks up later edits to
+// the sale, customer or company details. The first PDF drawn is stored with
+// the document and every reprint downloads that same file.
+
+import { download } from './exporters';
+
+// Everything but the frozen content and the PDF, for listing documents
+export const DOCUMENT_LIST_COLUMNS = 'id, doc_type, number, source_table, source_id, customer, currency, total, created_by, created_at';
+
+const TITLES = { invoice: 'INVOICE', proforma: 'PRO-FORMA INVOICE' };
+
+// The PDF's built-in fonts have no euro sign, so amounts carry the ISO code instead
+const amount = (value, currency) =>
+  `${(parseFloat(value) || 0).toLocaleString('en-IE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+
+const date = (value) => value ? new Date(`${String(value).slice(0, 10)}T00:00:00`).toLocaleDateString('en-IE') : '-';
+
+// Address lines as typed, without blanks
+const lines = (...values) => values.flatMap(v => String(v || '').split(/\r?\n/)).map(v => v.trim()).filter(Boolean);
+
+// Returns the PDF as base64, ready to store with the document
+export const renderDocumentPdf = async (content) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const left = 20;
+  const right = 190;
+  const { company = {}, customer = {}, currency } = content;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(14);
+  doc.text(company.name || 'Company name not set', left, 24);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  let y = 30;
+  lines(company.address, company.vatNumber && `VAT: ${company.vatNumber}`, company.email, company.phone).forEach(l => { doc.text(l, left, y); y += 4.5; });
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text(TITLES[content.docType], right, 24, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(10);
+  doc.text(`No. ${content.number}`, right, 31, { align: 'right' });
+  doc.text(`Date: ${date(content.issueDate)}`, right, 36, { align: 'right' });
+
+  y = Math.max(y, 44) + 6;
+  doc.setFont('helvetica', 'bold');
+  doc.text('Bill to', left, y);
+  doc.setFont('helvetica', 'normal');
+  y += 5;
+  lines(customer.name, customer.address, customer.country, customer.contactPerson && `Attn: ${customer.contactPerson}`, customer.email).forEach(l => { doc.text(l, left, y); y += 5; });
+  if (content.endDestination) { doc.text(`End destination: ${content.endDestination}`, left, y); y += 5; }
+
+  // Line items
+  const columns = [
+    { header: 'Product', x: left, value: l => `${l.product || ''} ${l.size}`.trim() },
+    { header: 'Batch', x: 62, value: l => l.batchNumber || '-' },
+    { header: 'Expiry', x: 88, value: l => date(l.expiryDate) },
+    { header: 'Vials', x: 120, value: l => String(Math.round(l.vials)), align: 'right' },
+    { header: 'Unit price / vial', x: 155, value: l => amount(l.pricePerVial, currency), align: 'right' },
+    { header: 'Amount', x: right, value: l => amount(l.amount, currency), align: 'right' }
+  ];
+  y += 8;
+  doc.setFont('helvetica', 'bold');
+  columns.forEach(c => doc.text(c.header, c.x, y, { align: c.align || 'left' }));
+  doc.line(left, y + 2, right, y + 2);
+  doc.setFont('helvetica', 'normal');
+  y += 8;
+  content.lines.forEach(l => {
+    columns.forEach(c => doc.text(c.value(l), c.x, y, { align: c.align || 'left' }));
+    y += 6;
+  });
+  doc.line(left, y - 3, right, y - 3);
+  doc.setFont('helvetica', 'bold');
+  doc.text('Total', 155, y + 3, { align: 'right' });
+  doc.text(amount(content.total, currency), right, y + 3, { align: 'right' });
+  doc.setFont('helvetica', 'normal');
+
+  y += 18;
+  if (company.bankDetails) {
+    doc.setFont('helvetica', 'bold');
+    doc.text('Payment details', left, y);
+    doc.setFont('helvetica', 'normal');
+    y += 5;
+    lines(company.bankDetails).forEach(l => { doc.text(l, left, y); y += 5; });
+  }
+  if (content.docType === 'proforma') {
+    doc.setFontSize(9);
+    doc.text('This pro-forma invoice is a quotation and not a demand for payment.', left, y + 6);
+  }
+
+  return doc.output('datauristring').split(',')[1];
+};
+
+export const downloadPdf = (base64, filename) => {
+  const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+  download(new Blob([bytes], { type: 'application/pdf' }), `${filename}.pdf`);
+};
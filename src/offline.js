@@ -0,0 +1,109 @@
+// Offline copy and outbox.
+//
+// The data last loaded from the server is kept in IndexedDB, so the app can
+// start and be browsed without a connection by the user it was saved for,
+// once they have entered their password. New orders, stock holds and
+// samples recorded offline wait in the outbox, also in IndexedDB, and are
+// replayed in the order they were recorded once the connection is back. The
+// replay goes through the same checks as any other write; an entry they
+// refuse (a batch ran out meanwhile, a licence expired) stays in the outbox
+// as a conflict until it is edited, retried or discarded.
+
+const DB_NAME = 'eurofolic-cims';
+const DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshot';
+const OUTBOX_STORE = 'outbox';
+
+export const OUTBOX_KINDS = {
+  order: 'Order',
+  stock_hold: 'Stock hold',
+  stock_adjustment: 'Sample/adjustment'
+};
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) db.createObjectStore(SNAPSHOT_STORE);
+    if (!db.objectStoreNames.contains(OUTBOX_STORE)) db.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run one request against a store and resolve with its result once the transaction commits
+const withStore = async (store, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const request = action(tx.objectStore(store));
+    tx.oncomplete = () => { db.close(); resolve(request.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+};
+
+// ==================== SNAPSHOT ====================
+
+// { user, data: { orders, sales, ... }, savedAt }; one per device, for the last user signed in
+export const saveSnapshot = (snapshot) => withStore(SNAPSHOT_STORE, 'readwrite', s => s.put({ ...snapshot, savedAt: new Date().toISOString() }, 'latest'));
+export const loadSnapshot = () => withStore(SNAPSHOT_STORE, 'readonly', s => s.get('latest'));
+export const clearSnapshot = () => withStore(SNAPSHOT_STORE, 'readwrite', s => s.clear());
+
+// ==================== UNLOCK ====================
+
+// Starting offline asks for the password of the user the copy was saved for.
+// What is kept to check it against is a salted PBKDF2 hash, stored next to
+// the copy and cleared with it; the password itself is never stored.
+const UNLOCK_ITERATIONS = 210000;
+
+const hashPassword = async (password, salt) => {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations: UNLOCK_ITERATIONS }, key, 256);
+  return Array.from(new Uint8Array(bits));
+};
+
+// Called whenever the password is entered online: at sign-in and when it is changed
+export const saveUnlock = async (authId, password) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await hashPassword(password, salt);
+  return withStore(SNAPSHOT_STORE, 'readwrite', s => s.put({ authId, salt: Array.from(salt), hash }, 'unlock'));
+};
+
+const loadUnlock = () => withStore(SNAPSHOT_STORE, 'readonly', s => s.get('unlock'));
+
+export const canUnlock = async (authId) => (await loadUnlock())?.authId === authId;
+
+export const checkUnlock = async (authId, password) => {
+  const unlock = await loadUnlock();
+  if (!unlock || unlock.authId !== authId) return false;
+  const hash = await hashPassword(password, new Uint8Array(unlock.salt));
+  return hash.length === unlock.hash.length && hash.every((b, i) => b === unlock.hash[i]);
+};
+
+// ==================== OUTBOX ====================
+
+// An entry is { id, kind, args, rows, summary, userId, recordedBy, recordedAt,
+// status, error }. `args` are what the online handler is called with on
+// replay; `rows` are the records shown in the meantime, keyed by table.
+// Ids are the time recorded, so key order is replay order.
+export const listOutbox = () => withStore(OUTBOX_STORE, 'readonly', s => s.getAll());
+export const putOutboxEntry = (entry) => withStore(OUTBOX_STORE, 'readwrite', s => s.put(entry));
+export const deleteOutboxEntry = (id) => withStore(OUTBOX_STORE, 'readwrite', s => s.delete(id));
+
+export const nextOutboxId = (outbox) => Math.max(Date.now(), ...outbox.map(e => e.id + 1));
+
+// Negative, so they never collide with ids the database hands out
+export const outboxRowId = (entryId, index = 0) => -(entryId * 100 + index);
+
+// Add the rows of entries still waiting to a table's synced rows. An entry
+// being replayed is left out, so its own rows do not count against it.
+export const withOutbox = (rows, outbox, table, sort) => {
+  const waiting = outbox.filter(e => e.status !== 'syncing').flatMap(e =>
+    (e.rows[table] || []).map(r => ({ ...r, outboxId: e.id, outboxStatus: e.status })));
+  if (!waiting.length) return rows;
+  const merged = [...waiting, ...rows];
+  return sort ? sort(merged) : merged;
+};
+
+// Errors that mean the server was not reached, as opposed to a refusal
+export const isNetworkError = (message) => /failed to fetch|networkerror|load failed|network request failed/i.test(String(message || ''));
@@ -0,0 +1,41 @@
+// Role-based permissions.
+//
+// A user's role names a row of the roles table, which lists the permissions
+// below that the role grants; the admin role holds all of them. The database
+// enforces the same permissions with row-level security, so the checks here
+// only decide what the app offers.
+
+export const ADMIN_ROLE = 'admin';
+
+export const PERMISSIONS = {
+  view_costs: 'View costs, stock values and margins',
+  create_sale: 'Create and edit orders, sales, holds and invoices',
+  convert_hold: 'Convert holds to sales and back',
+  record_sample: 'Record samples and write-offs',
+  record_purchase: 'Record purchases, pipeline orders and goods in',
+  delete: 'Delete records',
+  manage_master_data: 'Manage customers, suppliers, products and exchange rates',
+  approve: 'Approve deletions, reversions and large samples requested by others'
+};
+
+// Recording a purchase means entering its cost
+export const PERMISSION_REQUIRES = { record_purchase: 'view_costs' };
+
+// Roles without view_costs read these tables through views that leave the cost columns out
+export const COSTED_TABLES = ['purchases', 'pipeline_purchases', 'stock_adjustments'];
+export const costFreeView = (table) => `${table}_without_costs`;
+
+// The columns those views leave out, by the app's name for each table's rows
+export const COST_FIELDS = {
+  purchases: ['cost'],
+  pipelinePurchases: ['price', 'totalValue'],
+  stockAdjustments: ['costPerPack', 'totalCost']
+};
+export const withoutCosts = (rows, fields) => rows.map(row => {
+  const kept = { ...row };
+  fields.forEach(f => delete kept[f]);
+  return kept;
+});
+
+export const hasPermission = (user, permission) =>
+  !!user && (user.role === ADMIN_ROLE || (user.permissions || []).includes(permission));
@@ -0,0 +1,50 @@
+// Live changes from other users.
+//
+// Every business table is published to Supabase Realtime. A change to master
+// data is merged into the matching list by id, so a change this browser made
+// itself and its echo from the server end up the same; a change to a paged
+// list or to stock reads the page, or the stock figures, again. Roles
+// without view_costs may not read purchases, pipeline orders and samples
+// directly; the database broadcasts those changes to them, minus the cost
+// columns, on COST_FREE_TOPIC instead.
+
+export const REALTIME_TABLES = [
+  'orders', 'sales', 'purchases', 'customers', 'suppliers', 'pipeline_purchases', 'stock_holds',
+  'stock_adjustments', 'products', 'app_settings', 'exchange_rates', 'documents', 'approval_requests'
+];
+
+// Must match the topics in the realtime_sync migration
+export const COST_FREE_TOPIC = 'cost-free-changes';
+export const PRESENCE_TOPIC = 'online-users';
+
+// How long a row someone else changed stays highlighted
+export const LIVE_CHANGE_MS = 2 * 60 * 1000;
+
+// How long to wait for a burst of changes (an order and its lines) to end
+// before reading a page or the stock figures again
+export const RELOAD_DELAY_MS = 500;
+
+export const changeKey = (table, id) => `${table}:${id}`;
+
+// The user who made a change, from the stamp columns the row carries
+export const changedBy = (row) => row.modifiedBy || row.decidedBy || row.createdBy || null;
+
+// Keep only the listed columns ('id, name, ...') of a changed row
+export const pickColumns = (record, columns) =>
+  Object.fromEntries(columns.split(',').map(c => c.trim()).filter(c => c in record).map(c => [c, record[c]]));
+
+// Apply one change to a list: deletes drop the row, anything else replaces it
+// or, if it is new, puts it first. `sort` restores the list's own order.
+export const mergeChange = (list, { type, id, row }, sort = (rows) => rows) => {
+  if (type === 'DELETE') return list.filter(r => r.id !== id);
+  const exists = list.some(r => r.id === row.id);
+  return sort(exists ? list.map(r => r.id === row.id ? { ...r, ...row } : r) : [row, ...list]);
+};
+
+// Presence state ({ key: [meta, ...] }) as one entry per signed-in user other
+// than `selfId`, however many tabs they have open
+export const otherUsersOnline = (presenceState, selfId) =>
+  Object.entries(presenceState)
+    .filter(([key, metas]) => key !== String(selfId) && metas.length)
+    .map(([, metas]) => metas[0])
+    .sort((a, b) => String(a.name).localeCompare(String(b.name)));
@@ -5,9 +5,35 @@ import { createClient } from '@supabase/supabase-js';
 const supabaseUrl = process.env.REACT_APP_SUPABASE_URL || 'YOUR_SUPABASE_URL';
 const supabaseAnonKey = process.env.REACT_APP_SUPABASE_ANON_KEY || 'YOUR_SUPABASE_ANON_KEY';
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
+  auth: {
+    persistSession: true,
+    autoRefreshToken: true,
+    storageKey: 'eurofolic-auth'
+  }
+});
 
 // Helper function to check if Supabase is configured
 export const isSupabaseConfigured = () => {
   return supabaseUrl !== 'YOUR_SUPABASE_URL' && supabaseAnonKey !== 'YOUR_SUPABASE_ANON_KEY';
 };
+
+// CIMS users sign in with a username; Supabase Auth needs an email address.
+// Must match the address built by create_auth_identity() in the auth migration.
+export const usernameToEmail = (username) => `${username.trim().toLowerCase()}@users.eurofolic.local`;
+
+// Supabase returns at most 1,000 rows per request by default, so a table read
+// in one go silently stops there. This reads the query a page at a time until
+// a short page shows the end. `build` must return a fresh query each time and
+// order it on a unique column, so that pages neither overlap nor skip rows.
+export const MAX_ROWS = 1000;
+
+export const fetchAllRows = async (build) => {
+  const rows = [];
+  for (let from = 0; ; from += MAX_ROWS) {
+    const { data, error } = await build().range(from, from + MAX_ROWS - 1);
+    if (error) return { data: null, error };
+    rows.push(...data);
+    if (data.length < MAX_ROWS) return { data: rows, error: null };
+  }
+};
@@ -0,0 +1,123 @@
+-- Original CIMS tables.
+--
+-- The tables the app was first built on, as it reads and writes them. Every
+-- later script in this directory builds on these, so a new project starts
+-- by running this one. On an existing project the tables are already there
+-- and nothing here changes them.
+
+create table if not exists public.users (
+  id bigint generated by default as identity primary key,
+  username text not null unique,
+  password text,
+  name text not null,
+  initials text,
+  role text not null default 'user',
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.customers (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  country text,
+  contact_person text,
+  email text,
+  phone text,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.suppliers (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  country text,
+  email text,
+  phone text,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.purchases (
+  id bigint generated by default as identity primary key,
+  supplier_id bigint,
+  supplier text,
+  size text not null,
+  batch_number text,
+  expiry_date date,
+  units numeric not null,
+  cost numeric,
+  purchase_date date,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.sales (
+  id bigint generated by default as identity primary key,
+  customer_id bigint,
+  customer text,
+  country text,
+  end_destination text,
+  size text not null,
+  batch_number text,
+  units numeric not null,
+  price numeric,
+  sale_date date,
+  converted_from text,
+  original_hold_id bigint,
+  converted_by text,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.stock_holds (
+  id bigint generated by default as identity primary key,
+  customer_id bigint,
+  customer text,
+  country text,
+  end_destination text,
+  size text not null,
+  units numeric not null,
+  vials integer,
+  notes text,
+  hold_date date,
+  reverted_from text,
+  original_sale_id bigint,
+  reverted_by text,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.stock_adjustments (
+  id bigint generated by default as identity primary key,
+  size text not null,
+  batch_number text,
+  units numeric not null,
+  vials integer,
+  reason text,
+  recipient text,
+  notes text,
+  cost_per_pack numeric default 0,
+  total_cost numeric default 0,
+  adjustment_date date,
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.pipeline_purchases (
+  id bigint generated by default as identity primary key,
+  po_number text,
+  supplier text,
+  size text not null,
+  units numeric not null,
+  price numeric,
+  total_value numeric,
+  expected_date date,
+  status text not null default 'Ordered',
+  created_by text,
+  created_at timestamptz not null default now()
+);
+
+-- The first administrator; the auth migration moves the password into
+-- Supabase Auth and makes it be changed at first sign-in
+insert into public.users (username, password, name, initials, role)
+select 'admin', 'admin123', 'Administrator', 'ADM', 'admin'
+ where not exists (select 1 from public.users);
@@ -0,0 +1,255 @@
+-- Move sign-in from plaintext passwords in public.users onto Supabase Auth.
+--
+-- Credentials now live in auth.users as bcrypt hashes and sessions are
+-- Supabase-issued JWTs that expire and refresh. public.users stays the CIMS
+-- profile (username, name, initials, role) and is linked through auth_id.
+-- Usernames remain the login identifier: each maps to the synthetic address
+-- <username>@users.eurofolic.local (see usernameToEmail in supabaseClient.js).
+--
+-- Row-level security now guards every table: the public anon key reaches no
+-- data, and an account still on its initial password reaches nothing but its
+-- own profile and the password change.
+
+create extension if not exists pgcrypto with schema extensions;
+
+alter table public.users
+  add column if not exists auth_id uuid unique references auth.users (id) on delete cascade,
+  add column if not exists must_change_password boolean not null default true,
+  add column if not exists password_changed_at timestamptz;
+
+-- ==================== INTERNAL HELPERS ====================
+
+create or replace function public.create_auth_identity(p_username text, p_password text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public, auth, extensions
+as $$
+declare
+  v_id uuid := gen_random_uuid();
+  v_email text := lower(trim(p_username)) || '@users.eurofolic.local';
+begin
+  insert into auth.users (
+    instance_id, id, aud, role, email, encrypted_password, email_confirmed_at,
+    raw_app_meta_data, raw_user_meta_data, created_at, updated_at,
+    confirmation_token, recovery_token, email_change, email_change_token_new
+  ) values (
+    '00000000-0000-0000-0000-000000000000', v_id, 'authenticated', 'authenticated', v_email,
+    crypt(p_password, gen_salt('bf')), now(),
+    '{"provider":"email","providers":["email"]}', jsonb_build_object('username', p_username), now(), now(),
+    '', '', '', ''
+  );
+
+  insert into auth.identities (id, user_id, provider_id, identity_data, provider, last_sign_in_at, created_at, updated_at)
+  values (
+    gen_random_uuid(), v_id, v_id::text,
+    jsonb_build_object('sub', v_id::text, 'email', v_email, 'email_verified', true),
+    'email', now(), now(), now()
+  );
+
+  return v_id;
+end;
+$$;
+
+revoke all on function public.create_auth_identity(text, text) from public, anon, authenticated;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.users where auth_id = auth.uid() and role = 'admin' and not must_change_password);
+$$;
+
+-- Signed in, linked to a CIMS profile and past the forced password change
+create or replace function public.is_active_user()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.users where auth_id = auth.uid() and not must_change_password);
+$$;
+
+grant execute on function public.is_active_user() to authenticated;
+
+-- Enables row-level security on a table and adds a restrictive policy that
+-- ANDs is_active_user() onto whatever its other policies allow. Later
+-- migrations call this for each table they create.
+create or replace function public.require_active_user(p_table regclass)
+returns void
+language plpgsql
+as $$
+begin
+  execute format('alter table %s enable row level security', p_table);
+  execute format('drop policy if exists active_user_only on %s', p_table);
+  execute format('create policy active_user_only on %s as restrictive for all to authenticated using (public.is_active_user()) with check (public.is_active_user())', p_table);
+end;
+$$;
+
+revoke all on function public.require_active_user(regclass) from public, anon, authenticated;
+
+-- ==================== MIGRATE EXISTING ACCOUNTS ====================
+
+-- Every existing password has been stored in the clear, so all migrated
+-- accounts (including the seeded admin/admin123) must pick a new one.
+do $$
+declare
+  r record;
+begin
+  for r in select id, username, password from public.users where auth_id is null loop
+    update public.users
+       set auth_id = public.create_auth_identity(r.username, r.password),
+           must_change_password = true
+     where id = r.id;
+  end loop;
+end;
+$$;
+
+alter table public.users drop column if exists password;
+
+alter table public.users enable row level security;
+
+drop policy if exists users_select_authenticated on public.users;
+-- Until the forced password change, an account sees only its own profile
+create policy users_select_authenticated on public.users
+  for select to authenticated using (auth_id = auth.uid() or public.is_active_user());
+
+-- ==================== ROW-LEVEL SECURITY ====================
+
+-- Business tables are open to active users only; anon has no policy at all
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['sales', 'purchases', 'customers', 'suppliers', 'pipeline_purchases', 'stock_holds', 'stock_adjustments'] loop
+    perform public.require_active_user(format('public.%I', t)::regclass);
+    execute format('drop policy if exists %I on public.%I', t || '_authenticated', t);
+    execute format('create policy %I on public.%I for all to authenticated using (true) with check (true)', t || '_authenticated', t);
+  end loop;
+end;
+$$;
+
+-- ==================== RPC: PASSWORDS ====================
+
+create or replace function public.verify_own_password(p_password text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public, auth, extensions
+as $$
+  select coalesce(
+    (select encrypted_password = crypt(p_password, encrypted_password) from auth.users where id = auth.uid()),
+    false
+  );
+$$;
+
+create or replace function public.change_own_password(p_current_password text, p_new_password text)
+returns void
+language plpgsql
+security definer
+set search_path = public, auth, extensions
+as $$
+begin
+  if auth.uid() is null then
+    raise exception 'Not signed in';
+  end if;
+  if not public.verify_own_password(p_current_password) then
+    raise exception 'Current password is incorrect';
+  end if;
+  if length(coalesce(p_new_password, '')) < 8 then
+    raise exception 'New password must be at least 8 characters';
+  end if;
+  if p_new_password = p_current_password then
+    raise exception 'New password must differ from the current one';
+  end if;
+
+  update auth.users
+     set encrypted_password = crypt(p_new_password, gen_salt('bf')), updated_at = now()
+   where id = auth.uid();
+
+  update public.users
+     set must_change_password = false, password_changed_at = now()
+   where auth_id = auth.uid();
+end;
+$$;
+
+-- ==================== RPC: USER ADMINISTRATION ====================
+
+create or replace function public.create_app_user(
+  p_username text,
+  p_password text,
+  p_name text,
+  p_initials text,
+  p_role text
+)
+returns public.users
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user public.users;
+begin
+  if not public.is_admin() then
+    raise exception 'Only administrators can create users';
+  end if;
+  if exists (select 1 from public.users where lower(username) = lower(trim(p_username))) then
+    raise exception 'Username % is already taken', p_username;
+  end if;
+  if length(coalesce(p_password, '')) < 8 then
+    raise exception 'Password must be at least 8 characters';
+  end if;
+
+  insert into public.users (username, name, initials, role, auth_id, must_change_password)
+  values (
+    trim(p_username), p_name, coalesce(nullif(p_initials, ''), upper(left(trim(p_username), 3))),
+    p_role, public.create_auth_identity(p_username, p_password), true
+  )
+  returning * into v_user;
+
+  return v_user;
+end;
+$$;
+
+create or replace function public.delete_app_user(p_id text)
+returns void
+language plpgsql
+security definer
+set search_path = public, auth
+as $$
+declare
+  v_user public.users;
+begin
+  if not public.is_admin() then
+    raise exception 'Only administrators can delete users';
+  end if;
+
+  select * into v_user from public.users where id::text = p_id;
+  if not found then
+    raise exception 'User not found';
+  end if;
+  if v_user.username = 'admin' then
+    raise exception 'Cannot delete admin user';
+  end if;
+  if v_user.auth_id = auth.uid() then
+    raise exception 'You cannot delete your own account';
+  end if;
+
+  -- Removing the auth identity cascades to the profile row
+  if v_user.auth_id is not null then
+    delete from auth.users where id = v_user.auth_id;
+  else
+    delete from public.users where id::text = p_id;
+  end if;
+end;
+$$;
+
+grant execute on function public.verify_own_password(text) to authenticated;
+grant execute on function public.change_own_password(text, text) to authenticated;
+grant execute on function public.create_app_user(text, text, text, text, text) to authenticated;
+grant execute on function public.delete_app_user(text) to authenticated;
@@ -0,0 +1,97 @@
+-- Per-batch stock ledger.
+--
+-- batch_stock gives purchased, sold, sampled and remaining packs for every
+-- (size, batch_number). The triggers below refuse any sale, sample/adjustment
+-- or purchase change that would leave a batch with negative stock, so the
+-- rule holds no matter which client writes the row.
+
+create or replace view public.batch_stock as
+with movements as (
+  select size, batch_number, units as purchased, 0::numeric as sold, 0::numeric as adjusted, expiry_date
+    from public.purchases
+  union all
+  select size, batch_number, 0, units, 0, null from public.sales
+  union all
+  select size, batch_number, 0, 0, units, null from public.stock_adjustments
+)
+select
+  size,
+  batch_number,
+  min(expiry_date) as expiry_date,
+  sum(purchased) as purchased,
+  sum(sold) as sold,
+  sum(adjusted) as adjusted,
+  sum(purchased) - sum(sold) - sum(adjusted) as remaining
+from movements
+where batch_number is not null
+  and public.is_active_user()
+group by size, batch_number;
+
+revoke all on public.batch_stock from anon;
+grant select on public.batch_stock to authenticated;
+
+create or replace function public.enforce_batch_stock()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_size text;
+  v_batch text;
+  v_purchased numeric;
+  v_remaining numeric;
+begin
+  if tg_table_name = 'purchases' then
+    -- Shrinking, moving or deleting a purchase can strand sales already made from it
+    v_size := old.size;
+    v_batch := old.batch_number;
+    if v_batch is null then
+      return null;
+    end if;
+  else
+    v_size := new.size;
+    v_batch := new.batch_number;
+    if v_batch is null then
+      raise exception 'A batch number is required';
+    end if;
+  end if;
+
+  -- Serialise concurrent writers against the same batch
+  perform pg_advisory_xact_lock(hashtext(v_size || '/' || v_batch));
+
+  select coalesce(sum(units), 0) into v_purchased
+    from purchases where size = v_size and batch_number = v_batch;
+
+  if v_purchased <= 0 and tg_table_name <> 'purchases' then
+    raise exception 'Batch % (%) has no recorded purchase', v_batch, v_size;
+  end if;
+
+  v_remaining := v_purchased
+    - (select coalesce(sum(units), 0) from sales where size = v_size and batch_number = v_batch)
+    - (select coalesce(sum(units), 0) from stock_adjustments where size = v_size and batch_number = v_batch);
+
+  -- Packs are fractional (vials / vials per pack); allow for rounding only
+  if v_remaining < -0.000001 then
+    raise exception 'Batch % (%) does not have enough stock: % packs short', v_batch, v_size, round(-v_remaining, 2);
+  end if;
+
+  -- AFTER trigger: the return value is ignored
+  return null;
+end;
+$$;
+
+drop trigger if exists sales_enforce_batch_stock on public.sales;
+create trigger sales_enforce_batch_stock
+  after insert or update of size, batch_number, units on public.sales
+  for each row execute function public.enforce_batch_stock();
+
+drop trigger if exists stock_adjustments_enforce_batch_stock on public.stock_adjustments;
+create trigger stock_adjustments_enforce_batch_stock
+  after insert or update of size, batch_number, units on public.stock_adjustments
+  for each row execute function public.enforce_batch_stock();
+
+drop trigger if exists purchases_enforce_batch_stock on public.purchases;
+create trigger purchases_enforce_batch_stock
+  after update of size, batch_number, units or delete on public.purchases
+  for each row execute function public.enforce_batch_stock();
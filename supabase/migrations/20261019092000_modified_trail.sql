@@ -0,0 +1,35 @@
+-- "Modified by / modified at" trail for records edited in place.
+--
+-- The stamp is applied server-side so it cannot be skipped or back-dated, and
+-- the original created_by / created_at are pinned so an edit never rewrites them.
+
+create or replace function public.stamp_modified()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.created_by := old.created_by;
+  new.created_at := old.created_at;
+  new.modified_at := now();
+  new.modified_by := coalesce(
+    (select initials from public.users where auth_id = auth.uid()),
+    new.modified_by,
+    'SYS'
+  );
+  return new;
+end;
+$$;
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['sales', 'purchases', 'customers', 'suppliers', 'pipeline_purchases', 'stock_holds', 'stock_adjustments'] loop
+    execute format('alter table public.%I add column if not exists created_at timestamptz default now(), add column if not exists modified_by text, add column if not exists modified_at timestamptz', t);
+    execute format('drop trigger if exists %I on public.%I', t || '_stamp_modified', t);
+    execute format('create trigger %I before update on public.%I for each row execute function public.stamp_modified()', t || '_stamp_modified', t);
+  end loop;
+end;
+$$;
@@ -0,0 +1,145 @@
+-- Append-only audit log of every create, update, delete, convert and revert.
+--
+-- Rows are written by triggers, so nothing reaches the business tables
+-- without a trace. The actor is resolved from the Supabase Auth session.
+-- Reasons (and the convert / revert labels) are handed to the triggers through
+-- transaction-local settings by delete_record() and the conversion functions.
+-- Clients may not delete business rows directly; delete_record() is the only
+-- way, so no delete goes unrecorded or without a reason.
+
+create table if not exists public.audit_log (
+  id bigint generated always as identity primary key,
+  occurred_at timestamptz not null default now(),
+  actor_id uuid default auth.uid(),
+  actor text not null,
+  action text not null check (action in ('create', 'update', 'delete', 'convert', 'revert')),
+  entity_type text not null,
+  entity_id text,
+  before_data jsonb,
+  after_data jsonb,
+  reason text
+);
+
+create index if not exists audit_log_occurred_at_idx on public.audit_log (occurred_at desc);
+create index if not exists audit_log_entity_idx on public.audit_log (entity_type, entity_id);
+create index if not exists audit_log_actor_idx on public.audit_log (actor);
+
+-- ==================== APPEND-ONLY ====================
+
+create or replace function public.prevent_audit_log_mutation()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'The audit log is append-only';
+end;
+$$;
+
+drop trigger if exists audit_log_append_only on public.audit_log;
+create trigger audit_log_append_only
+  before update or delete on public.audit_log
+  for each row execute function public.prevent_audit_log_mutation();
+
+drop trigger if exists audit_log_no_truncate on public.audit_log;
+create trigger audit_log_no_truncate
+  before truncate on public.audit_log
+  for each statement execute function public.prevent_audit_log_mutation();
+
+select public.require_active_user('public.audit_log');
+revoke insert, update, delete, truncate on public.audit_log from anon, authenticated;
+
+drop policy if exists audit_log_select_admin on public.audit_log;
+create policy audit_log_select_admin on public.audit_log
+  for select to authenticated using (public.is_admin());
+
+-- ==================== CAPTURE ====================
+
+create or replace function public.write_audit_log()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row jsonb := case when tg_op = 'DELETE' then to_jsonb(old) else to_jsonb(new) end;
+begin
+  insert into public.audit_log (actor, action, entity_type, entity_id, before_data, after_data, reason)
+  values (
+    coalesce((select initials from public.users where auth_id = auth.uid()), 'SYS'),
+    coalesce(
+      nullif(current_setting('cims.audit_action', true), ''),
+      case tg_op when 'INSERT' then 'create' when 'UPDATE' then 'update' else 'delete' end
+    ),
+    tg_table_name,
+    v_row ->> 'id',
+    case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) end,
+    case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) end,
+    nullif(current_setting('cims.audit_reason', true), '')
+  );
+  return null;
+end;
+$$;
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['sales', 'purchases', 'customers', 'suppliers', 'pipeline_purchases', 'stock_holds', 'stock_adjustments', 'users'] loop
+    execute format('drop trigger if exists %I on public.%I', t || '_audit', t);
+    execute format('create trigger %I after insert or update or delete on public.%I for each row execute function public.write_audit_log()', t || '_audit', t);
+  end loop;
+end;
+$$;
+
+-- ==================== RPC: DELETE WITH REASON ====================
+
+-- Who may delete from a table; later migrations narrow this
+create or replace function public.may_delete(p_table text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_active_user();
+$$;
+
+create or replace function public.delete_record(p_table text, p_id text, p_reason text, p_action text default 'delete')
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  if not public.may_delete(p_table) then
+    raise exception 'Your role does not allow deleting from %', p_table;
+  end if;
+
+  if p_table not in ('sales', 'purchases', 'customers', 'suppliers', 'pipeline_purchases', 'stock_holds', 'stock_adjustments') then
+    raise exception 'Records cannot be deleted from %', p_table;
+  end if;
+  if p_action not in ('delete', 'convert', 'revert') then
+    raise exception 'Unknown audit action %', p_action;
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required to delete a record';
+  end if;
+
+  perform set_config('cims.audit_reason', trim(p_reason), true);
+  perform set_config('cims.audit_action', p_action, true);
+
+  execute format('delete from public.%I where id::text = $1', p_table) using p_id;
+  get diagnostics v_count = row_count;
+  if v_count = 0 then
+    raise exception 'Record not found';
+  end if;
+end;
+$$;
+
+grant execute on function public.delete_record(text, text, text, text) to authenticated;
+
+-- delete_record() runs with its owner's rights; nothing else may delete
+revoke delete, truncate on public.sales, public.purchases, public.customers, public.suppliers,
+  public.pipeline_purchases, public.stock_holds, public.stock_adjustments from anon, authenticated;
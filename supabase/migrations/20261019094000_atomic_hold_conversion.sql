@@ -0,0 +1,137 @@
+-- Hold-to-sale conversion and sale-to-hold reversion as single transactions.
+--
+-- Each function writes the new row and removes the source row together, so a
+-- dropped connection can no longer leave both (a duplicate reservation) or
+-- neither. The source row is locked first, which also stops two users from
+-- converting the same hold at once. Errors are raised with a message the
+-- client can show as-is. Both run with their owner's rights, as clients may
+-- not delete rows themselves, and check the caller's rights first.
+
+-- Who may convert holds and revert sales; later migrations narrow these
+create or replace function public.may_convert_holds()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_active_user();
+$$;
+
+create or replace function public.may_revert_sales()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_active_user();
+$$;
+
+-- Vials in one pack of a size, as in the app's VIALS_PER_PACK
+create or replace function public.vials_per_pack(p_size text)
+returns integer
+language sql
+stable
+as $$
+  select case p_size when '100ml' then 1 else 5 end;
+$$;
+
+create or replace function public.convert_hold_to_sale(
+  p_hold_id text,
+  p_batch_number text,
+  p_price numeric,
+  p_sale_date date
+)
+returns public.sales
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_hold public.stock_holds;
+  v_sale public.sales;
+  v_initials text := coalesce((select initials from public.users where auth_id = auth.uid()), 'SYS');
+begin
+  if not public.may_convert_holds() then
+    raise exception 'Your role does not allow converting stock holds';
+  end if;
+
+  select * into v_hold from public.stock_holds where id::text = p_hold_id for update;
+  if not found then
+    raise exception 'Stock hold not found. It may already have been converted.';
+  end if;
+  if coalesce(trim(p_batch_number), '') = '' then
+    raise exception 'A batch number is required';
+  end if;
+  if p_price is null or p_price < 0 then
+    raise exception 'A valid price is required';
+  end if;
+
+  perform set_config('cims.audit_action', 'convert', true);
+  perform set_config('cims.audit_reason', 'Converted from stock hold ' || v_hold.id, true);
+
+  -- The batch stock trigger refuses the insert if the batch cannot cover it
+  insert into public.sales (
+    customer_id, customer, country, end_destination, size, batch_number, units, price, sale_date,
+    converted_from, original_hold_id, converted_by, created_by
+  ) values (
+    v_hold.customer_id, v_hold.customer, v_hold.country, v_hold.end_destination, v_hold.size, p_batch_number,
+    v_hold.units, p_price, coalesce(p_sale_date, current_date),
+    'stockHold', v_hold.id, v_initials, v_initials
+  )
+  returning * into v_sale;
+
+  perform set_config('cims.audit_reason', 'Converted to sale ' || v_sale.id, true);
+  delete from public.stock_holds where id = v_hold.id;
+
+  return v_sale;
+end;
+$$;
+
+-- The hold reserves exactly what the sale took, so its vials come from the sale itself
+create or replace function public.revert_sale_to_hold(p_sale_id text)
+returns public.stock_holds
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale public.sales;
+  v_hold public.stock_holds;
+  v_initials text := coalesce((select initials from public.users where auth_id = auth.uid()), 'SYS');
+begin
+  if not public.may_revert_sales() then
+    raise exception 'Your role does not allow reverting sales to stock holds';
+  end if;
+
+  select * into v_sale from public.sales where id::text = p_sale_id for update;
+  if not found then
+    raise exception 'Sale not found. It may already have been reverted.';
+  end if;
+  if v_sale.converted_from is distinct from 'stockHold' then
+    raise exception 'This sale was not converted from a stock hold';
+  end if;
+
+  perform set_config('cims.audit_action', 'revert', true);
+  perform set_config('cims.audit_reason', 'Reverted from sale ' || v_sale.id, true);
+
+  insert into public.stock_holds (
+    customer_id, customer, country, end_destination, size, units, vials, notes, hold_date,
+    reverted_from, original_sale_id, reverted_by, created_by
+  ) values (
+    v_sale.customer_id, v_sale.customer, v_sale.country, v_sale.end_destination, v_sale.size, v_sale.units,
+    round(v_sale.units * public.vials_per_pack(v_sale.size)), 'Reverted from sale on ' || to_char(current_date, 'YYYY-MM-DD'), current_date,
+    'sale', v_sale.id, v_initials, v_initials
+  )
+  returning * into v_hold;
+
+  perform set_config('cims.audit_reason', 'Reverted to stock hold ' || v_hold.id, true);
+  delete from public.sales where id = v_sale.id;
+
+  return v_hold;
+end;
+$$;
+
+grant execute on function public.convert_hold_to_sale(text, text, numeric, date) to authenticated;
+grant execute on function public.revert_sale_to_hold(text) to authenticated;
@@ -0,0 +1,16 @@
+-- Stock holds reserve inventory until they are converted, deleted, or reach
+-- their optional expiry date. A hold whose expires_on has passed no longer
+-- reserves anything; it stays on record until someone converts or removes it.
+
+alter table public.stock_holds
+  add column if not exists expires_on date;
+
+-- Read with the caller's rights, so the policies on stock_holds apply
+create or replace view public.active_stock_holds
+with (security_invoker = true) as
+select *
+  from public.stock_holds
+ where expires_on is null or expires_on >= current_date;
+
+revoke all on public.active_stock_holds from anon;
+grant select on public.active_stock_holds to authenticated;
@@ -0,0 +1,168 @@
+-- Receive pipeline orders into stock.
+--
+-- Goods-in creates ordinary purchases rows linked back to their PO through
+-- purchases.pipeline_purchase_id. The PO's status follows what has actually
+-- been received: it stays open ("Partially Received") until the linked
+-- purchases cover the ordered quantity, and reopens if one of them is later
+-- reduced or deleted.
+
+do $$
+declare
+  v_id_type text;
+begin
+  select format_type(atttypid, atttypmod) into v_id_type
+    from pg_attribute
+   where attrelid = 'public.pipeline_purchases'::regclass and attname = 'id';
+
+  execute format(
+    'alter table public.purchases add column if not exists pipeline_purchase_id %s references public.pipeline_purchases (id) on delete set null',
+    v_id_type
+  );
+end;
+$$;
+
+create index if not exists purchases_pipeline_purchase_id_idx on public.purchases (pipeline_purchase_id);
+
+-- ==================== RECEIPT STATUS ====================
+
+create or replace function public.refresh_pipeline_receipt_status(p_pipeline_id text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_po public.pipeline_purchases;
+  v_received numeric;
+  v_status text;
+begin
+  select * into v_po from pipeline_purchases where id::text = p_pipeline_id;
+  if not found or v_po.status = 'Cancelled' then
+    return;
+  end if;
+
+  select coalesce(sum(units), 0) into v_received from purchases where pipeline_purchase_id = v_po.id;
+
+  v_status := case
+    when v_received >= v_po.units - 0.000001 then 'Received'
+    when v_received > 0 then 'Partially Received'
+    when v_po.status in ('Received', 'Partially Received') then 'Ordered'
+    else v_po.status
+  end;
+
+  if v_status is distinct from v_po.status then
+    update pipeline_purchases set status = v_status where id = v_po.id;
+  end if;
+end;
+$$;
+
+create or replace function public.purchases_refresh_pipeline_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') and old.pipeline_purchase_id is not null then
+    perform refresh_pipeline_receipt_status(old.pipeline_purchase_id::text);
+  end if;
+  if tg_op in ('INSERT', 'UPDATE') and new.pipeline_purchase_id is not null then
+    perform refresh_pipeline_receipt_status(new.pipeline_purchase_id::text);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists purchases_pipeline_status on public.purchases;
+create trigger purchases_pipeline_status
+  after insert or update of units, pipeline_purchase_id or delete on public.purchases
+  for each row execute function public.purchases_refresh_pipeline_status();
+
+-- Editing a PO that already has stock against it keeps its status in line
+-- with the receipts, and cannot cut the ordered quantity below them.
+create or replace function public.pipeline_purchases_guard_receipts()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_received numeric;
+begin
+  select coalesce(sum(units), 0) into v_received from purchases where pipeline_purchase_id = new.id;
+  if v_received = 0 or new.status = 'Cancelled' then
+    return new;
+  end if;
+  if new.units < v_received - 0.000001 then
+    raise exception 'PO % already has % packs received', new.po_number, round(v_received, 2);
+  end if;
+  new.status := case when v_received >= new.units - 0.000001 then 'Received' else 'Partially Received' end;
+  return new;
+end;
+$$;
+
+drop trigger if exists pipeline_purchases_guard_receipts on public.pipeline_purchases;
+create trigger pipeline_purchases_guard_receipts
+  before update of units, status on public.pipeline_purchases
+  for each row execute function public.pipeline_purchases_guard_receipts();
+
+-- ==================== RPC: GOODS-IN ====================
+
+-- p_lines: [{ "batch_number": text, "expiry_date": date, "units": packs }, ...]
+create or replace function public.receive_pipeline_order(p_pipeline_id text, p_lines jsonb, p_purchase_date date)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_po public.pipeline_purchases;
+  v_line jsonb;
+  v_received numeric;
+  v_incoming numeric := 0;
+  v_purchase public.purchases;
+  v_purchases jsonb := '[]'::jsonb;
+  v_initials text := coalesce((select initials from public.users where auth_id = auth.uid()), 'SYS');
+begin
+  select * into v_po from public.pipeline_purchases where id::text = p_pipeline_id for update;
+  if not found then
+    raise exception 'Pipeline order not found';
+  end if;
+  if v_po.status in ('Received', 'Cancelled') then
+    raise exception 'PO % is already %', v_po.po_number, lower(v_po.status);
+  end if;
+  if jsonb_typeof(p_lines) <> 'array' or jsonb_array_length(p_lines) = 0 then
+    raise exception 'Add at least one batch to receive';
+  end if;
+
+  for v_line in select * from jsonb_array_elements(p_lines) loop
+    if coalesce(trim(v_line ->> 'batch_number'), '') = '' or (v_line ->> 'expiry_date') is null then
+      raise exception 'Every received batch needs a batch number and expiry date';
+    end if;
+    if coalesce((v_line ->> 'units')::numeric, 0) <= 0 then
+      raise exception 'Received quantity for batch % must be greater than zero', v_line ->> 'batch_number';
+    end if;
+    v_incoming := v_incoming + (v_line ->> 'units')::numeric;
+  end loop;
+
+  select coalesce(sum(units), 0) into v_received from public.purchases where pipeline_purchase_id = v_po.id;
+  if v_received + v_incoming > v_po.units + 0.000001 then
+    raise exception 'PO % has only % packs outstanding', v_po.po_number, round(v_po.units - v_received, 2);
+  end if;
+
+  for v_line in select * from jsonb_array_elements(p_lines) loop
+    insert into public.purchases (
+      supplier_id, supplier, size, batch_number, expiry_date, units, cost, purchase_date, pipeline_purchase_id, created_by
+    ) values (
+      (select id from public.suppliers where name = v_po.supplier order by name limit 1),
+      v_po.supplier, v_po.size, trim(v_line ->> 'batch_number'), (v_line ->> 'expiry_date')::date,
+      (v_line ->> 'units')::numeric, v_po.price, coalesce(p_purchase_date, current_date), v_po.id, v_initials
+    )
+    returning * into v_purchase;
+    v_purchases := v_purchases || to_jsonb(v_purchase);
+  end loop;
+
+  select * into v_po from public.pipeline_purchases where id = v_po.id;
+  return jsonb_build_object('purchases', v_purchases, 'pipeline_purchase', to_jsonb(v_po));
+end;
+$$;
+
+grant execute on function public.receive_pipeline_order(text, jsonb, date) to authenticated;
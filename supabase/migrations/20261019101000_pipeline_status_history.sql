@@ -0,0 +1,152 @@
+-- Pipeline order status workflow and history.
+--
+-- Status changes go through change_pipeline_status(), which only allows the
+-- forward steps Ordered -> In Transit -> Delayed -> Received / Cancelled.
+-- "Received" is reached by booking the goods in (receive_pipeline_order), so
+-- the status always matches what is actually in stock. Every change, whether
+-- made by hand or by a goods-in, is written to pipeline_status_history with
+-- the user, the time and an optional note or tracking number.
+
+do $$
+declare
+  v_id_type text;
+begin
+  select format_type(atttypid, atttypmod) into v_id_type
+    from pg_attribute
+   where attrelid = 'public.pipeline_purchases'::regclass and attname = 'id';
+
+  execute format($sql$
+    create table if not exists public.pipeline_status_history (
+      id bigint generated always as identity primary key,
+      pipeline_purchase_id %s not null references public.pipeline_purchases (id) on delete cascade,
+      status text not null,
+      previous_status text,
+      note text,
+      changed_by text not null,
+      changed_at timestamptz not null default now()
+    )$sql$, v_id_type);
+end;
+$$;
+
+create index if not exists pipeline_status_history_order_idx on public.pipeline_status_history (pipeline_purchase_id, changed_at);
+
+select public.require_active_user('public.pipeline_status_history');
+revoke insert, update, delete, truncate on public.pipeline_status_history from anon, authenticated;
+
+drop policy if exists pipeline_status_history_select on public.pipeline_status_history;
+create policy pipeline_status_history_select on public.pipeline_status_history
+  for select to authenticated using (true);
+
+-- Orders that already exist start their timeline at their current status
+insert into public.pipeline_status_history (pipeline_purchase_id, status, note, changed_by, changed_at)
+select p.id, coalesce(p.status, 'Ordered'), 'Status before history was recorded', coalesce(p.created_by, 'SYS'), coalesce(p.created_at, now())
+  from public.pipeline_purchases p
+ where not exists (select 1 from public.pipeline_status_history h where h.pipeline_purchase_id = p.id);
+
+-- ==================== CAPTURE ====================
+
+create or replace function public.record_pipeline_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'UPDATE' and new.status is not distinct from old.status then
+    return null;
+  end if;
+  -- A restore brings back the backup's own history instead (see restore_snapshot)
+  if current_setting('cims.restoring', true) = 'on' then
+    return null;
+  end if;
+
+  insert into pipeline_status_history (pipeline_purchase_id, status, previous_status, note, changed_by)
+  values (
+    new.id,
+    new.status,
+    case when tg_op = 'UPDATE' then old.status end,
+    coalesce(
+      nullif(current_setting('cims.status_note', true), ''),
+      case when new.status in ('Received', 'Partially Received') then
+        format('%s of %s packs received',
+          round((select coalesce(sum(units), 0) from purchases where pipeline_purchase_id = new.id), 2),
+          round(new.units, 2))
+      end
+    ),
+    coalesce((select initials from users where auth_id = auth.uid()), 'SYS')
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists pipeline_purchases_status_history on public.pipeline_purchases;
+create trigger pipeline_purchases_status_history
+  after insert or update of status on public.pipeline_purchases
+  for each row execute function public.record_pipeline_status();
+
+-- "Received" can only come from goods-in; a hand-set status is kept in line
+-- with the receipts once any stock has been booked against the order.
+create or replace function public.pipeline_purchases_guard_receipts()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_received numeric;
+begin
+  if new.status = 'Cancelled' then
+    return new;
+  end if;
+
+  select coalesce(sum(units), 0) into v_received from purchases where pipeline_purchase_id = new.id;
+  if new.units < v_received - 0.000001 then
+    raise exception 'PO % already has % packs received', new.po_number, round(v_received, 2);
+  end if;
+
+  if v_received > 0 and v_received >= new.units - 0.000001 then
+    new.status := 'Received';
+  elsif new.status in ('Received', 'Partially Received') and v_received > 0 then
+    new.status := 'Partially Received';
+  elsif new.status = 'Partially Received' then
+    new.status := 'Ordered';
+  elsif new.status = 'Received' and old.status is distinct from 'Received' then
+    raise exception 'Use Receive to book PO % into stock', new.po_number;
+  end if;
+  return new;
+end;
+$$;
+
+-- ==================== RPC: CHANGE STATUS ====================
+
+create or replace function public.change_pipeline_status(p_pipeline_id text, p_status text, p_note text)
+returns public.pipeline_purchases
+language plpgsql
+as $$
+declare
+  v_po public.pipeline_purchases;
+  v_allowed text[];
+begin
+  select * into v_po from public.pipeline_purchases where id::text = p_pipeline_id for update;
+  if not found then
+    raise exception 'Pipeline order not found';
+  end if;
+
+  v_allowed := case v_po.status
+    when 'Ordered' then array['In Transit', 'Delayed', 'Cancelled']
+    when 'In Transit' then array['Delayed', 'Cancelled']
+    when 'Delayed' then array['In Transit', 'Cancelled']
+    when 'Partially Received' then array['In Transit', 'Delayed', 'Cancelled']
+    else array[]::text[]
+  end;
+  if not (p_status = any (v_allowed)) then
+    raise exception 'PO % cannot move from % to %', v_po.po_number, v_po.status, p_status;
+  end if;
+
+  perform set_config('cims.status_note', coalesce(trim(p_note), ''), true);
+  update public.pipeline_purchases set status = p_status where id = v_po.id returning * into v_po;
+  return v_po;
+end;
+$$;
+
+grant execute on function public.change_pipeline_status(text, text, text) to authenticated;
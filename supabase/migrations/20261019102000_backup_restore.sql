@@ -0,0 +1,88 @@
+-- Restore a JSON backup taken from Setup > Backup.
+--
+-- The whole restore runs as one transaction: either every table is restored
+-- or nothing changes. "replace" empties the business tables first; "merge"
+-- upserts the snapshot rows by id and leaves other rows alone. The usual
+-- triggers stay on, so stock is re-checked batch by batch and every row
+-- written is audit-logged with the backup it came from.
+--
+-- User accounts are never created or deleted by a restore, because a backup
+-- carries no password material. Only the profile (name, initials, role) of
+-- users that still exist is brought back, and never the caller's own row.
+
+create or replace function public.restore_snapshot(p_snapshot jsonb, p_mode text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  -- Parents before children, so foreign keys and batch stock hold at every step
+  v_tables text[] := array['suppliers', 'customers', 'pipeline_purchases', 'pipeline_status_history', 'purchases', 'stock_holds', 'sales', 'stock_adjustments'];
+  t text;
+  v_rows jsonb;
+  v_cols text;
+  v_updates text;
+  v_seq text;
+  v_count integer;
+  v_summary jsonb := '{}'::jsonb;
+begin
+  if not public.is_admin() then
+    raise exception 'Only an administrator can restore a backup';
+  end if;
+  if p_mode not in ('replace', 'merge') then
+    raise exception 'Unknown restore mode %', p_mode;
+  end if;
+  if p_snapshot ->> 'format' is distinct from 'eurofolic-cims-backup' then
+    raise exception 'This file is not a CIMS backup';
+  end if;
+  if coalesce((p_snapshot ->> 'version')::integer, 0) <> 1 then
+    raise exception 'Backup version % is not supported', p_snapshot ->> 'version';
+  end if;
+
+  perform set_config('cims.audit_reason', format('Restored (%s) from backup taken %s', p_mode, p_snapshot ->> 'created_at'), true);
+  -- Restored pipeline orders bring their history from the backup, so none is logged meanwhile
+  perform set_config('cims.restoring', 'on', true);
+
+  if p_mode = 'replace' then
+    foreach t in array array['stock_adjustments', 'sales', 'stock_holds', 'purchases', 'pipeline_status_history', 'pipeline_purchases', 'customers', 'suppliers'] loop
+      execute format('delete from public.%I', t);
+    end loop;
+  end if;
+
+  foreach t in array v_tables loop
+    v_rows := coalesce(p_snapshot -> 'tables' -> t, '[]'::jsonb);
+
+    select string_agg(format('%I', column_name), ', ' order by ordinal_position),
+           string_agg(format('%I = excluded.%I', column_name, column_name), ', ' order by ordinal_position) filter (where column_name <> 'id')
+      into v_cols, v_updates
+      from information_schema.columns
+     where table_schema = 'public' and table_name = t and is_generated = 'NEVER';
+
+    execute format(
+      'insert into public.%I (%s) overriding system value select %s from jsonb_populate_recordset(null::public.%I, $1) on conflict (id) do update set %s',
+      t, v_cols, v_cols, t, v_updates
+    ) using v_rows;
+    get diagnostics v_count = row_count;
+    v_summary := v_summary || jsonb_build_object(t, v_count);
+
+    -- Rows came back with their original ids; move the id sequence past them
+    v_seq := pg_get_serial_sequence('public.' || t, 'id');
+    if v_seq is not null then
+      execute format('select setval(%L, greatest((select coalesce(max(id), 0) from public.%I), 1))', v_seq, t);
+    end if;
+  end loop;
+
+  update public.users u
+     set name = s.name, initials = s.initials, role = s.role
+    from jsonb_populate_recordset(null::public.users, coalesce(p_snapshot -> 'tables' -> 'users', '[]'::jsonb)) s
+   where u.id = s.id
+     and u.auth_id is distinct from auth.uid()
+     and (u.name, u.initials, u.role) is distinct from (s.name, s.initials, s.role);
+  get diagnostics v_count = row_count;
+
+  return v_summary || jsonb_build_object('users', v_count);
+end;
+$$;
+
+grant execute on function public.restore_snapshot(jsonb, text) to authenticated;
@@ -0,0 +1,182 @@
+-- Product catalogue, replacing the SIZES / VIALS_PER_PACK constants in the app.
+--
+-- Every sale, purchase, hold, sample and pipeline order already names its
+-- product in a "size" column ('5ml', '10ml', '100ml'). That value becomes the
+-- product code: existing rows keep working unchanged, and foreign keys with
+-- ON UPDATE CASCADE keep them pointing at the product if a code is renamed.
+-- Products are retired with the active flag rather than deleted, because
+-- historic records still need their vials per pack.
+
+create table if not exists public.products (
+  id bigint generated always as identity primary key,
+  code text not null unique,
+  name text not null,
+  size text not null,
+  vials_per_pack integer not null check (vials_per_pack > 0),
+  sku text unique,
+  gtin text unique check (gtin is null or gtin ~ '^[0-9]{8}([0-9]{4,6})?$'),
+  active boolean not null default true,
+  sort_order integer not null default 0,
+  created_by text,
+  created_at timestamptz default now(),
+  modified_by text,
+  modified_at timestamptz
+);
+
+insert into public.products (code, name, size, vials_per_pack, sort_order, created_by)
+values
+  ('5ml', 'Eurofolic', '5ml', 5, 10, 'SYS'),
+  ('10ml', 'Eurofolic', '10ml', 5, 20, 'SYS'),
+  ('100ml', 'Eurofolic', '100ml', 1, 30, 'SYS')
+on conflict (code) do nothing;
+
+-- Any other value already in use becomes an inactive product to be checked in Setup
+insert into public.products (code, name, size, vials_per_pack, active, sort_order, created_by)
+select distinct u.size, 'Eurofolic', u.size, 1, false, 100, 'SYS'
+  from (
+    select size from public.sales
+    union select size from public.purchases
+    union select size from public.stock_holds
+    union select size from public.stock_adjustments
+    union select size from public.pipeline_purchases
+  ) u
+ where u.size is not null
+on conflict (code) do nothing;
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['sales', 'purchases', 'stock_holds', 'stock_adjustments', 'pipeline_purchases'] loop
+    execute format('alter table public.%I drop constraint if exists %I', t, t || '_size_product_fkey');
+    execute format('alter table public.%I add constraint %I foreign key (size) references public.products (code) on update cascade', t, t || '_size_product_fkey');
+  end loop;
+end;
+$$;
+
+drop trigger if exists products_stamp_modified on public.products;
+create trigger products_stamp_modified
+  before update on public.products
+  for each row execute function public.stamp_modified();
+
+drop trigger if exists products_audit on public.products;
+create trigger products_audit
+  after insert or update or delete on public.products
+  for each row execute function public.write_audit_log();
+
+select public.require_active_user('public.products');
+
+drop policy if exists products_select on public.products;
+create policy products_select on public.products
+  for select to authenticated using (true);
+
+drop policy if exists products_write_admin on public.products;
+create policy products_write_admin on public.products
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+-- Sale reversions size their hold from the catalogue from now on
+create or replace function public.vials_per_pack(p_size text)
+returns integer
+language sql
+stable
+set search_path = public
+as $$
+  select vials_per_pack from public.products where code = p_size;
+$$;
+
+-- ==================== BACKUP / RESTORE ====================
+
+-- Tables a backup restores, parents before children so foreign keys and batch
+-- stock hold at every step; a replace empties them in the reverse order.
+create or replace function public.backup_tables()
+returns text[]
+language sql
+immutable
+as $$
+  select array['products', 'suppliers', 'customers', 'pipeline_purchases', 'pipeline_status_history', 'purchases', 'stock_holds', 'sales', 'stock_adjustments'];
+$$;
+
+create or replace function public.restore_snapshot(p_snapshot jsonb, p_mode text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tables text[] := public.backup_tables();
+  t text;
+  i integer;
+  v_rows jsonb;
+  v_cols text;
+  v_updates text;
+  v_seq text;
+  v_count integer;
+  v_summary jsonb := '{}'::jsonb;
+begin
+  if not public.is_admin() then
+    raise exception 'Only an administrator can restore a backup';
+  end if;
+  if p_mode not in ('replace', 'merge') then
+    raise exception 'Unknown restore mode %', p_mode;
+  end if;
+  if p_snapshot ->> 'format' is distinct from 'eurofolic-cims-backup' then
+    raise exception 'This file is not a CIMS backup';
+  end if;
+  if coalesce((p_snapshot ->> 'version')::integer, 0) <> 1 then
+    raise exception 'Backup version % is not supported', p_snapshot ->> 'version';
+  end if;
+
+  perform set_config('cims.audit_reason', format('Restored (%s) from backup taken %s', p_mode, p_snapshot ->> 'created_at'), true);
+  -- Restored pipeline orders bring their history from the backup, so none is logged meanwhile
+  perform set_config('cims.restoring', 'on', true);
+
+  -- Backups taken before a table existed simply leave that table as it is
+  select array_agg(x order by n) into v_tables
+    from unnest(v_tables) with ordinality as u(x, n)
+   where p_snapshot -> 'tables' ? x;
+  if v_tables is null then
+    raise exception 'This backup holds none of the CIMS tables';
+  end if;
+
+  if p_mode = 'replace' then
+    for i in reverse array_length(v_tables, 1) .. 1 loop
+      execute format('delete from public.%I', v_tables[i]);
+    end loop;
+  end if;
+
+  foreach t in array v_tables loop
+    v_rows := p_snapshot -> 'tables' -> t;
+
+    select string_agg(format('%I', column_name), ', ' order by ordinal_position),
+           string_agg(format('%I = excluded.%I', column_name, column_name), ', ' order by ordinal_position) filter (where column_name <> 'id')
+      into v_cols, v_updates
+      from information_schema.columns
+     where table_schema = 'public' and table_name = t and is_generated = 'NEVER';
+
+    execute format(
+      'insert into public.%I (%s) overriding system value select %s from jsonb_populate_recordset(null::public.%I, $1) on conflict (id) do update set %s',
+      t, v_cols, v_cols, t, v_updates
+    ) using v_rows;
+    get diagnostics v_count = row_count;
+    v_summary := v_summary || jsonb_build_object(t, v_count);
+
+    -- Rows came back with their original ids; move the id sequence past them
+    v_seq := pg_get_serial_sequence('public.' || t, 'id');
+    if v_seq is not null then
+      execute format('select setval(%L, greatest((select coalesce(max(id), 0) from public.%I), 1))', v_seq, t);
+    end if;
+  end loop;
+
+  update public.users u
+     set name = s.name, initials = s.initials, role = s.role
+    from jsonb_populate_recordset(null::public.users, coalesce(p_snapshot -> 'tables' -> 'users', '[]'::jsonb)) s
+   where u.id = s.id
+     and u.auth_id is distinct from auth.uid()
+     and (u.name, u.initials, u.role) is distinct from (s.name, s.initials, s.role);
+  get diagnostics v_count = row_count;
+
+  return v_summary || jsonb_build_object('users', v_count);
+end;
+$$;
+
+grant execute on function public.restore_snapshot(jsonb, text) to authenticated;
@@ -0,0 +1,47 @@
+-- Company-wide settings, held in a single row edited from Setup > Settings.
+--
+-- valuation_method decides how stock and cost of goods sold are valued:
+-- 'fifo' draws each batch's deliveries oldest first, 'weighted_average' uses
+-- the batch's running average cost. Either way a sale is costed from the batch
+-- it was taken from.
+
+create table if not exists public.app_settings (
+  id integer primary key default 1 check (id = 1),
+  valuation_method text not null default 'fifo' check (valuation_method in ('fifo', 'weighted_average')),
+  created_by text,
+  created_at timestamptz default now(),
+  modified_by text,
+  modified_at timestamptz
+);
+
+insert into public.app_settings (id, created_by) values (1, 'SYS')
+on conflict (id) do nothing;
+
+drop trigger if exists app_settings_stamp_modified on public.app_settings;
+create trigger app_settings_stamp_modified
+  before update on public.app_settings
+  for each row execute function public.stamp_modified();
+
+drop trigger if exists app_settings_audit on public.app_settings;
+create trigger app_settings_audit
+  after insert or update or delete on public.app_settings
+  for each row execute function public.write_audit_log();
+
+select public.require_active_user('public.app_settings');
+
+drop policy if exists app_settings_select on public.app_settings;
+create policy app_settings_select on public.app_settings
+  for select to authenticated using (true);
+
+drop policy if exists app_settings_update_admin on public.app_settings;
+create policy app_settings_update_admin on public.app_settings
+  for update to authenticated using (public.is_admin()) with check (public.is_admin());
+
+-- Settings are part of every backup from now on
+create or replace function public.backup_tables()
+returns text[]
+language sql
+immutable
+as $$
+  select array['app_settings', 'products', 'suppliers', 'customers', 'pipeline_purchases', 'pipeline_status_history', 'purchases', 'stock_holds', 'sales', 'stock_adjustments'];
+$$;
@@ -0,0 +1,274 @@
+-- Currencies and dated exchange rates.
+--
+-- Sales, purchases, pipeline orders and samples record the currency their
+-- amounts are in; everything recorded so far was in euro. Rates are kept
+-- ECB-style against the euro: `rate` is how many units of the currency one
+-- euro bought on `rate_date`. The app converts each transaction to the
+-- reporting currency in app_settings with the latest rate on or before the
+-- transaction's own date.
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['sales', 'purchases', 'pipeline_purchases', 'stock_adjustments'] loop
+    execute format('alter table public.%I add column if not exists currency text not null default %L', t, 'EUR');
+    execute format('alter table public.%I drop constraint if exists %I', t, t || '_currency_check');
+    execute format('alter table public.%I add constraint %I check (currency ~ %L)', t, t || '_currency_check', '^[A-Z]{3}$');
+  end loop;
+end;
+$$;
+
+alter table public.app_settings
+  add column if not exists reporting_currency text not null default 'EUR' check (reporting_currency ~ '^[A-Z]{3}$');
+
+create table if not exists public.exchange_rates (
+  id bigint generated always as identity primary key,
+  currency text not null check (currency ~ '^[A-Z]{3}$' and currency <> 'EUR'),
+  rate_date date not null,
+  rate numeric not null check (rate > 0),
+  created_by text,
+  created_at timestamptz default now(),
+  modified_by text,
+  modified_at timestamptz,
+  unique (currency, rate_date)
+);
+
+drop trigger if exists exchange_rates_stamp_modified on public.exchange_rates;
+create trigger exchange_rates_stamp_modified
+  before update on public.exchange_rates
+  for each row execute function public.stamp_modified();
+
+drop trigger if exists exchange_rates_audit on public.exchange_rates;
+create trigger exchange_rates_audit
+  after insert or update or delete on public.exchange_rates
+  for each row execute function public.write_audit_log();
+
+select public.require_active_user('public.exchange_rates');
+
+drop policy if exists exchange_rates_select on public.exchange_rates;
+create policy exchange_rates_select on public.exchange_rates
+  for select to authenticated using (true);
+
+drop policy if exists exchange_rates_write_admin on public.exchange_rates;
+create policy exchange_rates_write_admin on public.exchange_rates
+  for all to authenticated using (public.is_admin()) with check (public.is_admin());
+
+-- Rates are deleted through delete_record() only, like every other record
+revoke delete, truncate on public.exchange_rates from anon, authenticated;
+
+-- ==================== CURRENCY OF DERIVED RECORDS ====================
+
+-- Goods received against a PO are invoiced in the PO's currency
+create or replace function public.purchase_currency_from_order()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.pipeline_purchase_id is not null then
+    select currency into new.currency from public.pipeline_purchases where id = new.pipeline_purchase_id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists purchases_currency_from_order on public.purchases;
+create trigger purchases_currency_from_order
+  before insert on public.purchases
+  for each row execute function public.purchase_currency_from_order();
+
+-- The price entered when converting a hold now comes with its currency
+drop function if exists public.convert_hold_to_sale(text, text, numeric, date);
+
+create or replace function public.convert_hold_to_sale(
+  p_hold_id text,
+  p_batch_number text,
+  p_price numeric,
+  p_sale_date date,
+  p_currency text default 'EUR'
+)
+returns public.sales
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_hold public.stock_holds;
+  v_sale public.sales;
+  v_initials text := coalesce((select initials from public.users where auth_id = auth.uid()), 'SYS');
+begin
+  if not public.may_convert_holds() then
+    raise exception 'Your role does not allow converting stock holds';
+  end if;
+
+  select * into v_hold from public.stock_holds where id::text = p_hold_id for update;
+  if not found then
+    raise exception 'Stock hold not found. It may already have been converted.';
+  end if;
+  if coalesce(trim(p_batch_number), '') = '' then
+    raise exception 'A batch number is required';
+  end if;
+  if p_price is null or p_price < 0 then
+    raise exception 'A valid price is required';
+  end if;
+
+  perform set_config('cims.audit_action', 'convert', true);
+  perform set_config('cims.audit_reason', 'Converted from stock hold ' || v_hold.id, true);
+
+  -- The batch stock trigger refuses the insert if the batch cannot cover it
+  insert into public.sales (
+    customer_id, customer, country, end_destination, size, batch_number, units, price, currency, sale_date,
+    converted_from, original_hold_id, converted_by, created_by
+  ) values (
+    v_hold.customer_id, v_hold.customer, v_hold.country, v_hold.end_destination, v_hold.size, p_batch_number,
+    v_hold.units, p_price, coalesce(p_currency, 'EUR'), coalesce(p_sale_date, current_date),
+    'stockHold', v_hold.id, v_initials, v_initials
+  )
+  returning * into v_sale;
+
+  perform set_config('cims.audit_reason', 'Converted to sale ' || v_sale.id, true);
+  delete from public.stock_holds where id = v_hold.id;
+
+  return v_sale;
+end;
+$$;
+
+grant execute on function public.convert_hold_to_sale(text, text, numeric, date, text) to authenticated;
+
+-- ==================== DELETION ====================
+
+create or replace function public.delete_record(p_table text, p_id text, p_reason text, p_action text default 'delete')
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  if not public.may_delete(p_table) then
+    raise exception 'Your role does not allow deleting from %', p_table;
+  end if;
+
+  if p_table not in ('sales', 'purchases', 'customers', 'suppliers', 'pipeline_purchases', 'stock_holds', 'stock_adjustments', 'exchange_rates') then
+    raise exception 'Records cannot be deleted from %', p_table;
+  end if;
+  if p_action not in ('delete', 'convert', 'revert') then
+    raise exception 'Unknown audit action %', p_action;
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required to delete a record';
+  end if;
+
+  perform set_config('cims.audit_reason', trim(p_reason), true);
+  perform set_config('cims.audit_action', p_action, true);
+
+  execute format('delete from public.%I where id::text = $1', p_table) using p_id;
+  get diagnostics v_count = row_count;
+  if v_count = 0 then
+    raise exception 'Record not found';
+  end if;
+end;
+$$;
+
+-- ==================== BACKUP / RESTORE ====================
+
+create or replace function public.backup_tables()
+returns text[]
+language sql
+immutable
+as $$
+  select array['app_settings', 'exchange_rates', 'products', 'suppliers', 'customers', 'pipeline_purchases', 'pipeline_status_history', 'purchases', 'stock_holds', 'sales', 'stock_adjustments'];
+$$;
+
+-- Only the columns a backup actually carries are written, so a backup taken
+-- before a column was added restores with that column's default (e.g. the
+-- currency of older records is EUR) instead of failing on null.
+create or replace function public.restore_snapshot(p_snapshot jsonb, p_mode text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tables text[] := public.backup_tables();
+  t text;
+  i integer;
+  v_rows jsonb;
+  v_cols text;
+  v_updates text;
+  v_seq text;
+  v_count integer;
+  v_summary jsonb := '{}'::jsonb;
+begin
+  if not public.is_admin() then
+    raise exception 'Only an administrator can restore a backup';
+  end if;
+  if p_mode not in ('replace', 'merge') then
+    raise exception 'Unknown restore mode %', p_mode;
+  end if;
+  if p_snapshot ->> 'format' is distinct from 'eurofolic-cims-backup' then
+    raise exception 'This file is not a CIMS backup';
+  end if;
+  if coalesce((p_snapshot ->> 'version')::integer, 0) <> 1 then
+    raise exception 'Backup version % is not supported', p_snapshot ->> 'version';
+  end if;
+
+  perform set_config('cims.audit_reason', format('Restored (%s) from backup taken %s', p_mode, p_snapshot ->> 'created_at'), true);
+  -- Restored pipeline orders bring their history from the backup, so none is logged meanwhile
+  perform set_config('cims.restoring', 'on', true);
+
+  -- Backups taken before a table existed simply leave that table as it is
+  select array_agg(x order by n) into v_tables
+    from unnest(v_tables) with ordinality as u(x, n)
+   where p_snapshot -> 'tables' ? x;
+  if v_tables is null then
+    raise exception 'This backup holds none of the CIMS tables';
+  end if;
+
+  if p_mode = 'replace' then
+    for i in reverse array_length(v_tables, 1) .. 1 loop
+      execute format('delete from public.%I', v_tables[i]);
+    end loop;
+  end if;
+
+  foreach t in array v_tables loop
+    v_rows := p_snapshot -> 'tables' -> t;
+
+    if jsonb_array_length(v_rows) = 0 then
+      v_summary := v_summary || jsonb_build_object(t, 0);
+      continue;
+    end if;
+
+    select string_agg(format('%I', column_name), ', ' order by ordinal_position),
+           string_agg(format('%I = excluded.%I', column_name, column_name), ', ' order by ordinal_position) filter (where column_name <> 'id')
+      into v_cols, v_updates
+      from information_schema.columns
+     where table_schema = 'public' and table_name = t and is_generated = 'NEVER'
+       and column_name in (select jsonb_object_keys(r) from jsonb_array_elements(v_rows) r);
+
+    execute format(
+      'insert into public.%I (%s) overriding system value select %s from jsonb_populate_recordset(null::public.%I, $1) on conflict (id) do update set %s',
+      t, v_cols, v_cols, t, v_updates
+    ) using v_rows;
+    get diagnostics v_count = row_count;
+    v_summary := v_summary || jsonb_build_object(t, v_count);
+
+    -- Rows came back with their original ids; move the id sequence past them
+    v_seq := pg_get_serial_sequence('public.' || t, 'id');
+    if v_seq is not null then
+      execute format('select setval(%L, greatest((select coalesce(max(id), 0) from public.%I), 1))', v_seq, t);
+    end if;
+  end loop;
+
+  update public.users u
+     set name = s.name, initials = s.initials, role = s.role
+    from jsonb_populate_recordset(null::public.users, coalesce(p_snapshot -> 'tables' -> 'users', '[]'::jsonb)) s
+   where u.id = s.id
+     and u.auth_id is distinct from auth.uid()
+     and (u.name, u.initials, u.role) is distinct from (s.name, s.initials, s.role);
+  get diagnostics v_count = row_count;
+
+  return v_summary || jsonb_build_object('users', v_count);
+end;
+$$;
@@ -0,0 +1,265 @@
+-- Invoices for sales and pro-forma invoices for stock holds.
+--
+-- Numbers come from document_sequences, one counter per document type. The
+-- counter row is locked and advanced inside the same transaction that inserts
+-- the document, so a failed issue rolls the number back with it and numbering
+-- stays gap-free (unlike a Postgres sequence, which never hands a value back).
+--
+-- A document is written once. issue_document() freezes everything printed on
+-- it (company, customer address, lines, totals) into `content`, and the PDF
+-- generated from that content is attached once and kept, so a reprint is the
+-- original file. Documents cannot be edited or deleted, and are deliberately
+-- left out of backups so a restore can never rewind or reuse a number.
+
+alter table public.customers
+  add column if not exists address text;
+
+alter table public.app_settings
+  add column if not exists company_name text,
+  add column if not exists company_address text,
+  add column if not exists company_vat_number text,
+  add column if not exists company_email text,
+  add column if not exists company_phone text,
+  add column if not exists company_bank_details text;
+
+create table if not exists public.document_sequences (
+  doc_type text primary key check (doc_type in ('invoice', 'proforma')),
+  prefix text not null,
+  next_number integer not null default 1 check (next_number > 0)
+);
+
+insert into public.document_sequences (doc_type, prefix)
+values ('invoice', 'INV-'), ('proforma', 'PF-')
+on conflict (doc_type) do nothing;
+
+select public.require_active_user('public.document_sequences');
+
+drop policy if exists document_sequences_select on public.document_sequences;
+create policy document_sequences_select on public.document_sequences
+  for select to authenticated using (true);
+
+create table if not exists public.documents (
+  id bigint generated always as identity primary key,
+  doc_type text not null check (doc_type in ('invoice', 'proforma')),
+  number text not null unique,
+  sequence_number integer not null,
+  source_table text not null check (source_table in ('sales', 'stock_holds')),
+  source_id text not null,
+  customer text,
+  currency text not null check (currency ~ '^[A-Z]{3}$'),
+  total numeric not null,
+  content jsonb not null,
+  pdf text,
+  issued_by uuid default auth.uid(),
+  created_by text,
+  created_at timestamptz default now(),
+  unique (doc_type, sequence_number)
+);
+
+create index if not exists documents_source_idx on public.documents (source_table, source_id);
+
+-- A sale is invoiced once; a hold may be quoted several times
+create unique index if not exists documents_one_invoice_per_sale on public.documents (source_id)
+  where doc_type = 'invoice';
+
+-- The only change a document accepts is its PDF being attached the first time
+create or replace function public.prevent_document_mutation()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'UPDATE' and old.pdf is null and (to_jsonb(new) - 'pdf') = (to_jsonb(old) - 'pdf') then
+    return new;
+  end if;
+  raise exception 'Issued documents cannot be changed or deleted';
+end;
+$$;
+
+drop trigger if exists documents_immutable on public.documents;
+create trigger documents_immutable
+  before update or delete on public.documents
+  for each row execute function public.prevent_document_mutation();
+
+drop trigger if exists documents_no_truncate on public.documents;
+create trigger documents_no_truncate
+  before truncate on public.documents
+  for each statement execute function public.prevent_audit_log_mutation();
+
+drop trigger if exists documents_audit on public.documents;
+create trigger documents_audit
+  after insert on public.documents
+  for each row execute function public.write_audit_log();
+
+select public.require_active_user('public.documents');
+revoke insert, update, delete, truncate on public.documents from anon, authenticated;
+
+drop policy if exists documents_select on public.documents;
+create policy documents_select on public.documents
+  for select to authenticated using (true);
+
+-- ==================== RPC: ISSUE ====================
+
+-- Invoices a sale (returning its existing invoice if it already has one), or
+-- issues a new pro-forma for a hold at the price and currency given.
+create or replace function public.issue_document(
+  p_source_table text,
+  p_source_id text,
+  p_price_per_vial numeric default null,
+  p_currency text default null
+)
+returns public.documents
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_type text;
+  v_sale public.sales;
+  v_hold public.stock_holds;
+  v_customer public.customers;
+  v_product public.products;
+  v_settings public.app_settings;
+  v_doc public.documents;
+  v_prefix text;
+  v_seq integer;
+  v_number text;
+  v_currency text;
+  v_line jsonb;
+  v_total numeric;
+  v_initials text := coalesce((select initials from public.users where auth_id = auth.uid()), 'SYS');
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to issue documents';
+  end if;
+
+  if p_source_table = 'sales' then
+    v_type := 'invoice';
+    -- Locking the sale makes two clicks on "Invoice" return the same document
+    select * into v_sale from public.sales where id::text = p_source_id for update;
+    if not found then
+      raise exception 'Sale not found';
+    end if;
+    select * into v_doc from public.documents where doc_type = 'invoice' and source_id = p_source_id;
+    if found then
+      return v_doc;
+    end if;
+
+    select * into v_customer from public.customers where id::text = v_sale.customer_id::text;
+    select * into v_product from public.products where code = v_sale.size;
+    v_currency := v_sale.currency;
+    v_total := round(v_sale.units * v_sale.price, 2);
+    v_line := jsonb_build_object(
+      'product', v_product.name,
+      'size', v_sale.size,
+      'batch_number', v_sale.batch_number,
+      'expiry_date', (select min(expiry_date) from public.purchases where size = v_sale.size and batch_number = v_sale.batch_number),
+      'vials', round(v_sale.units * v_product.vials_per_pack),
+      'packs', v_sale.units,
+      'price_per_vial', v_sale.price / v_product.vials_per_pack,
+      'price_per_pack', v_sale.price,
+      'amount', v_total
+    );
+  elsif p_source_table = 'stock_holds' then
+    v_type := 'proforma';
+    select * into v_hold from public.stock_holds where id::text = p_source_id for share;
+    if not found then
+      raise exception 'Stock hold not found';
+    end if;
+    if p_price_per_vial is null or p_price_per_vial < 0 then
+      raise exception 'A valid price per vial is required';
+    end if;
+
+    select * into v_customer from public.customers where id::text = v_hold.customer_id::text;
+    select * into v_product from public.products where code = v_hold.size;
+    v_currency := coalesce(p_currency, 'EUR');
+    v_total := round(v_hold.vials * p_price_per_vial, 2);
+    v_line := jsonb_build_object(
+      'product', v_product.name,
+      'size', v_hold.size,
+      'batch_number', null,
+      'expiry_date', null,
+      'vials', v_hold.vials,
+      'packs', v_hold.units,
+      'price_per_vial', p_price_per_vial,
+      'price_per_pack', p_price_per_vial * v_product.vials_per_pack,
+      'amount', v_total
+    );
+  else
+    raise exception 'Documents cannot be issued for %', p_source_table;
+  end if;
+
+  -- Held until commit: the next issue of this type waits, and a rollback returns the number
+  update public.document_sequences
+     set next_number = next_number + 1
+   where doc_type = v_type
+  returning prefix, next_number - 1 into v_prefix, v_seq;
+  v_number := v_prefix || lpad(v_seq::text, 6, '0');
+
+  select * into v_settings from public.app_settings where id = 1;
+
+  insert into public.documents (doc_type, number, sequence_number, source_table, source_id, customer, currency, total, content, created_by)
+  values (
+    v_type, v_number, v_seq, p_source_table, p_source_id,
+    coalesce(v_sale.customer, v_hold.customer), v_currency, v_total,
+    jsonb_build_object(
+      'doc_type', v_type,
+      'number', v_number,
+      'issue_date', current_date,
+      'source_date', coalesce(v_sale.sale_date, v_hold.hold_date),
+      'company', jsonb_build_object(
+        'name', v_settings.company_name,
+        'address', v_settings.company_address,
+        'vat_number', v_settings.company_vat_number,
+        'email', v_settings.company_email,
+        'phone', v_settings.company_phone,
+        'bank_details', v_settings.company_bank_details
+      ),
+      'customer', jsonb_build_object(
+        'name', coalesce(v_customer.name, v_sale.customer, v_hold.customer),
+        'address', v_customer.address,
+        'country', coalesce(v_customer.country, v_sale.country, v_hold.country),
+        'contact_person', v_customer.contact_person,
+        'email', v_customer.email
+      ),
+      'end_destination', coalesce(v_sale.end_destination, v_hold.end_destination),
+      'lines', jsonb_build_array(v_line),
+      'currency', v_currency,
+      'total', v_total,
+      'issued_by', v_initials
+    ),
+    v_initials
+  )
+  returning * into v_doc;
+
+  return v_doc;
+end;
+$$;
+
+grant execute on function public.issue_document(text, text, numeric, text) to authenticated;
+
+-- ==================== RPC: STORE PDF ====================
+
+-- Only the user who issued a document stores its PDF, drawn from the content
+-- just issued; anyone else prints from the content without storing it
+create or replace function public.attach_document_pdf(p_id bigint, p_pdf text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_active_user() then
+    raise exception 'Sign in to store documents';
+  end if;
+  if coalesce(p_pdf, '') = '' then
+    raise exception 'The PDF is empty';
+  end if;
+
+  update public.documents set pdf = p_pdf where id = p_id and pdf is null and issued_by = auth.uid();
+  if not found then
+    raise exception 'Document not found, issued by someone else, or its PDF is already stored';
+  end if;
+end;
+$$;
+
+grant execute on function public.attach_document_pdf(bigint, text) to authenticated;
@@ -0,0 +1,573 @@
+-- Customer orders with several lines.
+--
+-- An order is a header (customer, destination, order date, reference,
+-- currency); its lines are the existing sales rows, each with one size, one
+-- batch, packs and a price per pack. Keeping the lines in `sales` means batch
+-- stock, valuation and the per-size figures work exactly as before.
+--
+-- The header owns the customer, destination, date and currency: they are
+-- copied onto every line when it is written and again whenever the header
+-- changes. A sale written without an order (an import, a restore of an older
+-- backup) gets an order of its own, and an order whose last line is deleted
+-- or reverted to a hold goes with it.
+
+do $$
+declare
+  v_customer_id_type text;
+begin
+  select format_type(atttypid, atttypmod) into v_customer_id_type
+    from pg_attribute
+   where attrelid = 'public.sales'::regclass and attname = 'customer_id';
+
+  execute format($sql$
+    create table if not exists public.orders (
+      id bigint generated always as identity primary key,
+      reference text,
+      customer_id %s,
+      customer text not null,
+      country text,
+      end_destination text,
+      order_date date not null default current_date,
+      currency text not null default 'EUR' check (currency ~ '^[A-Z]{3}$'),
+      notes text,
+      created_by text,
+      created_at timestamptz default now(),
+      modified_by text,
+      modified_at timestamptz
+    )$sql$, v_customer_id_type);
+end;
+$$;
+
+alter table public.sales
+  add column if not exists order_id bigint references public.orders (id) on delete cascade;
+
+create index if not exists sales_order_id_idx on public.sales (order_id);
+
+-- Every sale recorded so far becomes a one-line order
+do $$
+declare
+  r record;
+  v_order_id bigint;
+begin
+  perform set_config('cims.audit_reason', 'Order created for an existing sale', true);
+  alter table public.sales disable trigger sales_stamp_modified;
+
+  for r in select * from public.sales where order_id is null order by id loop
+    insert into public.orders (customer_id, customer, country, end_destination, order_date, currency, created_by, created_at)
+    values (r.customer_id, r.customer, r.country, r.end_destination, coalesce(r.sale_date, r.created_at::date, current_date), r.currency, coalesce(r.created_by, 'SYS'), r.created_at)
+    returning id into v_order_id;
+    update public.sales set order_id = v_order_id where id = r.id;
+  end loop;
+
+  alter table public.sales enable trigger sales_stamp_modified;
+  perform set_config('cims.audit_reason', '', true);
+end;
+$$;
+
+-- ==================== HEADER ON THE LINES ====================
+
+create or replace function public.sale_order_header()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_order public.orders;
+begin
+  if new.order_id is null then
+    insert into public.orders (customer_id, customer, country, end_destination, order_date, currency, created_by)
+    values (new.customer_id, new.customer, new.country, new.end_destination, coalesce(new.sale_date, current_date), coalesce(new.currency, 'EUR'), new.created_by)
+    returning * into v_order;
+    new.order_id := v_order.id;
+  else
+    select * into v_order from public.orders where id = new.order_id;
+    if not found then
+      raise exception 'Order % not found', new.order_id;
+    end if;
+  end if;
+
+  new.customer_id := v_order.customer_id;
+  new.customer := v_order.customer;
+  new.country := v_order.country;
+  new.end_destination := v_order.end_destination;
+  new.sale_date := v_order.order_date;
+  new.currency := v_order.currency;
+  return new;
+end;
+$$;
+
+drop trigger if exists sales_order_header on public.sales;
+create trigger sales_order_header
+  before insert or update on public.sales
+  for each row execute function public.sale_order_header();
+
+alter table public.sales alter column order_id set not null;
+
+-- Re-saving the lines makes sales_order_header copy the new header onto them
+create or replace function public.order_header_to_lines()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.sales
+     set order_id = new.id
+   where order_id = new.id
+     and (customer_id, customer, country, end_destination, sale_date, currency)
+         is distinct from (new.customer_id, new.customer, new.country, new.end_destination, new.order_date, new.currency);
+  return null;
+end;
+$$;
+
+drop trigger if exists orders_header_to_lines on public.orders;
+create trigger orders_header_to_lines
+  after update on public.orders
+  for each row execute function public.order_header_to_lines();
+
+create or replace function public.remove_empty_order()
+returns trigger
+language plpgsql
+as $$
+begin
+  delete from public.orders o
+   where o.id = old.order_id
+     and not exists (select 1 from public.sales s where s.order_id = o.id);
+  return null;
+end;
+$$;
+
+drop trigger if exists sales_remove_empty_order on public.sales;
+create trigger sales_remove_empty_order
+  after delete or update of order_id on public.sales
+  for each row execute function public.remove_empty_order();
+
+drop trigger if exists orders_stamp_modified on public.orders;
+create trigger orders_stamp_modified
+  before update on public.orders
+  for each row execute function public.stamp_modified();
+
+drop trigger if exists orders_audit on public.orders;
+create trigger orders_audit
+  after insert or update or delete on public.orders
+  for each row execute function public.write_audit_log();
+
+select public.require_active_user('public.orders');
+
+drop policy if exists orders_all_authenticated on public.orders;
+create policy orders_all_authenticated on public.orders
+  for all to authenticated using (true) with check (true);
+
+-- Orders are deleted through delete_record() only, like every other record
+revoke delete, truncate on public.orders from anon, authenticated;
+
+-- ==================== RPC: SAVE ORDER ====================
+
+-- p_header: { customer_id, customer, country, end_destination, order_date, reference, currency, notes }
+-- p_lines:  [{ "size": text, "batch_number": text, "units": packs, "price": per pack }, ...]
+-- Creates the order (p_order_id null) or updates its header, then appends
+-- p_lines, all in one transaction. Returns the order and all of its lines.
+create or replace function public.save_order(p_order_id text, p_header jsonb, p_lines jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_header public.orders := jsonb_populate_record(null::public.orders, p_header);
+  v_order public.orders;
+  v_line jsonb;
+  v_initials text := coalesce((select initials from public.users where auth_id = auth.uid()), 'SYS');
+begin
+  if coalesce(trim(v_header.customer), '') = '' then
+    raise exception 'An order needs a customer';
+  end if;
+  if jsonb_typeof(coalesce(p_lines, '[]'::jsonb)) <> 'array' then
+    raise exception 'Order lines must be a list';
+  end if;
+
+  if p_order_id is null then
+    if jsonb_array_length(coalesce(p_lines, '[]'::jsonb)) = 0 then
+      raise exception 'Add at least one line to the order';
+    end if;
+    insert into public.orders (reference, customer_id, customer, country, end_destination, order_date, currency, notes, created_by)
+    values (
+      nullif(trim(v_header.reference), ''), v_header.customer_id, v_header.customer, v_header.country, v_header.end_destination,
+      coalesce(v_header.order_date, current_date), coalesce(v_header.currency, 'EUR'), nullif(trim(v_header.notes), ''), v_initials
+    )
+    returning * into v_order;
+  else
+    update public.orders
+       set reference = nullif(trim(v_header.reference), ''),
+           customer_id = v_header.customer_id,
+           customer = v_header.customer,
+           country = v_header.country,
+           end_destination = v_header.end_destination,
+           order_date = coalesce(v_header.order_date, order_date),
+           currency = coalesce(v_header.currency, currency),
+           notes = nullif(trim(v_header.notes), ''),
+           modified_by = v_initials
+     where id::text = p_order_id
+    returning * into v_order;
+    if not found then
+      raise exception 'Order not found';
+    end if;
+  end if;
+
+  for v_line in select * from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb)) loop
+    if coalesce((v_line ->> 'units')::numeric, 0) <= 0 then
+      raise exception 'Every order line needs a quantity';
+    end if;
+    if (v_line ->> 'price') is null or (v_line ->> 'price')::numeric < 0 then
+      raise exception 'Every order line needs a valid price';
+    end if;
+    -- The batch stock trigger refuses a line the batch cannot cover
+    insert into public.sales (order_id, size, batch_number, units, price, created_by)
+    values (v_order.id, v_line ->> 'size', nullif(trim(v_line ->> 'batch_number'), ''), (v_line ->> 'units')::numeric, (v_line ->> 'price')::numeric, v_initials);
+  end loop;
+
+  return jsonb_build_object(
+    'order', to_jsonb(v_order),
+    'lines', (select coalesce(jsonb_agg(to_jsonb(s) order by s.id), '[]'::jsonb) from public.sales s where s.order_id = v_order.id)
+  );
+end;
+$$;
+
+grant execute on function public.save_order(text, jsonb, jsonb) to authenticated;
+
+-- ==================== HOLD CONVERSION ====================
+
+-- A converted hold becomes a line of a new order, or of an open order for the same customer
+drop function if exists public.convert_hold_to_sale(text, text, numeric, date, text);
+
+create or replace function public.convert_hold_to_sale(
+  p_hold_id text,
+  p_batch_number text,
+  p_price numeric,
+  p_sale_date date,
+  p_currency text default 'EUR',
+  p_order_id text default null
+)
+returns public.sales
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_hold public.stock_holds;
+  v_order public.orders;
+  v_sale public.sales;
+  v_initials text := coalesce((select initials from public.users where auth_id = auth.uid()), 'SYS');
+begin
+  if not public.may_convert_holds() then
+    raise exception 'Your role does not allow converting stock holds';
+  end if;
+
+  select * into v_hold from public.stock_holds where id::text = p_hold_id for update;
+  if not found then
+    raise exception 'Stock hold not found. It may already have been converted.';
+  end if;
+  if coalesce(trim(p_batch_number), '') = '' then
+    raise exception 'A batch number is required';
+  end if;
+  if p_price is null or p_price < 0 then
+    raise exception 'A valid price is required';
+  end if;
+
+  if p_order_id is not null then
+    select * into v_order from public.orders where id::text = p_order_id for update;
+    if not found then
+      raise exception 'Order not found';
+    end if;
+    if v_order.customer_id is distinct from v_hold.customer_id and v_order.customer is distinct from v_hold.customer then
+      raise exception 'The order is for %, not %', v_order.customer, v_hold.customer;
+    end if;
+    -- The line takes the order's currency and date, so a price in another
+    -- currency or for another day would be booked wrongly
+    if coalesce(p_currency, 'EUR') <> v_order.currency then
+      raise exception 'The order is in %, not %', v_order.currency, coalesce(p_currency, 'EUR');
+    end if;
+    if p_sale_date is not null and p_sale_date <> v_order.order_date then
+      raise exception 'The order is dated %, not %', v_order.order_date, p_sale_date;
+    end if;
+  else
+    insert into public.orders (customer_id, customer, country, end_destination, order_date, currency, created_by)
+    values (v_hold.customer_id, v_hold.customer, v_hold.country, v_hold.end_destination, coalesce(p_sale_date, current_date), coalesce(p_currency, 'EUR'), v_initials)
+    returning * into v_order;
+  end if;
+
+  perform set_config('cims.audit_action', 'convert', true);
+  perform set_config('cims.audit_reason', 'Converted from stock hold ' || v_hold.id, true);
+
+  -- The batch stock trigger refuses the insert if the batch cannot cover it
+  insert into public.sales (
+    order_id, size, batch_number, units, price, converted_from, original_hold_id, converted_by, created_by
+  ) values (
+    v_order.id, v_hold.size, p_batch_number, v_hold.units, p_price, 'stockHold', v_hold.id, v_initials, v_initials
+  )
+  returning * into v_sale;
+
+  perform set_config('cims.audit_reason', 'Converted to sale ' || v_sale.id, true);
+  delete from public.stock_holds where id = v_hold.id;
+
+  return v_sale;
+end;
+$$;
+
+grant execute on function public.convert_hold_to_sale(text, text, numeric, date, text, text) to authenticated;
+
+-- ==================== INVOICES PER ORDER ====================
+
+alter table public.documents drop constraint if exists documents_source_table_check;
+alter table public.documents add constraint documents_source_table_check check (source_table in ('sales', 'orders', 'stock_holds'));
+
+drop index if exists public.documents_one_invoice_per_sale;
+create unique index if not exists documents_one_invoice_per_source on public.documents (source_table, source_id)
+  where doc_type = 'invoice';
+
+-- Invoices are now issued for a whole order. Invoices issued for a single sale
+-- before orders existed stay valid and are returned for that sale's order.
+create or replace function public.issue_document(
+  p_source_table text,
+  p_source_id text,
+  p_price_per_vial numeric default null,
+  p_currency text default null
+)
+returns public.documents
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_type text;
+  v_order public.orders;
+  v_hold public.stock_holds;
+  v_customer public.customers;
+  v_product public.products;
+  v_settings public.app_settings;
+  v_doc public.documents;
+  v_prefix text;
+  v_seq integer;
+  v_number text;
+  v_currency text;
+  v_lines jsonb;
+  v_total numeric;
+  v_initials text := coalesce((select initials from public.users where auth_id = auth.uid()), 'SYS');
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to issue documents';
+  end if;
+
+  if p_source_table = 'orders' then
+    v_type := 'invoice';
+    -- Locking the order makes two clicks on "Invoice" return the same document
+    select * into v_order from public.orders where id::text = p_source_id for update;
+    if not found then
+      raise exception 'Order not found';
+    end if;
+    select * into v_doc from public.documents d
+     where d.doc_type = 'invoice'
+       and ((d.source_table = 'orders' and d.source_id = p_source_id)
+         or (d.source_table = 'sales' and d.source_id in (select id::text from public.sales where order_id = v_order.id)))
+     order by d.id
+     limit 1;
+    if found then
+      return v_doc;
+    end if;
+
+    select * into v_customer from public.customers where id::text = v_order.customer_id::text;
+    v_currency := v_order.currency;
+    select coalesce(jsonb_agg(jsonb_build_object(
+             'product', p.name,
+             'size', s.size,
+             'batch_number', s.batch_number,
+             'expiry_date', (select min(expiry_date) from public.purchases where size = s.size and batch_number = s.batch_number),
+             'vials', round(s.units * p.vials_per_pack),
+             'packs', s.units,
+             'price_per_vial', s.price / p.vials_per_pack,
+             'price_per_pack', s.price,
+             'amount', round(s.units * s.price, 2)
+           ) order by p.sort_order, s.size, s.batch_number, s.id), '[]'::jsonb),
+           coalesce(sum(round(s.units * s.price, 2)), 0)
+      into v_lines, v_total
+      from public.sales s
+      join public.products p on p.code = s.size
+     where s.order_id = v_order.id;
+  elsif p_source_table = 'stock_holds' then
+    v_type := 'proforma';
+    select * into v_hold from public.stock_holds where id::text = p_source_id for share;
+    if not found then
+      raise exception 'Stock hold not found';
+    end if;
+    if p_price_per_vial is null or p_price_per_vial < 0 then
+      raise exception 'A valid price per vial is required';
+    end if;
+
+    select * into v_customer from public.customers where id::text = v_hold.customer_id::text;
+    select * into v_product from public.products where code = v_hold.size;
+    v_currency := coalesce(p_currency, 'EUR');
+    v_total := round(v_hold.vials * p_price_per_vial, 2);
+    v_lines := jsonb_build_array(jsonb_build_object(
+      'product', v_product.name,
+      'size', v_hold.size,
+      'batch_number', null,
+      'expiry_date', null,
+      'vials', v_hold.vials,
+      'packs', v_hold.units,
+      'price_per_vial', p_price_per_vial,
+      'price_per_pack', p_price_per_vial * v_product.vials_per_pack,
+      'amount', v_total
+    ));
+  else
+    raise exception 'Documents cannot be issued for %', p_source_table;
+  end if;
+
+  -- Held until commit: the next issue of this type waits, and a rollback returns the number
+  update public.document_sequences
+     set next_number = next_number + 1
+   where doc_type = v_type
+  returning prefix, next_number - 1 into v_prefix, v_seq;
+  v_number := v_prefix || lpad(v_seq::text, 6, '0');
+
+  select * into v_settings from public.app_settings where id = 1;
+
+  insert into public.documents (doc_type, number, sequence_number, source_table, source_id, customer, currency, total, content, created_by)
+  values (
+    v_type, v_number, v_seq, p_source_table, p_source_id,
+    coalesce(v_order.customer, v_hold.customer), v_currency, v_total,
+    jsonb_build_object(
+      'doc_type', v_type,
+      'number', v_number,
+      'issue_date', current_date,
+      'source_date', coalesce(v_order.order_date, v_hold.hold_date),
+      'order_reference', v_order.reference,
+      'company', jsonb_build_object(
+        'name', v_settings.company_name,
+        'address', v_settings.company_address,
+        'vat_number', v_settings.company_vat_number,
+        'email', v_settings.company_email,
+        'phone', v_settings.company_phone,
+        'bank_details', v_settings.company_bank_details
+      ),
+      'customer', jsonb_build_object(
+        'name', coalesce(v_customer.name, v_order.customer, v_hold.customer),
+        'address', v_customer.address,
+        'country', coalesce(v_customer.country, v_order.country, v_hold.country),
+        'contact_person', v_customer.contact_person,
+        'email', v_customer.email
+      ),
+      'end_destination', coalesce(v_order.end_destination, v_hold.end_destination),
+      'lines', v_lines,
+      'currency', v_currency,
+      'total', v_total,
+      'issued_by', v_initials
+    ),
+    v_initials
+  )
+  returning * into v_doc;
+
+  return v_doc;
+end;
+$$;
+
+-- ==================== INVOICED ORDERS ====================
+
+-- The number of the invoice issued for an order, or for one of its sales
+-- before orders existed; null while the order is not invoiced
+create or replace function public.order_invoice_number(p_order_id bigint)
+returns text
+language sql
+stable
+as $$
+  select d.number
+    from public.documents d
+   where d.doc_type = 'invoice'
+     and ((d.source_table = 'orders' and d.source_id = p_order_id::text)
+       or (d.source_table = 'sales' and d.source_id in (select id::text from public.sales where order_id = p_order_id)))
+   order by d.id
+   limit 1;
+$$;
+
+-- An issued invoice must keep matching its order, so an invoiced order takes
+-- no new lines and neither it nor its lines can be changed. Lines can still
+-- be deleted or reverted to a hold; the invoice is then credited separately.
+-- A restore puts records back exactly as they were.
+create or replace function public.refuse_invoiced_order_change()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_number text;
+begin
+  if current_setting('cims.audit_reason', true) like 'Restored%' then
+    return new;
+  end if;
+
+  if tg_table_name = 'orders' then
+    v_number := public.order_invoice_number(old.id);
+  else
+    v_number := public.order_invoice_number(new.order_id);
+    -- A line moved out of an invoiced order changes that order too
+    if v_number is null and tg_op = 'UPDATE' then
+      v_number := public.order_invoice_number(old.order_id);
+    end if;
+  end if;
+  if v_number is not null then
+    raise exception 'The order is invoiced as % and can no longer be changed', v_number;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_refuse_invoiced_change on public.orders;
+create trigger orders_refuse_invoiced_change
+  before update on public.orders
+  for each row execute function public.refuse_invoiced_order_change();
+
+-- Runs after sales_order_header has set the order of a new line
+drop trigger if exists sales_refuse_invoiced_change on public.sales;
+create trigger sales_refuse_invoiced_change
+  before insert or update on public.sales
+  for each row execute function public.refuse_invoiced_order_change();
+
+-- ==================== DELETION ====================
+
+create or replace function public.delete_record(p_table text, p_id text, p_reason text, p_action text default 'delete')
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  if not public.may_delete(p_table) then
+    raise exception 'Your role does not allow deleting from %', p_table;
+  end if;
+
+  if p_table not in ('orders', 'sales', 'purchases', 'customers', 'suppliers', 'pipeline_purchases', 'stock_holds', 'stock_adjustments', 'exchange_rates') then
+    raise exception 'Records cannot be deleted from %', p_table;
+  end if;
+  if p_action not in ('delete', 'convert', 'revert') then
+    raise exception 'Unknown audit action %', p_action;
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required to delete a record';
+  end if;
+
+  perform set_config('cims.audit_reason', trim(p_reason), true);
+  perform set_config('cims.audit_action', p_action, true);
+
+  -- Deleting an order deletes its lines with it
+  execute format('delete from public.%I where id::text = $1', p_table) using p_id;
+  get diagnostics v_count = row_count;
+  if v_count = 0 then
+    raise exception 'Record not found';
+  end if;
+end;
+$$;
+
+-- ==================== BACKUP / RESTORE ====================
+
+create or replace function public.backup_tables()
+returns text[]
+language sql
+immutable
+as $$
+  select array['app_settings', 'exchange_rates', 'products', 'suppliers', 'customers', 'pipeline_purchases', 'pipeline_status_history', 'purchases', 'stock_holds', 'orders', 'sales', 'stock_adjustments'];
+$$;
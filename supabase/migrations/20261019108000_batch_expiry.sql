@@ -0,0 +1,39 @@
+-- Expired batches cannot be sold.
+--
+-- A batch is usable up to and including its expiry date (the earliest one
+-- recorded on its purchases). A sale dated after that is refused, whichever
+-- client writes it; samples and write-offs from an expired batch are still
+-- allowed, since that is how expired stock is taken off the books.
+
+create or replace function public.refuse_expired_batch_sale()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_expiry date;
+begin
+  -- A restore puts sales back exactly as they were, including any recorded before this rule
+  if current_setting('cims.audit_reason', true) like 'Restored%' then
+    return new;
+  end if;
+
+  select min(expiry_date) into v_expiry
+    from purchases
+   where size = new.size and batch_number = new.batch_number;
+
+  if v_expiry is not null and v_expiry < coalesce(new.sale_date, current_date) then
+    raise exception 'Batch % (%) expired on % and cannot be sold', new.batch_number, new.size, v_expiry;
+  end if;
+  return new;
+end;
+$$;
+
+-- Runs after sales_order_header has copied the order date onto the line. An
+-- order's header change reaches its lines as an update of order_id, so moving
+-- an order past a batch's expiry is refused too.
+drop trigger if exists sales_refuse_expired_batch on public.sales;
+create trigger sales_refuse_expired_batch
+  before insert or update of size, batch_number, sale_date, order_id on public.sales
+  for each row execute function public.refuse_expired_batch_sale();
@@ -0,0 +1,11 @@
+-- Reorder point and safety stock per product, both in vials. The dashboard
+-- forecast warns when projected stock will fall below either; left empty,
+-- a product is forecast without alerts.
+
+alter table public.products
+  add column if not exists reorder_point integer check (reorder_point is null or reorder_point >= 0),
+  add column if not exists safety_stock integer check (safety_stock is null or safety_stock >= 0);
+
+alter table public.products drop constraint if exists products_safety_stock_within_reorder_point;
+alter table public.products add constraint products_safety_stock_within_reorder_point
+  check (safety_stock is null or reorder_point is null or safety_stock <= reorder_point);
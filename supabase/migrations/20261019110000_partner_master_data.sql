@@ -0,0 +1,60 @@
+-- Full customer and supplier records.
+--
+-- Both get billing and shipping addresses, VAT number, wholesale licence
+-- number and expiry, payment terms, notes, and any number of extra contacts
+-- besides the main one (contacts is a JSON array of
+-- { name, role, email, phone }). A customer's licence must be valid on the
+-- sale date: sales to a customer whose licence has expired are refused.
+
+alter table public.customers
+  add column if not exists shipping_address text,
+  add column if not exists vat_number text,
+  add column if not exists licence_number text,
+  add column if not exists licence_expiry date,
+  add column if not exists payment_terms text,
+  add column if not exists contacts jsonb not null default '[]'::jsonb,
+  add column if not exists notes text;
+
+alter table public.suppliers
+  add column if not exists contact_person text,
+  add column if not exists address text,
+  add column if not exists shipping_address text,
+  add column if not exists vat_number text,
+  add column if not exists licence_number text,
+  add column if not exists licence_expiry date,
+  add column if not exists payment_terms text,
+  add column if not exists contacts jsonb not null default '[]'::jsonb,
+  add column if not exists notes text;
+
+alter table public.customers drop constraint if exists customers_contacts_is_array;
+alter table public.customers add constraint customers_contacts_is_array check (jsonb_typeof(contacts) = 'array');
+alter table public.suppliers drop constraint if exists suppliers_contacts_is_array;
+alter table public.suppliers add constraint suppliers_contacts_is_array check (jsonb_typeof(contacts) = 'array');
+
+create or replace function public.refuse_unlicensed_sale()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_customer public.customers;
+begin
+  -- A restore puts sales back exactly as they were, including any recorded before this rule
+  if current_setting('cims.audit_reason', true) like 'Restored%' or new.customer_id is null then
+    return new;
+  end if;
+
+  select * into v_customer from customers where id::text = new.customer_id::text;
+  if v_customer.licence_expiry is not null and v_customer.licence_expiry < coalesce(new.sale_date, current_date) then
+    raise exception 'The wholesale licence of % expired on %; renew it under Setup before selling to them', v_customer.name, v_customer.licence_expiry;
+  end if;
+  return new;
+end;
+$$;
+
+-- Runs after sales_order_header has copied the customer and date from the order
+drop trigger if exists sales_refuse_unlicensed_customer on public.sales;
+create trigger sales_refuse_unlicensed_customer
+  before insert or update of customer_id, sale_date, order_id on public.sales
+  for each row execute function public.refuse_unlicensed_sale();
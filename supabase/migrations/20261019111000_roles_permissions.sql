@@ -0,0 +1,491 @@
+-- Configurable roles with per-action permissions.
+--
+-- users.role now names a row of `roles`, which lists the permissions the role
+-- grants. The admin role holds every permission and alone manages users,
+-- roles, settings, backups and the audit log. Permissions are enforced here,
+-- with row-level security on every business table, so a client that skips
+-- the app's checks gets no further than the app would let it.
+--
+-- Cost figures are columns, which row-level security cannot hide: purchases,
+-- pipeline orders and samples are readable only with view_costs, and every
+-- other role reads them through the matching *_without_costs view.
+
+create table if not exists public.roles (
+  id bigint generated always as identity primary key,
+  name text not null unique check (name ~ '^[a-z][a-z0-9_]*$'),
+  label text not null,
+  permissions text[] not null default '{}',
+  created_by text,
+  created_at timestamptz default now(),
+  modified_by text,
+  modified_at timestamptz,
+  constraint roles_known_permissions check (permissions <@ array['view_costs', 'create_sale', 'convert_hold', 'record_sample', 'record_purchase', 'delete', 'manage_master_data']),
+  -- A purchase is entered at its cost, so whoever records one sees costs anyway
+  constraint roles_purchase_needs_costs check (not permissions @> array['record_purchase'] or permissions @> array['view_costs'])
+);
+
+insert into public.roles (name, label, permissions, created_by) values
+  ('admin', 'Administrator', array['view_costs', 'create_sale', 'convert_hold', 'record_sample', 'record_purchase', 'delete', 'manage_master_data'], 'SYS'),
+  -- What every non-admin account could do until now
+  ('user', 'Standard user', array['view_costs', 'create_sale', 'convert_hold', 'record_sample', 'record_purchase'], 'SYS'),
+  ('sales', 'Sales', array['create_sale', 'convert_hold'], 'SYS'),
+  ('warehouse', 'Warehouse', array['record_sample'], 'SYS'),
+  ('purchasing', 'Purchasing', array['view_costs', 'record_purchase'], 'SYS'),
+  ('finance', 'Finance', array['view_costs', 'delete', 'manage_master_data'], 'SYS'),
+  ('read_only', 'Read-only', '{}', 'SYS')
+on conflict (name) do nothing;
+
+-- Any other role already given to someone starts with no permissions
+insert into public.roles (name, label, created_by)
+select distinct role, initcap(role), 'SYS' from public.users where role is not null
+on conflict (name) do nothing;
+
+alter table public.users drop constraint if exists users_role_fkey;
+alter table public.users
+  add constraint users_role_fkey foreign key (role) references public.roles (name) on update cascade;
+
+drop trigger if exists roles_stamp_modified on public.roles;
+create trigger roles_stamp_modified
+  before update on public.roles
+  for each row execute function public.stamp_modified();
+
+drop trigger if exists roles_audit on public.roles;
+create trigger roles_audit
+  after insert or update or delete on public.roles
+  for each row execute function public.write_audit_log();
+
+select public.require_active_user('public.roles');
+
+drop policy if exists roles_select on public.roles;
+create policy roles_select on public.roles
+  for select to authenticated using (true);
+
+-- The admin role itself is fixed
+drop policy if exists roles_write_admin on public.roles;
+create policy roles_write_admin on public.roles
+  for all to authenticated using (public.is_admin() and name <> 'admin') with check (public.is_admin() and name <> 'admin');
+
+create or replace function public.has_permission(p_permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+      from public.users u
+      join public.roles r on r.name = u.role
+     where u.auth_id = auth.uid()
+       and not u.must_change_password
+       and (r.name = 'admin' or p_permission = any(r.permissions))
+  );
+$$;
+
+grant execute on function public.has_permission(text) to authenticated;
+
+-- ==================== ROW-LEVEL SECURITY ====================
+
+-- Whatever the original schema allowed on these tables is replaced by the
+-- policies below; the restrictive active-user policy stays
+do $$
+declare
+  r record;
+begin
+  for r in
+    select tablename, policyname from pg_policies
+     where schemaname = 'public'
+       and permissive = 'PERMISSIVE'
+       and tablename in ('orders', 'sales', 'stock_holds', 'stock_adjustments', 'purchases', 'pipeline_purchases', 'customers', 'suppliers', 'products', 'exchange_rates')
+  loop
+    execute format('drop policy %I on public.%I', r.policyname, r.tablename);
+  end loop;
+end;
+$$;
+
+alter table public.sales enable row level security;
+alter table public.stock_holds enable row level security;
+alter table public.stock_adjustments enable row level security;
+alter table public.purchases enable row level security;
+alter table public.pipeline_purchases enable row level security;
+alter table public.customers enable row level security;
+alter table public.suppliers enable row level security;
+
+-- Orders and their lines. Converting a hold writes a sale (and, for a new
+-- order, the order) and deletes the hold; reverting does the opposite.
+create policy orders_select on public.orders
+  for select to authenticated using (true);
+create policy orders_insert on public.orders
+  for insert to authenticated with check (public.has_permission('create_sale') or public.has_permission('convert_hold'));
+create policy orders_update on public.orders
+  for update to authenticated using (public.has_permission('create_sale')) with check (public.has_permission('create_sale'));
+
+create policy sales_select on public.sales
+  for select to authenticated using (true);
+create policy sales_insert on public.sales
+  for insert to authenticated with check (public.has_permission('create_sale') or (public.has_permission('convert_hold') and converted_from = 'stockHold'));
+create policy sales_update on public.sales
+  for update to authenticated using (public.has_permission('create_sale')) with check (public.has_permission('create_sale'));
+
+create policy stock_holds_select on public.stock_holds
+  for select to authenticated using (true);
+create policy stock_holds_insert on public.stock_holds
+  for insert to authenticated with check (public.has_permission('create_sale') or (public.has_permission('convert_hold') and reverted_from = 'sale'));
+create policy stock_holds_update on public.stock_holds
+  for update to authenticated using (public.has_permission('create_sale')) with check (public.has_permission('create_sale'));
+
+-- Deletes, conversions and reversions run with their functions' owner rights
+-- (clients hold no delete privilege), so these decide who may run them
+create or replace function public.may_delete(p_table text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when p_table in ('customers', 'suppliers', 'exchange_rates') then public.has_permission('manage_master_data') and public.has_permission('delete')
+    else public.has_permission('delete')
+  end;
+$$;
+
+create or replace function public.may_convert_holds()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_permission('convert_hold');
+$$;
+
+create or replace function public.may_revert_sales()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.has_permission('convert_hold');
+$$;
+
+-- Reverting an order's last line removes the order, which the reverting role may not delete itself
+alter function public.remove_empty_order() security definer set search_path = public;
+
+-- Samples and write-offs
+create policy stock_adjustments_select on public.stock_adjustments
+  for select to authenticated using (public.has_permission('view_costs'));
+create policy stock_adjustments_insert on public.stock_adjustments
+  for insert to authenticated with check (public.has_permission('record_sample'));
+create policy stock_adjustments_update on public.stock_adjustments
+  for update to authenticated using (public.has_permission('record_sample')) with check (public.has_permission('record_sample'));
+
+-- Purchases and pipeline orders
+create policy purchases_select on public.purchases
+  for select to authenticated using (public.has_permission('view_costs'));
+create policy purchases_insert on public.purchases
+  for insert to authenticated with check (public.has_permission('record_purchase'));
+create policy purchases_update on public.purchases
+  for update to authenticated using (public.has_permission('record_purchase')) with check (public.has_permission('record_purchase'));
+
+create policy pipeline_purchases_select on public.pipeline_purchases
+  for select to authenticated using (public.has_permission('view_costs'));
+create policy pipeline_purchases_insert on public.pipeline_purchases
+  for insert to authenticated with check (public.has_permission('record_purchase'));
+create policy pipeline_purchases_update on public.pipeline_purchases
+  for update to authenticated using (public.has_permission('record_purchase')) with check (public.has_permission('record_purchase'));
+
+-- Master data
+create policy customers_select on public.customers
+  for select to authenticated using (true);
+create policy customers_insert on public.customers
+  for insert to authenticated with check (public.has_permission('manage_master_data'));
+create policy customers_update on public.customers
+  for update to authenticated using (public.has_permission('manage_master_data')) with check (public.has_permission('manage_master_data'));
+
+create policy suppliers_select on public.suppliers
+  for select to authenticated using (true);
+create policy suppliers_insert on public.suppliers
+  for insert to authenticated with check (public.has_permission('manage_master_data'));
+create policy suppliers_update on public.suppliers
+  for update to authenticated using (public.has_permission('manage_master_data')) with check (public.has_permission('manage_master_data'));
+
+create policy products_select on public.products
+  for select to authenticated using (true);
+create policy products_write on public.products
+  for all to authenticated using (public.has_permission('manage_master_data')) with check (public.has_permission('manage_master_data'));
+
+create policy exchange_rates_select on public.exchange_rates
+  for select to authenticated using (true);
+create policy exchange_rates_insert on public.exchange_rates
+  for insert to authenticated with check (public.has_permission('manage_master_data'));
+create policy exchange_rates_update on public.exchange_rates
+  for update to authenticated using (public.has_permission('manage_master_data')) with check (public.has_permission('manage_master_data'));
+
+-- Documents are only written by issue_document() and attach_document_pdf(),
+-- which run with their owner's rights
+create or replace function public.require_sale_permission()
+returns trigger
+language plpgsql
+as $$
+begin
+  if not public.has_permission('create_sale') then
+    raise exception 'Your role does not allow issuing invoices or pro-formas';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists documents_require_permission on public.documents;
+create trigger documents_require_permission
+  before insert or update on public.documents
+  for each row execute function public.require_sale_permission();
+
+-- ==================== COSTS ====================
+
+-- A role that cannot see purchase costs cannot work out what a sample cost
+-- either, so its samples are costed here from the batch's latest purchase.
+create or replace function public.stock_adjustment_cost()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_purchase public.purchases;
+begin
+  if public.has_permission('view_costs') then
+    return new;
+  end if;
+
+  select * into v_purchase
+    from purchases
+   where size = new.size and batch_number = new.batch_number
+   order by created_at desc
+   limit 1;
+
+  new.cost_per_pack := coalesce(v_purchase.cost, 0);
+  new.currency := coalesce(v_purchase.currency, 'EUR');
+  new.total_cost := new.units * new.cost_per_pack;
+  return new;
+end;
+$$;
+
+drop trigger if exists stock_adjustments_cost on public.stock_adjustments;
+create trigger stock_adjustments_cost
+  before insert or update on public.stock_adjustments
+  for each row execute function public.stock_adjustment_cost();
+
+-- Nor can it see the samples it edits, so an update through the table would
+-- match no row; it edits them here. The cost columns are left to
+-- stock_adjustment_cost, and the row comes back without them.
+create or replace function public.update_stock_adjustment(p_id bigint, p_changes jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_changes public.stock_adjustments := jsonb_populate_record(null::public.stock_adjustments, p_changes);
+  v_row public.stock_adjustments;
+begin
+  if not public.has_permission('record_sample') then
+    raise exception 'Your role does not allow recording samples';
+  end if;
+
+  update stock_adjustments
+     set batch_number = v_changes.batch_number,
+         units = v_changes.units,
+         vials = v_changes.vials,
+         reason = v_changes.reason,
+         recipient = v_changes.recipient,
+         notes = v_changes.notes,
+         adjustment_date = v_changes.adjustment_date,
+         modified_by = v_changes.modified_by
+   where id = p_id
+  returning * into v_row;
+  if not found then
+    raise exception 'Sample not found';
+  end if;
+
+  return to_jsonb(v_row) - 'cost_per_pack' - 'total_cost';
+end;
+$$;
+
+revoke all on function public.update_stock_adjustment(bigint, jsonb) from public, anon;
+grant execute on function public.update_stock_adjustment(bigint, jsonb) to authenticated;
+
+-- (Re)creates the *_without_costs views from the tables' current columns.
+-- Run it again after adding a column to one of these tables.
+create or replace function public.refresh_cost_free_views()
+returns void
+language plpgsql
+as $$
+declare
+  t text;
+  v_costs text[];
+  v_cols text;
+begin
+  for t, v_costs in
+    select * from (values
+      ('purchases', array['cost']),
+      ('pipeline_purchases', array['price', 'total_value']),
+      ('stock_adjustments', array['cost_per_pack', 'total_cost'])
+    ) v
+  loop
+    select string_agg(format('%I', column_name), ', ' order by ordinal_position) into v_cols
+      from information_schema.columns
+     where table_schema = 'public' and table_name = t and column_name <> all (v_costs);
+
+    -- Owned by the migration role, so reading a view bypasses the cost-only select
+    -- policy; the view checks for an active user itself instead
+    execute format('drop view if exists public.%I', t || '_without_costs');
+    execute format('create view public.%I as select %s from public.%I where public.is_active_user()', t || '_without_costs', v_cols, t);
+    execute format('revoke all on public.%I from anon', t || '_without_costs');
+    execute format('grant select on public.%I to authenticated', t || '_without_costs');
+  end loop;
+end;
+$$;
+
+revoke all on function public.refresh_cost_free_views() from public, anon, authenticated;
+
+select public.refresh_cost_free_views();
+
+-- ==================== RPC: USER ROLES ====================
+
+create or replace function public.set_user_role(p_id text, p_role text)
+returns public.users
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user public.users;
+begin
+  if not public.is_admin() then
+    raise exception 'Only administrators can change roles';
+  end if;
+
+  select * into v_user from public.users where id::text = p_id;
+  if not found then
+    raise exception 'User not found';
+  end if;
+  if v_user.username = 'admin' and p_role <> 'admin' then
+    raise exception 'The admin account must keep the admin role';
+  end if;
+  if v_user.auth_id = auth.uid() then
+    raise exception 'You cannot change your own role';
+  end if;
+
+  update public.users set role = p_role where id = v_user.id
+  returning * into v_user;
+
+  return v_user;
+end;
+$$;
+
+grant execute on function public.set_user_role(text, text) to authenticated;
+
+-- ==================== BACKUP / RESTORE ====================
+
+-- Roles travel with backups but are not in backup_tables(): a replace would
+-- have to delete them while users still hold them. They are merged by name
+-- just before the users' roles are put back.
+create or replace function public.restore_snapshot(p_snapshot jsonb, p_mode text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tables text[] := public.backup_tables();
+  t text;
+  i integer;
+  v_rows jsonb;
+  v_cols text;
+  v_updates text;
+  v_seq text;
+  v_count integer;
+  v_summary jsonb := '{}'::jsonb;
+begin
+  if not public.is_admin() then
+    raise exception 'Only an administrator can restore a backup';
+  end if;
+  if p_mode not in ('replace', 'merge') then
+    raise exception 'Unknown restore mode %', p_mode;
+  end if;
+  if p_snapshot ->> 'format' is distinct from 'eurofolic-cims-backup' then
+    raise exception 'This file is not a CIMS backup';
+  end if;
+  if coalesce((p_snapshot ->> 'version')::integer, 0) <> 1 then
+    raise exception 'Backup version % is not supported', p_snapshot ->> 'version';
+  end if;
+
+  perform set_config('cims.audit_reason', format('Restored (%s) from backup taken %s', p_mode, p_snapshot ->> 'created_at'), true);
+  -- Restored pipeline orders bring their history from the backup, so none is logged meanwhile
+  perform set_config('cims.restoring', 'on', true);
+
+  -- Backups taken before a table existed simply leave that table as it is
+  select array_agg(x order by n) into v_tables
+    from unnest(v_tables) with ordinality as u(x, n)
+   where p_snapshot -> 'tables' ? x;
+  if v_tables is null then
+    raise exception 'This backup holds none of the CIMS tables';
+  end if;
+
+  if p_mode = 'replace' then
+    for i in reverse array_length(v_tables, 1) .. 1 loop
+      execute format('delete from public.%I', v_tables[i]);
+    end loop;
+  end if;
+
+  foreach t in array v_tables loop
+    v_rows := p_snapshot -> 'tables' -> t;
+
+    if jsonb_array_length(v_rows) = 0 then
+      v_summary := v_summary || jsonb_build_object(t, 0);
+      continue;
+    end if;
+
+    select string_agg(format('%I', column_name), ', ' order by ordinal_position),
+           string_agg(format('%I = excluded.%I', column_name, column_name), ', ' order by ordinal_position) filter (where column_name <> 'id')
+      into v_cols, v_updates
+      from information_schema.columns
+     where table_schema = 'public' and table_name = t and is_generated = 'NEVER'
+       and column_name in (select jsonb_object_keys(r) from jsonb_array_elements(v_rows) r);
+
+    execute format(
+      'insert into public.%I (%s) overriding system value select %s from jsonb_populate_recordset(null::public.%I, $1) on conflict (id) do update set %s',
+      t, v_cols, v_cols, t, v_updates
+    ) using v_rows;
+    get diagnostics v_count = row_count;
+    v_summary := v_summary || jsonb_build_object(t, v_count);
+
+    -- Rows came back with their original ids; move the id sequence past them
+    v_seq := pg_get_serial_sequence('public.' || t, 'id');
+    if v_seq is not null then
+      execute format('select setval(%L, greatest((select coalesce(max(id), 0) from public.%I), 1))', v_seq, t);
+    end if;
+  end loop;
+
+  -- Roles are only ever added or updated: users still hold the ones in use
+  insert into public.roles (name, label, permissions, created_by, created_at)
+  select s.name, s.label, coalesce(s.permissions, '{}'), s.created_by, s.created_at
+    from jsonb_populate_recordset(null::public.roles, coalesce(p_snapshot -> 'tables' -> 'roles', '[]'::jsonb)) s
+   where s.name <> 'admin'
+  on conflict (name) do update set label = excluded.label, permissions = excluded.permissions
+   where (roles.label, roles.permissions) is distinct from (excluded.label, excluded.permissions);
+  get diagnostics v_count = row_count;
+  v_summary := v_summary || jsonb_build_object('roles', v_count);
+
+  update public.users u
+     set name = s.name, initials = s.initials, role = s.role
+    from jsonb_populate_recordset(null::public.users, coalesce(p_snapshot -> 'tables' -> 'users', '[]'::jsonb)) s
+   where u.id = s.id
+     and u.auth_id is distinct from auth.uid()
+     and (u.name, u.initials, u.role) is distinct from (s.name, s.initials, s.role);
+  get diagnostics v_count = row_count;
+
+  return v_summary || jsonb_build_object('users', v_count);
+end;
+$$;
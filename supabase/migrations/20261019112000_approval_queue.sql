@@ -0,0 +1,416 @@
+-- Four-eyes approval for deletions, reversions and large samples.
+--
+-- Deleting a record, reverting a sale to a stock hold, and recording a sample
+-- or write-off above the limits in app_settings no longer take effect
+-- straight away. Each is saved as a pending request, and a second user whose
+-- role has the new `approve` permission carries it out or rejects it.
+-- Requests keep a thread of comments and, once decided, who decided and the
+-- outcome. Clients can no longer delete business records or revert sales
+-- themselves, and a sample over the limits is refused unless it comes through
+-- an approved request.
+
+-- ==================== PERMISSION ====================
+
+alter table public.roles drop constraint if exists roles_known_permissions;
+alter table public.roles add constraint roles_known_permissions check (permissions <@ array['view_costs', 'create_sale', 'convert_hold', 'record_sample', 'record_purchase', 'delete', 'manage_master_data', 'approve']);
+
+update public.roles
+   set permissions = array_append(permissions, 'approve')
+ where name in ('admin', 'finance') and not permissions @> array['approve'];
+
+-- ==================== LIMITS ====================
+
+-- Samples of more vials, or worth more in euro at the batch's latest purchase
+-- cost, need approval. Null means no limit. Only require_sample_approval asks,
+-- for the row being written: asked of any quantity, the answer would give
+-- away the batch cost to roles that may not see it.
+alter table public.app_settings
+  add column if not exists approval_sample_vials integer check (approval_sample_vials > 0),
+  add column if not exists approval_sample_value numeric check (approval_sample_value > 0);
+
+create or replace function public.sample_needs_approval(p_size text, p_batch_number text, p_units numeric, p_vials numeric, p_date date)
+returns boolean
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_settings public.app_settings;
+  v_purchase public.purchases;
+  v_value numeric;
+begin
+  select * into v_settings from app_settings where id = 1;
+  if v_settings.approval_sample_vials is not null and coalesce(p_vials, 0) > v_settings.approval_sample_vials then
+    return true;
+  end if;
+  if v_settings.approval_sample_value is null then
+    return false;
+  end if;
+
+  select * into v_purchase
+    from purchases
+   where size = p_size and batch_number = p_batch_number
+   order by created_at desc
+   limit 1;
+
+  v_value := coalesce(p_units, 0) * coalesce(v_purchase.cost, 0);
+  if coalesce(v_purchase.currency, 'EUR') <> 'EUR' then
+    v_value := v_value / (
+      select rate from exchange_rates
+       where currency = v_purchase.currency and rate_date <= coalesce(p_date, current_date)
+       order by rate_date desc
+       limit 1
+    );
+  end if;
+  -- A value that cannot be converted to euro is treated as over the limit
+  return v_value is null or v_value > v_settings.approval_sample_value;
+end;
+$$;
+
+revoke all on function public.sample_needs_approval(text, text, numeric, numeric, date) from public, anon, authenticated;
+
+-- Runs after stock_adjustments_cost (triggers fire in name order). The app
+-- sends a sample it refuses for approval instead.
+create or replace function public.require_sample_approval()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if current_setting('cims.audit_reason', true) like 'Restored%'
+     or coalesce(current_setting('cims.approval_id', true), '') <> '' then
+    return new;
+  end if;
+  if tg_op = 'UPDATE'
+     and new.units is not distinct from old.units
+     and new.vials is not distinct from old.vials
+     and new.batch_number is not distinct from old.batch_number then
+    return new;
+  end if;
+  if public.sample_needs_approval(new.size, new.batch_number, new.units, new.vials, new.adjustment_date) then
+    raise exception 'This sample is over the approval limits and must be approved by a second user';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists stock_adjustments_require_approval on public.stock_adjustments;
+create trigger stock_adjustments_require_approval
+  before insert or update on public.stock_adjustments
+  for each row execute function public.require_sample_approval();
+
+-- ==================== REQUESTS ====================
+
+-- kind 'delete' deletes target_table/target_id; 'revert' reverts sale
+-- target_id to a stock hold, with payload { vials }; 'sample' inserts the
+-- stock_adjustments row in payload, or updates target_id with it.
+create table if not exists public.approval_requests (
+  id bigint generated always as identity primary key,
+  kind text not null check (kind in ('delete', 'revert', 'sample')),
+  target_table text not null,
+  target_id text,
+  payload jsonb not null default '{}'::jsonb,
+  summary text not null,
+  reason text not null,
+  status text not null default 'pending' check (status in ('pending', 'approved', 'rejected', 'cancelled')),
+  outcome text,
+  result_id text,
+  requester_auth_id uuid not null,
+  created_by text not null,
+  created_at timestamptz not null default now(),
+  decided_by text,
+  decided_at timestamptz
+);
+
+create index if not exists approval_requests_status_idx on public.approval_requests (status, created_at desc);
+
+create table if not exists public.approval_comments (
+  id bigint generated always as identity primary key,
+  request_id bigint not null references public.approval_requests (id) on delete cascade,
+  body text not null check (trim(body) <> ''),
+  created_by text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists approval_comments_request_idx on public.approval_comments (request_id, created_at);
+
+-- Requesters see their own requests, approvers see them all. Both tables are
+-- written only by the functions below.
+select public.require_active_user('public.approval_requests');
+select public.require_active_user('public.approval_comments');
+
+drop policy if exists approval_requests_select on public.approval_requests;
+create policy approval_requests_select on public.approval_requests
+  for select to authenticated using (requester_auth_id = auth.uid() or public.has_permission('approve'));
+
+drop policy if exists approval_comments_select on public.approval_comments;
+create policy approval_comments_select on public.approval_comments
+  for select to authenticated using (exists (select 1 from public.approval_requests r where r.id = request_id));
+
+-- ==================== DIRECT CHANGES CLOSED ====================
+
+-- Deletes and reversions are carried out by decide_approval() alone
+revoke execute on function public.delete_record(text, text, text, text) from public, anon, authenticated;
+revoke execute on function public.revert_sale_to_hold(text) from public, anon, authenticated;
+
+-- The approver carries them out on the requester's behalf, whatever the
+-- approver's own delete and convert rights; converting a hold still needs
+-- no approval
+create or replace function public.may_delete(p_table text)
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(current_setting('cims.approval_id', true), '') <> '';
+$$;
+
+create or replace function public.may_revert_sales()
+returns boolean
+language sql
+stable
+as $$
+  select coalesce(current_setting('cims.approval_id', true), '') <> '';
+$$;
+
+-- ==================== RPC ====================
+
+create or replace function public.request_approval(
+  p_kind text,
+  p_table text,
+  p_target_id text,
+  p_payload jsonb,
+  p_summary text,
+  p_reason text
+)
+returns public.approval_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.approval_requests;
+  v_found boolean := true;
+  v_payload jsonb := coalesce(p_payload, '{}'::jsonb);
+begin
+  if auth.uid() is null then
+    raise exception 'Not signed in';
+  end if;
+  if coalesce(trim(p_reason), '') = '' then
+    raise exception 'A reason is required';
+  end if;
+
+  if p_kind = 'delete' then
+    if p_table not in ('orders', 'sales', 'purchases', 'customers', 'suppliers', 'pipeline_purchases', 'stock_holds', 'stock_adjustments', 'exchange_rates') then
+      raise exception 'Records cannot be deleted from %', p_table;
+    end if;
+    if not public.has_permission('delete')
+       or (p_table in ('customers', 'suppliers', 'exchange_rates') and not public.has_permission('manage_master_data')) then
+      raise exception 'Your role does not allow deleting these records';
+    end if;
+    execute format('select exists (select 1 from public.%I where id::text = $1)', p_table) using p_target_id into v_found;
+  elsif p_kind = 'revert' then
+    if p_table <> 'sales' then
+      raise exception 'Only sales can be reverted';
+    end if;
+    if not public.has_permission('convert_hold') then
+      raise exception 'Your role does not allow reverting sales';
+    end if;
+    select exists (select 1 from sales where id::text = p_target_id and converted_from = 'stockHold') into v_found;
+  elsif p_kind = 'sample' then
+    if p_table <> 'stock_adjustments' then
+      raise exception 'Only samples can be requested this way';
+    end if;
+    if not public.has_permission('record_sample') then
+      raise exception 'Your role does not allow recording samples';
+    end if;
+    if p_target_id is not null then
+      select exists (select 1 from stock_adjustments where id::text = p_target_id) into v_found;
+    end if;
+    -- Costs the requester cannot see are filled in when the request is carried out
+    if not public.has_permission('view_costs') then
+      v_payload := v_payload - 'cost_per_pack' - 'total_cost' - 'currency';
+    end if;
+  else
+    raise exception 'Unknown request type %', p_kind;
+  end if;
+
+  if not v_found then
+    raise exception 'Record not found';
+  end if;
+  if p_target_id is not null and exists (
+    select 1 from approval_requests
+     where target_table = p_table and target_id = p_target_id and status = 'pending'
+  ) then
+    raise exception 'A request for this record is already waiting for approval';
+  end if;
+
+  insert into approval_requests (kind, target_table, target_id, payload, summary, reason, requester_auth_id, created_by)
+  values (
+    p_kind, p_table, p_target_id, v_payload, coalesce(nullif(trim(p_summary), ''), p_kind || ' ' || p_table), trim(p_reason),
+    auth.uid(), coalesce((select initials from users where auth_id = auth.uid()), 'SYS')
+  )
+  returning * into v_request;
+
+  return v_request;
+end;
+$$;
+
+grant execute on function public.request_approval(text, text, text, jsonb, text, text) to authenticated;
+
+create or replace function public.decide_approval(p_request_id text, p_approve boolean, p_comment text)
+returns public.approval_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.approval_requests;
+  v_initials text := coalesce((select initials from users where auth_id = auth.uid()), 'SYS');
+  v_payload jsonb;
+  v_purchase public.purchases;
+  v_columns text;
+  v_outcome text;
+  v_result_id text;
+  v_count integer;
+begin
+  if not public.has_permission('approve') then
+    raise exception 'Your role does not allow approving requests';
+  end if;
+
+  select * into v_request from approval_requests where id::text = p_request_id for update;
+  if not found then
+    raise exception 'Request not found';
+  end if;
+  if v_request.status <> 'pending' then
+    raise exception 'This request has already been %', v_request.status;
+  end if;
+  if v_request.requester_auth_id = auth.uid() then
+    raise exception 'A request must be decided by someone other than the requester';
+  end if;
+
+  if not p_approve then
+    if coalesce(trim(p_comment), '') = '' then
+      raise exception 'Give a reason for rejecting the request';
+    end if;
+    v_outcome := 'Rejected';
+  else
+    perform set_config('cims.approval_id', v_request.id::text, true);
+
+    if v_request.kind = 'delete' then
+      perform public.delete_record(v_request.target_table, v_request.target_id, v_request.reason || ' (approved by ' || v_initials || ')');
+      v_outcome := 'Deleted';
+    elsif v_request.kind = 'revert' then
+      select id::text into v_result_id from public.revert_sale_to_hold(v_request.target_id);
+      v_outcome := 'Reverted to stock hold ' || v_result_id;
+    else
+      v_payload := v_request.payload;
+      if not v_payload ? 'cost_per_pack' then
+        select * into v_purchase
+          from purchases
+         where size = v_payload ->> 'size' and batch_number = v_payload ->> 'batch_number'
+         order by created_at desc
+         limit 1;
+        v_payload := v_payload || jsonb_build_object(
+          'cost_per_pack', coalesce(v_purchase.cost, 0),
+          'total_cost', coalesce((v_payload ->> 'units')::numeric, 0) * coalesce(v_purchase.cost, 0),
+          'currency', coalesce(v_purchase.currency, 'EUR')
+        );
+      end if;
+
+      select string_agg(format('%I', key), ', ') into v_columns
+        from jsonb_object_keys(v_payload) as k(key)
+       where key <> 'id'
+         and key in (select column_name from information_schema.columns where table_schema = 'public' and table_name = 'stock_adjustments');
+
+      perform set_config('cims.audit_reason', 'Approved by ' || v_initials || ': ' || v_request.reason, true);
+      if v_request.target_id is null then
+        execute format('insert into public.stock_adjustments (%1$s) select %1$s from jsonb_populate_record(null::public.stock_adjustments, $1) returning id::text', v_columns)
+          using v_payload into v_result_id;
+        v_outcome := 'Recorded as sample ' || v_result_id;
+      else
+        execute format('update public.stock_adjustments set (%1$s) = (select %1$s from jsonb_populate_record(null::public.stock_adjustments, $1)) where id::text = $2', v_columns)
+          using v_payload, v_request.target_id;
+        get diagnostics v_count = row_count;
+        if v_count = 0 then
+          raise exception 'Record not found';
+        end if;
+        v_result_id := v_request.target_id;
+        v_outcome := 'Sample updated';
+      end if;
+    end if;
+  end if;
+
+  update approval_requests
+     set status = case when p_approve then 'approved' else 'rejected' end,
+         outcome = v_outcome,
+         result_id = v_result_id,
+         decided_by = v_initials,
+         decided_at = now()
+   where id = v_request.id
+  returning * into v_request;
+
+  if coalesce(trim(p_comment), '') <> '' then
+    insert into approval_comments (request_id, body, created_by) values (v_request.id, trim(p_comment), v_initials);
+  end if;
+
+  return v_request;
+end;
+$$;
+
+grant execute on function public.decide_approval(text, boolean, text) to authenticated;
+
+create or replace function public.cancel_approval(p_request_id text)
+returns public.approval_requests
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request public.approval_requests;
+begin
+  update approval_requests
+     set status = 'cancelled',
+         outcome = 'Withdrawn',
+         decided_by = coalesce((select initials from users where auth_id = auth.uid()), 'SYS'),
+         decided_at = now()
+   where id::text = p_request_id and requester_auth_id = auth.uid() and status = 'pending'
+  returning * into v_request;
+  if not found then
+    raise exception 'Only your own pending requests can be withdrawn';
+  end if;
+  return v_request;
+end;
+$$;
+
+grant execute on function public.cancel_approval(text) to authenticated;
+
+create or replace function public.comment_on_approval(p_request_id text, p_body text)
+returns public.approval_comments
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_comment public.approval_comments;
+  v_request_id bigint;
+begin
+  select id into v_request_id
+    from approval_requests
+   where id::text = p_request_id and (requester_auth_id = auth.uid() or public.has_permission('approve'));
+  if not found then
+    raise exception 'Request not found';
+  end if;
+  if coalesce(trim(p_body), '') = '' then
+    raise exception 'The comment is empty';
+  end if;
+
+  insert into approval_comments (request_id, body, created_by)
+  values (v_request_id, trim(p_body), coalesce((select initials from users where auth_id = auth.uid()), 'SYS'))
+  returning * into v_comment;
+  return v_comment;
+end;
+$$;
+
+grant execute on function public.comment_on_approval(text, text) to authenticated;
@@ -0,0 +1,83 @@
+-- Realtime sync between users.
+--
+-- Every business table is added to the supabase_realtime publication, so
+-- each signed-in client hears about inserts, updates and deletes as they
+-- happen. Realtime applies the tables' row-level security to each listener.
+-- Roles without view_costs may not read purchases, pipeline orders and
+-- samples, so changes to those tables are also broadcast without their cost
+-- columns on the private 'cost-free-changes' topic. Who is online is shared
+-- through presence on the private 'online-users' topic. Both topic names
+-- must match src/realtime.js.
+
+-- ==================== PUBLICATION ====================
+
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['orders', 'sales', 'purchases', 'customers', 'suppliers', 'pipeline_purchases', 'stock_holds',
+                           'stock_adjustments', 'products', 'app_settings', 'exchange_rates', 'documents', 'approval_requests'] loop
+    if not exists (select 1 from pg_publication_tables where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = t) then
+      execute format('alter publication supabase_realtime add table public.%I', t);
+    end if;
+  end loop;
+end;
+$$;
+
+-- ==================== COST-FREE BROADCAST ====================
+
+-- Trigger arguments name the cost columns to leave out, as in refresh_cost_free_views()
+create or replace function public.broadcast_cost_free_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform realtime.send(
+    jsonb_build_object(
+      'table', tg_table_name,
+      'type', tg_op,
+      'record', case when tg_op = 'DELETE' then null else to_jsonb(new) - tg_argv end,
+      'old_record', case when tg_op = 'DELETE' then jsonb_build_object('id', old.id) else null end
+    ),
+    'change',
+    'cost-free-changes',
+    true
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists purchases_broadcast_cost_free on public.purchases;
+create trigger purchases_broadcast_cost_free
+  after insert or update or delete on public.purchases
+  for each row execute function public.broadcast_cost_free_change('cost');
+
+drop trigger if exists pipeline_purchases_broadcast_cost_free on public.pipeline_purchases;
+create trigger pipeline_purchases_broadcast_cost_free
+  after insert or update or delete on public.pipeline_purchases
+  for each row execute function public.broadcast_cost_free_change('price', 'total_value');
+
+drop trigger if exists stock_adjustments_broadcast_cost_free on public.stock_adjustments;
+create trigger stock_adjustments_broadcast_cost_free
+  after insert or update or delete on public.stock_adjustments
+  for each row execute function public.broadcast_cost_free_change('cost_per_pack', 'total_cost');
+
+-- ==================== CHANNEL ACCESS ====================
+
+-- Private topics are open to active users only
+drop policy if exists cost_free_changes_listen on realtime.messages;
+create policy cost_free_changes_listen on realtime.messages
+  for select to authenticated
+  using (realtime.topic() = 'cost-free-changes' and extension = 'broadcast' and public.is_active_user());
+
+drop policy if exists online_users_listen on realtime.messages;
+create policy online_users_listen on realtime.messages
+  for select to authenticated
+  using (realtime.topic() = 'online-users' and extension = 'presence' and public.is_active_user());
+
+drop policy if exists online_users_track on realtime.messages;
+create policy online_users_track on realtime.messages
+  for insert to authenticated
+  with check (realtime.topic() = 'online-users' and extension = 'presence' and public.is_active_user());
@@ -0,0 +1,724 @@
+-- Stock figures, report totals and paged lists.
+--
+-- The app no longer reads the movement history at startup. Stock per batch,
+-- the batch valuation, the per-size figures on the dashboard, customer totals
+-- and the report totals and breakdowns are all worked out here, over every
+-- row, and the app reads its lists a page at a time. Amounts are converted
+-- with the same rule as src/currency.js: through the euro at the latest rate
+-- on or before each record's own date. A record's date is its own date or,
+-- where that is empty, the (UTC) day it was entered, as in the app. The year
+-- filters compare that date with a range, so the expression indexes below
+-- serve them.
+
+-- ==================== INDEXES ====================
+
+create index if not exists sales_sale_date_idx on public.sales (sale_date desc, created_at desc);
+create index if not exists sales_size_idx on public.sales (size);
+create index if not exists sales_customer_id_idx on public.sales (customer_id);
+create index if not exists purchases_purchase_date_idx on public.purchases (purchase_date desc, created_at desc);
+create index if not exists purchases_size_idx on public.purchases (size);
+create index if not exists stock_adjustments_adjustment_date_idx on public.stock_adjustments (adjustment_date desc, created_at desc);
+create index if not exists stock_adjustments_size_idx on public.stock_adjustments (size);
+create index if not exists sales_report_date_idx on public.sales ((coalesce(sale_date, (created_at at time zone 'UTC')::date)));
+create index if not exists purchases_report_date_idx on public.purchases ((coalesce(purchase_date, (created_at at time zone 'UTC')::date)));
+create index if not exists stock_adjustments_report_date_idx on public.stock_adjustments ((coalesce(adjustment_date, (created_at at time zone 'UTC')::date)));
+create index if not exists exchange_rates_currency_date_idx on public.exchange_rates (currency, rate_date desc);
+create index if not exists orders_order_date_idx on public.orders (order_date desc, id desc);
+create index if not exists stock_holds_size_idx on public.stock_holds (size, created_at desc);
+create index if not exists pipeline_purchases_status_idx on public.pipeline_purchases (status, expected_date);
+
+-- ==================== CONVERSION ====================
+
+-- Units of p_currency per euro on p_date, or null when no rate is on file that early
+create or replace function public.rate_on(p_currency text, p_date date)
+returns numeric
+language sql
+stable
+set search_path = public
+as $$
+  select case
+    when coalesce(p_currency, 'EUR') = 'EUR' then 1::numeric
+    else (select rate from public.exchange_rates
+           where currency = p_currency and rate_date <= p_date
+           order by rate_date desc limit 1)
+  end;
+$$;
+
+-- Convert through the euro; null when either rate is missing
+create or replace function public.convert_amount(p_amount numeric, p_from text, p_to text, p_date date)
+returns numeric
+language sql
+stable
+set search_path = public
+as $$
+  select case
+    when coalesce(p_from, 'EUR') = coalesce(p_to, 'EUR') then coalesce(p_amount, 0)
+    else coalesce(p_amount, 0) / nullif(public.rate_on(p_from, p_date), 0) * public.rate_on(p_to, p_date)
+  end;
+$$;
+
+grant execute on function public.rate_on(text, date) to authenticated;
+grant execute on function public.convert_amount(numeric, text, text, date) to authenticated;
+
+-- ==================== STOCK VALUATION ====================
+
+-- The batch valuation behind every stock value, cost of goods sold and margin
+-- the app shows, over every movement. Each batch is a cost pool fed by its
+-- deliveries in date order, same-day deliveries before the day's draws, and
+-- drawn FIFO or at its running average cost as app_settings.valuation_method
+-- says. Vials a batch never had are costed at its latest delivery price.
+-- Purchase costs are converted to p_currency at each purchase's date; one
+-- without a rate counts as zero. Returns a 'sale' or 'adjustment' row with
+-- the cost of each draw, and a 'batch' row with the value left in each batch.
+-- Only called from the functions below, which decide who may see costs.
+create or replace function public.inventory_valuation(p_currency text)
+returns table (entry text, record_id bigint, size text, batch_number text, amount numeric)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  v_method text := coalesce((select valuation_method from public.app_settings where id = 1), 'fifo');
+  e record;
+  v_size text;
+  v_batch text;
+  v_lot_vials numeric[];
+  v_lot_costs numeric[];
+  v_head integer;
+  v_vials numeric;
+  v_value numeric;
+  v_lots_value numeric;
+  v_last_cost numeric;
+  v_draw numeric;
+  v_covered numeric;
+  v_remaining numeric;
+  v_take numeric;
+  v_cost numeric;
+begin
+  for e in
+    select m.*, coalesce(p.vials_per_pack, 1) as vials_per_pack
+      from (
+        select 'delivery' as kind, pu.id, pu.size, pu.batch_number, pu.units,
+               public.convert_amount(pu.cost, pu.currency, p_currency, coalesce(pu.purchase_date, (pu.created_at at time zone 'UTC')::date)) as unit_cost,
+               coalesce(pu.purchase_date, (pu.created_at at time zone 'UTC')::date) as day,
+               0 as step, pu.created_at
+          from public.purchases pu
+        union all
+        select 'sale', s.id, s.size, s.batch_number, s.units, null,
+               coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date), 1, s.created_at
+          from public.sales s
+        union all
+        select 'adjustment', a.id, a.size, a.batch_number, a.units, null,
+               coalesce(a.adjustment_date, (a.created_at at time zone 'UTC')::date), 1, a.created_at
+          from public.stock_adjustments a
+      ) m
+      left join public.products p on p.code = m.size
+     where coalesce(m.batch_number, '') <> ''
+     order by m.size, m.batch_number, m.day, m.step, m.created_at
+  loop
+    if v_batch is distinct from e.batch_number or v_size is distinct from e.size then
+      if v_batch is not null then
+        entry := 'batch'; record_id := null; size := v_size; batch_number := v_batch;
+        amount := case when v_method = 'weighted_average' then v_value else v_lots_value end;
+        return next;
+      end if;
+      v_size := e.size;
+      v_batch := e.batch_number;
+      v_lot_vials := '{}';
+      v_lot_costs := '{}';
+      v_head := 1;
+      v_vials := 0;
+      v_value := 0;
+      v_lots_value := 0;
+      v_last_cost := 0;
+    end if;
+
+    v_draw := e.units * e.vials_per_pack;
+    if e.kind = 'delivery' then
+      v_cost := coalesce(e.unit_cost, 0) / e.vials_per_pack;
+      v_lot_vials := v_lot_vials || v_draw;
+      v_lot_costs := v_lot_costs || v_cost;
+      v_vials := v_vials + v_draw;
+      v_value := v_value + v_draw * v_cost;
+      v_lots_value := v_lots_value + v_draw * v_cost;
+      v_last_cost := v_cost;
+      continue;
+    end if;
+
+    v_covered := least(v_draw, greatest(v_vials, 0));
+    if v_method = 'weighted_average' then
+      v_cost := case when v_vials > 0 then v_covered * (v_value / v_vials) else 0 end;
+    else
+      v_cost := 0;
+      v_remaining := v_covered;
+      while v_remaining > 0 and v_head <= coalesce(array_length(v_lot_vials, 1), 0) loop
+        v_take := least(v_lot_vials[v_head], v_remaining);
+        v_cost := v_cost + v_take * v_lot_costs[v_head];
+        v_lots_value := v_lots_value - v_take * v_lot_costs[v_head];
+        v_lot_vials[v_head] := v_lot_vials[v_head] - v_take;
+        v_remaining := v_remaining - v_take;
+        if v_lot_vials[v_head] <= 0 then
+          v_head := v_head + 1;
+        end if;
+      end loop;
+    end if;
+    v_cost := v_cost + (v_draw - v_covered) * v_last_cost;
+    v_vials := v_vials - v_draw;
+    v_value := v_value - v_cost;
+
+    entry := e.kind; record_id := e.id; size := e.size; batch_number := e.batch_number; amount := v_cost;
+    return next;
+  end loop;
+
+  if v_batch is not null then
+    entry := 'batch'; record_id := null; size := v_size; batch_number := v_batch;
+    amount := case when v_method = 'weighted_average' then v_value else v_lots_value end;
+    return next;
+  end if;
+end;
+$$;
+
+revoke all on function public.inventory_valuation(text) from public, anon, authenticated;
+
+-- ==================== STOCK POSITION ====================
+
+-- Packs purchased, sold and sampled per batch, with the supplier, expiry and
+-- cost of its first delivery as buildBatchLedger in src/inventory.js takes
+-- them; the app builds its batch ledger from these.
+-- The cost is left out for roles without view_costs.
+create or replace function public.stock_batches()
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(jsonb_agg(jsonb_build_object(
+           'size', b.size,
+           'batch_number', b.batch_number,
+           'supplier', d.supplier,
+           'expiry_date', d.expiry_date,
+           'cost', case when public.has_permission('view_costs') then d.cost end,
+           'currency', d.currency,
+           'purchased', b.purchased,
+           'sold', b.sold,
+           'adjusted', b.adjusted
+         ) order by b.size, b.batch_number), '[]'::jsonb)
+    from (
+      select m.size, m.batch_number, sum(m.purchased) as purchased, sum(m.sold) as sold, sum(m.adjusted) as adjusted
+        from (
+          select size, batch_number, units as purchased, 0::numeric as sold, 0::numeric as adjusted from public.purchases
+          union all
+          select size, batch_number, 0, units, 0 from public.sales
+          union all
+          select size, batch_number, 0, 0, units from public.stock_adjustments
+        ) m
+       where coalesce(m.batch_number, '') <> ''
+       group by m.size, m.batch_number
+    ) b
+    left join lateral (
+      select pu.supplier, pu.expiry_date, pu.cost, pu.currency
+        from public.purchases pu
+       where pu.size = b.size and pu.batch_number = b.batch_number
+       order by pu.created_at, pu.id
+       limit 1
+    ) d on true
+   where public.is_active_user();
+$$;
+
+revoke all on function public.stock_batches() from public, anon;
+grant execute on function public.stock_batches() to authenticated;
+
+-- The dashboard figures, in the reporting currency of app_settings. Per size:
+-- packs purchased, sold and sampled, revenue, and vials sold or sampled per
+-- month over the p_months months up to p_as_of (expiry write-offs are losses,
+-- not demand). With view_costs also cost of goods sold, stock value, the cost
+-- of samples and the value of each batch. Then the vials still to come on
+-- open pipeline orders, revenue per year and end destination, the years with
+-- any movement, each customer's orders and revenue, and the dates and
+-- currencies of sales (and, with view_costs, purchases) that have no rate to
+-- convert them.
+create or replace function public.stock_figures(p_as_of date, p_months integer)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_currency text := coalesce((select reporting_currency from public.app_settings where id = 1), 'EUR');
+  v_costs boolean := public.has_permission('view_costs');
+  v_since date := (p_as_of - make_interval(months => p_months))::date;
+  v_sizes jsonb;
+  v_batches jsonb;
+  v_pipeline jsonb;
+  v_destinations jsonb;
+  v_years jsonb;
+  v_customers jsonb;
+  v_missing jsonb;
+begin
+  if not public.is_active_user() then
+    raise exception 'Not signed in';
+  end if;
+
+  with valuation as materialized (
+    select * from public.inventory_valuation(v_currency) where v_costs
+  ),
+  costs as (
+    select v.size,
+           sum(v.amount) filter (where v.entry = 'sale') as cogs,
+           sum(v.amount) filter (where v.entry = 'adjustment') as adjusted_value,
+           sum(v.amount) filter (where v.entry = 'batch') as stock_value
+      from valuation v
+     group by v.size
+  ),
+  moves as (
+    select size, units as purchased, 0::numeric as sold, 0::numeric as adjusted, 0::numeric as revenue, 0::numeric as consumed
+      from public.purchases
+    union all
+    select size, 0, units, 0,
+           coalesce(public.convert_amount(units * price, currency, v_currency, coalesce(sale_date, (created_at at time zone 'UTC')::date)), 0),
+           case when coalesce(sale_date, (created_at at time zone 'UTC')::date) > v_since
+                 and coalesce(sale_date, (created_at at time zone 'UTC')::date) <= p_as_of then units else 0 end
+      from public.sales
+    union all
+    -- Must match EXPIRED_WRITE_OFF_REASON in src/inventory.js
+    select size, 0, 0, units, 0,
+           case when reason is distinct from 'Expired/Destroyed'
+                 and coalesce(adjustment_date, (created_at at time zone 'UTC')::date) > v_since
+                 and coalesce(adjustment_date, (created_at at time zone 'UTC')::date) <= p_as_of then units else 0 end
+      from public.stock_adjustments
+  ),
+  totals as (
+    select size, sum(purchased) as purchased, sum(sold) as sold, sum(adjusted) as adjusted, sum(revenue) as revenue, sum(consumed) as consumed
+      from moves
+     group by size
+  )
+  select (select coalesce(jsonb_agg(jsonb_build_object(
+                   'size', t.size,
+                   'purchased', t.purchased,
+                   'sold', t.sold,
+                   'adjusted', t.adjusted,
+                   'revenue', t.revenue,
+                   'monthly_vials', t.consumed * coalesce(p.vials_per_pack, 1) / p_months,
+                   'cogs', case when v_costs then coalesce(c.cogs, 0) end,
+                   'adjusted_value', case when v_costs then coalesce(c.adjusted_value, 0) end,
+                   'stock_value', case when v_costs then coalesce(c.stock_value, 0) end
+                 )), '[]'::jsonb)
+            from totals t
+            left join costs c on c.size = t.size
+            left join public.products p on p.code = t.size),
+         (select coalesce(jsonb_agg(jsonb_build_object('size', v.size, 'batch_number', v.batch_number, 'value', v.amount)), '[]'::jsonb)
+            from valuation v
+           where v.entry = 'batch' and v.amount <> 0)
+    into v_sizes, v_batches;
+
+  -- Must match isPipelineOpen in src/App.jsx
+  select coalesce(jsonb_agg(jsonb_build_object(
+           'size', pp.size,
+           'expected_date', pp.expected_date,
+           'vials', greatest(0, pp.units - coalesce(r.units, 0)) * coalesce(p.vials_per_pack, 1)
+         ) order by pp.expected_date), '[]'::jsonb)
+    into v_pipeline
+    from public.pipeline_purchases pp
+    left join (select pipeline_purchase_id, sum(units) as units
+                 from public.purchases
+                where pipeline_purchase_id is not null
+                group by pipeline_purchase_id) r on r.pipeline_purchase_id = pp.id
+    left join public.products p on p.code = pp.size
+   where pp.status not in ('Received', 'Cancelled');
+
+  select coalesce(jsonb_agg(jsonb_build_object('year', d.year, 'destination', d.destination, 'revenue', d.revenue)), '[]'::jsonb)
+    into v_destinations
+    from (
+      select extract(year from coalesce(sale_date, (created_at at time zone 'UTC')::date))::integer as year,
+             coalesce(nullif(end_destination, ''), nullif(country, ''), 'Unknown') as destination,
+             sum(coalesce(public.convert_amount(units * price, currency, v_currency, coalesce(sale_date, (created_at at time zone 'UTC')::date)), 0)) as revenue
+        from public.sales
+       group by 1, 2
+    ) d;
+
+  select coalesce(jsonb_agg(y.year order by y.year desc), '[]'::jsonb)
+    into v_years
+    from (
+      select extract(year from coalesce(sale_date, (created_at at time zone 'UTC')::date))::integer as year from public.sales
+      union
+      select extract(year from coalesce(purchase_date, (created_at at time zone 'UTC')::date))::integer from public.purchases
+      union
+      select extract(year from coalesce(adjustment_date, (created_at at time zone 'UTC')::date))::integer from public.stock_adjustments
+    ) y;
+
+  -- Orders and sales are a customer's by customer_id or, on older rows
+  -- without one, by name, as belongsToCustomer in src/App.jsx matches them
+  with customer_orders as (
+    select c.id as customer_id, o.order_date
+      from public.orders o join public.customers c on c.id::text = o.customer_id::text
+    union all
+    select c.id, o.order_date
+      from public.orders o join public.customers c on lower(trim(c.name)) = lower(trim(o.customer))
+     where o.customer_id is null
+  ),
+  customer_sales as (
+    select c.id as customer_id, s.sale_date,
+           coalesce(public.convert_amount(s.units * s.price, s.currency, v_currency, coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date)), 0) as revenue
+      from public.sales s join public.customers c on c.id::text = s.customer_id::text
+    union all
+    select c.id, s.sale_date,
+           coalesce(public.convert_amount(s.units * s.price, s.currency, v_currency, coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date)), 0)
+      from public.sales s join public.customers c on lower(trim(c.name)) = lower(trim(s.customer))
+     where s.customer_id is null
+  )
+  select coalesce(jsonb_agg(jsonb_build_object(
+           'customer_id', c.id,
+           'orders', coalesce(o.orders, 0),
+           'last_order_date', coalesce(o.last_order_date, s.last_sale_date),
+           'revenue', coalesce(s.revenue, 0)
+         )), '[]'::jsonb)
+    into v_customers
+    from public.customers c
+    left join (select customer_id, count(*) as orders, max(order_date) as last_order_date
+                 from customer_orders group by customer_id) o on o.customer_id = c.id
+    left join (select customer_id, sum(revenue) as revenue, max(sale_date) as last_sale_date
+                 from customer_sales group by customer_id) s on s.customer_id = c.id;
+
+  select coalesce(jsonb_agg(jsonb_build_object('currency', g.currency, 'date', g.day, 'records', g.records) order by g.day, g.currency), '[]'::jsonb)
+    into v_missing
+    from (
+      select x.currency, x.day, count(*) as records
+        from (
+          select currency, coalesce(sale_date, (created_at at time zone 'UTC')::date) as day, units * price as amount
+            from public.sales
+          union all
+          select currency, coalesce(purchase_date, (created_at at time zone 'UTC')::date), units * cost
+            from public.purchases
+           where v_costs
+        ) x
+       where public.convert_amount(x.amount, x.currency, v_currency, x.day) is null
+       group by x.currency, x.day
+    ) g;
+
+  return jsonb_build_object(
+    'sizes', v_sizes,
+    'batch_values', v_batches,
+    'pipeline', v_pipeline,
+    'destinations', v_destinations,
+    'years', v_years,
+    'customers', v_customers,
+    'missing_rates', v_missing
+  );
+end;
+$$;
+
+revoke all on function public.stock_figures(date, integer) from public, anon;
+grant execute on function public.stock_figures(date, integer) to authenticated;
+
+-- Cost of goods for the given sales (p_table 'sales') or samples
+-- ('stock_adjustments'), keyed by id; empty without view_costs
+create or replace function public.record_costs(p_table text, p_ids bigint[], p_currency text)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_costs jsonb;
+begin
+  if not public.is_active_user() then
+    raise exception 'Not signed in';
+  end if;
+  if not public.has_permission('view_costs') then
+    return '{}'::jsonb;
+  end if;
+
+  select coalesce(jsonb_object_agg(v.record_id::text, v.amount), '{}'::jsonb)
+    into v_costs
+    from public.inventory_valuation(p_currency) v
+   where v.entry = case p_table when 'sales' then 'sale' when 'stock_adjustments' then 'adjustment' end
+     and v.record_id = any(p_ids);
+  return v_costs;
+end;
+$$;
+
+revoke all on function public.record_costs(text, bigint[], text) from public, anon;
+grant execute on function public.record_costs(text, bigint[], text) to authenticated;
+
+-- ==================== REPORT TOTALS ====================
+
+-- Totals for the report filters; a null filter means all. Purchase values
+-- are returned only to roles with view_costs. Records without a rate count
+-- as zero and are counted under `unconverted`.
+create or replace function public.report_totals(p_year integer, p_size text, p_customer_id text, p_currency text)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  -- All years is the unbounded range, so every filter stays a plain range test
+  v_from date := coalesce(make_date(p_year, 1, 1), '-infinity'::date);
+  v_to date := coalesce(make_date(p_year + 1, 1, 1), 'infinity'::date);
+  v_sales jsonb;
+  v_purchases jsonb;
+  v_samples jsonb;
+  v_cogs numeric;
+  v_samples_value numeric;
+begin
+  if not public.is_active_user() then
+    raise exception 'Not signed in';
+  end if;
+
+  select jsonb_build_object(
+           'count', count(*),
+           'vials', coalesce(sum(s.units * p.vials_per_pack), 0),
+           'revenue', coalesce(sum(s.amount), 0),
+           'unconverted', count(*) filter (where s.amount is null)
+         )
+    into v_sales
+    from (select sales.*,
+                 public.convert_amount(units * price, currency, p_currency, coalesce(sale_date, (created_at at time zone 'UTC')::date)) as amount
+            from public.sales
+           where coalesce(sale_date, (created_at at time zone 'UTC')::date) >= v_from
+             and coalesce(sale_date, (created_at at time zone 'UTC')::date) < v_to
+             and (p_size is null or size = p_size)
+             and (p_customer_id is null or customer_id::text = p_customer_id)) s
+    left join public.products p on p.code = s.size;
+
+  select jsonb_build_object(
+           'count', count(*),
+           'total', case when public.has_permission('view_costs') then coalesce(sum(amount), 0) end,
+           'unconverted', case when public.has_permission('view_costs') then count(*) filter (where amount is null) end
+         )
+    into v_purchases
+    from (select public.convert_amount(units * cost, currency, p_currency, coalesce(purchase_date, (created_at at time zone 'UTC')::date)) as amount
+            from public.purchases
+           where coalesce(purchase_date, (created_at at time zone 'UTC')::date) >= v_from
+             and coalesce(purchase_date, (created_at at time zone 'UTC')::date) < v_to
+             and (p_size is null or size = p_size)) pu;
+
+  select jsonb_build_object(
+           'count', count(*),
+           'vials', coalesce(sum(vials), 0)
+         )
+    into v_samples
+    from public.stock_adjustments
+   where coalesce(adjustment_date, (created_at at time zone 'UTC')::date) >= v_from
+     and coalesce(adjustment_date, (created_at at time zone 'UTC')::date) < v_to
+     and (p_size is null or size = p_size);
+
+  -- What the filtered sales and samples took out of stock, at batch cost
+  if public.has_permission('view_costs') then
+    with valuation as materialized (
+      select * from public.inventory_valuation(p_currency)
+    )
+    select (select coalesce(sum(v.amount), 0)
+              from valuation v join public.sales s on s.id = v.record_id
+             where v.entry = 'sale'
+               and coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date) >= v_from
+               and coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date) < v_to
+               and (p_size is null or s.size = p_size)
+               and (p_customer_id is null or s.customer_id::text = p_customer_id)),
+           (select coalesce(sum(v.amount), 0)
+              from valuation v join public.stock_adjustments a on a.id = v.record_id
+             where v.entry = 'adjustment'
+               and coalesce(a.adjustment_date, (a.created_at at time zone 'UTC')::date) >= v_from
+               and coalesce(a.adjustment_date, (a.created_at at time zone 'UTC')::date) < v_to
+               and (p_size is null or a.size = p_size))
+      into v_cogs, v_samples_value;
+  end if;
+
+  return jsonb_build_object(
+    'sales', v_sales || jsonb_build_object('cogs', v_cogs),
+    'purchases', v_purchases,
+    'samples', v_samples || jsonb_build_object('value', v_samples_value)
+  );
+end;
+$$;
+
+revoke all on function public.report_totals(integer, text, text, text) from public, anon;
+grant execute on function public.report_totals(integer, text, text, text) to authenticated;
+
+-- ==================== REPORT BREAKDOWNS ====================
+
+-- One row per order over its sales in the report filters, newest first, a
+-- page at a time (a null p_limit returns every order). Revenue counts sales
+-- without a rate as zero; the cost of goods is left out without view_costs.
+create or replace function public.report_orders(p_year integer, p_size text, p_customer_id text, p_currency text, p_offset integer, p_limit integer)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_from date := coalesce(make_date(p_year, 1, 1), '-infinity'::date);
+  v_to date := coalesce(make_date(p_year + 1, 1, 1), 'infinity'::date);
+  v_costs boolean := public.has_permission('view_costs');
+  v_result jsonb;
+begin
+  if not public.is_active_user() then
+    raise exception 'Not signed in';
+  end if;
+
+  with lines as (
+    select s.id, s.order_id, s.customer, s.end_destination,
+           coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date) as day,
+           s.units * coalesce(p.vials_per_pack, 1) as vials,
+           coalesce(public.convert_amount(s.units * s.price, s.currency, p_currency, coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date)), 0) as revenue
+      from public.sales s
+      left join public.products p on p.code = s.size
+     where coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date) >= v_from
+       and coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date) < v_to
+       and (p_size is null or s.size = p_size)
+       and (p_customer_id is null or s.customer_id::text = p_customer_id)
+  ),
+  costs as (
+    select v.record_id, v.amount
+      from public.inventory_valuation(p_currency) v
+     where v_costs and v.entry = 'sale'
+  ),
+  totals as (
+    select l.order_id, min(l.day) as first_day, min(l.customer) as customer, min(l.end_destination) as end_destination,
+           count(*) as lines, sum(l.vials) as vials, sum(l.revenue) as revenue, coalesce(sum(c.amount), 0) as cogs
+      from lines l
+      left join costs c on c.record_id = l.id
+     group by l.order_id
+  ),
+  page as (
+    select t.*, o.reference, coalesce(o.order_date, t.first_day) as order_date,
+           coalesce(o.customer, t.customer) as order_customer,
+           coalesce(o.end_destination, t.end_destination) as order_destination
+      from totals t
+      left join public.orders o on o.id = t.order_id
+     order by coalesce(o.order_date, t.first_day) desc, t.order_id desc
+    offset coalesce(p_offset, 0)
+     limit p_limit
+  )
+  select jsonb_build_object(
+           'count', (select count(*) from totals),
+           'rows', coalesce((select jsonb_agg(jsonb_build_object(
+                               'id', pg.order_id,
+                               'reference', pg.reference,
+                               'order_date', pg.order_date,
+                               'customer', pg.order_customer,
+                               'end_destination', pg.order_destination,
+                               'lines', pg.lines,
+                               'vials', pg.vials,
+                               'revenue', pg.revenue,
+                               'cogs', case when v_costs then pg.cogs end
+                             ) order by pg.order_date desc, pg.order_id desc)
+                               from page pg), '[]'::jsonb)
+         )
+    into v_result;
+  return v_result;
+end;
+$$;
+
+revoke all on function public.report_orders(integer, text, text, text, integer, integer) from public, anon;
+grant execute on function public.report_orders(integer, text, text, text, integer, integer) to authenticated;
+
+-- Sales, vials, revenue and cost of goods per batch over the sales in the
+-- report filters; empty without view_costs
+create or replace function public.report_batch_margins(p_year integer, p_size text, p_customer_id text, p_currency text)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_from date := coalesce(make_date(p_year, 1, 1), '-infinity'::date);
+  v_to date := coalesce(make_date(p_year + 1, 1, 1), 'infinity'::date);
+  v_result jsonb;
+begin
+  if not public.is_active_user() then
+    raise exception 'Not signed in';
+  end if;
+  if not public.has_permission('view_costs') then
+    return '[]'::jsonb;
+  end if;
+
+  with costs as (
+    select v.record_id, v.amount
+      from public.inventory_valuation(p_currency) v
+     where v.entry = 'sale'
+  )
+  select coalesce(jsonb_agg(jsonb_build_object(
+           'size', b.size,
+           'batch_number', b.batch_number,
+           'count', b.count,
+           'vials', b.vials,
+           'revenue', b.revenue,
+           'cogs', b.cogs
+         ) order by b.size, b.batch_number), '[]'::jsonb)
+    into v_result
+    from (
+      select s.size, s.batch_number, count(*) as count,
+             sum(s.units * coalesce(p.vials_per_pack, 1)) as vials,
+             sum(coalesce(public.convert_amount(s.units * s.price, s.currency, p_currency, coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date)), 0)) as revenue,
+             coalesce(sum(c.amount), 0) as cogs
+        from public.sales s
+        left join public.products p on p.code = s.size
+        left join costs c on c.record_id = s.id
+       where coalesce(s.batch_number, '') <> ''
+         and coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date) >= v_from
+         and coalesce(s.sale_date, (s.created_at at time zone 'UTC')::date) < v_to
+         and (p_size is null or s.size = p_size)
+         and (p_customer_id is null or s.customer_id::text = p_customer_id)
+       group by s.size, s.batch_number
+    ) b;
+  return v_result;
+end;
+$$;
+
+revoke all on function public.report_batch_margins(integer, text, text, text) from public, anon;
+grant execute on function public.report_batch_margins(integer, text, text, text) to authenticated;
+
+-- ==================== CUSTOMER HISTORY ====================
+
+-- Every order, sale and stock hold of one customer, matched by customer_id
+-- or, on older rows without one, by name, and the samples sent to them by
+-- recipient name. Sample costs are left out without view_costs.
+create or replace function public.customer_history(p_customer_id text)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_name text;
+  v_costs boolean := public.has_permission('view_costs');
+begin
+  if not public.is_active_user() then
+    raise exception 'Not signed in';
+  end if;
+
+  select lower(trim(name)) into v_name from public.customers where id::text = p_customer_id;
+  if not found then
+    return null;
+  end if;
+
+  return jsonb_build_object(
+    'orders', (select coalesce(jsonb_agg(to_jsonb(o) order by o.order_date desc, o.id desc), '[]'::jsonb)
+                 from public.orders o
+                where o.customer_id::text = p_customer_id or (o.customer_id is null and lower(trim(o.customer)) = v_name)),
+    'sales', (select coalesce(jsonb_agg(to_jsonb(s) order by s.sale_date desc, s.id desc), '[]'::jsonb)
+                from public.sales s
+               where s.customer_id::text = p_customer_id or (s.customer_id is null and lower(trim(s.customer)) = v_name)),
+    'holds', (select coalesce(jsonb_agg(to_jsonb(h) order by h.created_at desc), '[]'::jsonb)
+                from public.stock_holds h
+               where h.customer_id::text = p_customer_id or (h.customer_id is null and lower(trim(h.customer)) = v_name)),
+    'samples', (select coalesce(jsonb_agg(case when v_costs then to_jsonb(a) else to_jsonb(a) - 'cost_per_pack' - 'total_cost' end
+                                          order by a.created_at desc), '[]'::jsonb)
+                  from public.stock_adjustments a
+                 where lower(trim(a.recipient)) = v_name)
+  );
+end;
+$$;
+
+revoke all on function public.customer_history(text) from public, anon;
+grant execute on function public.customer_history(text) to authenticated;
@@ -0,0 +1,26 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createDatabase, addUser, signIn, SETUP_TIMEOUT_MS } from './database';
+
+let db;
+
+const recordSample = (units) => db.query(
+  `insert into public.stock_adjustments (size, batch_number, units, vials, reason, adjustment_date)
+   values ('5ml', 'B1', $1, $2, 'Sample', '2026-10-01')`, [units, units * 5]);
+
+beforeAll(async () => {
+  db = await createDatabase();
+  await db.query(`insert into public.purchases (size, batch_number, units, cost, currency, purchase_date) values ('5ml', 'B1', 10, 20, 'EUR', '2026-09-01')`);
+  await db.query('update public.app_settings set approval_sample_value = 50 where id = 1');
+  await signIn(db, await addUser(db, 'walt', 'warehouse'));
+}, SETUP_TIMEOUT_MS);
+
+describe('sample approval limits', () => {
+  it('refuse a sample worth more than the limit and let smaller ones through', async () => {
+    await recordSample(2);
+    await expect(recordSample(3)).rejects.toThrow('This sample is over the approval limits and must be approved by a second user');
+  });
+
+  it('cannot be asked about quantities that are not being recorded', async () => {
+    await expect(db.query(`select public.sample_needs_approval('5ml', 'B1', 2.5, 12.5, null)`)).rejects.toThrow('permission denied');
+  });
+});
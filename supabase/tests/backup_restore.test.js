@@ -0,0 +1,28 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createDatabase, addUser, signIn, SETUP_TIMEOUT_MS } from './database';
+
+let db;
+
+const restore = (tables, mode) => db.query('select public.restore_snapshot($1, $2) as summary', [
+  { format: 'eurofolic-cims-backup', version: 1, created_at: '2026-10-19T08:00:00Z', tables },
+  mode
+]);
+
+beforeAll(async () => {
+  db = await createDatabase();
+  await signIn(db, await addUser(db, 'anna', 'admin'));
+}, SETUP_TIMEOUT_MS);
+
+describe('restore_snapshot', () => {
+  it('restores the tables a backup holds and leaves the others as they are', async () => {
+    const { rows } = await restore({ customers: [{ id: 7, name: 'Alpha GmbH', country: 'Germany' }] }, 'merge');
+    expect(rows[0].summary).toEqual({ customers: 1, roles: 0, users: 0 });
+    const { rows: customers } = await db.query('select id, name from public.customers');
+    expect(customers).toEqual([{ id: 7, name: 'Alpha GmbH' }]);
+  });
+
+  it('refuses a backup that holds none of the tables', async () => {
+    await expect(restore({}, 'replace')).rejects.toThrow('This backup holds none of the CIMS tables');
+    await expect(restore({ unknown: [] }, 'merge')).rejects.toThrow('This backup holds none of the CIMS tables');
+  });
+});
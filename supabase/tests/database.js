@@ -0,0 +1,43 @@
+// A database for tests: PGlite with the stand-in for the Supabase platform in
+// platform.sql and every migration applied in filename order, as on a new
+// project. Statements run as the superuser until signIn switches to the
+// authenticated role of an app user, so row-level security and grants apply.
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { PGlite } from '@electric-sql/pglite';
+import { pgcrypto } from '@electric-sql/pglite/contrib/pgcrypto';
+
+const MIGRATIONS = new URL('../migrations/', import.meta.url);
+
+// Loading every migration takes a while in WebAssembly
+export const SETUP_TIMEOUT_MS = 120000;
+
+export const createDatabase = async () => {
+  const db = new PGlite({ extensions: { pgcrypto } });
+  await db.exec(readFileSync(new URL('./platform.sql', import.meta.url), 'utf8'));
+  for (const file of readdirSync(MIGRATIONS).filter(f => f.endsWith('.sql')).sort()) {
+    await db.exec(readFileSync(new URL(file, MIGRATIONS), 'utf8'));
+  }
+  return db;
+};
+
+// Adds an active app user with the given role; returns its auth id
+export const addUser = async (db, username, role) => {
+  const { rows } = await db.query(
+    `insert into public.users (username, name, initials, role, auth_id, must_change_password)
+     values ($1, $1, upper(left($1, 3)), $2, public.create_auth_identity($1, 'password'), false)
+     returning auth_id`,
+    [username, role]
+  );
+  return rows[0].auth_id;
+};
+
+export const signIn = async (db, authId) => {
+  await db.query(`select set_config('request.jwt.claim.sub', $1, false)`, [authId]);
+  await db.exec('set role authenticated');
+};
+
+export const signOut = async (db) => {
+  await db.exec('reset role');
+  await db.query(`select set_config('request.jwt.claim.sub', '', false)`);
+};
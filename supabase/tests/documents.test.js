@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createDatabase, addUser, signIn, signOut, SETUP_TIMEOUT_MS } from './database';
+
+let db;
+let issuer;
+let colleague;
+let holdId;
+
+const issueProforma = async () => {
+  const { rows } = await db.query(`select id from public.issue_document('stock_holds', $1, 2, 'EUR')`, [String(holdId)]);
+  return rows[0].id;
+};
+
+const attach = (id) => db.query(`select public.attach_document_pdf($1, 'JVBERi0=')`, [id]);
+
+beforeAll(async () => {
+  db = await createDatabase();
+  issuer = await addUser(db, 'sam', 'sales');
+  colleague = await addUser(db, 'sue', 'sales');
+  const { rows } = await db.query(`insert into public.stock_holds (customer, size, units, vials) values ('Alpha GmbH', '5ml', 2, 10) returning id`);
+  holdId = rows[0].id;
+}, SETUP_TIMEOUT_MS);
+
+describe('attach_document_pdf', () => {
+  it('stores the PDF once, for the user who issued the document', async () => {
+    await signIn(db, issuer);
+    const id = await issueProforma();
+
+    await signIn(db, colleague);
+    await expect(attach(id)).rejects.toThrow('issued by someone else');
+
+    await signIn(db, issuer);
+    await attach(id);
+    await expect(attach(id)).rejects.toThrow('already stored');
+    const { rows } = await db.query('select pdf from public.documents where id = $1', [id]);
+    expect(rows[0].pdf).toBe('JVBERi0=');
+  });
+
+  it('refuses a user whose role no longer allows issuing documents', async () => {
+    await signIn(db, issuer);
+    const id = await issueProforma();
+    await signOut(db);
+    await db.query(`update public.users set role = 'warehouse' where auth_id = $1`, [issuer]);
+
+    await signIn(db, issuer);
+    await expect(attach(id)).rejects.toThrow('Your role does not allow issuing invoices or pro-formas');
+  });
+
+  it('refuses callers who are not signed in', async () => {
+    await signOut(db);
+    await expect(attach(1)).rejects.toThrow('Sign in to store documents');
+  });
+});
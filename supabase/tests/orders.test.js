@@ -0,0 +1,56 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createDatabase, addUser, signIn, SETUP_TIMEOUT_MS } from './database';
+
+let db;
+
+const saveOrder = async (orderId, header, lines) => {
+  const { rows } = await db.query('select public.save_order($1, $2, $3) as saved', [orderId, header, lines]);
+  return rows[0].saved;
+};
+
+const header = { customer: 'Alpha GmbH', country: 'Germany', order_date: '2026-10-01', currency: 'EUR' };
+const line = (units) => ({ size: '5ml', batch_number: 'B1', units, price: 40 });
+
+beforeAll(async () => {
+  db = await createDatabase();
+  await db.query(`insert into public.purchases (size, batch_number, units, cost, currency, purchase_date) values ('5ml', 'B1', 10, 20, 'EUR', '2026-09-01')`);
+  await signIn(db, await addUser(db, 'sam', 'sales'));
+}, SETUP_TIMEOUT_MS);
+
+describe('invoiced orders', () => {
+  it('can be changed until they are invoiced', async () => {
+    const { order } = await saveOrder(null, header, [line(1)]);
+    const { lines } = await saveOrder(String(order.id), { ...header, reference: 'PO-1' }, [line(1)]);
+    expect(lines).toHaveLength(2);
+  });
+
+  it('refuse new lines and changes to the order or its lines', async () => {
+    const { order, lines } = await saveOrder(null, header, [line(1)]);
+    const { rows } = await db.query(`select number from public.issue_document('orders', $1)`, [String(order.id)]);
+    const refused = `The order is invoiced as ${rows[0].number} and can no longer be changed`;
+
+    await expect(saveOrder(String(order.id), header, [line(1)])).rejects.toThrow(refused);
+    await expect(saveOrder(String(order.id), { ...header, currency: 'USD' }, [])).rejects.toThrow(refused);
+    await expect(db.query('update public.sales set price = 0 where id = $1', [lines[0].id])).rejects.toThrow(refused);
+    await expect(db.query('update public.orders set notes = $2 where id = $1', [order.id, 'changed'])).rejects.toThrow(refused);
+  });
+});
+
+describe('convert_hold_to_sale', () => {
+  const convert = async (orderId, currency, date) => {
+    const { rows: [hold] } = await db.query(`insert into public.stock_holds (customer, size, units, vials) values ('Alpha GmbH', '5ml', 1, 5) returning id`);
+    const { rows } = await db.query('select * from public.convert_hold_to_sale($1, $2, $3, $4, $5, $6)', [String(hold.id), 'B1', 40, date, currency, orderId]);
+    return rows[0];
+  };
+
+  it('adds the hold to an order in the order\'s currency and date', async () => {
+    const { order } = await saveOrder(null, { ...header, currency: 'USD' }, [line(1)]);
+    expect(await convert(String(order.id), 'USD', '2026-10-01')).toMatchObject({ order_id: order.id, currency: 'USD' });
+  });
+
+  it('refuses a price in another currency or for another day than the order\'s', async () => {
+    const { order } = await saveOrder(null, { ...header, currency: 'USD' }, [line(1)]);
+    await expect(convert(String(order.id), 'EUR', '2026-10-01')).rejects.toThrow('The order is in USD, not EUR');
+    await expect(convert(String(order.id), 'USD', '2026-10-02')).rejects.toThrow('The order is dated 2026-10-01, not 2026-10-02');
+  });
+});
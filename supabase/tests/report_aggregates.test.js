@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { createDatabase, addUser, signIn, signOut, SETUP_TIMEOUT_MS } from './database';
+
+let db;
+let admin;
+let salesUser;
+
+const purchase = (batch, units, cost, date, createdAt = `${date}T12:00:00Z`) => db.query(
+  `insert into public.purchases (size, batch_number, units, cost, currency, purchase_date, created_at)
+   values ('5ml', $1, $2, $3, 'EUR', $4, $5)`, [batch, units, cost, date, createdAt]);
+
+const sale = (batch, units, date, createdAt = `${date}T12:00:00Z`) => db.query(
+  `insert into public.sales (customer, size, batch_number, units, price, currency, sale_date, created_at)
+   values ('Alpha GmbH', '5ml', $1, $2, 40, 'EUR', $3, $4)`, [batch, units, date, createdAt]);
+
+const sample = (batch, units, date) => db.query(
+  `insert into public.stock_adjustments (size, batch_number, units, reason, adjustment_date)
+   values ('5ml', $1, $2, 'Sample', $3)`, [batch, units, date]);
+
+const useMethod = (method) => db.query('update public.app_settings set valuation_method = $1 where id = 1', [method]);
+
+// The cost of the batch's sale and sample and the value left in it
+const valuation = async (batch) => {
+  const { rows } = await db.query(`select entry, amount from public.inventory_valuation('EUR') where batch_number = $1`, [batch]);
+  return Object.fromEntries(rows.map(r => [r.entry, Number(r.amount)]));
+};
+
+beforeAll(async () => {
+  db = await createDatabase();
+  admin = await addUser(db, 'anna', 'admin');
+  salesUser = await addUser(db, 'sam', 'sales');
+
+  // Two deliveries into B1 at 10 and 20 per pack, then 1.5 packs sold and 0.25 sampled
+  await purchase('B1', 1, 10, '2026-01-01');
+  await purchase('B1', 1, 20, '2026-02-01');
+  await sale('B1', 1.5, '2026-03-01');
+  await sample('B1', 0.25, '2026-03-02');
+
+  // A delivery into B2 entered after the sale of the same day
+  await purchase('B2', 1, 10, '2026-01-05', '2026-01-05T15:00:00Z');
+  await sale('B2', 1, '2026-01-05', '2026-01-05T09:00:00Z');
+}, SETUP_TIMEOUT_MS);
+
+afterEach(() => signOut(db));
+
+describe('inventory_valuation', () => {
+  it('costs draws from the oldest delivery first under FIFO', async () => {
+    await useMethod('fifo');
+    expect(await valuation('B1')).toEqual({ sale: 20, adjustment: 5, batch: 5 });
+  });
+
+  it('costs draws at the running average under weighted average', async () => {
+    await useMethod('weighted_average');
+    expect(await valuation('B1')).toEqual({ sale: 22.5, adjustment: 3.75, batch: 3.75 });
+  });
+
+  it('books same-day deliveries before the day\'s draws', async () => {
+    await useMethod('fifo');
+    expect(await valuation('B2')).toEqual({ sale: 10, batch: 0 });
+  });
+});
+
+describe('stock_figures', () => {
+  const figures = async (authId) => {
+    await signIn(db, authId);
+    const { rows } = await db.query(`select public.stock_figures('2026-03-31', 6) as figures`);
+    return rows[0].figures;
+  };
+
+  it('sums the valuation per size for a role that sees costs', async () => {
+    await useMethod('fifo');
+    const { sizes, batch_values } = await figures(admin);
+    expect(sizes).toEqual([expect.objectContaining({ size: '5ml', purchased: 3, sold: 2.5, adjusted: 0.25, revenue: 100, cogs: 30, adjusted_value: 5, stock_value: 5 })]);
+    expect(batch_values).toEqual([{ size: '5ml', batch_number: 'B1', value: 5 }]);
+  });
+
+  it('leaves the costs out for a role without view_costs', async () => {
+    const { sizes, batch_values } = await figures(salesUser);
+    expect(sizes[0]).toMatchObject({ sold: 2.5, revenue: 100, cogs: null, adjusted_value: null, stock_value: null });
+    expect(batch_values).toEqual([]);
+  });
+});
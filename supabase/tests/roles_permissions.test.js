@@ -0,0 +1,44 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createDatabase, addUser, signIn, signOut, SETUP_TIMEOUT_MS } from './database';
+
+let db;
+let warehouse;
+let readOnly;
+let sampleId;
+
+const update = (changes) => db.query('select public.update_stock_adjustment($1, $2) as row', [sampleId, changes]);
+
+beforeAll(async () => {
+  db = await createDatabase();
+  warehouse = await addUser(db, 'walt', 'warehouse');
+  readOnly = await addUser(db, 'rita', 'read_only');
+  await db.query(`insert into public.purchases (size, batch_number, units, cost, currency, purchase_date) values ('5ml', 'B1', 10, 20, 'EUR', '2026-09-01')`);
+  const { rows } = await db.query(`insert into public.stock_adjustments (size, batch_number, units, vials, reason, adjustment_date) values ('5ml', 'B1', 1, 5, 'Sample', '2026-10-01') returning id`);
+  sampleId = rows[0].id;
+}, SETUP_TIMEOUT_MS);
+
+describe('update_stock_adjustment', () => {
+  it('lets a role without view_costs edit a sample it cannot see', async () => {
+    await signIn(db, warehouse);
+    const { affectedRows } = await db.query(`update public.stock_adjustments set notes = 'through the table' where id = $1`, [sampleId]);
+    expect(affectedRows).toBe(0);
+
+    const { rows } = await update({ batch_number: 'B1', units: 2, vials: 10, reason: 'Sample', notes: 'for Alpha', adjustment_date: '2026-10-02' });
+    expect(rows[0].row).toMatchObject({ id: sampleId, units: 2, vials: 10, notes: 'for Alpha', adjustment_date: '2026-10-02', modified_by: 'WAL' });
+    expect(rows[0].row).not.toHaveProperty('total_cost');
+
+    await signOut(db);
+    const { rows: [stored] } = await db.query('select total_cost::float as total_cost from public.stock_adjustments where id = $1', [sampleId]);
+    expect(stored.total_cost).toBe(40);
+  });
+
+  it('refuses a role that does not record samples', async () => {
+    await signIn(db, readOnly);
+    await expect(update({ units: 1, vials: 5 })).rejects.toThrow('Your role does not allow recording samples');
+  });
+
+  it('reports a sample that does not exist', async () => {
+    await signIn(db, warehouse);
+    await expect(db.query('select public.update_stock_adjustment(0, $1)', [{ units: 1 }])).rejects.toThrow('Sample not found');
+  });
+});